@@ -0,0 +1,119 @@
+// Three Terrain public API
+// The only supported entry point for consumers of the package ('three-terrain').
+// Everything exported here is part of the versioned contract described by API_VERSION;
+// anything reached by deep-importing components/, hooks/ or utils/ is internal and may change.
+
+import { desertPreset } from '../presets/desert'
+import { mountainPreset } from '../presets/mountain'
+import { winterPreset } from '../presets/winter'
+
+/**
+ * Version of the public API surface exported from this module.
+ * Follows semver: exports are only removed or changed incompatibly on a major bump.
+ */
+export const API_VERSION = '1.28.0'
+
+// ========================================
+// COMPONENTS
+// ========================================
+export { default as Terrain } from '../components/Terrain'
+export { default as TerrainTile } from '../components/TerrainTile'
+export { default as Vegetation } from '../components/Vegetation'
+export { default as Underwater } from '../components/Underwater'
+export { default as DayNightCycle } from '../components/DayNightCycle'
+
+// ========================================
+// CONTEXT & STATE
+// ========================================
+export { TerrainProvider, useTerrainContext } from '../context/TerrainContext'
+export { default as useTerrainStore, getBiomePresetList } from '../store/terrainStore'
+
+// ========================================
+// TERRAIN GENERATION
+// ========================================
+export { createHeightSampler } from '../utils/terrain/heightmap'
+export { createTerrainQueries } from '../utils/terrain/terrainQueries'
+export { createErosionSampler } from '../utils/terrain/erosion'
+export { EROSION_CONFIG } from '../config/erosion'
+export { loadHeightDataset, createDatasetHeightSampler, DEFAULT_HEIGHT_SOURCE_OPTIONS } from '../utils/terrain/heightDataset'
+export { parsePNG16, parseRAW, parseGeoTIFF, parseHGT } from '../utils/terrain/elevationFormats'
+export { createRiverNetwork, createRiverSampler, getRiverNetwork } from '../utils/terrain/rivers'
+export { createWaterBodies } from '../utils/terrain/waterBodies'
+export { QuadtreeNode, getEdgeStitchInfo, createLodView, getLodViewerHeight } from '../utils/terrain/quadtree'
+export { selectTerrainConfig, getTerrainConfigHash } from '../utils/terrain/terrainConfig'
+export { TileWorkerPool, getTileWorkerPool } from '../utils/terrain/tileWorkerPool'
+export { createTerrainRegions, trackRegions } from '../utils/terrain/terrainRegions'
+export { TileGeometryCache, getTileGeometryCache, getTileCacheKey } from '../utils/terrain/tileGeometryCache'
+export { loadTerrainLayers, setTerrainMorphViewer } from '../utils/terrain/terrainMaterial'
+export { loadLayerTextureArrays } from '../utils/terrain/layerTextureArrays'
+export { LAYER_TEXTURE_CONFIG } from '../config/terrain'
+/** @deprecated Resamples on the main thread; use loadTerrainLayers */
+export { setTerrainLayers } from '../utils/terrain/terrainMaterial'
+/** @deprecated Resamples on the main thread; use loadLayerTextureArrays */
+export { createLayerTextureArrays } from '../utils/terrain/layerTextureArrays'
+
+// ========================================
+// ANALYSIS
+// ========================================
+export { computeViewshed, DEFAULT_VIEWSHED_OPTIONS } from '../utils/terrain/viewshed'
+export { default as useViewshed } from '../hooks/useViewshed'
+export { setTerrainViewshed } from '../utils/terrain/terrainMaterial'
+export { findPath, DEFAULT_PATHFINDING_OPTIONS } from '../utils/terrain/pathfinding'
+
+// ========================================
+// PHYSICS
+// ========================================
+export { TerrainPhysics } from '../utils/physics/terrainPhysics'
+export { buildHeightfieldData, buildVegetationColliders } from '../utils/physics/terrainColliders'
+export { createRapierAdapter, createCannonAdapter, createHeadlessPhysicsAdapter } from '../utils/physics/physicsAdapters'
+export { default as useTerrainPhysics } from '../hooks/useTerrainPhysics'
+export { PHYSICS_CONFIG } from '../config/physics'
+
+// ========================================
+// VANILLA THREE.JS
+// ========================================
+export { TerrainSystem, DEFAULT_TERRAIN_SYSTEM_CONFIG } from '../utils/terrain/terrainSystem'
+
+// ========================================
+// WATER
+// ========================================
+export { createRiverMaterial, advanceRiverMaterial, disposeRiverMaterial } from '../utils/water/riverMaterial'
+export { getWaveInfo, getWaterHeight, getWaveTime, advanceWaveTime, getWaveUniforms, getWaveSpeed, createWindWaves, getActiveWaves, getActiveWaterSurface, setActiveWaterSurface, MAX_WAVES } from '../utils/water/wavePhysics'
+/** @deprecated Only the fallback wave set; use getActiveWaves() for the waves being rendered */
+export { WAVES } from '../utils/water/wavePhysics'
+export { applyBuoyancy, resetBuoyancy } from '../utils/water/buoyancy'
+export { BUOYANCY_CONFIG, WAVE_CONDITIONS, UNDERWATER_CONFIG, LAKE_CONFIG } from '../config/water'
+export { setTerrainCaustics } from '../utils/terrain/terrainMaterial'
+
+// ========================================
+// SKY
+// ========================================
+export { getSunPosition, getMoonPosition, getDayNightLighting, getKeyLight } from '../utils/sky/timeOfDay'
+export { getPhysicalSkyColor, getSkyColors, getAtmosphereExtinction } from '../utils/sky/physicalSky'
+export { advanceClouds, createCloudUniforms, setCloudUniforms } from '../utils/sky/clouds'
+export { CascadedShadows } from '../utils/sky/cascadedShadows'
+export { computeHorizonMap, getHorizonAzimuth, setHorizonMap } from '../utils/terrain/horizonMap'
+export { default as useHorizonMap } from '../hooks/useHorizonMap'
+export { DAY_NIGHT_CONFIG, PHYSICAL_SKY_CONFIG, CLOUD_TYPES, CLOUD_CONFIG, SHADOW_CONFIG, HORIZON_CONFIG } from '../config/sky'
+export { setTerrainAtmosphere, setTerrainClouds, setTerrainHorizon } from '../utils/terrain/terrainMaterial'
+
+// ========================================
+// PRESETS
+// ========================================
+export { desertPreset, mountainPreset, winterPreset }
+
+/**
+ * Built-in biome presets keyed by id (matches useTerrainStore().applyPresetById).
+ */
+export const presets = Object.freeze({
+	desert: desertPreset,
+	mountain: mountainPreset,
+	winter: winterPreset,
+})
+
+// ========================================
+// VEGETATION
+// ========================================
+export { default as useVegetation } from '../hooks/useVegetation'
+export { generateVegetationForType, getCellVegetationColliders } from '../utils/terrain/vegetationGeneration'
+export { createGrassMesh } from '../utils/vegetation/grassMesh'
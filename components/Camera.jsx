@@ -4,6 +4,7 @@ import { PointerLockControls, PerspectiveCamera } from '@react-three/drei'
 import { Vector3 } from 'three'
 
 import { useTerrainContext } from '../context/TerrainContext'
+import { getWaterHeight, getWaveTime } from '../utils/water/wavePhysics'
 
 const KEY_MAP = {
 	KeyW: 'forward',
@@ -16,7 +17,16 @@ const KEY_MAP = {
 	ShiftRight: 'sprint',
 }
 
-const Camera = ({ speed = 150, sprintMultiplier = 2, enabled = true }) => {
+/**
+ * Free-flying first-person camera with pointer lock.
+ *
+ * @param {Object} props
+ * @param {number} [props.speed] - Movement speed in world units per second
+ * @param {number} [props.sprintMultiplier] - Speed multiplier while Shift is held
+ * @param {boolean} [props.enabled] - Disable to hand control to another camera
+ * @param {boolean} [props.allowDiving] - Let the camera go below the water level (otherwise it stays above the surface)
+ */
+const Camera = ({ speed = 150, sprintMultiplier = 2, enabled = true, allowDiving = false }) => {
 	const cameraRef = useRef()
 	const controlsRef = useRef()
 	const velocity = useRef(new Vector3())
@@ -114,8 +124,14 @@ const Camera = ({ speed = 150, sprintMultiplier = 2, enabled = true }) => {
 		if (terrain) {
 			const terrainHeight = terrain.getHeight(camera.position.x, camera.position.z)
 
-			// Keep camera at least 2 units above terrain
-			const minHeight = terrainHeight + 2.0
+			// Keep camera at least 2 units above terrain, and above the wave surface unless diving is allowed.
+			// Lakes still loading in the tile workers report the global level here until they arrive
+			let floorHeight = terrainHeight
+			if (!allowDiving) {
+				const waterHeight = getWaterHeight(camera.position.x, camera.position.z, getWaveTime(), terrain.getWaterLevel(camera.position.x, camera.position.z))
+				floorHeight = Math.max(floorHeight, waterHeight)
+			}
+			const minHeight = floorHeight + 2.0
 			if (camera.position.y < minHeight) {
 				camera.position.y = minHeight
 			}
@@ -20,12 +20,12 @@ const ThreeCanvas = () => {
 		<div id='canvas' className='absolute inset-0 overflow-hidden pointer-events-none'>
 			<Loader />
 
-			<Canvas shadows={{ enabled: !performanceDegraded }} dpr={performanceDegraded ? 1 : [1, 1.5]} className='pointer-events-auto'>
+			<Canvas shadows dpr={performanceDegraded ? 1 : [1, 1.5]} className='pointer-events-auto'>
 				<PerformanceMonitor onDecline={() => setPerformanceDegraded(true)} />
 				<PerfMonitor />
 
 				<TerrainProvider>
-					<Camera />
+					<Camera allowDiving />
 
 					<Suspense fallback={null}>
 						<Environment />
@@ -0,0 +1,37 @@
+import { useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+
+import useTerrainStore from '../store/terrainStore'
+import { getDayNightLighting } from '../utils/sky/timeOfDay'
+
+// Day/night cycle
+// Advances the time of day while playing and derives sun, moon, sky and ambient light from it.
+// Lighting is only recomputed when the time, date, latitude or midday palette change, so colours
+// edited by hand stay until the clock moves.
+const DayNightCycle = () => {
+	const lastInputs = useRef(null)
+
+	useFrame((_, delta) => {
+		// Get values from store (doesn't trigger rerenders)
+		const { timeOfDayEnabled, timePlaying, advanceTimeOfDay } = useTerrainStore.getState()
+		if (!timeOfDayEnabled) {
+			lastInputs.current = null
+			return
+		}
+
+		if (timePlaying) {
+			advanceTimeOfDay(delta)
+		}
+
+		const { timeOfDay, dayOfYear, latitude, daylight, setLighting } = useTerrainStore.getState()
+		const last = lastInputs.current
+		if (last && last.timeOfDay === timeOfDay && last.dayOfYear === dayOfYear && last.latitude === latitude && last.daylight === daylight) return
+
+		lastInputs.current = { timeOfDay, dayOfYear, latitude, daylight }
+		setLighting(getDayNightLighting({ timeOfDay, dayOfYear, latitude }, daylight))
+	})
+
+	return null
+}
+
+export default DayNightCycle
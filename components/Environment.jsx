@@ -1,13 +1,18 @@
 import { memo } from 'react'
 
+import DayNightCycle from './DayNightCycle'
 import Sun from './Sun'
 import Sky from './Sky'
 import Terrain from './Terrain'
+import Underwater from './Underwater'
 
 // Environment component
 const SceneEnvironment = memo(() => {
 	return (
 		<>
+			{/* Time of day (sun, moon, sky and ambient light) */}
+			<DayNightCycle />
+
 			{/* Sun */}
 			<Sun />
 
@@ -16,6 +21,9 @@ const SceneEnvironment = memo(() => {
 
 			{/* Terrain */}
 			<Terrain />
+
+			{/* Underwater fog and waterline transition */}
+			<Underwater />
 		</>
 	)
 })
@@ -1,11 +1,12 @@
-import { useControls, folder } from 'leva'
+import { useEffect } from 'react'
+import { useControls, folder, button } from 'leva'
 import useTerrainStore from '../store/terrainStore'
 import { getBiomePresetList } from '../store/terrainStore'
 import { normalizeDirection } from '../utils/vectorHelpers'
 
 /**
  * Configuration defining all terrain controls
- * Each entry specifies: stateKey, setter, min, max, step, and optional type/subcontrols
+ * Each entry specifies: stateKey, setter, min, max, step, and optional type/subcontrols/hint
  */
 const CONTROLS_CONFIG = {
 	Terrain: {
@@ -16,6 +17,11 @@ const CONTROLS_CONFIG = {
 				seed: { stateKey: 'seed', setter: 'setSeed', min: 0, max: 10000, step: 1 },
 				baseHeightScale: { stateKey: 'baseHeightScale', setter: 'setBaseHeightScale', min: 0, max: 20, step: 0.1 },
 				maxMountainHeight: { stateKey: 'maxMountainHeight', setter: 'setMaxMountainHeight', min: 0, max: 1000, step: 10 },
+				erosion: { type: 'boolean', stateKey: 'erosionEnabled', setter: 'setErosionEnabled' },
+				erosionIterations: { stateKey: 'erosionIterations', setter: 'setErosionIterations', min: 0, max: 100000, step: 1000 },
+				erosionRate: { stateKey: 'erosionRate', setter: 'setErosionRate', min: 0, max: 1, step: 0.01 },
+				depositionRate: { stateKey: 'depositionRate', setter: 'setDepositionRate', min: 0, max: 1, step: 0.01 },
+				talusAngle: { stateKey: 'talusAngle', setter: 'setTalusAngle', min: 10, max: 60, step: 1 },
 			},
 		},
 		noiseScales: {
@@ -27,6 +33,24 @@ const CONTROLS_CONFIG = {
 				mountain: { stateKey: 'mountainScale', setter: 'setMountainScale', min: 0.0001, max: 0.01, step: 0.0001 },
 			},
 		},
+		rivers: {
+			type: 'folder',
+			collapsed: true,
+			controls: {
+				enabled: { type: 'boolean', stateKey: 'riversEnabled', setter: 'setRiversEnabled' },
+				count: { stateKey: 'riverCount', setter: 'setRiverCount', min: 0, max: 16, step: 1 },
+				width: { stateKey: 'riverWidth', setter: 'setRiverWidth', min: 2, max: 64, step: 1 },
+				depth: { stateKey: 'riverDepth', setter: 'setRiverDepth', min: 0.5, max: 16, step: 0.5 },
+			},
+		},
+		lakes: {
+			type: 'folder',
+			collapsed: true,
+			controls: {
+				enabled: { type: 'boolean', stateKey: 'lakesEnabled', setter: 'setLakesEnabled' },
+				minDepth: { stateKey: 'lakeMinDepth', setter: 'setLakeMinDepth', min: 0, max: 40, step: 0.5 },
+			},
+		},
 		spawnArea: {
 			type: 'folder',
 			collapsed: true,
@@ -39,12 +63,22 @@ const CONTROLS_CONFIG = {
 			type: 'folder',
 			collapsed: true,
 			controls: {
+				mode: {
+					type: 'select',
+					stateKey: 'lodMode',
+					setter: 'setLodMode',
+					options: { distance: 'distance', 'screen space': 'screenSpace' },
+					hint: 'Screen space fits detail to the view but does not geomorph, so tiles pop as they split and merge',
+				},
+				pixelError: { stateKey: 'lodPixelError', setter: 'setLodPixelError', min: 0.5, max: 16, step: 0.5 },
 				splitFactor: { stateKey: 'lodSplitFactor', setter: 'setLodSplitFactor', min: 1, max: 4, step: 0.1 },
 				hysteresis: { stateKey: 'lodHysteresis', setter: 'setLodHysteresis', min: 1, max: 2, step: 0.05 },
+				morphRange: { stateKey: 'lodMorphRange', setter: 'setLodMorphRange', min: 0, max: 1, step: 0.05, hint: 'Distance mode only' },
 				minTileSize: { stateKey: 'minTileSize', setter: 'setMinTileSize', min: 8, max: 128, step: 8 },
 				rootSize: { stateKey: 'rootSize', setter: 'setRootSize', min: 1024, max: 8192, step: 256 },
-				tileResolution: { stateKey: 'tileResolution', setter: 'setTileResolution', min: 8, max: 64, step: 1 },
+				tileResolution: { stateKey: 'tileResolution', setter: 'setTileResolution', min: 8, max: 64, step: 2 },
 				viewRange: { stateKey: 'viewRange', setter: 'setViewRange', min: 1, max: 20, step: 1 },
+				cacheSize: { stateKey: 'tileCacheSize', setter: 'setTileCacheSize', min: 0, max: 512, step: 16 },
 			},
 		},
 	},
@@ -55,6 +89,18 @@ const CONTROLS_CONFIG = {
 	Sky: {
 		zenith: { type: 'color', stateKey: 'skyColorZenith', setter: 'setSkyColorZenith' },
 		horizon: { type: 'color', stateKey: 'skyColorHorizon', setter: 'setSkyColorHorizon' },
+		model: { type: 'select', stateKey: 'skyModel', setter: 'setSkyModel', options: { gradient: 'gradient', physical: 'physical' } },
+		turbidity: { stateKey: 'skyTurbidity', setter: 'setSkyTurbidity', min: 1, max: 10, step: 0.1 },
+		groundAlbedo: { stateKey: 'skyGroundAlbedo', setter: 'setSkyGroundAlbedo', min: 0, max: 1, step: 0.05 },
+	},
+	Clouds: {
+		enabled: { type: 'boolean', stateKey: 'cloudsEnabled', setter: 'setCloudsEnabled' },
+		type: { type: 'select', stateKey: 'cloudType', setter: 'setCloudType', options: { cumulus: 'cumulus', stratus: 'stratus', cirrus: 'cirrus' } },
+		coverage: { stateKey: 'cloudCoverage', setter: 'setCloudCoverage', min: 0, max: 1, step: 0.01 },
+		density: { stateKey: 'cloudDensity', setter: 'setCloudDensity', min: 0, max: 2, step: 0.05 },
+		altitude: { stateKey: 'cloudAltitude', setter: 'setCloudAltitude', min: 200, max: 4000, step: 50 },
+		windDirection: { stateKey: 'cloudWindDirection', setter: 'setCloudWindDirection', min: 0, max: 360, step: 1 },
+		windSpeed: { stateKey: 'cloudWindSpeed', setter: 'setCloudWindSpeed', min: 0, max: 100, step: 1 },
 	},
 	Vegetation: {
 		enabled: { type: 'boolean', stateKey: 'vegetationEnabled', setter: 'setVegetationEnabled' },
@@ -83,6 +129,9 @@ const CONTROLS_CONFIG = {
 	},
 }
 
+// Time of day slider step in hours (the slider follows the clock in steps this size while playing)
+const TIME_STEP = 0.05
+
 /**
  * Create a control based on its configuration
  */
@@ -97,6 +146,15 @@ const createControl = (config, initialState) => {
 		}
 	}
 
+	if (config.type === 'select') {
+		return {
+			value: initialState[config.stateKey],
+			options: config.options,
+			hint: config.hint,
+			onChange: (value) => store[config.setter](value),
+		}
+	}
+
 	if (config.type === 'vec3') {
 		const vec = initialState[config.stateKey]
 		return {
@@ -133,6 +191,7 @@ const createControl = (config, initialState) => {
 		min: config.min,
 		max: config.max,
 		step: config.step,
+		hint: config.hint,
 		onChange: (value) => store[config.setter](value),
 	}
 }
@@ -175,6 +234,56 @@ const GUI = () => {
 		useControls(panelName, buildControls(panelConfig, initialState))
 	})
 
+	// Time of day - playing or scrubbing turns the day/night cycle on
+	const [, setTimeControls] = useControls('Time of Day', () => ({
+		enabled: {
+			value: initialState.timeOfDayEnabled,
+			onChange: (value) => useTerrainStore.getState().setTimeOfDayEnabled(value),
+		},
+		'play / pause': button(() => {
+			const { timePlaying, setTimeOfDayEnabled, setTimePlaying } = useTerrainStore.getState()
+			setTimeOfDayEnabled(true)
+			setTimePlaying(!timePlaying)
+		}),
+		time: {
+			value: initialState.timeOfDay,
+			min: 0,
+			max: 24,
+			step: TIME_STEP,
+			onChange: (value, _, { initial }) => {
+				// Ignore the slider following the clock (values rounded to the step)
+				const { timeOfDay, setTimeOfDay, setTimeOfDayEnabled } = useTerrainStore.getState()
+				if (initial || Math.abs(value - timeOfDay) <= TIME_STEP / 2) return
+				setTimeOfDayEnabled(true)
+				setTimeOfDay(value)
+			},
+		},
+		speed: {
+			value: initialState.timeSpeed,
+			min: 0,
+			max: 2,
+			step: 0.01,
+			hint: 'Hours per second',
+			onChange: (value) => useTerrainStore.getState().setTimeSpeed(value),
+		},
+		dayOfYear: { value: initialState.dayOfYear, min: 1, max: 365, step: 1, onChange: (value) => useTerrainStore.getState().setDayOfYear(value) },
+		latitude: { value: initialState.latitude, min: -90, max: 90, step: 1, onChange: (value) => useTerrainStore.getState().setLatitude(value) },
+	}))
+
+	// Keep the time controls in sync with the clock and with presets
+	useEffect(
+		() =>
+			useTerrainStore.subscribe((state, previous) => {
+				const updates = {}
+				if (Math.round(state.timeOfDay / TIME_STEP) !== Math.round(previous.timeOfDay / TIME_STEP)) updates.time = Math.round(state.timeOfDay / TIME_STEP) * TIME_STEP
+				if (state.dayOfYear !== previous.dayOfYear) updates.dayOfYear = state.dayOfYear
+				if (state.latitude !== previous.latitude) updates.latitude = state.latitude
+				if (state.timeOfDayEnabled !== previous.timeOfDayEnabled) updates.enabled = state.timeOfDayEnabled
+				if (Object.keys(updates).length > 0) setTimeControls(updates)
+			}),
+		[setTimeControls]
+	)
+
 	return null
 }
 
@@ -1,26 +1,31 @@
-import { useRef, useMemo, useEffect } from 'react'
+import { useRef, useMemo } from 'react'
 import { useFrame } from '@react-three/fiber'
 import { Environment } from '@react-three/drei'
-import { BackSide, Vector3, Color } from 'three'
+import { BackSide, Vector3, Color, Matrix3, Matrix4 } from 'three'
 
 import useTerrainStore from '../store/terrainStore'
+import { getSkyColors } from '../utils/sky/physicalSky'
+import { advanceClouds, createCloudUniforms, setCloudUniforms } from '../utils/sky/clouds'
 import skyVertexShader from '../shaders/sky.vert.glsl'
 import skyFragmentShader from '../shaders/sky.frag.glsl'
 
-// Custom Atmospheric Sky component with procedural clouds
+// Ambient and environment map intensities at full daylight (scaled by the store's ambientIntensity)
+const AMBIENT_INTENSITY = 2.0
+const ENVIRONMENT_INTENSITY = 0.3
+
+// Custom Atmospheric Sky component with volumetric clouds, moon and stars
 // Uses shared atmosphere config for consistency with water shader
+// Renders either the two-colour gradient or physical scattering (skyModel); fog and ambient light follow either
 // Automatically follows camera position each frame
+// Drives the shared cloud clock, so terrain cloud shadows drift with the clouds
+// Sun, sky and fog values are read each frame, so the day/night cycle doesn't rerender the sky
 const AtmosphericSky = () => {
 	const meshRef = useRef()
 	const materialRef = useRef()
 	const fogRef = useRef()
+	const ambientRef = useRef()
 
-	const sunDirection = useTerrainStore((state) => state.sunDirection)
-	const sunColor = useTerrainStore((state) => state.sunColor)
-	const skyColorZenith = useTerrainStore((state) => state.skyColorZenith)
-	const skyColorHorizon = useTerrainStore((state) => state.skyColorHorizon)
-	const viewRange = useTerrainStore((state) => state.viewRange)
-	const rootSize = useTerrainStore((state) => state.rootSize)
+	const cameraUnderwater = useTerrainStore((state) => state.cameraUnderwater)
 
 	// Create stable uniforms object once - values updated in useFrame
 	const uniforms = useMemo(
@@ -30,10 +35,21 @@ const AtmosphericSky = () => {
 			uSunColor: { value: new Color() },
 			uSkyColor: { value: new Color() },
 			uSkyHorizonColor: { value: new Color() },
+			uMoonDirection: { value: new Vector3() },
+			uMoonColor: { value: new Color() },
+			uStarIntensity: { value: 0 },
+			uStarRotation: { value: new Matrix3() },
+			uSkyModel: { value: 0 },
+			uTurbidity: { value: 2 },
+			uGroundAlbedo: { value: 0.3 },
+			...createCloudUniforms(),
 		}),
 		[]
 	)
 
+	// Scratch objects for the star field rotation
+	const starRotation = useMemo(() => ({ pole: new Vector3(), matrix: new Matrix4() }), [])
+
 	// Stable ambient light color
 	const ambientColor = useMemo(() => new Color(), [])
 
@@ -41,19 +57,25 @@ const AtmosphericSky = () => {
 		return [500, 8, 8]
 	}, [])
 
-	// Update fog parameters when dependencies change
-	useEffect(() => {
-		if (!fogRef.current) return
-		const fogDistance = viewRange * rootSize
-		fogRef.current.color.setRGB(skyColorHorizon[0], skyColorHorizon[1], skyColorHorizon[2])
-		fogRef.current.near = fogDistance * 0.5
-		fogRef.current.far = fogDistance
-	}, [skyColorHorizon, viewRange, rootSize])
-
-	useFrame((state) => {
+	useFrame((state, delta) => {
 		const mesh = meshRef.current
 		if (!mesh) return
 
+		// Get current values from store (doesn't trigger rerenders)
+		const store = useTerrainStore.getState()
+		const { sunDirection, sunColor, skyColorZenith, skyColorHorizon, moonDirection, moonColor, starIntensity, ambientIntensity, viewRange, rootSize, timeOfDay, dayOfYear, latitude } = store
+		const { skyModel, skyTurbidity, skyGroundAlbedo } = store
+		const { zenith, horizon } = getSkyColors(store)
+		advanceClouds(delta, store)
+
+		// Fog matches the horizon (<Underwater /> overrides it below the surface)
+		if (fogRef.current) {
+			const fogDistance = viewRange * rootSize
+			fogRef.current.color.setRGB(horizon[0], horizon[1], horizon[2])
+			fogRef.current.near = fogDistance * 0.5
+			fogRef.current.far = fogDistance
+		}
+
 		// Update sky position to match camera position
 		mesh.position.copy(state.camera.position)
 
@@ -65,21 +87,47 @@ const AtmosphericSky = () => {
 			u.uSunColor.value.setRGB(sunColor[0], sunColor[1], sunColor[2])
 			u.uSkyColor.value.setRGB(skyColorZenith[0], skyColorZenith[1], skyColorZenith[2])
 			u.uSkyHorizonColor.value.setRGB(skyColorHorizon[0], skyColorHorizon[1], skyColorHorizon[2])
+			u.uMoonDirection.value.set(moonDirection[0], moonDirection[1], moonDirection[2])
+			u.uMoonColor.value.setRGB(moonColor[0], moonColor[1], moonColor[2])
+			u.uStarIntensity.value = starIntensity
+			u.uSkyModel.value = skyModel === 'physical' ? 1 : 0
+			u.uTurbidity.value = skyTurbidity
+			u.uGroundAlbedo.value = skyGroundAlbedo
+			setCloudUniforms(u, store)
+
+			// Stars turn about the celestial pole (north, raised by the latitude) once per sidereal day
+			if (starIntensity > 0) {
+				const latitudeRadians = (latitude * Math.PI) / 180
+				const siderealAngle = (timeOfDay / 24 + dayOfYear / 365.25) * Math.PI * 2
+				starRotation.pole.set(0, Math.sin(latitudeRadians), -Math.cos(latitudeRadians))
+				u.uStarRotation.value.setFromMatrix4(starRotation.matrix.makeRotationAxis(starRotation.pole, siderealAngle))
+			}
 		}
 
-		// Update ambient light color
-		ambientColor.setRGB(skyColorZenith[0], skyColorZenith[1], skyColorZenith[2])
+		// Update ambient light color and intensity
+		ambientColor.setRGB(zenith[0], zenith[1], zenith[2])
+		if (ambientRef.current) {
+			ambientRef.current.intensity = AMBIENT_INTENSITY * ambientIntensity
+		}
+		state.scene.environmentIntensity = ENVIRONMENT_INTENSITY * ambientIntensity
 	})
 
 	return (
 		<>
 			<fog ref={fogRef} attach='fog' />
 
-			<Environment files='assets/images/envmap/rustig_koppie_puresky_1k.hdr' environmentIntensity={0.3} />
+			<Environment files='assets/images/envmap/rustig_koppie_puresky_1k.hdr' environmentIntensity={ENVIRONMENT_INTENSITY} />
 
-			<ambientLight ref={(light) => light && (light.color = ambientColor)} intensity={2.0} />
+			<ambientLight
+				ref={(light) => {
+					ambientRef.current = light
+					if (light) light.color = ambientColor
+				}}
+				intensity={AMBIENT_INTENSITY}
+			/>
 
-			<mesh ref={meshRef} frustumCulled={false}>
+			{/* Hidden underwater, where the water fog tints the background instead */}
+			<mesh ref={meshRef} frustumCulled={false} visible={!cameraUnderwater}>
 				<sphereGeometry args={geometry} />
 				<shaderMaterial ref={materialRef} uniforms={uniforms} vertexShader={skyVertexShader} fragmentShader={skyFragmentShader} side={BackSide} depthWrite={false} />
 			</mesh>
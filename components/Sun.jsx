@@ -1,56 +1,57 @@
-import { useRef, useMemo } from 'react'
+import { useEffect, useRef } from 'react'
 import { useFrame, useThree } from '@react-three/fiber'
-import { Color } from 'three'
 
 import useTerrainStore from '../store/terrainStore'
+import { getKeyLight } from '../utils/sky/timeOfDay'
+import { CascadedShadows } from '../utils/sky/cascadedShadows'
+import { SHADOW_CONFIG } from '../config/sky'
 
-// Sun directional light that follows camera target
+const SUN_INTENSITY = 2.0
+
+// Sun directional light with cascaded shadows covering the visible terrain
+// At night the moon takes over while it outshines the sun (see getKeyLight)
+// The shadow quality tier drops while performance is degraded
 const Sun = () => {
-	const sunRef = useRef()
+	const cascadesRef = useRef(null)
+	const projectionRef = useRef({ aspect: 0, fov: 0 })
 	const performanceDegraded = useTerrainStore((state) => state.performanceDegraded)
 	const camera = useThree((state) => state.camera)
-
-	// Create a stable Color object for the light
-	const sunColorObj = useMemo(() => new Color(), [])
+	const scene = useThree((state) => state.scene)
+
+	// Rebuild the cascades when the camera or quality tier changes
+	useEffect(() => {
+		const tier = performanceDegraded ? SHADOW_CONFIG.tiers.low : SHADOW_CONFIG.tiers.high
+		const cascades = new CascadedShadows({ camera, parent: scene, tier })
+		cascades.setupScene(scene)
+		projectionRef.current = { aspect: camera.aspect, fov: camera.fov }
+		cascadesRef.current = cascades
+
+		return () => {
+			cascades.remove()
+			cascades.dispose()
+			cascadesRef.current = null
+		}
+	}, [camera, scene, performanceDegraded])
 
 	useFrame(() => {
-		const sun = sunRef.current
-		if (!sun) return
+		const cascades = cascadesRef.current
+		if (!cascades) return
+
+		// Cascade frustums follow the camera projection (window resizes)
+		const projection = projectionRef.current
+		if (projection.aspect !== camera.aspect || projection.fov !== camera.fov) {
+			projection.aspect = camera.aspect
+			projection.fov = camera.fov
+			cascades.updateFrustums()
+		}
 
 		// Get current values from store (doesn't trigger rerenders)
-		const { sunDirection, sunColor } = useTerrainStore.getState()
-
-		// Update sun color
-		sunColorObj.setRGB(sunColor[0], sunColor[1], sunColor[2])
-		sun.color.copy(sunColorObj)
-
-		// Position sun based on sun direction relative to camera position
-		const sunDistance = 50
-		const targetPos = camera.position
-		sun.position.set(
-			targetPos.x + sunDirection[0] * sunDistance,
-			targetPos.y + sunDirection[1] * sunDistance,
-			targetPos.z + sunDirection[2] * sunDistance
-		)
-		sun.target.position.set(targetPos.x, targetPos.y, targetPos.z)
-		sun.target.updateMatrixWorld()
+		const { direction, color } = getKeyLight(useTerrainStore.getState())
+		cascades.setLight(direction, color, SUN_INTENSITY)
+		cascades.update()
 	})
 
-	return (
-		<directionalLight
-			ref={sunRef}
-			castShadow={!performanceDegraded}
-			intensity={2.0}
-			shadow-mapSize={performanceDegraded ? [512, 512] : [1024, 1024]}
-			shadow-camera-far={100}
-			shadow-camera-left={-30}
-			shadow-camera-right={30}
-			shadow-camera-top={30}
-			shadow-camera-bottom={-30}
-			shadow-radius={2}
-			shadow-normalBias={0.15}
-		/>
-	)
+	return null
 }
 
 export default Sun
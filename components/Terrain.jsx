@@ -1,21 +1,46 @@
+import { useEffect } from 'react'
+
 import useTerrainQuadtree from '../hooks/useTerrainQuadtree'
 import useTerrainMaterial from '../hooks/useTerrainMaterial'
 import useWaterMaterial from '../hooks/useWaterMaterial'
+import useRiverMaterial from '../hooks/useRiverMaterial'
 import TerrainTile from './TerrainTile'
+import { setTerrainViewshed } from '../utils/terrain/terrainMaterial'
+import { getTileGeometryCache } from '../utils/terrain/tileGeometryCache'
+import useTerrainStore from '../store/terrainStore'
 
-// Main terrain component
-const Terrain = () => {
-	// Use quadtree LOD system
-	const leafTiles = useTerrainQuadtree()
-
+/**
+ * Main terrain component
+ *
+ * @param {Object} props
+ * @param {Object} [props.viewshed] - Viewshed (e.g. from useViewshed) rendered as a debug overlay
+ */
+const Terrain = ({ viewshed = null }) => {
 	// Create materials once and share across all tiles
 	const terrainMaterial = useTerrainMaterial()
 	const waterMaterial = useWaterMaterial()
+	const riverMaterial = useRiverMaterial()
+
+	// Use quadtree LOD system (geomorphing follows its viewer)
+	const leafTiles = useTerrainQuadtree(terrainMaterial)
+
+	// Tile buffer cache budget
+	const tileCacheSize = useTerrainStore((state) => state.tileCacheSize)
+	useEffect(() => {
+		getTileGeometryCache().setMaxSize(tileCacheSize)
+	}, [tileCacheSize])
+
+	// Viewshed debug overlay
+	useEffect(() => {
+		if (terrainMaterial) {
+			setTerrainViewshed(terrainMaterial, viewshed)
+		}
+	}, [terrainMaterial, viewshed])
 
 	return (
 		<group name='Terrain'>
 			{leafTiles.map(({ node, edgeStitchInfo }) => (
-				<TerrainTile key={node.key} node={node} edgeStitchInfo={edgeStitchInfo} terrainMaterial={terrainMaterial} waterMaterial={waterMaterial} />
+				<TerrainTile key={node.key} node={node} edgeStitchInfo={edgeStitchInfo} terrainMaterial={terrainMaterial} waterMaterial={waterMaterial} riverMaterial={riverMaterial} />
 			))}
 		</group>
 	)
@@ -2,6 +2,8 @@ import { useMemo, useEffect, useRef, memo } from 'react'
 
 import useTerrainStore from '../store/terrainStore'
 import useTerrainGeometry from '../hooks/useTerrainGeometry'
+import useHorizonMap from '../hooks/useHorizonMap'
+import { edgeStitchInfoEqual } from '../utils/terrain/quadtree'
 import Vegetation from './Vegetation'
 
 // Get default edge stitch info (will be computed based on tileResolution from store)
@@ -24,31 +26,14 @@ const arePropsEqual = (prevProps, nextProps) => {
 		prevProps.node.centerX !== nextProps.node.centerX ||
 		prevProps.node.centerZ !== nextProps.node.centerZ ||
 		prevProps.terrainMaterial !== nextProps.terrainMaterial ||
-		prevProps.waterMaterial !== nextProps.waterMaterial
+		prevProps.waterMaterial !== nextProps.waterMaterial ||
+		prevProps.riverMaterial !== nextProps.riverMaterial
 	) {
 		return false
 	}
 
 	// Edge stitch info deep comparison
-	const prevEdge = prevProps.edgeStitchInfo
-	const nextEdge = nextProps.edgeStitchInfo
-	if (prevEdge !== nextEdge) {
-		if (!prevEdge || !nextEdge) return false
-		if (
-			prevEdge.north.needsStitch !== nextEdge.north.needsStitch ||
-			prevEdge.south.needsStitch !== nextEdge.south.needsStitch ||
-			prevEdge.east.needsStitch !== nextEdge.east.needsStitch ||
-			prevEdge.west.needsStitch !== nextEdge.west.needsStitch ||
-			prevEdge.north.neighborStep !== nextEdge.north.neighborStep ||
-			prevEdge.south.neighborStep !== nextEdge.south.neighborStep ||
-			prevEdge.east.neighborStep !== nextEdge.east.neighborStep ||
-			prevEdge.west.neighborStep !== nextEdge.west.neighborStep
-		) {
-			return false
-		}
-	}
-
-	return true
+	return edgeStitchInfoEqual(prevProps.edgeStitchInfo, nextProps.edgeStitchInfo)
 }
 
 /**
@@ -59,8 +44,9 @@ const arePropsEqual = (prevProps, nextProps) => {
  * @param {Object} props.edgeStitchInfo - Edge stitching configuration
  * @param {THREE.Material} props.terrainMaterial - Shared terrain material
  * @param {THREE.Material} props.waterMaterial - Shared water material
+ * @param {THREE.Material} [props.riverMaterial] - Shared river material (rivers are not rendered if omitted)
  */
-const TerrainTile = memo(({ node, edgeStitchInfo, terrainMaterial, waterMaterial }) => {
+const TerrainTile = memo(({ node, edgeStitchInfo, terrainMaterial, waterMaterial, riverMaterial }) => {
 	const { centerX, centerZ } = node
 	const position = useMemo(() => [centerX, 0, centerZ], [centerX, centerZ])
 
@@ -70,12 +56,16 @@ const TerrainTile = memo(({ node, edgeStitchInfo, terrainMaterial, waterMaterial
 	// Track geometry refs for proper disposal
 	const terrainGeometryRef = useRef(null)
 	const waterGeometryRef = useRef(null)
+	const riverGeometryRef = useRef(null)
 
 	// Use effective edge stitch info for both terrain and water
 	const effectiveEdgeStitchInfo = edgeStitchInfo || getDefaultEdgeStitchInfo(tileResolution)
 
 	// Create geometries (materials are passed as props and shared across all tiles)
-	const { terrainGeometry, waterGeometry } = useTerrainGeometry(node, effectiveEdgeStitchInfo)
+	const { terrainGeometry, waterGeometry, riverGeometry, isPlaceholder } = useTerrainGeometry(node, effectiveEdgeStitchInfo)
+
+	// Shadows cast by distant ridgelines, recomputed as the light swings round
+	useHorizonMap(node, terrainGeometry, isPlaceholder)
 
 	// Helper to manage geometry lifecycle (disposal on change and unmount)
 	const useGeometryDisposal = (geometryRef, geometry) => {
@@ -98,12 +88,24 @@ const TerrainTile = memo(({ node, edgeStitchInfo, terrainMaterial, waterMaterial
 	// Dispose old geometries when they change and on unmount
 	useGeometryDisposal(terrainGeometryRef, terrainGeometry)
 	useGeometryDisposal(waterGeometryRef, waterGeometry)
+	useGeometryDisposal(riverGeometryRef, riverGeometry)
 
 	return (
 		<>
 			<group position={position}>
-				{terrainMaterial && <mesh geometry={terrainGeometry} material={terrainMaterial} receiveShadow />}
-				{waterMaterial && waterGeometry && <mesh geometry={waterGeometry} material={waterMaterial} />}
+				{terrainMaterial && (
+					<mesh
+						geometry={terrainGeometry}
+						material={terrainMaterial}
+						customDepthMaterial={terrainMaterial.userData.depthMaterial}
+						customDistanceMaterial={terrainMaterial.userData.distanceMaterial}
+						castShadow
+						receiveShadow
+					/>
+				)}
+				{/* Keyed by material, so a recreated material arrives on a newly added mesh and the shadow cascades set it up */}
+				{waterMaterial && waterGeometry && <mesh key={waterMaterial.uuid} geometry={waterGeometry} material={waterMaterial} />}
+				{riverMaterial && riverGeometry && <mesh key={riverMaterial.uuid} geometry={riverGeometry} material={riverMaterial} />}
 			</group>
 			<Vegetation node={node} />
 		</>
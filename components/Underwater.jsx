@@ -0,0 +1,84 @@
+import { useMemo, useEffect } from 'react'
+import { useFrame, useThree } from '@react-three/fiber'
+import { Color, MathUtils } from 'three'
+
+import useTerrainStore from '../store/terrainStore'
+import { useTerrainContext } from '../context/TerrainContext'
+import { UNDERWATER_CONFIG } from '../config/water'
+import { getWaterHeight, getWaveTime } from '../utils/water/wavePhysics'
+import { getSkyColors } from '../utils/sky/physicalSky'
+
+// Underwater environment
+// Swaps the scene fog for a depth-tinted water fog while the camera is below the wave surface of the
+// sea or the lake it is in, blending across a thin band at the waterline, and flags the store so the sky can hide.
+// The water surface itself switches to underside shading in useWaterMaterial.
+const Underwater = () => {
+	const scene = useThree((state) => state.scene)
+	const { ref: terrainRef } = useTerrainContext()
+
+	// Stable colors - values updated in useFrame
+	const colors = useMemo(() => ({ above: new Color(), below: new Color(), background: new Color() }), [])
+
+	// Restore the background when unmounted
+	useEffect(() => {
+		return () => {
+			if (scene.background === colors.background) {
+				scene.background = null
+			}
+		}
+	}, [scene, colors])
+
+	useFrame(({ camera }) => {
+		const fog = scene.fog
+		if (!fog) return
+
+		// Get values from store (doesn't trigger rerenders)
+		const store = useTerrainStore.getState()
+		const { waterColor, viewRange, rootSize, cameraUnderwater, setCameraUnderwater } = store
+		const { horizon } = getSkyColors(store)
+		const { visibility, minVisibility, absorptionDepth, shallowTint, deepTint, transitionDepth } = UNDERWATER_CONFIG
+
+		const waterLevel = terrainRef.current.getWaterLevel(camera.position.x, camera.position.z)
+		const depth = getWaterHeight(camera.position.x, camera.position.z, getWaveTime(), waterLevel) - camera.position.y
+		const submerged = MathUtils.smoothstep(depth, -transitionDepth, transitionDepth)
+
+		const underwater = depth > 0
+		if (underwater !== cameraUnderwater) {
+			setCameraUnderwater(underwater)
+		}
+
+		// Above water the sky's fog applies untouched
+		if (submerged === 0) {
+			if (scene.background === colors.background) {
+				scene.background = null
+				const fogDistance = viewRange * rootSize
+				fog.color.setRGB(horizon[0], horizon[1], horizon[2])
+				fog.near = fogDistance * 0.5
+				fog.far = fogDistance
+			}
+			return
+		}
+
+		// Light is absorbed with depth: darker tint and shorter visibility further down
+		const absorption = MathUtils.clamp(depth / absorptionDepth, 0, 1)
+		const tint = MathUtils.lerp(shallowTint, deepTint, absorption)
+		colors.below.setRGB(waterColor[0] * tint, waterColor[1] * tint, waterColor[2] * tint)
+		colors.above.setRGB(horizon[0], horizon[1], horizon[2])
+
+		// Same fog distances as the sky above water (see Sky)
+		const fogDistance = viewRange * rootSize
+		const belowFar = MathUtils.lerp(visibility, minVisibility, absorption)
+
+		fog.color.lerpColors(colors.above, colors.below, submerged)
+		fog.near = MathUtils.lerp(fogDistance * 0.5, 0, submerged)
+		fog.far = MathUtils.lerp(fogDistance, belowFar, submerged)
+
+		// Anything past the fog (where the sky would be) takes the water tint
+		colors.background.copy(fog.color)
+		scene.background = colors.background
+	})
+
+	return null
+}
+
+export default Underwater
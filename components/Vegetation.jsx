@@ -1,10 +1,12 @@
-import { useMemo, useEffect, memo } from 'react'
-import { InstancedMesh, Matrix4 } from 'three'
+import { useMemo, useEffect, useState, memo } from 'react'
 
 import useTerrainStore from '../store/terrainStore'
 import useVegetation from '../hooks/useVegetation'
 import { useTerrainContext } from '../context/TerrainContext'
-import { generateVegetationForType } from '../utils/terrain/vegetationGeneration'
+import { createVegetationInstances } from '../utils/vegetation/vegetationInstances'
+import { trackRegions } from '../utils/terrain/terrainRegions'
+
+const NO_VEGETATION = { instances: null, missing: [] }
 
 /**
  * Custom comparison for Vegetation props.
@@ -33,77 +35,35 @@ const arePropsEqual = (prevProps, nextProps) => {
 const Vegetation = memo(({ node }) => {
 	// Get data from store and hooks
 	const performanceDegraded = useTerrainStore((state) => state.performanceDegraded)
+	const minTileSize = useTerrainStore((state) => state.minTileSize)
 	const vegetationModels = useVegetation()
 	const terrain = useTerrainContext()
 	const showVegetation = !performanceDegraded
+	const [regionsLoaded, setRegionsLoaded] = useState(0)
 
 	// Generate vegetation instances for this tile
-	const vegetationInstances = useMemo(() => {
-		if (!vegetationModels || !showVegetation) return null
-
-		const allInstances = []
-
-		// Reusable scratch object for transform composition
-		const composedMatrix = new Matrix4()
-
-		// Generate instances for each vegetation type
-		vegetationModels.forEach((vegetationType, typeIndex) => {
-			// Get available LOD levels for this vegetation type (sorted ascending)
-			const availableLods = Object.keys(vegetationType.lods)
-				.map(Number)
-				.sort((a, b) => a - b)
-
-			// Determine which LOD to use
-			let actualLod = node.lod
-
-			if (!vegetationType.lods[actualLod]) {
-				const maxAvailableLod = availableLods[availableLods.length - 1]
-
-				if (node.lod > maxAvailableLod) {
-					actualLod = maxAvailableLod
-				} else {
-					return
-				}
-			}
-
-			const lodMeshes = vegetationType.lods[actualLod]
-			if (!lodMeshes?.length) return
-
-			// Check if this vegetation type should render at this LOD level
-			if (vegetationType.config.maxLod !== undefined && actualLod > vegetationType.config.maxLod) {
-				return
-			}
+	const { instances: vegetationInstances, missing } = useMemo(() => {
+		if (!vegetationModels || !showVegetation) return NO_VEGETATION
 
-			// Generate vegetation matrices for this type
-			const vegetationMatrices = generateVegetationForType(node, terrain, actualLod, vegetationType.config, typeIndex)
+		const { value, missing } = trackRegions(terrain, () => createVegetationInstances(node, terrain, vegetationModels, minTileSize))
 
-			if (vegetationMatrices.length === 0) {
-				return
-			}
-
-			// Create instanced meshes for each part of this vegetation type
-			lodMeshes.forEach((meshData, meshIndex) => {
-				const instancedMesh = new InstancedMesh(meshData.geometry, meshData.material, vegetationMatrices.length)
-				instancedMesh.castShadow = true
-				instancedMesh.receiveShadow = true
-				instancedMesh.frustumCulled = true
-
-				// Set all matrices, composing with the mesh's baked transform
-				vegetationMatrices.forEach((matrix, i) => {
-					composedMatrix.multiplyMatrices(matrix, meshData.transform)
-					instancedMesh.setMatrixAt(i, composedMatrix)
-				})
-				instancedMesh.instanceMatrix.needsUpdate = true
-
-				allInstances.push({
-					mesh: instancedMesh,
-					key: `${vegetationType.name}-${meshIndex}`,
-				})
-			})
-		})
+		// Placed before the tile's rivers or erosion loaded - wait for them rather than show misplaced plants
+		if (missing.length > 0) {
+			value?.forEach(({ mesh }) => mesh.dispose())
+			return { instances: null, missing }
+		}
+		return { instances: value, missing }
+	}, [node.key, node.size, node.lod, vegetationModels, showVegetation, terrain, minTileSize, regionsLoaded])
 
-		return allInstances.length > 0 ? allInstances : null
-	}, [node.key, node.size, node.lod, vegetationModels, showVegetation, terrain])
+	// Place again once the missing regions arrive
+	useEffect(() => {
+		if (missing.length === 0) return
+		let active = true
+		terrain.regions.whenLoaded(missing).then(() => active && setRegionsLoaded((count) => count + 1))
+		return () => {
+			active = false
+		}
+	}, [missing, terrain])
 
 	// Cleanup vegetation instances
 	useEffect(() => {
@@ -0,0 +1,20 @@
+// Erosion simulation configuration (does not vary by biome)
+// Biome-facing parameters (iterations, rates, talus angle) live in the presets
+export const EROSION_CONFIG = {
+	// Region grid
+	gridResolution: 128, // Cells per side of each simulated region (including padding)
+	regionPadding: 0.25, // Padding around each root tile as a fraction of rootSize, used to blend neighbouring regions
+	maxCachedRegions: 64, // Eroded regions kept in memory per sampler
+
+	// Hydraulic (droplet) parameters
+	inertia: 0.05, // How much a droplet keeps its direction (0 = always downhill)
+	sedimentCapacity: 4, // Sediment a droplet can carry per unit of slope, speed and water
+	minSedimentCapacity: 0.01, // Keeps flat areas from stalling erosion entirely
+	evaporation: 0.02, // Fraction of water lost per step
+	gravity: 4, // Acceleration along the slope
+	maxDropletLifetime: 48, // Steps before a droplet is discarded
+
+	// Thermal (talus) parameters
+	thermalIterations: 8, // Slumping passes after hydraulic erosion
+	thermalRate: 0.5, // Fraction of excess material moved per pass
+}
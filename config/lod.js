@@ -0,0 +1,14 @@
+// Quadtree LOD configuration defaults (does not vary by biome)
+export const LOD_CONFIG = {
+	lodSplitFactor: 2, // Split distance as a multiple of node size
+	lodHysteresis: 1.2, // Merge distance multiplier (prevents popping at split boundaries)
+	minTileSize: 32, // Smallest leaf tile size in world units
+	rootSize: 4096, // Root tile size in world units
+	tileResolution: 16, // Segments per tile side (even, so parent LOD vertices line up for geomorphing)
+	viewRange: 5, // Root tiles loaded in each direction around the camera
+	lodMorphRange: 0.3, // Fraction of the morph distance over which vertices blend to the parent LOD (0 disables geomorphing)
+	lodMode: 'distance', // 'distance' (split by distance vs node size) or 'screenSpace' (split by projected geometric error)
+	lodPixelError: 4, // screenSpace: projected geometric error in pixels above which a node splits
+	lodUpdateAngle: 0.05, // screenSpace: camera rotation in radians that triggers a quadtree update
+	tileCacheSize: 64, // Memory budget in MB for built tile buffers kept for reuse (see TileGeometryCache)
+}
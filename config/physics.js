@@ -0,0 +1,7 @@
+// Physics collider configuration (does not vary by biome)
+export const PHYSICS_CONFIG = {
+	tileSize: 64, // World size of each heightfield collider tile (a multiple of minTileSize keeps vegetation aligned)
+	tileResolution: 32, // Heightfield cells per tile side (samples per side = tileResolution + 1)
+	radius: 128, // Tiles within this distance of the player get colliders
+	vegetationColliders: true, // Add cylinder colliders for vegetation types that declare a collider
+}
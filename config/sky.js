@@ -0,0 +1,79 @@
+// Day/night cycle configuration (does not vary by biome)
+// Midday sun and sky colours come from the preset; these set how they change around sunrise, sunset and night.
+// Elevations are sun (or moon) heights above the horizon in degrees.
+export const DAY_NIGHT_CONFIG = {
+	// Sun
+	sunFadeElevations: [-4, 6], // Sunlight fades in between these elevations
+	warmSunElevation: 25, // Below this the sun colour warms towards sunsetSunColor
+	sunsetSunColor: [1.0, 0.45, 0.18], // Sun colour at the horizon
+
+	// Sky
+	twilightElevations: [-18, -4], // Night sky brightens to twilight between these elevations
+	dayElevations: [-4, 10], // Twilight sky turns to the preset day colours between these elevations
+	twilightSkyColorZenith: [0.22, 0.26, 0.45],
+	twilightSkyColorHorizon: [0.92, 0.52, 0.32],
+	nightSkyColorZenith: [0.008, 0.012, 0.035],
+	nightSkyColorHorizon: [0.025, 0.035, 0.07],
+
+	// Moon and stars
+	nightElevations: [-12, -4], // Moonlight and stars fade out as the sun rises between these elevations
+	moonRiseElevations: [-2, 4], // Moonlight fades in as the moon rises between these elevations
+	moonColor: [0.55, 0.65, 0.9], // Moonlight tint
+	moonIntensity: 0.15, // Full moon brightness relative to the midday sun
+	synodicMonth: 29.53, // Days between new moons
+	newMoonDay: 12, // A day of the year with a new moon
+
+	// Ambient
+	ambientElevations: [-12, 8], // Ambient light fades between night and day over these elevations
+	nightAmbient: 0.08, // Ambient multiplier at night
+}
+
+// Physical sky configuration (scattering constants live in utils/sky/physicalSky.js and the shader)
+// Turbidity and ground albedo come from the preset
+export const PHYSICAL_SKY_CONFIG = {
+	horizonHeight: 0.03, // Fog and clear colours sample the sky at this height (direction y) above the horizon
+	horizonSamples: 8, // Compass directions averaged for the horizon colour
+	aerialDensity: 2.5, // Green-channel optical depth of the air between the camera and the fog far distance
+}
+
+// Cloud types for cloudType (coverage, density, altitude and wind come from the preset)
+// thickness: layer depth in world units, scale: noise frequency per world unit, detail: weight of the fine noise,
+// stretch: elongation along the wind, heap: 1 = heaped clouds that rise where thicker, 0 = flat sheets,
+// softness: width of the fade from clear sky into cloud (in noise units)
+export const CLOUD_TYPES = {
+	cumulus: { thickness: 700, scale: 1 / 1500, detail: 0.35, stretch: 1, heap: 1, softness: 0.25 }, // Fair-weather heaps with flat bases
+	stratus: { thickness: 300, scale: 1 / 5000, detail: 0.15, stretch: 2, heap: 0, softness: 0.5 }, // Even grey sheets
+	cirrus: { thickness: 120, scale: 1 / 2500, detail: 0.5, stretch: 6, heap: 0, softness: 0.35 }, // Thin ice streaks drawn out by the wind
+}
+
+// Cloud rendering configuration (does not vary by biome)
+export const CLOUD_CONFIG = {
+	maxDistance: 40000, // Clouds fade into the horizon haze by this distance along the view ray
+	extinction: 0.02, // Optical depth per world unit at full density
+	shadowStrength: 0.85, // Fraction of direct light an opaque cloud blocks (skylight still reaches the ground)
+	evolutionSpeed: 0.01, // How quickly cloud shapes change, in noise units per second
+}
+
+// Cascaded shadow maps for the key light (does not vary by biome)
+export const SHADOW_CONFIG = {
+	lightMargin: 2000, // Casters this far towards the light beyond a cascade still shadow it (peaks outside the view)
+	bias: -0.0001,
+	normalBias: 1.5, // In shadow map texels, so each cascade offsets by its own texel size
+	radius: 2, // PCF softening in texels
+	// Quality tiers; 'low' applies while performanceDegraded is set
+	// lambda: 0 = even splits, 1 = logarithmic (more resolution near the camera); mapSizes: per cascade, nearest first;
+	// fade: blend across cascade borders instead of switching abruptly
+	tiers: {
+		high: { cascades: 4, lambda: 0.75, mapSizes: [2048, 2048, 2048, 1024], maxDistance: 4000, fade: true },
+		low: { cascades: 2, lambda: 0.6, mapSizes: [1024, 512], maxDistance: 1500, fade: false },
+	},
+}
+
+// Terrain horizon shadows from distant ridgelines (does not vary by biome)
+export const HORIZON_CONFIG = {
+	minDistance: 16, // Nearest horizon sample; closer relief is left to the shadow maps
+	maxDistance: 8000, // Farthest ridgeline that can shadow a point
+	stepGrowth: 1.4, // Each sample is this much further out than the last
+	azimuthStep: 4, // Horizon maps are recomputed when the light's azimuth moves by this many degrees
+	softness: 0.02, // Light elevation in radians over which a point fades into the horizon's shadow
+}
@@ -0,0 +1,4 @@
+// Terrain material configuration defaults (does not vary by biome)
+export const LAYER_TEXTURE_CONFIG = {
+	size: 1024, // Resolution every layer texture is resampled to when packed into the layer texture arrays
+}
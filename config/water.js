@@ -16,3 +16,60 @@ export const BUOYANCY_CONFIG = {
 	// Flow parameters
 	flowForce: 8.0, // Multiplier for flow force strength
 }
+
+// River network configuration (does not vary by biome)
+// Biome-facing parameters (count, width, depth) live in the presets
+export const RIVER_CONFIG = {
+	// Tracing
+	sourceAttempts: 32, // Random source candidates tried per root tile
+	minSourceHeight: 60, // Sources must start above this world height (highlands)
+	stepLength: 24, // Distance between river path points in world units
+	maxLength: 6144, // Rivers that do not reach water within this distance are discarded
+	inertia: 0.6, // How much a river keeps its direction (higher = wider meanders)
+	maxClimb: 12, // Total terrain rise a river may cut through before it is discarded
+
+	// Channel shape
+	sourceWidthFactor: 0.3, // Width and depth at the source relative to the preset values
+	bankWidth: 12, // Width of the sloped bank either side of the channel
+	surfaceOffset: 0.5, // Water surface sits this far below the surrounding terrain
+
+	// Rendering and queries
+	cellSize: 64, // Spatial hash cell size for carving lookups
+	maxCachedRegions: 64, // Traced and indexed root tiles kept in memory per network (each cache; traced sources at least cover the reach of 2x2 tiles)
+	maxMeshTileSize: 512, // River meshes are only built for tiles up to this size
+	flowSpeed: 1.5, // Surface flow speed in world units per second
+	textureScale: 0.05, // Normal map repeats per world unit along the river
+}
+
+// Lake detection configuration (does not vary by biome)
+// Biome-facing parameters (enabled, minimum depth, declared bodies) live in the presets
+export const LAKE_CONFIG = {
+	cellSize: 64, // Depression filling grid spacing in world units (smaller basins are missed)
+	regionMargin: 1024, // Grid extends this far past each root tile so basins across its edge are found whole
+	minCells: 4, // Lakes must flood at least this many grid points
+	minElevation: 2, // Lakes must sit at least this far above the global water level
+	maxCachedRegions: 64, // Filled and indexed root tiles kept in memory per sampler (each cache)
+}
+
+// Wind conditions for createWindWaves (does not vary by biome; presets pick a wave set)
+export const WAVE_CONDITIONS = {
+	calmLake: { windSpeed: 3, count: 4, steepness: 0.2, spread: 60 }, // Short, gentle ripples
+	breeze: { windSpeed: 7, count: 5, steepness: 0.45, spread: 45 }, // Moderate chop
+	storm: { windSpeed: 14, count: 8, steepness: 0.85, spread: 30 }, // Long, steep swell with whitecap chop
+}
+
+// Underwater rendering configuration (does not vary by biome; tints come from waterColor)
+export const UNDERWATER_CONFIG = {
+	// Fog
+	visibility: 80, // Fog distance just below the surface
+	minVisibility: 20, // Fog distance at absorptionDepth and below
+	absorptionDepth: 40, // Depth over which the fog tint darkens from shallow to deep
+	shallowTint: 2.5, // waterColor multiplier just below the surface (matches the water shader's shallow colour)
+	deepTint: 0.4, // waterColor multiplier at absorptionDepth
+	transitionDepth: 0.3, // Band around the waterline over which above and below water fog blend
+
+	// Caustics on submerged terrain
+	causticsIntensity: 0.8, // Brightness relative to direct sunlight
+	causticsScale: 0.2, // Pattern frequency per world unit
+	causticsMaxDepth: 15, // Caustics fade out by this depth
+}
@@ -1,32 +1,19 @@
 // Terrain Context
 // Provides reactive terrain data to the component tree
 
-import { createContext, useContext, useMemo, useRef } from 'react'
+import { createContext, useContext, useEffect, useMemo, useRef } from 'react'
 import { useShallow } from 'zustand/react/shallow'
 
 import useTerrainStore from '../store/terrainStore'
 import { createHeightSampler } from '../utils/terrain/heightmap'
 import { createTerrainQueries } from '../utils/terrain/terrainQueries'
+import { selectTerrainConfig, getPreviewTerrainConfig } from '../utils/terrain/terrainConfig'
+import { findPath } from '../utils/terrain/pathfinding'
+import { createTerrainRegions } from '../utils/terrain/terrainRegions'
+import { getTileWorkerPool } from '../utils/terrain/tileWorkerPool'
 
 const TerrainContext = createContext(null)
 
-/**
- * Select only the store values that affect terrain generation.
- * When any of these change, the heightmap needs to be recreated.
- */
-const selectTerrainConfig = (state) => ({
-	seed: state.seed,
-	baseHeightScale: state.baseHeightScale,
-	continentScale: state.continentScale,
-	noiseScale: state.noiseScale,
-	mountainScale: state.mountainScale,
-	maxMountainHeight: state.maxMountainHeight,
-	spawnRadius: state.spawnRadius,
-	spawnTransitionRadius: state.spawnTransitionRadius,
-	waterLevel: state.waterLevel,
-	waterMaxDepth: state.waterMaxDepth,
-})
-
 /**
  * Terrain provider component.
  *
@@ -34,16 +21,37 @@ const selectTerrainConfig = (state) => ({
  * heightmap sampler when they change. All children receive reactive
  * access to terrain data via useTerrainContext().
  *
+ * Erosion, river and lake regions are simulated by the tile workers and loaded on demand; until a
+ * region arrives the queries answer without it (see createTerrainRegions).
+ *
+ * Pass heightSource to build the terrain from real-world elevation data instead of noise.
+ *
  * @param {Object} props
+ * @param {Object} [props.heightSource] - { dataset, ...options } where dataset comes from loadHeightDataset
+ *   and options are described by DEFAULT_HEIGHT_SOURCE_OPTIONS
  * @param {React.ReactNode} props.children
  */
-export function TerrainProvider({ children }) {
-	const config = useTerrainStore(useShallow(selectTerrainConfig))
+export function TerrainProvider({ heightSource, children }) {
+	const storeConfig = useTerrainStore(useShallow(selectTerrainConfig))
+	const config = useMemo(() => (heightSource ? { ...storeConfig, heightSource } : storeConfig), [storeConfig, heightSource])
+
+	// Regions are simulated off the main thread, for the same config the tiles are built with
+	const regions = useMemo(
+		() => createTerrainRegions({ load: (kind, regionX, regionZ) => getTileWorkerPool().requestRegion(config, kind, regionX, regionZ) }),
+		[config]
+	)
+	useEffect(() => () => regions.dispose(), [regions])
 
 	// Create terrain API when config changes
 	const terrain = useMemo(() => {
-		const sampleHeight = createHeightSampler(config)
-		return createTerrainQueries(sampleHeight, config)
+		const sampleHeight = createHeightSampler(config, regions)
+		return createTerrainQueries(sampleHeight, config, regions)
+	}, [config, regions])
+
+	// Coarse queries for tile placeholders, which must never wait on a region simulation
+	const preview = useMemo(() => {
+		const previewConfig = getPreviewTerrainConfig(config)
+		return createTerrainQueries(createHeightSampler(previewConfig), previewConfig)
 	}, [config])
 
 	// Stable ref for imperative code (useFrame, physics, etc.)
@@ -51,13 +59,20 @@ export function TerrainProvider({ children }) {
 	const terrainRef = useRef(terrain)
 	terrainRef.current = terrain
 
-	// Provide both the reactive API and a stable ref
+	// Provide the reactive API, the config it was built from (for workers), preview queries and a stable ref.
+	// findPath treats the current vegetation colliders as obstacles unless options override them.
 	const value = useMemo(
 		() => ({
 			...terrain,
+			findPath: (start, goal, options) => {
+				const { vegetation, vegetationEnabled, minTileSize } = useTerrainStore.getState()
+				return findPath(terrain, start, goal, { vegetation: vegetationEnabled ? vegetation : null, minTileSize, ...options })
+			},
+			config,
+			preview,
 			ref: terrainRef,
 		}),
-		[terrain]
+		[terrain, config, preview]
 	)
 
 	return <TerrainContext.Provider value={value}>{children}</TerrainContext.Provider>
@@ -69,7 +84,7 @@ export function TerrainProvider({ children }) {
  * Returns terrain query functions that update reactively when
  * terrain configuration changes.
  *
- * @returns {Object} Terrain API with sampleHeight, getHeight, getNormal, isWater, baseHeightScale, ref
+ * @returns {Object} Terrain API with sampleHeight, getHeight, getNormal, isWater, getWaterLevel, findPath, baseHeightScale, regions, config, preview, ref
  * @throws {Error} If used outside of TerrainProvider
  */
 export function useTerrainContext() {
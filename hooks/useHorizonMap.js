@@ -0,0 +1,39 @@
+import { useEffect } from 'react'
+
+import useTerrainStore from '../store/terrainStore'
+import { useTerrainContext } from '../context/TerrainContext'
+import { getTileWorkerPool } from '../utils/terrain/tileWorkerPool'
+import { getHorizonAzimuth, setHorizonMap } from '../utils/terrain/horizonMap'
+import { getKeyLight } from '../utils/sky/timeOfDay'
+
+// Quantised key light azimuth, so tiles only rerender when it crosses a step
+const selectHorizonAzimuth = (state) => getHorizonAzimuth(getKeyLight(state).direction)
+
+/**
+ * Keep a terrain tile's horizon map in step with the key light.
+ * The map is computed in the tile worker pool once full-resolution geometry arrives, and again whenever
+ * the light's azimuth moves past HORIZON_CONFIG.azimuthStep. Placeholder geometry stays unshadowed.
+ *
+ * @param {Object} node - Quadtree node with size, centerX, centerZ
+ * @param {THREE.BufferGeometry} terrainGeometry - The tile's terrain geometry
+ * @param {boolean} isPlaceholder - Whether the geometry is the coarse placeholder
+ */
+const useHorizonMap = (node, terrainGeometry, isPlaceholder) => {
+	const tileResolution = useTerrainStore((state) => state.tileResolution)
+	const azimuth = useTerrainStore(selectHorizonAzimuth)
+	const terrain = useTerrainContext()
+
+	useEffect(() => {
+		if (!terrainGeometry || isPlaceholder) return
+
+		const job = getTileWorkerPool().requestHorizonMap(terrain.config, node, { tileResolution }, azimuth)
+		job.promise.then((horizons) => {
+			if (horizons) setHorizonMap(terrainGeometry, horizons)
+		})
+
+		// Superseded by new geometry or a new azimuth
+		return job.cancel
+	}, [terrainGeometry, isPlaceholder, node, tileResolution, azimuth, terrain])
+}
+
+export default useHorizonMap
@@ -0,0 +1,44 @@
+import { useMemo, useEffect } from 'react'
+import { useLoader, useFrame } from '@react-three/fiber'
+import { TextureLoader } from 'three'
+
+import useTerrainStore from '../store/terrainStore'
+import { createRiverMaterial, advanceRiverMaterial, disposeRiverMaterial } from '../utils/water/riverMaterial'
+
+// Deep equality check for waterColor array
+const selectWaterColor = (state) => state.waterColor
+const waterColorEqual = (a, b) => a && b && a[0] === b[0] && a[1] === b[1] && a[2] === b[2]
+
+/**
+ * Custom hook to create the shared river material.
+ * Returns null while rivers are disabled.
+ *
+ * @returns {MeshStandardMaterial|null} River material with a normal map scrolling downstream
+ */
+const useRiverMaterial = () => {
+	const riversEnabled = useTerrainStore((state) => state.riversEnabled)
+	const waterColor = useTerrainStore(selectWaterColor, waterColorEqual)
+
+	// Same texture as the water material (cached by useLoader)
+	const waterNormals = useLoader(TextureLoader, '/assets/images/ground/water_normal.jpg')
+
+	const riverMaterial = useMemo(() => (riversEnabled ? createRiverMaterial(waterNormals, waterColor) : null), [riversEnabled, waterNormals, waterColor])
+
+	useEffect(() => {
+		return () => {
+			if (riverMaterial) {
+				disposeRiverMaterial(riverMaterial)
+			}
+		}
+	}, [riverMaterial])
+
+	useFrame((_, delta) => {
+		if (riverMaterial) {
+			advanceRiverMaterial(riverMaterial, delta)
+		}
+	})
+
+	return riverMaterial
+}
+
+export default useRiverMaterial
@@ -1,348 +1,76 @@
-import { useMemo } from 'react'
-import { BufferGeometry, BufferAttribute } from 'three'
+import { useMemo, useState, useEffect, useRef } from 'react'
 
 import useTerrainStore from '../store/terrainStore'
 import { useTerrainContext } from '../context/TerrainContext'
+import { buildTileGeometryData, createTileGeometries, PLACEHOLDER_TILE_RESOLUTION } from '../utils/terrain/tileGeometry'
+import { getTileWorkerPool } from '../utils/terrain/tileWorkerPool'
+import { getTileGeometryCache, getTileCacheKey } from '../utils/terrain/tileGeometryCache'
 
 /**
  * Create geometry for a quadtree terrain tile.
  * Handles edge stitching to prevent cracks between LOD levels.
- * Also generates water geometry if terrain is below water level.
+ * Also generates water geometry where terrain is below the water surface (global level or a lake), and river geometry near rivers.
+ *
+ * Full-resolution geometry is built in the tile worker pool. Until it arrives, a coarse
+ * placeholder built on the main thread is returned. Pending builds are cancelled when the
+ * tile unmounts or its inputs change. Built buffers are kept in the shared tile geometry cache,
+ * so a tile that reappears with the same stitching and config skips sampling entirely.
  *
  * @param {Object} node - Quadtree node with size, centerX, centerZ
  * @param {Object} edgeStitchInfo - Edge stitching configuration per direction
- * @returns {Object} Object containing { terrainGeometry, waterGeometry } (waterGeometry may be null)
+ * @returns {Object} Object containing { terrainGeometry, waterGeometry, riverGeometry, isPlaceholder } (water and river geometry may be null)
  */
 const useTerrainGeometry = (node, edgeStitchInfo) => {
 	const tileResolution = useTerrainStore((state) => state.tileResolution)
-	const waterLevel = useTerrainStore((state) => state.waterLevel)
 	const terrain = useTerrainContext()
 
-	return useMemo(() => {
-		const { sampleHeight, baseHeightScale } = terrain
-		const { size, centerX, centerZ } = node
-		const resolution = tileResolution
-		const segments = resolution
-		const sampleCount = segments + 1
-		const totalSamples = sampleCount * sampleCount
-		const step = size / segments
-		const halfSize = size / 2
-		const originX = centerX - halfSize
-		const originZ = centerZ - halfSize
-
-		const positions = new Float32Array(totalSamples * 3)
-		const normals = new Float32Array(totalSamples * 3)
-		const uvs = new Float32Array(totalSamples * 2)
-
-		// Track water depth for each vertex
-		const depths = new Float32Array(totalSamples)
-		let hasWater = false
-
-		// Cache for height samples - avoids recomputing for normal calculation
-		// Layout: heightCache[j * sampleCount + i] = normalized height at grid position (i, j)
-		const heightCache = new Float32Array(totalSamples)
-
-		// Track interpolated world coordinates for UVs
-		// At LOD boundaries, these are snapped to match coarse neighbor
-		const worldXForUV = new Float32Array(totalSamples)
-		const worldZForUV = new Float32Array(totalSamples)
-
-		// Pre-check edge stitch conditions to avoid repeated property access
-		const westNeedsStitch = edgeStitchInfo.west.needsStitch
-		const eastNeedsStitch = edgeStitchInfo.east.needsStitch
-		const southNeedsStitch = edgeStitchInfo.south.needsStitch
-		const northNeedsStitch = edgeStitchInfo.north.needsStitch
-		const westStep = edgeStitchInfo.west.neighborStep
-		const eastStep = edgeStitchInfo.east.neighborStep
-		const southStep = edgeStitchInfo.south.neighborStep
-		const northStep = edgeStitchInfo.north.neighborStep
-
-		/**
-		 * Get interpolated height for stitched edges.
-		 * Snaps height samples to the coarser neighbor's grid.
-		 */
-		const getStitchedHeight = (worldX, worldZ, neighborStep, axis) => {
-			if (axis === 'x') {
-				const gridX = worldX / neighborStep
-				const x0 = Math.floor(gridX) * neighborStep
-				const x1 = x0 + neighborStep
-				const t = (worldX - x0) / neighborStep
-
-				const h0 = sampleHeight(x0, worldZ)
-				const h1 = sampleHeight(x1, worldZ)
-				return (h0 * (1 - t) + h1 * t) * baseHeightScale
-			} else {
-				const gridZ = worldZ / neighborStep
-				const z0 = Math.floor(gridZ) * neighborStep
-				const z1 = z0 + neighborStep
-				const t = (worldZ - z0) / neighborStep
-
-				const h0 = sampleHeight(worldX, z0)
-				const h1 = sampleHeight(worldX, z1)
-				return (h0 * (1 - t) + h1 * t) * baseHeightScale
-			}
-		}
-
-		// Pre-compute stitch decisions for all edge vertices to avoid redundant checks
-		// This caches which vertices need stitching and what parameters to use
-		const stitchCache = new Map()
-		for (let j = 0; j < sampleCount; j++) {
-			const onSouthEdge = j === 0
-			const onNorthEdge = j === segments
-			for (let i = 0; i < sampleCount; i++) {
-				const onWestEdge = i === 0
-				const onEastEdge = i === segments
-
-				// Only cache edge vertices that need stitching
-				if (onWestEdge && westNeedsStitch) {
-					stitchCache.set(j * sampleCount + i, { step: westStep, axis: 'z' })
-				} else if (onEastEdge && eastNeedsStitch) {
-					stitchCache.set(j * sampleCount + i, { step: eastStep, axis: 'z' })
-				} else if (onSouthEdge && southNeedsStitch) {
-					stitchCache.set(j * sampleCount + i, { step: southStep, axis: 'x' })
-				} else if (onNorthEdge && northNeedsStitch) {
-					stitchCache.set(j * sampleCount + i, { step: northStep, axis: 'x' })
-				}
-			}
-		}
-
-		// First pass: sample heights and cache them
-		let vertIndex = 0
-		for (let j = 0; j < sampleCount; j++) {
-			const localZ = j * step
-			const worldZ = originZ + localZ
-
-			for (let i = 0; i < sampleCount; i++) {
-				const localX = i * step
-				const worldX = originX + localX
-
-				let height
-				let uvWorldX = worldX
-				let uvWorldZ = worldZ
-
-				// Check stitch cache for this vertex
-				const stitchInfo = stitchCache.get(vertIndex)
-				if (stitchInfo) {
-					// Apply cached stitch parameters
-					height = getStitchedHeight(worldX, worldZ, stitchInfo.step, stitchInfo.axis)
-					heightCache[vertIndex] = height / baseHeightScale
-
-					// Snap UVs to coarse neighbor's grid points
-					// Water shader uses UVs for wave calculations
-					if (stitchInfo.axis === 'z') {
-						uvWorldZ = Math.round(worldZ / stitchInfo.step) * stitchInfo.step
-					} else {
-						uvWorldX = Math.round(worldX / stitchInfo.step) * stitchInfo.step
-					}
-				} else {
-					// No stitching needed - sample directly
-					const normalizedHeight = sampleHeight(worldX, worldZ)
-					heightCache[vertIndex] = normalizedHeight
-					height = normalizedHeight * baseHeightScale
-				}
-				const posIndex = vertIndex * 3
-				const uvIndex = vertIndex * 2
-
-				// Position - use original local coordinates
-				// Height interpolation at LOD boundaries handles seamless stitching
-				positions[posIndex] = localX - halfSize
-				positions[posIndex + 1] = height
-				positions[posIndex + 2] = localZ - halfSize
-
-				// UVs - use snapped world coordinates at LOD boundaries
-				// Terrain shader uses vWorldPos.xz (not UVs) for texturing
-				// Water shader uses UVs for wave calculations - snapping ensures seamless waves
-				uvs[uvIndex] = uvWorldX
-				uvs[uvIndex + 1] = uvWorldZ
-
-				// Store for water geometry construction
-				worldXForUV[vertIndex] = uvWorldX
-				worldZForUV[vertIndex] = uvWorldZ
-
-				// Calculate water depth
-				if (height < waterLevel) {
-					depths[vertIndex] = waterLevel - height
-					hasWater = true
-				} else {
-					depths[vertIndex] = 0
-				}
-				vertIndex++
-			}
-		}
-
-		// Second pass: compute normals using cached heights (finite differences)
-		// For interior vertices, use cached heights. For edge vertices, sample across
-		// tile boundaries to ensure consistent normals between adjacent tiles.
-		vertIndex = 0
-		for (let j = 0; j < sampleCount; j++) {
-			const localZ = j * step
-			const worldZ = originZ + localZ
-			const onSouthEdge = j === 0
-			const onNorthEdge = j === segments
-			const rowOffset = j * sampleCount
-
-			for (let i = 0; i < sampleCount; i++) {
-				const localX = i * step
-				const worldX = originX + localX
-				const onWestEdge = i === 0
-				const onEastEdge = i === segments
-				const posIndex = vertIndex * 3
-
-				let hL, hR, hD, hU
-				let dx, dz
-
-				// For edge vertices, sample heights across tile boundaries to ensure
-				// normals match between adjacent tiles. Interior uses cached heights.
-				if (onWestEdge) {
-					// Sample one step outside tile boundary to the west
-					hL = sampleHeight(worldX - step, worldZ) * baseHeightScale
-					hR = heightCache[rowOffset + 1] * baseHeightScale
-					dx = 2 * step
-				} else if (onEastEdge) {
-					// Sample one step outside tile boundary to the east
-					hL = heightCache[rowOffset + segments - 1] * baseHeightScale
-					hR = sampleHeight(worldX + step, worldZ) * baseHeightScale
-					dx = 2 * step
-				} else {
-					// Interior vertex - use cached heights
-					hL = heightCache[rowOffset + i - 1] * baseHeightScale
-					hR = heightCache[rowOffset + i + 1] * baseHeightScale
-					dx = 2 * step
-				}
-
-				if (onSouthEdge) {
-					// Sample one step outside tile boundary to the south
-					hD = sampleHeight(worldX, worldZ - step) * baseHeightScale
-					hU = heightCache[sampleCount + i] * baseHeightScale
-					dz = 2 * step
-				} else if (onNorthEdge) {
-					// Sample one step outside tile boundary to the north
-					hD = heightCache[(segments - 1) * sampleCount + i] * baseHeightScale
-					hU = sampleHeight(worldX, worldZ + step) * baseHeightScale
-					dz = 2 * step
-				} else {
-					// Interior vertex - use cached heights
-					hD = heightCache[(j - 1) * sampleCount + i] * baseHeightScale
-					hU = heightCache[(j + 1) * sampleCount + i] * baseHeightScale
-					dz = 2 * step
-				}
-
-				// Calculate partial derivatives
-				const dhdx = (hR - hL) / dx
-				const dhdz = (hU - hD) / dz
-
-				// Normal is perpendicular to the tangent plane: (-dhdx, 1, -dhdz) normalized
-				const nx = -dhdx
-				const ny = 1
-				const nz = -dhdz
-				const invLen = 1 / Math.sqrt(nx * nx + ny * ny + nz * nz)
-
-				normals[posIndex] = nx * invLen
-				normals[posIndex + 1] = ny * invLen
-				normals[posIndex + 2] = nz * invLen
-
-				vertIndex++
-			}
-		}
-
-		// Build indices for the grid - pre-allocate for performance
-		const numTriangles = segments * segments * 2
-		const indices = new Uint32Array(numTriangles * 3)
-		let idx = 0
-
-		for (let j = 0; j < segments; j++) {
-			const rowOffset = sampleCount * j
-			for (let i = 0; i < segments; i++) {
-				const a = i + rowOffset
-				const b = a + 1
-				const c = a + sampleCount
-				const d = c + 1
-
-				// Two triangles per quad
-				indices[idx++] = a
-				indices[idx++] = c
-				indices[idx++] = b
-				indices[idx++] = b
-				indices[idx++] = c
-				indices[idx++] = d
+	const cacheKey = useMemo(
+		() => getTileCacheKey(terrain.config, node, edgeStitchInfo, { tileResolution }),
+		[node, edgeStitchInfo, tileResolution, terrain]
+	)
+
+	// Full-resolution geometry straight from the cache when this tile was built recently.
+	// Render may run more than once per commit, so it only peeks; the lookup is counted below
+	const cached = useMemo(() => {
+		const data = getTileGeometryCache().peek(cacheKey)
+		return data ? { ...createTileGeometries(data), isPlaceholder: false } : null
+	}, [cacheKey])
+
+	// Count one lookup per committed key (StrictMode re-runs effects, but keeps the ref)
+	const countedKeyRef = useRef(null)
+	useEffect(() => {
+		if (countedKeyRef.current === cacheKey) return
+		countedKeyRef.current = cacheKey
+		getTileGeometryCache().get(cacheKey)
+	}, [cacheKey])
+
+	// Cheap placeholder - a handful of samples of the preview terrain, so it never causes a hitch
+	const placeholder = useMemo(() => {
+		if (cached) return null
+		const resolution = Math.min(PLACEHOLDER_TILE_RESOLUTION, tileResolution)
+		const data = buildTileGeometryData(node, edgeStitchInfo, terrain.preview, { tileResolution: resolution })
+		return { ...createTileGeometries(data), isPlaceholder: true }
+	}, [cached, node, edgeStitchInfo, tileResolution, terrain])
+
+	const [geometries, setGeometries] = useState(null)
+
+	useEffect(() => {
+		setGeometries(null)
+		if (cached) return
+
+		const job = getTileWorkerPool().request(terrain.config, node, edgeStitchInfo, { tileResolution })
+		job.promise.then((data) => {
+			if (data) {
+				getTileGeometryCache().set(cacheKey, data)
+				setGeometries({ ...createTileGeometries(data), isPlaceholder: false })
 			}
-		}
+		})
 
-		// Build terrain geometry
-		const terrainGeom = new BufferGeometry()
-		terrainGeom.setAttribute('position', new BufferAttribute(positions, 3))
-		terrainGeom.setAttribute('normal', new BufferAttribute(normals, 3))
-		terrainGeom.setAttribute('uv', new BufferAttribute(uvs, 2))
-		terrainGeom.setIndex(new BufferAttribute(indices, 1))
-
-		// Build water geometry if there's water in this tile
-		let waterGeom = null
-		if (hasWater) {
-			// Create water positions and normals (reuse terrain UVs)
-			const waterPositions = new Float32Array(totalSamples * 3)
-			const waterNormals = new Float32Array(totalSamples * 3)
-
-			// Build water geometry with snapped positions at LOD boundaries
-			// Both positions AND UVs need to match for seamless rendering
-			for (let i = 0; i < totalSamples; i++) {
-				const posIndex = i * 3
-
-				// Water position - use snapped UV coords (world space) converted to local
-				// This ensures edge vertices have identical positions as coarse neighbor
-				const localX = worldXForUV[i] - originX - halfSize
-				const localZ = worldZForUV[i] - originZ - halfSize
-
-				waterPositions[posIndex] = localX
-				waterPositions[posIndex + 1] = waterLevel
-				waterPositions[posIndex + 2] = localZ
-
-				// Normal pointing up (waves added in shader)
-				waterNormals[posIndex] = 0
-				waterNormals[posIndex + 1] = 1
-				waterNormals[posIndex + 2] = 0
-			}
-
-			// Build water indices - only create triangles where at least one vertex is underwater
-			// Pre-allocate maximum possible size (all quads underwater)
-			const maxWaterIndices = numTriangles * 3
-			const waterIndicesArray = new Uint32Array(maxWaterIndices)
-			let waterIdx = 0
-
-			for (let j = 0; j < segments; j++) {
-				const rowOffset = sampleCount * j
-				for (let i = 0; i < segments; i++) {
-					const a = i + rowOffset
-					const b = a + 1
-					const c = a + sampleCount
-					const d = c + 1
-
-					// Check if any vertex in this quad is underwater
-					if (depths[a] > 0 || depths[b] > 0 || depths[c] > 0 || depths[d] > 0) {
-						// Two triangles per quad
-						waterIndicesArray[waterIdx++] = a
-						waterIndicesArray[waterIdx++] = c
-						waterIndicesArray[waterIdx++] = b
-						waterIndicesArray[waterIdx++] = b
-						waterIndicesArray[waterIdx++] = c
-						waterIndicesArray[waterIdx++] = d
-					}
-				}
-			}
-
-			// Only create water geometry if we have triangles
-			if (waterIdx > 0) {
-				waterGeom = new BufferGeometry()
-				waterGeom.setAttribute('position', new BufferAttribute(waterPositions, 3))
-				waterGeom.setAttribute('normal', new BufferAttribute(waterNormals, 3))
-				waterGeom.setAttribute('uv', new BufferAttribute(uvs, 2)) // Reuse terrain UVs
-				waterGeom.setAttribute('depth', new BufferAttribute(depths, 1))
-				// Use slice to trim to actual size used
-				waterGeom.setIndex(new BufferAttribute(waterIndicesArray.slice(0, waterIdx), 1))
-			}
-		}
+		// Cancel the build if the tile is culled or rebuilt before it completes
+		return job.cancel
+	}, [cached, cacheKey, node, edgeStitchInfo, tileResolution, terrain])
 
-		return { terrainGeometry: terrainGeom, waterGeometry: waterGeom }
-	}, [node, edgeStitchInfo, tileResolution, terrain, waterLevel])
+	return cached || geometries || placeholder
 }
 
 export default useTerrainGeometry
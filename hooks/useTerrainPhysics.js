@@ -0,0 +1,53 @@
+import { useEffect, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
+
+import { useTerrainContext } from '../context/TerrainContext'
+import useTerrainStore from '../store/terrainStore'
+import { TerrainPhysics } from '../utils/physics/terrainPhysics'
+
+/**
+ * Stream terrain and vegetation colliders around the player into a physics engine.
+ * Colliders follow the target object (or the camera) and are rebuilt when the terrain or
+ * vegetation config changes. Vegetation only collides while it is enabled.
+ *
+ * @param {Object|null} adapter - Physics adapter (createRapierAdapter, createCannonAdapter or createHeadlessPhysicsAdapter)
+ * @param {Object} [options] - PHYSICS_CONFIG overrides plus:
+ * @param {React.RefObject} [options.target] - Ref to the object colliders follow (defaults to the camera)
+ * @returns {React.RefObject} Ref holding the TerrainPhysics instance (null without an adapter)
+ */
+const useTerrainPhysics = (adapter, options = {}) => {
+	const terrain = useTerrainContext()
+	const vegetation = useTerrainStore((state) => state.vegetation)
+	const vegetationEnabled = useTerrainStore((state) => state.vegetationEnabled)
+	const minTileSize = useTerrainStore((state) => state.minTileSize)
+	const physicsRef = useRef(null)
+
+	const { target, tileSize, tileResolution, radius, vegetationColliders } = options
+
+	useEffect(() => {
+		if (!adapter) return
+
+		const physics = new TerrainPhysics(adapter, terrain, {
+			...(tileSize !== undefined && { tileSize }),
+			...(tileResolution !== undefined && { tileResolution }),
+			...(radius !== undefined && { radius }),
+			...(vegetationColliders !== undefined && { vegetationColliders }),
+			vegetation: vegetationEnabled ? vegetation : null,
+			minTileSize,
+		})
+		physicsRef.current = physics
+
+		return () => {
+			physics.dispose()
+			physicsRef.current = null
+		}
+	}, [adapter, terrain, vegetation, vegetationEnabled, minTileSize, tileSize, tileResolution, radius, vegetationColliders])
+
+	useFrame(({ camera }) => {
+		physicsRef.current?.update(target?.current?.position ?? camera.position)
+	})
+
+	return physicsRef
+}
+
+export default useTerrainPhysics
@@ -1,31 +1,58 @@
-import { useState, useRef, startTransition } from 'react'
+import { useState, useRef, useMemo, startTransition } from 'react'
 import { useFrame } from '@react-three/fiber'
+import { Quaternion } from 'three'
 
-import { QuadtreeNode, getEdgeStitchInfo } from '../utils/terrain/quadtree'
+import { updateQuadtreeRoots, edgeStitchInfoEqual, createLodView, getLodViewerHeight } from '../utils/terrain/quadtree'
+import { setTerrainMorphViewer } from '../utils/terrain/terrainMaterial'
+import { createHeightSampler } from '../utils/terrain/heightmap'
+import { getPreviewTerrainConfig } from '../utils/terrain/terrainConfig'
+import { useTerrainContext } from '../context/TerrainContext'
 import useTerrainStore from '../store/terrainStore'
+import { LOD_CONFIG } from '../config/lod'
 
 /**
  * Custom hook to manage quadtree LOD system
  * Handles root creation, updates, leaf collection, and edge stitching
  * LOD follows camera position (for drone camera, etc.)
  * Uses React.startTransition to defer updates and avoid blocking vehicle rendering.
+ * In screenSpace LOD mode camera rotation also triggers updates, since refinement follows the frustum.
+ * Distances are measured with the camera's height above the terrain, and the terrain material's
+ * geomorphing follows the same viewer every frame.
  *
+ * @param {THREE.MeshStandardMaterial} [terrainMaterial] - Terrain material whose geomorphing follows the camera
  * @returns {Array} Array of leaf tiles with node data and edge stitch info
  */
-const useTerrainQuadtree = () => {
+const useTerrainQuadtree = (terrainMaterial) => {
 	const [leafTiles, setLeafTiles] = useState([])
-	const lastUpdatePosition = useRef({ x: null, z: null })
+	const lastUpdatePosition = useRef({ x: null, y: null, z: null })
 	const quadtreeRoots = useRef(new Map())
 	const lastUpdateTime = useRef(0)
+	const lastUpdateQuaternion = useRef(new Quaternion())
+	const { config } = useTerrainContext()
+
+	// Node bounds for screenSpace LOD and the camera's height above the terrain come from the base
+	// heightmap; erosion and rivers only reshape it slightly and would otherwise be simulated on the main thread
+	const getBoundsHeight = useMemo(() => {
+		const sampleHeight = createHeightSampler(getPreviewTerrainConfig(config))
+		return (x, z) => sampleHeight(x, z) * config.baseHeightScale
+	}, [config])
 
 	// Update quadtree based on camera position each frame
-	useFrame(({ camera, clock }) => {
+	useFrame(({ camera, clock, size }) => {
 		// Get LOD config from store each frame (inexpensive)
-		const { rootSize, minTileSize, lodSplitFactor, lodHysteresis, tileResolution, maxQuadtreeDepth, viewRange } = useTerrainStore.getState()
+		const lodSettings = useTerrainStore.getState()
+		const { minTileSize, lodMode } = lodSettings
+		const screenSpace = lodMode === 'screenSpace'
 
 		const centerPosition = camera.position
 		const currentTime = clock.getElapsedTime()
 
+		// Geomorphing follows the camera smoothly, between quadtree updates too
+		const viewerHeight = getLodViewerHeight(centerPosition, getBoundsHeight)
+		if (terrainMaterial) {
+			setTerrainMorphViewer(terrainMaterial, centerPosition, viewerHeight)
+		}
+
 		// Throttle updates more aggressively - update at most every 100ms
 		// This ensures vehicle rendering stays smooth
 		if (currentTime - lastUpdateTime.current < 0.1) {
@@ -37,74 +64,30 @@ const useTerrainQuadtree = () => {
 		const isFirstUpdate = lastUpdatePosition.current.x === null
 
 		// Calculate movement distance only if we have a previous position
+		// Both LOD metrics depend on altitude, so vertical movement counts too
 		let movedDistance = Infinity
 		if (!isFirstUpdate) {
 			const dx = centerPosition.x - lastUpdatePosition.current.x
+			const dy = centerPosition.y - lastUpdatePosition.current.y
 			const dz = centerPosition.z - lastUpdatePosition.current.z
-			movedDistance = Math.sqrt(dx * dx + dz * dz)
+			movedDistance = Math.sqrt(dx * dx + dy * dy + dz * dz)
 		}
 
-		// Only update if: first update or moved enough
-		if (!isFirstUpdate && movedDistance < updateThreshold) {
+		// Screen-space refinement also depends on where the camera looks
+		const rotated = screenSpace && camera.quaternion.angleTo(lastUpdateQuaternion.current) > LOD_CONFIG.lodUpdateAngle
+
+		// Only update if: first update, moved enough or (screenSpace) turned enough
+		if (!isFirstUpdate && movedDistance < updateThreshold && !rotated) {
 			return
 		}
 		lastUpdatePosition.current.x = centerPosition.x
+		lastUpdatePosition.current.y = centerPosition.y
 		lastUpdatePosition.current.z = centerPosition.z
+		lastUpdateQuaternion.current.copy(camera.quaternion)
 
-		// Determine which quadtree roots we need based on player position
-		const rootsNeeded = new Set()
-
-		// Calculate the root tile the camera is currently in
-		const centerRootX = Math.floor(centerPosition.x / rootSize)
-		const centerRootZ = Math.floor(centerPosition.z / rootSize)
-
-		// Generate roots in a grid around the camera's current root
-		// viewRange determines how many root tiles to load in each direction
-		for (let rx = -viewRange; rx <= viewRange; rx++) {
-			for (let rz = -viewRange; rz <= viewRange; rz++) {
-				// Calculate root tile coordinates
-				const rootTileX = centerRootX + rx
-				const rootTileZ = centerRootZ + rz
-
-				// Convert tile coordinates to world center position
-				const rootX = rootTileX * rootSize + rootSize / 2
-				const rootZ = rootTileZ * rootSize + rootSize / 2
-
-				const rootKey = `${rootX},${rootZ}`
-				rootsNeeded.add(rootKey)
-
-				// Create root if it doesn't exist
-				if (!quadtreeRoots.current.has(rootKey)) {
-					quadtreeRoots.current.set(rootKey, new QuadtreeNode(rootX, rootZ, rootSize, maxQuadtreeDepth))
-				}
-			}
-		}
-
-		// Remove roots that are too far away
-		for (const [key] of quadtreeRoots.current) {
-			if (!rootsNeeded.has(key)) {
-				quadtreeRoots.current.delete(key)
-			}
-		}
-
-		// Update all active quadtrees
-		for (const [, root] of quadtreeRoots.current) {
-			root.update(centerPosition, lodSplitFactor, lodHysteresis, minTileSize)
-		}
-
-		// Collect all leaf nodes from all roots
-		const allLeaves = []
-		const allNodes = new Map()
-
-		for (const [, root] of quadtreeRoots.current) {
-			root.collectLeaves(allLeaves, allNodes)
-		}
-
-		// Calculate edge stitching info for each leaf
-		const tilesWithStitching = allLeaves.map((node) => ({
-			node,
-			edgeStitchInfo: getEdgeStitchInfo(node, allNodes, minTileSize, tileResolution),
-		}))
+		// Refresh roots around the camera and collect leaves with edge stitching
+		const view = screenSpace ? createLodView(camera, size.height, getBoundsHeight) : undefined
+		const tilesWithStitching = updateQuadtreeRoots(quadtreeRoots.current, centerPosition, lodSettings, view, viewerHeight)
 
 		// Mark this update time
 		lastUpdateTime.current = currentTime
@@ -137,18 +120,7 @@ const useTerrainQuadtree = () => {
 					}
 
 					// Check if edge stitching changed
-					const oldEdge = oldTile.edgeStitchInfo
-					const newEdge = newTile.edgeStitchInfo
-					if (
-						oldEdge.north.needsStitch !== newEdge.north.needsStitch ||
-						oldEdge.south.needsStitch !== newEdge.south.needsStitch ||
-						oldEdge.east.needsStitch !== newEdge.east.needsStitch ||
-						oldEdge.west.needsStitch !== newEdge.west.needsStitch ||
-						oldEdge.north.neighborStep !== newEdge.north.neighborStep ||
-						oldEdge.south.neighborStep !== newEdge.south.neighborStep ||
-						oldEdge.east.neighborStep !== newEdge.east.neighborStep ||
-						oldEdge.west.neighborStep !== newEdge.west.neighborStep
-					) {
+					if (!edgeStitchInfoEqual(oldTile.edgeStitchInfo, newTile.edgeStitchInfo)) {
 						hasChanges = true
 						break
 					}
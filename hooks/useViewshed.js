@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react'
+
+import { useTerrainContext } from '../context/TerrainContext'
+import { getTileWorkerPool } from '../utils/terrain/tileWorkerPool'
+
+/**
+ * Compute a viewshed for an observer in the tile worker pool.
+ * Recomputes when the observer, radius, options or terrain config change; pass a null
+ * observer to clear it. Pass the result to <Terrain viewshed={...} /> to render the overlay.
+ *
+ * @param {Object|null} observer - Observer position { x, z }
+ * @param {number} radius - Radius around the observer in world units
+ * @param {Object} [options] - See DEFAULT_VIEWSHED_OPTIONS
+ * @returns {Object|null} Viewshed from computeViewshed, or null until it is ready
+ */
+const useViewshed = (observer, radius, options = {}) => {
+	const { config } = useTerrainContext()
+	const [viewshed, setViewshed] = useState(null)
+
+	const x = observer?.x
+	const z = observer?.z
+	const { resolution, observerHeight, targetHeight } = options
+
+	useEffect(() => {
+		if (x === undefined || z === undefined) {
+			setViewshed(null)
+			return
+		}
+
+		const job = getTileWorkerPool().requestViewshed(config, { x, z }, radius, { resolution, observerHeight, targetHeight })
+		job.promise.then((result) => {
+			if (result) {
+				setViewshed(result)
+			}
+		})
+
+		// Drop the result if the observer moves before it completes
+		return job.cancel
+	}, [config, x, z, radius, resolution, observerHeight, targetHeight])
+
+	return viewshed
+}
+
+export default useViewshed
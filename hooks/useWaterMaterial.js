@@ -1,9 +1,13 @@
 import { useMemo, useRef, useEffect } from 'react'
 import { useLoader, useFrame, useThree } from '@react-three/fiber'
-import { TextureLoader, RepeatWrapping, MeshStandardMaterial, Color, Vector3, Matrix4, Plane, Vector4, PerspectiveCamera, WebGLRenderTarget, FrontSide } from 'three'
+import { TextureLoader, RepeatWrapping, MeshStandardMaterial, Color, Vector3, Matrix4, Plane, Vector4, PerspectiveCamera, WebGLRenderTarget, DoubleSide } from 'three'
 
 import useTerrainStore from '../store/terrainStore'
-import { getWaveUniforms } from '../utils/water/wavePhysics'
+import { useTerrainContext } from '../context/TerrainContext'
+import { getWaveUniforms, getWaveTime, advanceWaveTime, getWaterHeight, setActiveWaterSurface, MAX_WAVES } from '../utils/water/wavePhysics'
+import { getKeyLight } from '../utils/sky/timeOfDay'
+import { getSkyColors } from '../utils/sky/physicalSky'
+import physicalSkyGlsl from '../shaders/physicalSky.glsl?raw'
 import waterCommonVert from '../shaders/water/common.vert.glsl?raw'
 import waterCommonFrag from '../shaders/water/common.frag.glsl?raw'
 import waterBeginVertex from '../shaders/water/begin_vertex.glsl?raw'
@@ -12,6 +16,35 @@ import waterWorldposVertex from '../shaders/water/worldpos_vertex.glsl?raw'
 import waterNormalFragmentMaps from '../shaders/water/normal_fragment_maps.glsl?raw'
 import waterOpaqueFragment from '../shaders/water/opaque_fragment.glsl?raw'
 
+// Water bodies further than this from the camera are not considered for the reflection plane
+const REFLECTION_BODY_RANGE = 1000
+
+/**
+ * Pick the water surface to mirror: the global water level or the closest water body,
+ * scored by horizontal distance to the body's extent plus the camera's height above it.
+ */
+const getReflectionLevel = (terrain, position, waterLevel) => {
+	let level = waterLevel
+	let bestScore = Math.abs(position.y - waterLevel)
+
+	const bodies = terrain.getWaterBodies(
+		position.x - REFLECTION_BODY_RANGE,
+		position.z - REFLECTION_BODY_RANGE,
+		position.x + REFLECTION_BODY_RANGE,
+		position.z + REFLECTION_BODY_RANGE
+	)
+	for (const body of bodies) {
+		const dx = Math.max(body.minX - position.x, 0, position.x - body.maxX)
+		const dz = Math.max(body.minZ - position.z, 0, position.z - body.maxZ)
+		const score = Math.sqrt(dx * dx + dz * dz) + Math.abs(position.y - body.level)
+		if (score < bestScore) {
+			bestScore = score
+			level = body.level
+		}
+	}
+	return level
+}
+
 // Deep equality check for waterColor array
 const selectWaterColor = (state) => state.waterColor
 const waterColorEqual = (a, b) => a && b && a[0] === b[0] && a[1] === b[1] && a[2] === b[2]
@@ -19,11 +52,15 @@ const waterColorEqual = (a, b) => a && b && a[0] === b[0] && a[1] === b[1] && a[
 /**
  * Custom hook to create and manage water material with reflections.
  * Handles material creation, reflection rendering, and cleanup.
+ * Both sides are drawn by one program: while the camera is below the wave surface the shader discards
+ * front faces and shades the underside, so diving doesn't switch materials or recompile.
+ * Reflections mirror a single plane: the global water level or the closest lake (see getReflectionLevel).
  *
  * @returns {MeshStandardMaterial} The water material with animated reflections
  */
 const useWaterMaterial = () => {
 	const { gl, scene, camera } = useThree()
+	const { ref: terrainRef } = useTerrainContext()
 
 	// Get water config from store (only values that require material recreation)
 	// Use deep equality comparison for waterColor array to prevent unnecessary re-renders
@@ -33,6 +70,7 @@ const useWaterMaterial = () => {
 	const edgeFadeDistance = useTerrainStore((state) => state.waterEdgeFadeDistance)
 	const waterColor = useTerrainStore(selectWaterColor, waterColorEqual)
 	const waterLevel = useTerrainStore((state) => state.waterLevel)
+	const waterWaves = useTerrainStore((state) => state.waterWaves)
 	// Note: sunDirection, sunColor, skyColors are now updated in useFrame to avoid rerenders
 
 	// Load water normal texture
@@ -64,6 +102,7 @@ const useWaterMaterial = () => {
 		rtHeight: 0,
 		// Reusable objects
 		clearColor: new Color(),
+		skyHorizonColor: new Color(),
 	})
 
 	// Initialize reflection objects
@@ -79,21 +118,29 @@ const useWaterMaterial = () => {
 	// Environment colors (sun, sky) are updated in useFrame to avoid unnecessary material recreation
 	const waterMaterial = useMemo(() => {
 		const refs = reflectionRefs.current
-		const waveUniforms = getWaveUniforms()
 		const material = new MeshStandardMaterial({
 			color: new Color(waterColor[0], waterColor[1], waterColor[2]),
 			roughness: 0.15,
 			metalness: 0.05,
-			side: FrontSide,
+			side: DoubleSide,
 			transparent: true,
 			depthWrite: false,
 		})
 
+		// Wave set uniforms live outside the compiled shader so preset changes apply without a rebuild
+		const { waves, waveSpeeds, waveCount } = getWaveUniforms(useTerrainStore.getState().waterWaves)
+		material.defines = { MAX_WAVES }
+		material.userData.waveUniforms = {
+			waves: { value: waves },
+			waveSpeeds: { value: waveSpeeds },
+			waveCount: { value: waveCount },
+		}
+
 		material.onBeforeCompile = (shader) => {
 			shader.uniforms.normalSampler = { value: waterNormals }
 			shader.uniforms.mirrorSampler = { value: refs.renderTarget.texture }
 			shader.uniforms.textureMatrix = { value: refs.textureMatrix }
-			shader.uniforms.time = { value: 0 }
+			shader.uniforms.time = { value: getWaveTime() }
 			shader.uniforms.size = { value: 10.0 }
 			shader.uniforms.distortionScale = { value: 8.0 }
 			shader.uniforms.sunColor = { value: new Color() }
@@ -102,13 +149,18 @@ const useWaterMaterial = () => {
 			shader.uniforms.waterColor = { value: new Color(waterColor[0], waterColor[1], waterColor[2]) }
 			shader.uniforms.skyColor = { value: new Color() }
 			shader.uniforms.skyHorizonColor = { value: new Color() }
-			shader.uniforms.waveA = { value: waveUniforms.waveA }
-			shader.uniforms.waveB = { value: waveUniforms.waveB }
-			shader.uniforms.waveC = { value: waveUniforms.waveC }
+			shader.uniforms.skyModel = { value: 0 }
+			shader.uniforms.skyTurbidity = { value: 2 }
+			shader.uniforms.skyGroundAlbedo = { value: 0.3 }
+			shader.uniforms.skySunDirection = { value: new Vector3() }
+			shader.uniforms.moonDirection = { value: new Vector3() }
+			shader.uniforms.moonColor = { value: new Color() }
+			Object.assign(shader.uniforms, material.userData.waveUniforms)
 			shader.uniforms.shorelineDepthThreshold = { value: shorelineDepthThreshold }
 			shader.uniforms.shallowDepthThreshold = { value: shallowDepthThreshold }
 			shader.uniforms.maxVisibleDepth = { value: maxVisibleDepth }
 			shader.uniforms.edgeFadeDistance = { value: edgeFadeDistance }
+			shader.uniforms.underwater = { value: 0 }
 
 			shader.vertexShader = shader.vertexShader
 				.replace('#include <common>', `#include <common>\n${waterCommonVert}`)
@@ -117,7 +169,7 @@ const useWaterMaterial = () => {
 				.replace('#include <worldpos_vertex>', waterWorldposVertex)
 
 			shader.fragmentShader = shader.fragmentShader
-				.replace('#include <common>', `#include <common>\n${waterCommonFrag}`)
+				.replace('#include <common>', `#include <common>\n${physicalSkyGlsl}\n${waterCommonFrag}`)
 				.replace('#include <normal_fragment_maps>', waterNormalFragmentMaps)
 				.replace('#include <opaque_fragment>', waterOpaqueFragment)
 
@@ -129,6 +181,19 @@ const useWaterMaterial = () => {
 		return material
 	}, [waterNormals, waterColor, shorelineDepthThreshold, shallowDepthThreshold, maxVisibleDepth, edgeFadeDistance])
 
+	// Sync the wave set and publish it with the other surface settings, so wave and buoyancy queries match
+	useEffect(() => {
+		setActiveWaterSurface({ waves: waterWaves, waterLevel, shorelineDepthThreshold, shallowDepthThreshold })
+	}, [waterWaves, waterLevel, shorelineDepthThreshold, shallowDepthThreshold])
+
+	useEffect(() => {
+		const uniforms = waterMaterial.userData.waveUniforms
+		const { waves, waveSpeeds, waveCount } = getWaveUniforms(waterWaves)
+		uniforms.waves.value = waves
+		uniforms.waveSpeeds.value = waveSpeeds
+		uniforms.waveCount.value = waveCount
+	}, [waterMaterial, waterWaves])
+
 	// Store water material ref for cleanup
 	const waterMaterialRef = useRef(waterMaterial)
 	waterMaterialRef.current = waterMaterial
@@ -159,24 +224,40 @@ const useWaterMaterial = () => {
 		if (!shader) return
 
 		// Get environment values from store (doesn't trigger rerenders)
-		const { sunDirection, sunColor, skyColorZenith, skyColorHorizon } = useTerrainStore.getState()
+		// The sun uniforms follow the key light, so the moon glints on the water at night
+		const state = useTerrainStore.getState()
+		const { skyColorZenith, skyColorHorizon, skyModel, skyTurbidity, skyGroundAlbedo, moonDirection, moonColor } = state
+		const { direction: sunDirection, color: sunColor } = getKeyLight(state)
 
 		// Update environment uniforms
 		shader.uniforms.sunDirection.value.set(sunDirection[0], sunDirection[1], sunDirection[2])
 		shader.uniforms.sunColor.value.setRGB(sunColor[0], sunColor[1], sunColor[2])
 		shader.uniforms.skyColor.value.setRGB(skyColorZenith[0], skyColorZenith[1], skyColorZenith[2])
 		shader.uniforms.skyHorizonColor.value.setRGB(skyColorHorizon[0], skyColorHorizon[1], skyColorHorizon[2])
+		shader.uniforms.skyModel.value = skyModel === 'physical' ? 1 : 0
+		shader.uniforms.skyTurbidity.value = skyTurbidity
+		shader.uniforms.skyGroundAlbedo.value = skyGroundAlbedo
+		shader.uniforms.skySunDirection.value.set(state.sunDirection[0], state.sunDirection[1], state.sunDirection[2])
+		shader.uniforms.moonDirection.value.set(moonDirection[0], moonDirection[1], moonDirection[2])
+		shader.uniforms.moonColor.value.setRGB(moonColor[0], moonColor[1], moonColor[2])
 
-		// Update time uniform (always needed for wave animation)
-		shader.uniforms.time.value += delta
+		// Update time uniform from the shared wave clock (always needed for wave animation, and read by buoyancy)
+		shader.uniforms.time.value = advanceWaveTime(delta)
 
 		// Update eye position
 		const cameraWorldPosition = refs.cameraWorldPosition
 		cameraWorldPosition.setFromMatrixPosition(camera.matrixWorld)
 		shader.uniforms.eye.value.copy(cameraWorldPosition)
 
+		// Below the wave surface (of the sea or the lake the camera is over), draw back faces with the underside shading
+		const terrain = terrainRef.current
+		const surfaceLevel = terrain.getWaterLevel(cameraWorldPosition.x, cameraWorldPosition.z)
+		const underwater = cameraWorldPosition.y < getWaterHeight(cameraWorldPosition.x, cameraWorldPosition.z, shader.uniforms.time.value, surfaceLevel)
+		shader.uniforms.underwater.value = underwater ? 1 : 0
+
 		// Skip reflection if camera is very far from water (> 1000 units)
-		const distanceToWater = Math.abs(cameraWorldPosition.y - waterLevel)
+		const reflectionLevel = getReflectionLevel(terrain, cameraWorldPosition, waterLevel)
+		const distanceToWater = Math.abs(cameraWorldPosition.y - reflectionLevel)
 		if (distanceToWater > 1000) return
 
 		// Throttle reflection rendering
@@ -197,8 +278,8 @@ const useWaterMaterial = () => {
 
 		const { renderTarget, mirrorCamera, textureMatrix, mirrorWorldPosition, normal, view, target, lookAtPosition, rotationMatrix, mirrorPlane, clipPlane, q } = refs
 
-		// Water surface is at waterLevel, facing up
-		mirrorWorldPosition.set(cameraWorldPosition.x, waterLevel, cameraWorldPosition.z)
+		// Mirrored water surface, facing up
+		mirrorWorldPosition.set(cameraWorldPosition.x, reflectionLevel, cameraWorldPosition.z)
 		normal.set(0, 1, 0)
 
 		// Check if camera is above water (only render reflection from above)
@@ -275,8 +356,10 @@ const useWaterMaterial = () => {
 		gl.setRenderTarget(renderTarget)
 		gl.state.buffers.depth.setMask(true)
 
-		// Set clear color to sky horizon so unrendered areas blend with sky reflection
-		gl.setClearColor(shader.uniforms.skyHorizonColor.value, 1.0)
+		// Set clear color to sky horizon so unrendered areas blend with sky reflection (the fog colour, for either sky model)
+		const { horizon } = getSkyColors(state)
+		refs.skyHorizonColor.setRGB(horizon[0], horizon[1], horizon[2])
+		gl.setClearColor(refs.skyHorizonColor, 1.0)
 		gl.clear(true, true, false)
 
 		gl.render(scene, mirrorCamera)
@@ -15,6 +15,23 @@ export const desertPreset = {
 	sunColor: [1.0, 0.944, 0.86],
 	skyColorZenith: [0.3563, 0.5993, 0.8237],
 	skyColorHorizon: [0.7495, 0.854, 0.9505],
+	skyModel: 'gradient',
+	skyTurbidity: 4, // Dusty air (used by the physical sky)
+	skyGroundAlbedo: 0.4,
+
+	// Clouds
+	cloudsEnabled: true,
+	cloudType: 'cirrus', // High, dry streaks; little shade
+	cloudCoverage: 0.3,
+	cloudDensity: 0.6,
+	cloudAltitude: 2500,
+	cloudWindDirection: 60,
+	cloudWindSpeed: 15,
+
+	// Time of day (used while the day/night cycle is enabled)
+	latitude: 25,
+	dayOfYear: 172,
+	timeOfDay: 10,
 
 	// Terrain
 	seed: 1234,
@@ -26,14 +43,35 @@ export const desertPreset = {
 	spawnRadius: 200,
 	spawnTransitionRadius: 2500,
 
+	// Erosion
+	erosionEnabled: false,
+	erosionIterations: 10000,
+	erosionRate: 0.3,
+	depositionRate: 0.3,
+	talusAngle: 35,
+
+	// Rivers
+	riversEnabled: false,
+	riverCount: 2,
+	riverWidth: 12,
+	riverDepth: 3,
+
+	// Lakes - basins above the water level filled to their rim, plus declared bodies { x, z, radius, level }
+	lakesEnabled: false,
+	lakeMinDepth: 4,
+	waterBodies: [],
+
 	layers: [
 		{
 			name: 'rock',
 			textures: {
 				albedo: '/assets/images/ground/dark_rough_rock_albedo.jpg',
 				normal: '/assets/images/ground/dark_rough_rock_normal.jpg',
+				height: '/assets/images/ground/dark_rough_rock_height.jpg',
+				ao: '/assets/images/ground/dark_rough_rock_ao.jpg',
 			},
 			textureScale: 0.02,
+			projection: 'auto', // Triplanar on cliffs, where top-down UVs stretch
 			lod: {
 				distance: 400,
 				levels: 3,
@@ -47,6 +85,7 @@ export const desertPreset = {
 			},
 			textureScale: 0.4,
 			normalScale: 0.5,
+			heightBlend: { depth: 0.3 }, // Sand drifts into the rock's cracks before covering it
 			height: {
 				min: -1,
 				max: 45,
@@ -117,6 +156,11 @@ export const desertPreset = {
 	waterMaxVisibleDepth: 8.0,
 	waterEdgeFadeDistance: 0.25,
 	waterColor: [0.0, 0.12, 0.06],
+	waterWaves: [
+		{ direction: 0, steepness: 0.15, wavelength: 100 },
+		{ direction: 30, steepness: 0.15, wavelength: 50 },
+		{ direction: 60, steepness: 0.15, wavelength: 25 },
+	],
 }
 
 export default desertPreset
@@ -15,6 +15,23 @@ export const mountainPreset = {
 	sunColor: [1.0, 0.944, 0.86],
 	skyColorZenith: [0.3563, 0.5993, 0.8237],
 	skyColorHorizon: [0.7495, 0.854, 0.9505],
+	skyModel: 'physical', // Scattered sunlight; the sky colours above only apply at night
+	skyTurbidity: 2, // Clear alpine air
+	skyGroundAlbedo: 0.2,
+
+	// Clouds
+	cloudsEnabled: true,
+	cloudType: 'cumulus',
+	cloudCoverage: 0.45,
+	cloudDensity: 1,
+	cloudAltitude: 1100, // Just clear of the highest peaks
+	cloudWindDirection: 200,
+	cloudWindSpeed: 20,
+
+	// Time of day (used while the day/night cycle is enabled)
+	latitude: 46,
+	dayOfYear: 200,
+	timeOfDay: 9,
 
 	// Terrain
 	seed: 5678,
@@ -26,14 +43,35 @@ export const mountainPreset = {
 	spawnRadius: 200,
 	spawnTransitionRadius: 2500,
 
+	// Erosion
+	erosionEnabled: false,
+	erosionIterations: 20000,
+	erosionRate: 0.3,
+	depositionRate: 0.3,
+	talusAngle: 40,
+
+	// Rivers
+	riversEnabled: true,
+	riverCount: 4,
+	riverWidth: 16,
+	riverDepth: 4,
+
+	// Lakes - basins above the water level filled to their rim, plus declared bodies { x, z, radius, level }
+	lakesEnabled: true,
+	lakeMinDepth: 8,
+	waterBodies: [],
+
 	layers: [
 				{
 					name: 'rock',
 					textures: {
 						albedo: '/assets/images/ground/dark_rough_rock_albedo.jpg',
 						normal: '/assets/images/ground/dark_rough_rock_normal.jpg',
+						height: '/assets/images/ground/dark_rough_rock_height.jpg',
+						ao: '/assets/images/ground/dark_rough_rock_ao.jpg',
 					},
 					textureScale: 0.02,
+					projection: 'auto', // Triplanar on cliffs, where top-down UVs stretch
 					lod: {
 						distance: 400,
 						levels: 3,
@@ -44,9 +82,12 @@ export const mountainPreset = {
 					textures: {
 						albedo: '/assets/images/ground/wispy-grass-meadow_albedo.jpg',
 						normal: '/assets/images/ground/wispy-grass-meadow_normal.jpg',
+						height: '/assets/images/ground/wispy-grass-meadow_height.jpg',
+						ao: '/assets/images/ground/wispy-grass-meadow_ao.jpg',
 					},
 					textureScale: 0.2,
 					normalScale: 1.0,
+					heightBlend: { depth: 0.2 }, // Grass fills the cracks between rocks at its edges
 					height: {
 						min: -1,
 						transitionMin: 1.0,
@@ -264,6 +305,11 @@ export const mountainPreset = {
 	waterMaxVisibleDepth: 8.0,
 	waterEdgeFadeDistance: 0.25,
 	waterColor: [0.0, 0.12, 0.06],
+	waterWaves: [
+		{ direction: 0, steepness: 0.15, wavelength: 100 },
+		{ direction: 30, steepness: 0.15, wavelength: 50 },
+		{ direction: 60, steepness: 0.15, wavelength: 25 },
+	],
 }
 
 export default mountainPreset
@@ -14,6 +14,23 @@ export const winterPreset = {
 	sunColor: [0.935, 0.956, 0.965],
 	skyColorZenith: [0.3, 0.508, 0.7],
 	skyColorHorizon: [0.896, 0.9296, 0.944],
+	skyModel: 'gradient',
+	skyTurbidity: 2,
+	skyGroundAlbedo: 0.8, // Snow lights the sky from below
+
+	// Clouds
+	cloudsEnabled: true,
+	cloudType: 'stratus', // Low overcast typical of a northern winter
+	cloudCoverage: 0.65,
+	cloudDensity: 0.7,
+	cloudAltitude: 900,
+	cloudWindDirection: 300,
+	cloudWindSpeed: 10,
+
+	// Time of day (used while the day/night cycle is enabled)
+	latitude: 64,
+	dayOfYear: 60,
+	timeOfDay: 12,
 
 	// Terrain
 	seed: 9012,
@@ -25,6 +42,24 @@ export const winterPreset = {
 	spawnRadius: 200,
 	spawnTransitionRadius: 2500,
 
+	// Erosion
+	erosionEnabled: false,
+	erosionIterations: 15000,
+	erosionRate: 0.2,
+	depositionRate: 0.4,
+	talusAngle: 33,
+
+	// Rivers
+	riversEnabled: false,
+	riverCount: 3,
+	riverWidth: 14,
+	riverDepth: 3,
+
+	// Lakes - basins above the water level filled to their rim, plus declared bodies { x, z, radius, level }
+	lakesEnabled: false,
+	lakeMinDepth: 4,
+	waterBodies: [],
+
 	layers: [
 				{
 					name: 'snow',
@@ -81,6 +116,11 @@ export const winterPreset = {
 	waterMaxVisibleDepth: 12.0,
 	waterEdgeFadeDistance: 0.25,
 	waterColor: [0.0, 0.05, 0.15],
+	waterWaves: [
+		{ direction: 0, steepness: 0.15, wavelength: 100 },
+		{ direction: 30, steepness: 0.15, wavelength: 50 },
+		{ direction: 60, steepness: 0.15, wavelength: 25 },
+	],
 }
 
 export default winterPreset
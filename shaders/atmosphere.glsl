@@ -12,9 +12,10 @@ vec3 GetSkyColour(vec3 vRayDir, vec3 vSunDir, vec3 vSkyColor, vec3 vSkyHorizonCo
 	float sunGlow = pow(fSunDotV, 8.0) * 0.3;
 	vSkyColour += vSunColor * sunGlow * (1.0 - elevation * 0.5);
 	
-	// Very subtle horizon haze
+	// Very subtle horizon haze, dimmed with the horizon at dusk and night
 	float horizonHaze = pow(1.0 - elevation, 12.0) * 0.15;
-	vSkyColour = mix(vSkyColour, vec3(0.9, 0.92, 0.95), horizonHaze);
+	float hazeBrightness = clamp(dot(vSkyHorizonColor, vec3(0.299, 0.587, 0.114)) * 1.25, 0.0, 1.0);
+	vSkyColour = mix(vSkyColour, vec3(0.9, 0.92, 0.95) * hazeBrightness, horizonHaze);
 	
 	return vSkyColour;
 }
@@ -0,0 +1,67 @@
+// Cloud layer shared by the sky's volumetric clouds and the terrain's cloud shadows.
+// Needs snoise from noise.glsl. Uniforms are created and set by utils/sky/clouds.js.
+
+uniform float uCloudsEnabled;
+uniform float uCloudCoverage;
+uniform float uCloudDensity;
+uniform float uCloudAltitude; // Height of the cloud base
+uniform float uCloudThickness;
+uniform float uCloudScale;
+uniform float uCloudDetail;
+uniform float uCloudStretch;
+uniform float uCloudHeap;
+uniform float uCloudSoftness;
+uniform float uCloudExtinction;
+uniform float uCloudShadowStrength;
+uniform float uCloudMaxDistance;
+uniform vec2 uCloudOffset; // Wind drift in world units
+uniform vec2 uCloudWind; // Unit wind direction on the xz plane
+uniform float uCloudTime; // Shape evolution
+uniform vec3 uCloudLightDirection; // Key light (the sun, or the moon at night)
+uniform vec3 uCloudLightColor;
+uniform vec3 uCloudAmbient; // Sky light from above
+
+// Cloud cover at a world position: 0 (clear sky) to 1 (the thickest part of a cloud)
+float cloudCover(vec2 xz) {
+	vec2 p = xz + uCloudOffset;
+
+	// Noise space stretched along the wind, so streaky types trail downwind
+	vec2 q = vec2(dot(p, uCloudWind) / uCloudStretch, dot(p, vec2(-uCloudWind.y, uCloudWind.x))) * uCloudScale;
+	float n = snoise(vec3(q, uCloudTime)) * 0.6 + snoise(vec3(q * 2.3 + 17.0, uCloudTime * 1.5)) * 0.3;
+	n += snoise(vec3(q * 6.1 + 41.0, uCloudTime * 2.0)) * uCloudDetail * 0.3;
+	n = n * 0.5 + 0.5;
+
+	float threshold = 1.0 - uCloudCoverage;
+	return smoothstep(threshold, threshold + uCloudSoftness, n);
+}
+
+// Cloud density at a world position (0 outside the layer)
+float cloudDensity(vec3 p) {
+	float h = (p.y - uCloudAltitude) / uCloudThickness;
+	if (h < 0.0 || h > 1.0)
+		return 0.0;
+
+	float cover = cloudCover(p.xz);
+	if (cover <= 0.0)
+		return 0.0;
+
+	// Heaped clouds rise higher where they are thicker; sheets fill the layer
+	float top = mix(1.0, cover, uCloudHeap);
+	return cover * uCloudDensity * smoothstep(0.0, 0.08, h) * (1.0 - smoothstep(top * 0.6, top, h));
+}
+
+// Fraction of direct light from a direction that reaches a point below the clouds
+float cloudShadow(vec3 worldPos, vec3 lightDir) {
+	if (uCloudsEnabled < 0.5 || lightDir.y <= 0.01)
+		return 1.0;
+
+	// Where the light ray crosses the middle of the layer
+	float t = (uCloudAltitude + uCloudThickness * 0.5 - worldPos.y) / lightDir.y;
+	if (t <= 0.0)
+		return 1.0;
+
+	// Column depth through the cloud there (heaped clouds are as deep as they are thick)
+	float cover = cloudCover(worldPos.xz + lightDir.xz * t);
+	float depth = cover * uCloudDensity * uCloudExtinction * uCloudThickness * mix(0.9, 0.8 * cover, uCloudHeap);
+	return mix(1.0, exp(-depth), uCloudShadowStrength);
+}
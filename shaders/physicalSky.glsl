@@ -0,0 +1,114 @@
+// Physically based sky
+// Single Rayleigh and Mie scattering of sun and moon light, marched along the view ray through a
+// spherical atmosphere. Mirrors utils/sky/physicalSky.js (keep the constants in sync).
+// Lengths are in kilometres. Expects PI to be defined by the including shader.
+
+const float SKY_PLANET_RADIUS = 6360.0;
+const float SKY_ATMOSPHERE_RADIUS = 6420.0;
+const float SKY_RAYLEIGH_HEIGHT = 8.0;
+const float SKY_MIE_HEIGHT = 1.2;
+const vec3 SKY_RAYLEIGH_SCATTERING = vec3(5.802e-3, 13.558e-3, 33.1e-3);
+const float SKY_MIE_SCATTERING_PER_TURBIDITY = 0.04;
+const float SKY_MIE_EXTINCTION_RATIO = 1.11;
+const float SKY_MIE_ANISOTROPY = 0.76;
+const int SKY_VIEW_SAMPLES = 12;
+const float SKY_EXPOSURE = 48.0;
+
+// Optical depth (in scale heights) towards a light, relative to the ground density (Schüler's Chapman approximation)
+float skyLightDepth(float radius, float cosZenith, float scaleHeight) {
+	// Inside the planet's shadow
+	if (cosZenith < 0.0 && radius * sqrt(1.0 - cosZenith * cosZenith) < SKY_PLANET_RADIUS)
+		return 1e9;
+
+	float x = SKY_PLANET_RADIUS / scaleHeight;
+	float h = (radius - SKY_PLANET_RADIUS) / scaleHeight;
+	float c = sqrt(x + h);
+	if (cosZenith >= 0.0)
+		return c / (c * cosZenith + 1.0) * exp(-h);
+
+	float x0 = sqrt(1.0 - cosZenith * cosZenith) * (x + h);
+	return 2.0 * sqrt(x0) * exp(x - x0) - c / (1.0 - c * cosZenith) * exp(-h);
+}
+
+float skyRayleighPhase(float cosTheta) {
+	return 3.0 / (16.0 * PI) * (1.0 + cosTheta * cosTheta);
+}
+
+float skyMiePhase(float cosTheta) {
+	float g = SKY_MIE_ANISOTROPY;
+	return (1.0 - g * g) / (4.0 * PI * pow(1.0 + g * g - 2.0 * g * cosTheta, 1.5));
+}
+
+// Sky colour for a view direction: sun and moon light scattered by air and haze, plus light bounced off the ground.
+// In deep night it fades to the two-colour sky (the day/night cycle's night colours).
+vec3 GetPhysicalSkyColour(vec3 vRayDir, vec3 vSunDir, vec3 vMoonDir, vec3 vMoonColor, float fTurbidity, float fGroundAlbedo, vec3 vSkyColor, vec3 vSkyHorizonColor) {
+	vec3 sunDir = normalize(vSunDir);
+	vec3 moonDir = normalize(vMoonDir);
+	float mieScattering = max(fTurbidity - 1.0, 0.0) * SKY_MIE_SCATTERING_PER_TURBIDITY;
+	float mieExtinction = mieScattering * SKY_MIE_EXTINCTION_RATIO;
+
+	// Rays below the horizon are treated as horizontal (the ground is blended in below)
+	float dirY = max(vRayDir.y, 0.0);
+	float rayLength = -SKY_PLANET_RADIUS * dirY + sqrt(SKY_PLANET_RADIUS * SKY_PLANET_RADIUS * dirY * dirY + SKY_ATMOSPHERE_RADIUS * SKY_ATMOSPHERE_RADIUS - SKY_PLANET_RADIUS * SKY_PLANET_RADIUS);
+
+	// Sunlight reaching the ground, reflected back up into the air
+	float groundRadius = SKY_PLANET_RADIUS + 0.001;
+	float groundDepthR = skyLightDepth(groundRadius, sunDir.y, SKY_RAYLEIGH_HEIGHT) * SKY_RAYLEIGH_HEIGHT;
+	float groundDepthM = skyLightDepth(groundRadius, sunDir.y, SKY_MIE_HEIGHT) * SKY_MIE_HEIGHT;
+	vec3 ground = fGroundAlbedo / PI * max(sunDir.y, 0.0) * exp(-(SKY_RAYLEIGH_SCATTERING * groundDepthR + mieExtinction * groundDepthM));
+
+	vec3 sunR = vec3(0.0);
+	vec3 sunM = vec3(0.0);
+	vec3 moonR = vec3(0.0);
+	vec3 moonM = vec3(0.0);
+	vec3 bounce = vec3(0.0);
+	vec3 viewDepth = vec3(0.0);
+
+	for (int i = 0; i < SKY_VIEW_SAMPLES; i++) {
+		// Samples bunch up near the observer, where the air (and haze) is densest
+		float f0 = float(i) / float(SKY_VIEW_SAMPLES);
+		float f1 = float(i + 1) / float(SKY_VIEW_SAMPLES);
+		float t0 = rayLength * f0 * f0;
+		float t1 = rayLength * f1 * f1;
+		float stepLength = t1 - t0;
+
+		// Sample point relative to the planet centre
+		vec3 p = vec3(vRayDir.x, dirY, vRayDir.z) * (t0 + t1) * 0.5 + vec3(0.0, SKY_PLANET_RADIUS, 0.0);
+		float radius = length(p);
+		float height = radius - SKY_PLANET_RADIUS;
+		float densityR = exp(-height / SKY_RAYLEIGH_HEIGHT);
+		float densityM = exp(-height / SKY_MIE_HEIGHT);
+
+		// Light arrives along the local zenith angle at the sample
+		float cosSun = dot(p, sunDir) / radius;
+		float cosMoon = dot(p, moonDir) / radius;
+		vec3 sunDepth = SKY_RAYLEIGH_SCATTERING * skyLightDepth(radius, cosSun, SKY_RAYLEIGH_HEIGHT) * SKY_RAYLEIGH_HEIGHT + mieExtinction * skyLightDepth(radius, cosSun, SKY_MIE_HEIGHT) * SKY_MIE_HEIGHT;
+		vec3 moonDepth = SKY_RAYLEIGH_SCATTERING * skyLightDepth(radius, cosMoon, SKY_RAYLEIGH_HEIGHT) * SKY_RAYLEIGH_HEIGHT + mieExtinction * skyLightDepth(radius, cosMoon, SKY_MIE_HEIGHT) * SKY_MIE_HEIGHT;
+
+		// Light scattered within the segment, integrated analytically against its own extinction
+		vec3 extinction = SKY_RAYLEIGH_SCATTERING * densityR + mieExtinction * densityM;
+		vec3 segment = exp(-viewDepth) * (1.0 - exp(-extinction * stepLength)) / extinction;
+		vec3 sunLight = segment * exp(-sunDepth);
+		vec3 moonLight = segment * exp(-moonDepth);
+		sunR += densityR * sunLight;
+		sunM += densityM * sunLight;
+		moonR += densityR * moonLight;
+		moonM += densityM * moonLight;
+
+		// Ground bounce scatters in from below (roughly half of an isotropic phase)
+		bounce += (SKY_RAYLEIGH_SCATTERING * densityR + mieScattering * densityM) * segment * 0.5 * ground;
+		viewDepth += extinction * stepLength;
+	}
+
+	float cosSunView = dot(vRayDir, sunDir);
+	float cosMoonView = dot(vRayDir, moonDir);
+	vec3 radiance = SKY_RAYLEIGH_SCATTERING * skyRayleighPhase(cosSunView) * sunR + mieScattering * skyMiePhase(cosSunView) * sunM + bounce;
+
+	// Looking down, the lit ground shows through the haze
+	radiance = mix(radiance, ground, (1.0 - smoothstep(-0.1, 0.0, vRayDir.y)) * 0.5);
+	radiance += (SKY_RAYLEIGH_SCATTERING * skyRayleighPhase(cosMoonView) * moonR + mieScattering * skyMiePhase(cosMoonView) * moonM) * vMoonColor;
+
+	float night = 1.0 - smoothstep(-0.3, 0.0, sunDir.y);
+	vec3 nightColour = mix(vSkyHorizonColor, vSkyColor, sqrt(dirY));
+	return 1.0 - exp(-radiance * SKY_EXPOSURE) + nightColour * night;
+}
@@ -5,12 +5,22 @@ uniform vec3 uSunDirection;
 uniform vec3 uSunColor;
 uniform vec3 uSkyColor;
 uniform vec3 uSkyHorizonColor;
+uniform vec3 uMoonDirection;
+uniform vec3 uMoonColor;
+uniform float uStarIntensity;
+uniform mat3 uStarRotation; // World direction -> celestial sphere (turns with the time of day)
+uniform float uSkyModel; // 0 = two-colour gradient, 1 = physical scattering
+uniform float uTurbidity;
+uniform float uGroundAlbedo;
 
 const float PI = 3.14159265359;
+const int CLOUD_STEPS = 12;
 
 // Include shared utilities
 #include "./noise.glsl"
 #include "./atmosphere.glsl"
+#include "./physicalSky.glsl"
+#include "./clouds.glsl"
 
 // Henyey-Greenstein phase function for cloud scattering
 float henyeyGreenstein(float cosTheta, float g) {
@@ -18,70 +28,112 @@ float henyeyGreenstein(float cosTheta, float g) {
 	return (1.0 - g2) / (4.0 * PI * pow(1.0 + g2 - 2.0 * g * cosTheta, 1.5));
 }
 
-// Wispy cloud rendering - subtle and thin
-vec4 wispyClouds(vec3 dir, vec3 sunDir) {
-	if(dir.y < 0.02)
-		return vec4(0.0);
-
-	// Project ray onto cloud plane
-	float t = 0.5 / dir.y;
-	vec3 cloudPos = dir * t;
-
-	// Animate clouds slowly
-	vec2 windOffset = vec2(uTime * 0.008, uTime * 0.003);
-	vec2 uv = cloudPos.xz * 0.8 + windOffset;
-
-	// Wispy cloud noise - stretched horizontally (using shared simplex noise)
-	vec3 noisePos1 = vec3(uv.x * 2.0, uv.y * 0.5, uTime * 0.01);
-	vec3 noisePos2 = vec3(uv.x * 1.5 + 3.0, uv.y * 0.4, uTime * 0.015);
-
-	// Use fbm from shared noise.glsl - remap from [-1,1] to [0,1] range
-	float n1 = fbm(noisePos1) * 0.5 + 0.5;
-	float n2 = fbm(noisePos2 * 1.5) * 0.5 + 0.5;
-
-	// Combine for wispy effect
-	float cloudNoise = n1 * 0.6 + n2 * 0.4;
-
-	// Very sparse coverage - mostly clear sky
-	float coverage = 0.55;
-	float cloudShape = smoothstep(coverage, coverage + 0.15, cloudNoise);
-
-	// Make clouds thinner/wispier
-	cloudShape *= smoothstep(coverage + 0.3, coverage + 0.1, cloudNoise) * 1.5;
-	cloudShape = clamp(cloudShape, 0.0, 1.0);
+// Per-cell random values for the star field
+float starHash(vec3 p) {
+	p = fract(p * 0.3183099 + 0.1);
+	p *= 17.0;
+	return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+}
 
-	// Fade clouds at horizon and high up
-	float verticalFade = smoothstep(0.02, 0.2, dir.y) * smoothstep(0.9, 0.4, dir.y);
-	cloudShape *= verticalFade;
+// Sparse twinkling stars, fixed to the celestial sphere
+float stars(vec3 dir) {
+	vec3 starDir = uStarRotation * dir;
+	vec3 cell = floor(starDir * 180.0);
+	float h = starHash(cell);
+	if(h < 0.995)
+		return 0.0;
+
+	// Star point jittered inside its cell
+	vec3 offset = vec3(starHash(cell + 11.0), starHash(cell + 23.0), starHash(cell + 37.0)) - 0.5;
+	float dist = length(fract(starDir * 180.0) - 0.5 - offset * 0.6);
+	float brightness = (h - 0.995) / 0.005;
+	float twinkle = 0.75 + 0.25 * sin(uTime * 3.0 + h * 1000.0);
+	return smoothstep(0.15, 0.0, dist) * brightness * twinkle;
+}
 
-	// Cloud lighting - bright white clouds with sun tint
-	float sunInfluence = max(0.0, dot(dir, sunDir));
-	float lightIntensity = 0.95 + 0.05 * sunInfluence;
+// Volumetric clouds: march the view ray through the cloud layer, lit by the key light and the sky above.
+// Returns premultiplied cloud light (rgb) and opacity (a).
+vec4 volumetricClouds(vec3 origin, vec3 dir) {
+	if(uCloudsEnabled < 0.5 || uCloudCoverage <= 0.0)
+		return vec4(0.0);
 
-	// Cloud color - white with subtle sun color tint
-	vec3 cloudColor = vec3(1.0) * lightIntensity;
-	cloudColor += uSunColor * 0.02 * sunInfluence;
+	// Where the ray is inside the layer
+	float base = uCloudAltitude;
+	float top = uCloudAltitude + uCloudThickness;
+	float tNear = 0.0;
+	float tFar = uCloudMaxDistance;
+	if(abs(dir.y) > 1e-4) {
+		float tBase = (base - origin.y) / dir.y;
+		float tTop = (top - origin.y) / dir.y;
+		tNear = max(min(tBase, tTop), 0.0);
+		tFar = min(max(tBase, tTop), uCloudMaxDistance);
+	} else if(origin.y < base || origin.y > top) {
+		return vec4(0.0);
+	}
+	if(tFar <= tNear)
+		return vec4(0.0);
 
-	return vec4(cloudColor, cloudShape * 0.6);
+	// Jittered start hides banding between the steps
+	float stepLength = (tFar - tNear) / float(CLOUD_STEPS);
+	float jitter = starHash(dir * 1000.0);
+
+	// Silver lining towards the light, softer back-scatter away from it (normalised to 1 on average)
+	float cosTheta = dot(dir, uCloudLightDirection);
+	float phase = mix(henyeyGreenstein(cosTheta, -0.2), henyeyGreenstein(cosTheta, 0.7), 0.6) * 4.0 * PI;
+	float lightStep = uCloudThickness * 0.3;
+
+	float transmittance = 1.0;
+	vec3 light = vec3(0.0);
+	for(int i = 0; i < CLOUD_STEPS; i++) {
+		vec3 p = origin + dir * (tNear + (float(i) + jitter) * stepLength);
+		float density = cloudDensity(p);
+		if(density <= 0.001)
+			continue;
+
+		// Self-shadowing from one sample towards the light; the cloud tops see more of the sky
+		float lightDensity = cloudDensity(p + uCloudLightDirection * lightStep);
+		float towardsLight = exp(-(density + lightDensity) * 0.5 * lightStep * uCloudExtinction);
+		float heightFraction = clamp((p.y - base) / uCloudThickness, 0.0, 1.0);
+		vec3 sampleLight = uCloudLightColor * towardsLight * phase + uCloudAmbient * mix(0.5, 1.0, heightFraction);
+
+		float stepTransmittance = exp(-density * stepLength * uCloudExtinction);
+		light += transmittance * (1.0 - stepTransmittance) * sampleLight;
+		transmittance *= stepTransmittance;
+		if(transmittance < 0.02)
+			break;
+	}
+
+	// Distant clouds fade into the horizon haze
+	float fade = 1.0 - smoothstep(uCloudMaxDistance * 0.5, uCloudMaxDistance, tNear);
+	return vec4(light, 1.0 - transmittance) * fade;
 }
 
 void main() {
 	vec3 dir = normalize(vDirection);
 	vec3 sunDir = normalize(uSunDirection);
 
-	// Sky color using shared algorithm
-	vec3 skyColor = GetSkyColour(dir, sunDir, uSkyColor, uSkyHorizonColor, uSunColor);
+	// Sky color using shared algorithm (physical scattering or the stylised two-colour gradient)
+	vec3 skyColor = uSkyModel > 0.5
+		? GetPhysicalSkyColour(dir, sunDir, uMoonDirection, uMoonColor, uTurbidity, uGroundAlbedo, uSkyColor, uSkyHorizonColor)
+		: GetSkyColour(dir, sunDir, uSkyColor, uSkyHorizonColor, uSunColor);
 
 	// Sun disk (bright) - matching old sky intensity
 	float sunDot = dot(dir, sunDir);
 	float sunDisk = smoothstep(0.9997, 0.9999, sunDot);
 	skyColor += uSunColor * sunDisk * 15.0;
 
-	// Add wispy clouds
-	vec4 cloudLayer = wispyClouds(dir, sunDir);
+	// Stars and moon, faded out towards the horizon haze
+	float aboveHorizon = smoothstep(0.0, 0.1, dir.y);
+	skyColor += vec3(0.9, 0.95, 1.0) * stars(dir) * uStarIntensity * aboveHorizon;
+
+	float moonDot = dot(dir, normalize(uMoonDirection));
+	float moonDisk = smoothstep(0.9997, 0.99985, moonDot);
+	float moonGlow = pow(max(0.0, moonDot), 64.0) * 0.5;
+	skyColor += uMoonColor * (moonDisk * 12.0 + moonGlow);
 
-	// Blend clouds with sky
-	vec3 finalColor = mix(skyColor, cloudLayer.rgb, cloudLayer.a);
+	// Clouds in front of the sky, sun, moon and stars
+	vec4 cloudLayer = volumetricClouds(cameraPosition, dir);
+	vec3 finalColor = skyColor * (1.0 - cloudLayer.a) + cloudLayer.rgb;
 
 	// Apply shared final color processing (tonemapping + contrast)
 	finalColor = FinalColorProcess(finalColor);
@@ -5,9 +5,10 @@ vec3 worldSpacePos = vec3(uv.x, 0.0, uv.y);
 vWorldXZ = uv;
 
 vec3 waveDisplacement = vec3(0.0);
-waveDisplacement += GerstnerWave(waveA, worldSpacePos, waveScale);
-waveDisplacement += GerstnerWave(waveB, worldSpacePos, waveScale);
-waveDisplacement += GerstnerWave(waveC, worldSpacePos, waveScale);
+for (int i = 0; i < MAX_WAVES; i++) {
+	if (i >= waveCount) break;
+	waveDisplacement += GerstnerWave(waves[i], waveSpeeds[i], worldSpacePos, waveScale);
+}
 
 vec3 transformed = position + waveDisplacement;
 vDepth = depth;
@@ -9,8 +9,15 @@ uniform vec3 eye;
 uniform vec3 waterColor;
 uniform vec3 skyColor;
 uniform vec3 skyHorizonColor;
+uniform float skyModel; // 0 = two-colour gradient, 1 = physical scattering (see physicalSky.glsl)
+uniform float skyTurbidity;
+uniform float skyGroundAlbedo;
+uniform vec3 skySunDirection; // The sun itself (sunDirection follows the key light, which may be the moon)
+uniform vec3 moonDirection;
+uniform vec3 moonColor;
 uniform float maxVisibleDepth;
 uniform float edgeFadeDistance;
+uniform float underwater; // 1 while the camera is below the surface (back faces are drawn, front faces discarded)
 
 varying vec4 vMirrorCoord;
 varying float vDepth;
@@ -40,7 +47,16 @@ vec3 GetSkyColour(vec3 vRayDir, vec3 vSunDir, vec3 vSkyColor, vec3 vSkyHorizonCo
 	vSkyColour += vSunColor * sunGlow * (1.0 - elevation * 0.5);
 
 	float horizonHaze = pow(1.0 - elevation, 12.0) * 0.15;
-	vSkyColour = mix(vSkyColour, vec3(0.9, 0.92, 0.95), horizonHaze);
+	float hazeBrightness = clamp(dot(vSkyHorizonColor, vec3(0.299, 0.587, 0.114)) * 1.25, 0.0, 1.0);
+	vSkyColour = mix(vSkyColour, vec3(0.9, 0.92, 0.95) * hazeBrightness, horizonHaze);
 
 	return vSkyColour;
 }
+
+// Sky seen in a direction, matching the sky dome's model
+vec3 GetSceneSkyColour(vec3 vRayDir) {
+	if (skyModel > 0.5) {
+		return GetPhysicalSkyColour(vRayDir, skySunDirection, moonDirection, moonColor, skyTurbidity, skyGroundAlbedo, skyColor, skyHorizonColor);
+	}
+	return GetSkyColour(vRayDir, normalize(sunDirection), skyColor, skyHorizonColor, sunColor);
+}
@@ -1,4 +1,6 @@
 #include <normal_fragment_maps>
+// Both sides share one program: only faces on the camera's side of the surface are drawn
+if (gl_FrontFacing == (underwater > 0.5)) discard;
 vec4 noise = getNoise(vWorldXZ * size);
 vec3 surfaceNormal = normalize(noise.xzy * vec3(1.5, 1.0, 1.5));
 normal = normalize((viewMatrix * vec4(surfaceNormal, 0.0)).xyz);
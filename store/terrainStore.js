@@ -1,5 +1,6 @@
 import { create } from 'zustand'
 import { normalizeDirection } from '../utils/vectorHelpers'
+import { LOD_CONFIG } from '../config/lod'
 import desertPreset from '../presets/desert'
 import mountainPreset from '../presets/mountain'
 import winterPreset from '../presets/winter'
@@ -44,6 +45,10 @@ const useTerrainStore = create((set, get) => ({
 	performanceDegraded: false,
 	setPerformanceDegraded: (degraded) => set({ performanceDegraded: degraded }),
 
+	// Underwater state (set by <Underwater /> while the camera is below the wave surface)
+	cameraUnderwater: false,
+	setCameraUnderwater: (underwater) => set({ cameraUnderwater: underwater }),
+
 	// Notification state (for terrain loading feedback, etc.)
 	notification: null,
 	showNotification: (notificationData) => set({ notification: { ...notificationData, id: Date.now() } }),
@@ -67,6 +72,80 @@ const useTerrainStore = create((set, get) => ({
 	setSkyColorZenith: (color) => set({ skyColorZenith: color }),
 	setSkyColorHorizon: (color) => set({ skyColorHorizon: color }),
 
+	// Sky model - 'gradient' blends the two sky colours (stylised), 'physical' scatters sunlight through the air
+	// The physical sky ignores the sky colours except in deep night, and also drives fog and aerial perspective
+	// skyTurbidity: haze (1 = pure air, 2-3 = clear day, 10 = hazy), skyGroundAlbedo: ground reflectance (0-1)
+	skyModel: desertPreset.skyModel,
+	skyTurbidity: desertPreset.skyTurbidity,
+	skyGroundAlbedo: desertPreset.skyGroundAlbedo,
+
+	setSkyModel: (model) => set({ skyModel: model }),
+	setSkyTurbidity: (turbidity) => set({ skyTurbidity: turbidity }),
+	setSkyGroundAlbedo: (albedo) => set({ skyGroundAlbedo: albedo }),
+
+	// Clouds - a volumetric layer above the terrain whose shadows drift across it
+	// cloudType: key of CLOUD_TYPES, cloudCoverage: fraction of the sky (0-1), cloudAltitude: cloud base height
+	// cloudWindDirection: degrees the clouds travel towards (0 = +Z), cloudWindSpeed: world units per second
+	cloudsEnabled: desertPreset.cloudsEnabled,
+	cloudType: desertPreset.cloudType,
+	cloudCoverage: desertPreset.cloudCoverage,
+	cloudDensity: desertPreset.cloudDensity,
+	cloudAltitude: desertPreset.cloudAltitude,
+	cloudWindDirection: desertPreset.cloudWindDirection,
+	cloudWindSpeed: desertPreset.cloudWindSpeed,
+
+	setCloudsEnabled: (enabled) => set({ cloudsEnabled: enabled }),
+	setCloudType: (type) => set({ cloudType: type }),
+	setCloudCoverage: (coverage) => set({ cloudCoverage: coverage }),
+	setCloudDensity: (density) => set({ cloudDensity: density }),
+	setCloudAltitude: (altitude) => set({ cloudAltitude: altitude }),
+	setCloudWindDirection: (direction) => set({ cloudWindDirection: direction }),
+	setCloudWindSpeed: (speed) => set({ cloudWindSpeed: speed }),
+
+	// Moon, stars and ambient light - driven by the day/night cycle (no moon or stars while it is off)
+	// ambientIntensity multiplies the sky's ambient and environment light
+	moonDirection: [0, -1, 0],
+	moonColor: [0, 0, 0],
+	starIntensity: 0,
+	ambientIntensity: 1,
+
+	// Time of day - while enabled, <DayNightCycle /> derives sun, moon, sky and ambient light from it
+	// timeOfDay is local solar time in hours, timeSpeed in hours per second
+	timeOfDayEnabled: false,
+	timePlaying: false,
+	timeOfDay: desertPreset.timeOfDay,
+	timeSpeed: 0.1,
+	dayOfYear: desertPreset.dayOfYear,
+	latitude: desertPreset.latitude,
+
+	// Midday palette the cycle starts from (the preset's sun and sky colours)
+	daylight: {
+		sunColor: desertPreset.sunColor,
+		skyColorZenith: desertPreset.skyColorZenith,
+		skyColorHorizon: desertPreset.skyColorHorizon,
+	},
+
+	// Turning the cycle off restores the midday palette and hides the moon and stars
+	setTimeOfDayEnabled: (enabled) =>
+		set((state) =>
+			enabled
+				? { timeOfDayEnabled: true }
+				: { timeOfDayEnabled: false, timePlaying: false, ...state.daylight, moonColor: [0, 0, 0], starIntensity: 0, ambientIntensity: 1 }
+		),
+	setTimePlaying: (playing) => set({ timePlaying: playing }),
+	setTimeOfDay: (hours) => set({ timeOfDay: ((hours % 24) + 24) % 24 }),
+	setTimeSpeed: (speed) => set({ timeSpeed: speed }),
+	setDayOfYear: (day) => set({ dayOfYear: day }),
+	setLatitude: (latitude) => set({ latitude }),
+	advanceTimeOfDay: (delta) =>
+		set((state) => {
+			// Past midnight the date moves on (wrapping at the end of the year)
+			const hours = state.timeOfDay + delta * state.timeSpeed
+			const days = Math.floor(hours / 24)
+			return { timeOfDay: hours - days * 24, dayOfYear: ((((state.dayOfYear - 1 + days) % 365) + 365) % 365) + 1 }
+		}),
+	setLighting: (lighting) => set(lighting),
+
 	// ========================================
 	// TERRAIN CONFIGURATION
 	// ========================================
@@ -88,13 +167,35 @@ const useTerrainStore = create((set, get) => ({
 	spawnRadius: desertPreset.spawnRadius,
 	spawnTransitionRadius: desertPreset.spawnTransitionRadius,
 
+	// Erosion - droplet (hydraulic) and talus (thermal) passes, simulated per root tile
+	erosionEnabled: desertPreset.erosionEnabled,
+	erosionIterations: desertPreset.erosionIterations,
+	erosionRate: desertPreset.erosionRate,
+	depositionRate: desertPreset.depositionRate,
+	talusAngle: desertPreset.talusAngle,
+
+	// Rivers - traced from the highlands to water and carved into the terrain
+	riversEnabled: desertPreset.riversEnabled,
+	riverCount: desertPreset.riverCount,
+	riverWidth: desertPreset.riverWidth,
+	riverDepth: desertPreset.riverDepth,
+
+	// Lakes - basins above the water level filled to their rim, plus declared water bodies
+	lakesEnabled: desertPreset.lakesEnabled,
+	lakeMinDepth: desertPreset.lakeMinDepth,
+	waterBodies: desertPreset.waterBodies,
+
 	// LOD settings
-	lodSplitFactor: 2,
-	lodHysteresis: 1.2,
-	minTileSize: 32,
-	rootSize: 4096,
-	tileResolution: 16,
-	viewRange: 5,
+	lodSplitFactor: LOD_CONFIG.lodSplitFactor,
+	lodHysteresis: LOD_CONFIG.lodHysteresis,
+	minTileSize: LOD_CONFIG.minTileSize,
+	rootSize: LOD_CONFIG.rootSize,
+	tileResolution: LOD_CONFIG.tileResolution,
+	viewRange: LOD_CONFIG.viewRange,
+	lodMorphRange: LOD_CONFIG.lodMorphRange,
+	lodMode: LOD_CONFIG.lodMode,
+	lodPixelError: LOD_CONFIG.lodPixelError,
+	tileCacheSize: LOD_CONFIG.tileCacheSize,
 
 	// Computed LOD value - maximum quadtree depth (root node LOD level)
 	// LOD 0 is highest resolution (smallest tiles)
@@ -113,12 +214,28 @@ const useTerrainStore = create((set, get) => ({
 	setMaxMountainHeight: (height) => set({ maxMountainHeight: height }),
 	setSpawnRadius: (radius) => set({ spawnRadius: radius }),
 	setSpawnTransitionRadius: (radius) => set({ spawnTransitionRadius: radius }),
+	setErosionEnabled: (enabled) => set({ erosionEnabled: enabled }),
+	setErosionIterations: (iterations) => set({ erosionIterations: iterations }),
+	setErosionRate: (rate) => set({ erosionRate: rate }),
+	setDepositionRate: (rate) => set({ depositionRate: rate }),
+	setTalusAngle: (angle) => set({ talusAngle: angle }),
+	setRiversEnabled: (enabled) => set({ riversEnabled: enabled }),
+	setRiverCount: (count) => set({ riverCount: count }),
+	setRiverWidth: (width) => set({ riverWidth: width }),
+	setRiverDepth: (depth) => set({ riverDepth: depth }),
+	setLakesEnabled: (enabled) => set({ lakesEnabled: enabled }),
+	setLakeMinDepth: (depth) => set({ lakeMinDepth: depth }),
+	setWaterBodies: (bodies) => set({ waterBodies: bodies }),
 	setLodSplitFactor: (factor) => set({ lodSplitFactor: factor }),
 	setLodHysteresis: (hysteresis) => set({ lodHysteresis: hysteresis }),
 	setMinTileSize: (size) => set({ minTileSize: size }),
 	setRootSize: (size) => set({ rootSize: size }),
 	setTileResolution: (resolution) => set({ tileResolution: resolution }),
 	setViewRange: (range) => set({ viewRange: range }),
+	setLodMorphRange: (range) => set({ lodMorphRange: range }),
+	setLodMode: (mode) => set({ lodMode: mode }),
+	setLodPixelError: (error) => set({ lodPixelError: error }),
+	setTileCacheSize: (size) => set({ tileCacheSize: size }),
 	setLayers: (layers) => set({ layers }),
 
 	// ========================================
@@ -146,6 +263,7 @@ const useTerrainStore = create((set, get) => ({
 	waterMaxVisibleDepth: desertPreset.waterMaxVisibleDepth,
 	waterEdgeFadeDistance: desertPreset.waterEdgeFadeDistance,
 	waterColor: desertPreset.waterColor,
+	waterWaves: desertPreset.waterWaves,
 
 	setWaterLevel: (level) => set({ waterLevel: level }),
 	setWaterMaxDepth: (depth) => set({ waterMaxDepth: depth }),
@@ -154,6 +272,7 @@ const useTerrainStore = create((set, get) => ({
 	setWaterMaxVisibleDepth: (depth) => set({ waterMaxVisibleDepth: depth }),
 	setWaterEdgeFadeDistance: (distance) => set({ waterEdgeFadeDistance: distance }),
 	setWaterColor: (color) => set({ waterColor: color }),
+	setWaterWaves: (waves) => set({ waterWaves: waves }),
 
 	// ========================================
 	// PRESET APPLICATION
@@ -171,6 +290,24 @@ const useTerrainStore = create((set, get) => ({
 		if (preset.sunColor !== undefined) updates.sunColor = preset.sunColor
 		if (preset.skyColorZenith !== undefined) updates.skyColorZenith = preset.skyColorZenith
 		if (preset.skyColorHorizon !== undefined) updates.skyColorHorizon = preset.skyColorHorizon
+		if (preset.skyModel !== undefined) updates.skyModel = preset.skyModel
+		if (preset.skyTurbidity !== undefined) updates.skyTurbidity = preset.skyTurbidity
+		if (preset.skyGroundAlbedo !== undefined) updates.skyGroundAlbedo = preset.skyGroundAlbedo
+		if (preset.cloudsEnabled !== undefined) updates.cloudsEnabled = preset.cloudsEnabled
+		if (preset.cloudType !== undefined) updates.cloudType = preset.cloudType
+		if (preset.cloudCoverage !== undefined) updates.cloudCoverage = preset.cloudCoverage
+		if (preset.cloudDensity !== undefined) updates.cloudDensity = preset.cloudDensity
+		if (preset.cloudAltitude !== undefined) updates.cloudAltitude = preset.cloudAltitude
+		if (preset.cloudWindDirection !== undefined) updates.cloudWindDirection = preset.cloudWindDirection
+		if (preset.cloudWindSpeed !== undefined) updates.cloudWindSpeed = preset.cloudWindSpeed
+		if (preset.timeOfDay !== undefined) updates.timeOfDay = preset.timeOfDay
+		if (preset.dayOfYear !== undefined) updates.dayOfYear = preset.dayOfYear
+		if (preset.latitude !== undefined) updates.latitude = preset.latitude
+		updates.daylight = {
+			sunColor: updates.sunColor ?? get().daylight.sunColor,
+			skyColorZenith: updates.skyColorZenith ?? get().daylight.skyColorZenith,
+			skyColorHorizon: updates.skyColorHorizon ?? get().daylight.skyColorHorizon,
+		}
 
 		// Terrain
 		if (preset.seed !== undefined) updates.seed = preset.seed
@@ -181,6 +318,18 @@ const useTerrainStore = create((set, get) => ({
 		if (preset.maxMountainHeight !== undefined) updates.maxMountainHeight = preset.maxMountainHeight
 		if (preset.spawnRadius !== undefined) updates.spawnRadius = preset.spawnRadius
 		if (preset.spawnTransitionRadius !== undefined) updates.spawnTransitionRadius = preset.spawnTransitionRadius
+		if (preset.erosionEnabled !== undefined) updates.erosionEnabled = preset.erosionEnabled
+		if (preset.erosionIterations !== undefined) updates.erosionIterations = preset.erosionIterations
+		if (preset.erosionRate !== undefined) updates.erosionRate = preset.erosionRate
+		if (preset.depositionRate !== undefined) updates.depositionRate = preset.depositionRate
+		if (preset.talusAngle !== undefined) updates.talusAngle = preset.talusAngle
+		if (preset.riversEnabled !== undefined) updates.riversEnabled = preset.riversEnabled
+		if (preset.riverCount !== undefined) updates.riverCount = preset.riverCount
+		if (preset.riverWidth !== undefined) updates.riverWidth = preset.riverWidth
+		if (preset.riverDepth !== undefined) updates.riverDepth = preset.riverDepth
+		if (preset.lakesEnabled !== undefined) updates.lakesEnabled = preset.lakesEnabled
+		if (preset.lakeMinDepth !== undefined) updates.lakeMinDepth = preset.lakeMinDepth
+		if (preset.waterBodies !== undefined) updates.waterBodies = preset.waterBodies
 		if (preset.layers !== undefined) updates.layers = preset.layers
 
 		// Vegetation
@@ -196,6 +345,7 @@ const useTerrainStore = create((set, get) => ({
 		if (preset.waterMaxVisibleDepth !== undefined) updates.waterMaxVisibleDepth = preset.waterMaxVisibleDepth
 		if (preset.waterEdgeFadeDistance !== undefined) updates.waterEdgeFadeDistance = preset.waterEdgeFadeDistance
 		if (preset.waterColor !== undefined) updates.waterColor = preset.waterColor
+		if (preset.waterWaves !== undefined) updates.waterWaves = preset.waterWaves
 
 		set(updates)
 	},
@@ -0,0 +1,58 @@
+import { describe, it, expect, vi } from 'vitest'
+import { Group, Mesh, MeshBasicMaterial, MeshStandardMaterial, PerspectiveCamera, PlaneGeometry, Scene } from 'three'
+
+import { CascadedShadows } from '../utils/sky/cascadedShadows'
+
+const geometry = new PlaneGeometry()
+
+const createShadows = () => {
+	const scene = new Scene()
+	const camera = new PerspectiveCamera(60, 16 / 9, 1, 1000)
+	return { scene, shadows: new CascadedShadows({ camera, parent: scene }) }
+}
+
+describe('CascadedShadows', () => {
+	it('sets up lit materials in the scene and in objects added to it later', () => {
+		const { scene, shadows } = createShadows()
+		const existing = new MeshStandardMaterial()
+		scene.add(new Mesh(geometry, existing))
+		shadows.setupScene(scene)
+
+		const added = new MeshStandardMaterial()
+		const unlit = new MeshBasicMaterial()
+		const group = new Group()
+		group.add(new Mesh(geometry, [added, unlit]))
+		scene.add(group)
+
+		const nested = new MeshStandardMaterial()
+		group.add(new Mesh(geometry, nested))
+
+		expect([...shadows.originalCompile.keys()]).toEqual([existing, added, nested])
+	})
+
+	it('only searches the scene once', () => {
+		const { scene, shadows } = createShadows()
+		shadows.setupScene(scene)
+		const traverse = vi.spyOn(scene, 'traverse')
+
+		shadows.setupScene(scene)
+
+		expect(traverse).not.toHaveBeenCalled()
+	})
+
+	it('stops watching removed objects and the scene once disposed', () => {
+		const { scene, shadows } = createShadows()
+		shadows.setupScene(scene)
+		const group = new Group()
+		scene.add(group)
+		scene.remove(group)
+		group.add(new Mesh(geometry, new MeshStandardMaterial()))
+		expect(shadows.originalCompile.size).toBe(0)
+
+		shadows.dispose()
+		scene.add(new Mesh(geometry, new MeshStandardMaterial()))
+
+		expect(shadows.originalCompile.size).toBe(0)
+		expect(shadows.watched.size).toBe(0)
+	})
+})
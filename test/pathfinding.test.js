@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest'
+
+import { findPath } from '../utils/terrain/pathfinding'
+
+// Terrain queries over a height function, with water wherever isWater says
+const createTerrain = ({ getHeight = () => 0, isWater = () => false } = {}) => ({
+	getHeight,
+	getNormal: (x, z, target) => {
+		const dx = getHeight(x + 0.01, z) - getHeight(x - 0.01, z)
+		const dz = getHeight(x, z + 0.01) - getHeight(x, z - 0.01)
+		return target.set(-dx, 0.02, -dz).normalize()
+	},
+	isWater,
+	isRiver: () => false,
+})
+
+// A lake across the straight line from (0, 0) to (40, 0)
+const inLake = (x, z) => x > 15 && x < 25 && Math.abs(z) < 20
+
+const getLength = (path) => path.slice(1).reduce((length, point, index) => length + point.distanceTo(path[index]), 0)
+
+describe('findPath', () => {
+	it('walks straight across flat ground', () => {
+		const path = findPath(createTerrain(), { x: 0, z: 0 }, { x: 40, z: 0 })
+
+		expect(path[0]).toMatchObject({ x: 0, y: 0, z: 0 })
+		expect(path.at(-1)).toMatchObject({ x: 40, y: 0, z: 0 })
+		expect(getLength(path)).toBeCloseTo(40)
+	})
+
+	it('keeps points at most cellSize apart and drapes them on the surface', () => {
+		const getHeight = (x, z) => Math.sin(x * 0.05) + Math.cos(z * 0.05)
+		const path = findPath(createTerrain({ getHeight }), { x: 0, z: 0 }, { x: 30, z: 25 }, { cellSize: 2 })
+
+		for (let k = 1; k < path.length; k++) {
+			const dx = path[k].x - path[k - 1].x
+			const dz = path[k].z - path[k - 1].z
+			expect(Math.hypot(dx, dz)).toBeLessThanOrEqual(2 + 1e-9)
+			expect(path[k].y).toBeCloseTo(getHeight(path[k].x, path[k].z))
+		}
+	})
+
+	it('goes around water', () => {
+		const path = findPath(createTerrain({ isWater: inLake }), { x: 0, z: 0 }, { x: 40, z: 0 })
+
+		expect(path.at(-1)).toMatchObject({ x: 40, z: 0 })
+		expect(path.some((point) => inLake(point.x, point.z))).toBe(false)
+		expect(path.some((point) => Math.abs(point.z) >= 20)).toBe(true)
+		expect(getLength(path)).toBeGreaterThan(40)
+	})
+
+	it('wades through water when avoidWater is off', () => {
+		const path = findPath(createTerrain({ isWater: inLake }), { x: 0, z: 0 }, { x: 40, z: 0 }, { avoidWater: false, waterCost: 1 })
+
+		expect(path.some((point) => inLake(point.x, point.z))).toBe(true)
+		expect(getLength(path)).toBeCloseTo(40)
+	})
+
+	it('returns null when the goal is in water', () => {
+		expect(findPath(createTerrain({ isWater: inLake }), { x: 0, z: 0 }, { x: 20, z: 0 })).toBeNull()
+	})
+
+	it('returns null when slopes steeper than maxSlope block every route', () => {
+		// A cliff across the whole world between x = 15 and x = 25
+		const getHeight = (x) => Math.min(Math.max(x - 15, 0), 10) * 5
+		const path = findPath(createTerrain({ getHeight }), { x: 0, z: 0 }, { x: 40, z: 0 }, { maxIterations: 2000 })
+
+		expect(path).toBeNull()
+	})
+
+	it('climbs slopes within maxSlope', () => {
+		const getHeight = (x) => Math.min(Math.max(x - 15, 0), 10) * 0.5
+		const path = findPath(createTerrain({ getHeight }), { x: 0, z: 0 }, { x: 40, z: 0 })
+
+		expect(path.at(-1).y).toBeCloseTo(5)
+	})
+
+	it('finds the same path every time', () => {
+		const terrain = createTerrain({ isWater: inLake })
+		const first = findPath(terrain, { x: 0, z: 0 }, { x: 40, z: 0 })
+		const second = findPath(terrain, { x: 0, z: 0 }, { x: 40, z: 0 })
+
+		expect(second).toEqual(first)
+	})
+})
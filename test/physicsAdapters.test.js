@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest'
+
+import { createHeadlessPhysicsAdapter } from '../utils/physics/physicsAdapters'
+import { buildHeightfieldData } from '../utils/physics/terrainColliders'
+
+// 2 x 2 cell heightfield centred on (10, 10) with corners at 0 and a peak of 4 in the middle
+const heightfield = {
+	centerX: 10,
+	centerZ: 10,
+	size: 20,
+	resolution: 2,
+	heights: new Float32Array([0, 0, 0, 0, 4, 0, 0, 0, 0]),
+}
+
+describe('createHeadlessPhysicsAdapter', () => {
+	it('reports heightfield heights at grid points and interpolates between them', () => {
+		const adapter = createHeadlessPhysicsAdapter()
+		adapter.addHeightfield(heightfield)
+
+		expect(adapter.getHeight(10, 10)).toBeCloseTo(4)
+		expect(adapter.getHeight(0, 0)).toBeCloseTo(0)
+		expect(adapter.getHeight(20, 20)).toBeCloseTo(0)
+		expect(adapter.getHeight(5, 10)).toBeCloseTo(2)
+		expect(adapter.getHeight(10, 15)).toBeCloseTo(2)
+	})
+
+	it('returns null outside every heightfield', () => {
+		const adapter = createHeadlessPhysicsAdapter()
+		adapter.addHeightfield(heightfield)
+
+		expect(adapter.getHeight(-1, 10)).toBeNull()
+		expect(adapter.getHeight(10, 21)).toBeNull()
+	})
+
+	it('forgets removed colliders', () => {
+		const adapter = createHeadlessPhysicsAdapter()
+		const handle = adapter.addHeightfield(heightfield)
+		const cylinder = adapter.addCylinder({ x: 0, y: 0, z: 0, radius: 1, height: 2 })
+
+		adapter.remove(handle)
+		adapter.remove(cylinder)
+
+		expect(adapter.getHeight(10, 10)).toBeNull()
+		expect(adapter.intersectsCylinder(0, 0)).toBe(false)
+		expect(adapter.heightfields.size).toBe(0)
+		expect(adapter.cylinders.size).toBe(0)
+	})
+
+	it('intersects circles with cylinders', () => {
+		const adapter = createHeadlessPhysicsAdapter()
+		adapter.addCylinder({ x: 5, y: 0, z: 5, radius: 1, height: 3 })
+
+		expect(adapter.intersectsCylinder(5, 5)).toBe(true)
+		expect(adapter.intersectsCylinder(5.9, 5)).toBe(true)
+		expect(adapter.intersectsCylinder(6.5, 5)).toBe(false)
+		expect(adapter.intersectsCylinder(6.5, 5, 0.6)).toBe(true)
+	})
+
+	it('matches the terrain at the grid points of a heightfield built from it', () => {
+		const terrain = { getHeight: (x, z) => Math.sin(x * 0.1) * 10 + z * 0.5 }
+		const node = { centerX: 32, centerZ: -32, size: 64 }
+		const adapter = createHeadlessPhysicsAdapter()
+		adapter.addHeightfield(buildHeightfieldData(node, terrain, 16))
+
+		for (let j = 0; j <= 16; j++) {
+			for (let i = 0; i <= 16; i++) {
+				const x = i * 4
+				const z = -64 + j * 4
+				expect(adapter.getHeight(x, z)).toBeCloseTo(terrain.getHeight(x, z), 4)
+			}
+		}
+	})
+})
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest'
+import { PerspectiveCamera } from 'three'
+
+import { LOD_CONFIG } from '../config/lod'
+import { updateQuadtreeRoots, createLodView } from '../utils/terrain/quadtree'
+
+const settings = { ...LOD_CONFIG, lodMode: 'screenSpace', viewRange: 0 }
+const getHeight = (x, z) => Math.sin(x * 0.004) * 200 + Math.cos(z * 0.003) * 150
+const viewportHeight = 1080
+
+// Leaf keys after refining for a camera at a position, looking at a target
+const update = (roots, position, target) => {
+	const camera = new PerspectiveCamera(60, 16 / 9, 1, 20000)
+	camera.position.set(position.x, position.y, position.z)
+	camera.lookAt(target.x, target.y, target.z)
+	const leaves = updateQuadtreeRoots(roots, camera.position, settings, createLodView(camera, viewportHeight, getHeight))
+	return leaves.map(({ node }) => node)
+}
+
+describe('updateQuadtreeRoots in screenSpace mode', () => {
+	const position = { x: 2048, y: 400, z: 2048 }
+	const ahead = { x: 4096, y: 0, z: 2048 }
+	const behind = { x: 0, y: 0, z: 2048 }
+
+	it('keeps the detail of nodes that leave the view when the camera turns', () => {
+		const roots = new Map()
+		const refined = update(roots, position, ahead).filter((node) => node.centerX > position.x + node.size && node.size < settings.rootSize / 4)
+		expect(refined.length).toBeGreaterThan(0)
+
+		const keys = new Set(update(roots, position, behind).map((node) => node.key))
+
+		expect(refined.every((node) => keys.has(node.key))).toBe(true)
+	})
+
+	it('merges nodes out of view once their error is small enough', () => {
+		const roots = new Map()
+		const near = update(roots, position, ahead)
+		const far = update(roots, { ...position, y: 15000 }, { ...behind, y: 20000 })
+
+		expect(far.length).toBeLessThan(near.length)
+	})
+})
@@ -0,0 +1,94 @@
+import { describe, it, expect, afterEach } from 'vitest'
+
+import { RIVER_CONFIG } from '../config/water'
+import { LOD_CONFIG } from '../config/lod'
+import mountain from '../presets/mountain'
+import { createHeightSampler } from '../utils/terrain/heightmap'
+import { createRiverNetwork } from '../utils/terrain/rivers'
+
+const config = { ...mountain, ...LOD_CONFIG, riversEnabled: false, erosionEnabled: false }
+const sampleHeight = createHeightSampler(config)
+const { rootSize } = config
+
+// Rivers passing through a root tile
+const getTileRivers = (network, regionX, regionZ) =>
+	network.getRivers(regionX * rootSize, regionZ * rootSize, (regionX + 1) * rootSize, (regionZ + 1) * rootSize)
+
+// Carved heights along and beside the given rivers' paths
+const sampleCarve = (network, rivers) =>
+	rivers.flatMap(({ points }) =>
+		points.filter((_, index) => index % 8 === 0).map(({ x, z }) => [network.carve(x, z, 10), network.carve(x + 3, z - 3, 10)])
+	)
+
+describe('createRiverNetwork', () => {
+	const { maxCachedRegions } = RIVER_CONFIG
+
+	afterEach(() => {
+		RIVER_CONFIG.maxCachedRegions = maxCachedRegions
+	})
+
+	it('traces the same rivers from the same seed', () => {
+		const rivers = getTileRivers(createRiverNetwork(sampleHeight, config), 0, 0)
+
+		expect(rivers.length).toBeGreaterThan(0)
+		expect(getTileRivers(createRiverNetwork(sampleHeight, config), 0, 0)).toEqual(rivers)
+	})
+
+	it('does not depend on the order tiles are queried in', () => {
+		const first = createRiverNetwork(sampleHeight, config)
+		const second = createRiverNetwork(sampleHeight, config)
+		getTileRivers(second, 2, 2)
+
+		expect(getTileRivers(second, 0, 0)).toEqual(getTileRivers(first, 0, 0))
+		expect(getTileRivers(second, 2, 2)).toEqual(getTileRivers(first, 2, 2))
+	})
+
+	it('traces evicted tiles again identically', () => {
+		const reference = createRiverNetwork(sampleHeight, config)
+		const rivers = getTileRivers(reference, 0, 0)
+
+		RIVER_CONFIG.maxCachedRegions = 1
+		const network = createRiverNetwork(sampleHeight, config)
+		getTileRivers(network, 0, 0)
+		getTileRivers(network, 2, 2)
+		getTileRivers(network, -2, -1)
+
+		expect(getTileRivers(network, 0, 0)).toEqual(rivers)
+		expect(sampleCarve(network, rivers)).toEqual(sampleCarve(reference, rivers))
+	})
+
+	it('traces different rivers from another seed', () => {
+		const rivers = getTileRivers(createRiverNetwork(sampleHeight, config), 0, 0)
+		const reseeded = { ...config, seed: config.seed + 1 }
+
+		expect(getTileRivers(createRiverNetwork(createHeightSampler(reseeded), reseeded), 0, 0)).not.toEqual(rivers)
+	})
+
+	it('traces each source once while indexing the tiles around it at the smallest root size', () => {
+		const smallConfig = { ...config, rootSize: 1024 }
+		let samples = 0
+		const countingSampler = (x, z) => {
+			samples++
+			return sampleHeight(x, z)
+		}
+		const network = createRiverNetwork(countingSampler, smallConfig)
+
+		// Indexing a tile traces the sources of every tile rivers can reach it from; indexing its
+		// diagonal neighbour as well must not evict them
+		network.carve(512, 512, 10)
+		network.carve(1536, 1536, 10)
+		samples = 0
+		network.getRivers(0, 0, 1023, 1023)
+
+		expect(samples).toBe(0)
+	})
+
+	it('only ever lowers the terrain', () => {
+		const network = createRiverNetwork(sampleHeight, config)
+		const rivers = getTileRivers(network, 0, 0)
+
+		const carved = sampleCarve(network, rivers).flat()
+		expect(carved.every((height) => height <= 10)).toBe(true)
+		expect(carved.some((height) => height < 10)).toBe(true)
+	})
+})
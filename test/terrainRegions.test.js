@@ -0,0 +1,111 @@
+import { describe, it, expect, vi } from 'vitest'
+
+import { EROSION_CONFIG } from '../config/erosion'
+import { LOD_CONFIG } from '../config/lod'
+import mountain from '../presets/mountain'
+import { createHeightSampler } from '../utils/terrain/heightmap'
+import { createTerrainQueries } from '../utils/terrain/terrainQueries'
+import { TerrainPhysics } from '../utils/physics/terrainPhysics'
+import { createHeadlessPhysicsAdapter } from '../utils/physics/physicsAdapters'
+import { getRiverNetwork } from '../utils/terrain/rivers'
+import { createTerrainRegions } from '../utils/terrain/terrainRegions'
+
+const config = { ...mountain, ...LOD_CONFIG, riversEnabled: false, lakesEnabled: false, erosionEnabled: false }
+const erodedConfig = { ...config, erosionEnabled: true }
+const riverConfig = { ...config, riversEnabled: true }
+const sampleBaseHeight = createHeightSampler(config)
+
+// Centre of root tile (1, 1): one erosion region, no cross-fade
+const x = 1.5 * config.rootSize
+const z = 1.5 * config.rootSize
+
+// Loads regions exported by a simulating store, copied the way worker replies are
+const createLoader = (local) => vi.fn((kind, regionX, regionZ) => ({ promise: Promise.resolve(structuredClone(local.getRegion(kind, regionX, regionZ))), cancel: vi.fn() }))
+
+describe('createTerrainRegions', () => {
+	it('samples without erosion until its region loads, requesting it once', async () => {
+		const local = createTerrainRegions()
+		const sampleErodedHeight = createHeightSampler(erodedConfig, local)
+		const load = createLoader(local)
+		const remote = createTerrainRegions({ load })
+		const sampleHeight = createHeightSampler(erodedConfig, remote)
+
+		const { value, missing } = remote.track(() => [sampleHeight(x, z), sampleHeight(x + 1, z)])
+		expect(value).toEqual([sampleBaseHeight(x, z), sampleBaseHeight(x + 1, z)])
+		expect(missing).toEqual(['erosion:1,1'])
+		expect(load).toHaveBeenCalledTimes(1)
+
+		await remote.whenLoaded(missing)
+
+		expect(remote.track(() => sampleHeight(x, z))).toEqual({ value: sampleErodedHeight(x, z), missing: [] })
+		expect(sampleHeight(x, z)).not.toBe(sampleBaseHeight(x, z))
+	})
+
+	it('carves rivers once every source in reach has loaded', async () => {
+		const local = createTerrainRegions()
+		const sampleCarvedHeight = createHeightSampler(riverConfig, local)
+		const remote = createTerrainRegions({ load: createLoader(local) })
+		const sampleHeight = createHeightSampler(riverConfig, remote)
+
+		const [river] = getRiverNetwork(sampleCarvedHeight).getRivers(0, 0, config.rootSize, config.rootSize)
+		const { x: riverX, z: riverZ } = river.points[Math.floor(river.points.length / 2)]
+
+		const { value, missing } = remote.track(() => sampleHeight(riverX, riverZ))
+		expect(value).toBe(sampleBaseHeight(riverX, riverZ))
+		expect(missing.every((id) => id.startsWith('rivers:'))).toBe(true)
+
+		await remote.whenLoaded(missing)
+
+		expect(remote.track(() => sampleHeight(riverX, riverZ))).toEqual({ value: sampleCarvedHeight(riverX, riverZ), missing: [] })
+		expect(getRiverNetwork(sampleHeight).getRivers(0, 0, config.rootSize, config.rootSize)).toEqual(
+			getRiverNetwork(sampleCarvedHeight).getRivers(0, 0, config.rootSize, config.rootSize)
+		)
+	})
+
+	it('keeps the fallback for regions that fail to load', async () => {
+		const load = vi.fn(() => ({ promise: Promise.resolve(null), cancel: vi.fn() }))
+		const remote = createTerrainRegions({ load })
+		const sampleHeight = createHeightSampler(erodedConfig, remote)
+
+		await remote.whenLoaded(remote.track(() => sampleHeight(x, z)).missing)
+
+		expect(remote.track(() => sampleHeight(x, z))).toEqual({ value: sampleBaseHeight(x, z), missing: [] })
+		expect(load).toHaveBeenCalledTimes(1)
+	})
+
+	it('cancels pending loads when disposed and ignores their late results', async () => {
+		let resolve = null
+		const cancel = vi.fn()
+		const load = vi.fn(() => ({ promise: new Promise((settle) => (resolve = settle)), cancel }))
+		const remote = createTerrainRegions({ load })
+		const sampleHeight = createHeightSampler(erodedConfig, remote)
+
+		sampleHeight(x, z)
+		remote.dispose()
+		resolve(new Float32Array((EROSION_CONFIG.gridResolution + 1) ** 2).fill(1))
+		await Promise.resolve()
+
+		expect(cancel).toHaveBeenCalledTimes(1)
+		expect(sampleHeight(x, z)).toBe(sampleBaseHeight(x, z))
+		expect(load).toHaveBeenCalledTimes(2)
+	})
+
+	it('rebuilds physics colliders once the regions they were built without load', async () => {
+		const local = createTerrainRegions()
+		createHeightSampler(erodedConfig, local)
+		const remote = createTerrainRegions({ load: createLoader(local) })
+		const terrain = createTerrainQueries(createHeightSampler(erodedConfig, remote), erodedConfig, remote)
+		const adapter = createHeadlessPhysicsAdapter()
+		const physics = new TerrainPhysics(adapter, terrain)
+
+		physics.update({ x, z })
+		const fallback = adapter.getHeight(x, z)
+		expect(fallback).toBeCloseTo(sampleBaseHeight(x, z) * config.baseHeightScale)
+
+		await remote.whenLoaded(['erosion:1,1'])
+		physics.update({ x, z })
+
+		expect(adapter.getHeight(x, z)).toBeCloseTo(terrain.getHeight(x, z))
+		expect(adapter.getHeight(x, z)).not.toBeCloseTo(fallback)
+	})
+})
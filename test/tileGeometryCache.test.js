@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest'
+
+import { TileGeometryCache } from '../utils/terrain/tileGeometryCache'
+
+// Tile buffers totalling the given number of bytes
+const createTileData = (bytes) => ({
+	positions: new Uint8Array(bytes),
+	normals: new Uint8Array(0),
+	uvs: new Uint8Array(0),
+	morphs: new Uint8Array(0),
+	indices: new Uint8Array(0),
+})
+
+describe('TileGeometryCache', () => {
+	it('evicts the least recently used entries once over budget', () => {
+		const cache = new TileGeometryCache(300)
+		cache.set('a', createTileData(100))
+		cache.set('b', createTileData(100))
+		cache.set('c', createTileData(100))
+
+		// Using a makes b the oldest
+		expect(cache.get('a')).not.toBeNull()
+		cache.set('d', createTileData(100))
+
+		expect(cache.peek('b')).toBeNull()
+		expect(cache.peek('a')).not.toBeNull()
+		expect(cache.peek('c')).not.toBeNull()
+		expect(cache.peek('d')).not.toBeNull()
+		expect(cache.getStats()).toMatchObject({ entries: 3, bytes: 300, evictions: 1 })
+	})
+
+	it('peeks without counting the lookup or refreshing the entry', () => {
+		const cache = new TileGeometryCache(200)
+		cache.set('a', createTileData(100))
+		cache.set('b', createTileData(100))
+
+		expect(cache.peek('a')).not.toBeNull()
+		expect(cache.peek('missing')).toBeNull()
+		expect(cache.getStats()).toMatchObject({ hits: 0, misses: 0 })
+
+		// a is still the oldest
+		cache.set('c', createTileData(100))
+		expect(cache.peek('a')).toBeNull()
+		expect(cache.peek('b')).not.toBeNull()
+	})
+
+	it('counts hits and misses', () => {
+		const cache = new TileGeometryCache(1000)
+		cache.set('a', createTileData(10))
+		cache.get('a')
+		cache.get('a')
+		cache.get('b')
+
+		expect(cache.getStats()).toMatchObject({ hits: 2, misses: 1, hitRate: 2 / 3 })
+		cache.resetStats()
+		expect(cache.getStats()).toMatchObject({ hits: 0, misses: 0, hitRate: 0 })
+	})
+
+	it('replaces an entry stored again under the same key', () => {
+		const cache = new TileGeometryCache(1000)
+		cache.set('a', createTileData(100))
+		const data = createTileData(50)
+		cache.set('a', data)
+
+		expect(cache.get('a')).toBe(data)
+		expect(cache.getStats()).toMatchObject({ entries: 1, bytes: 50 })
+	})
+
+	it('skips entries larger than the whole budget', () => {
+		const cache = new TileGeometryCache(100)
+		cache.set('a', createTileData(50))
+		cache.set('huge', createTileData(101))
+
+		expect(cache.peek('huge')).toBeNull()
+		expect(cache.peek('a')).not.toBeNull()
+	})
+
+	it('evicts the oldest entries when the budget shrinks', () => {
+		const cache = new TileGeometryCache(300)
+		cache.set('a', createTileData(100))
+		cache.set('b', createTileData(100))
+		cache.set('c', createTileData(100))
+		cache.setMaxBytes(150)
+
+		expect(cache.peek('a')).toBeNull()
+		expect(cache.peek('b')).toBeNull()
+		expect(cache.peek('c')).not.toBeNull()
+		expect(cache.getStats()).toMatchObject({ entries: 1, bytes: 100, maxBytes: 150 })
+
+		cache.setMaxSize(1)
+		expect(cache.getStats().maxBytes).toBe(1024 * 1024)
+	})
+
+	it('counts water and river buffers towards the budget', () => {
+		const cache = new TileGeometryCache(1000)
+		cache.set('a', {
+			...createTileData(100),
+			water: { positions: new Uint8Array(40), normals: new Uint8Array(0), depths: new Uint8Array(10), indices: new Uint8Array(0) },
+			river: { positions: new Uint8Array(20), normals: new Uint8Array(0), uvs: new Uint8Array(0), indices: new Uint8Array(5) },
+		})
+
+		expect(cache.getStats().bytes).toBe(175)
+	})
+})
@@ -0,0 +1,189 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+
+import { LOD_CONFIG } from '../config/lod'
+import mountain from '../presets/mountain'
+import { createHeightSampler } from '../utils/terrain/heightmap'
+import { createTerrainRegions } from '../utils/terrain/terrainRegions'
+import { TileWorkerPool } from '../utils/terrain/tileWorkerPool'
+
+const config = { ...mountain, ...LOD_CONFIG, riversEnabled: false, lakesEnabled: false, erosionEnabled: false }
+const node = { size: 64, centerX: 32, centerZ: 32 }
+const options = { tileResolution: 8 }
+
+const edge = { needsStitch: false, neighborStep: node.size / options.tileResolution }
+const edgeStitchInfo = { north: edge, south: edge, east: edge, west: edge }
+
+// Stands in for Web Workers: records posted messages, replies are driven by the tests
+class FakeWorker {
+	static instances = []
+
+	constructor() {
+		this.messages = []
+		this.terminated = false
+		FakeWorker.instances.push(this)
+	}
+
+	postMessage(message) {
+		this.messages.push(message)
+	}
+
+	terminate() {
+		this.terminated = true
+	}
+
+	// Messages of one type, in the order they were posted
+	sent(type) {
+		return this.messages.filter((message) => message.type === type)
+	}
+
+	// Reply to the last job posted to this worker
+	reply(data) {
+		const { id } = this.messages.findLast((message) => message.id !== undefined)
+		this.onmessage({ data: { id, ...data } })
+	}
+}
+
+const createWorkerPool = (size) => {
+	FakeWorker.instances = []
+	vi.stubGlobal('Worker', FakeWorker)
+	return new TileWorkerPool(size)
+}
+
+describe('TileWorkerPool', () => {
+	afterEach(() => {
+		vi.unstubAllGlobals()
+		vi.restoreAllMocks()
+	})
+
+	it('builds on the main thread where workers are unavailable', async () => {
+		vi.stubGlobal('Worker', undefined)
+		const pool = new TileWorkerPool(2)
+
+		const tile = await pool.request(config, node, edgeStitchInfo, options).promise
+
+		expect(pool.supported).toBe(false)
+		expect(tile.positions.length).toBe((options.tileResolution + 1) ** 2 * 3)
+	})
+
+	it('simulates regions on the main thread where workers are unavailable', async () => {
+		vi.stubGlobal('Worker', undefined)
+		const pool = new TileWorkerPool(1)
+		const riverConfig = { ...config, riversEnabled: true }
+
+		const paths = await pool.requestRegion(riverConfig, 'rivers', 0, 0).promise
+
+		const regions = createTerrainRegions()
+		createHeightSampler(riverConfig, regions)
+
+		expect(paths.length).toBeGreaterThan(0)
+		expect(paths).toEqual(regions.getRegion('rivers', 0, 0))
+	})
+
+	it('resolves null when a build fails on the main thread', async () => {
+		vi.stubGlobal('Worker', undefined)
+		vi.spyOn(console, 'error').mockImplementation(() => {})
+		const pool = new TileWorkerPool(1)
+
+		expect(await pool.request(config, node, edgeStitchInfo, null).promise).toBeNull()
+		expect(console.error).toHaveBeenCalled()
+	})
+
+	it('resolves cancelled jobs with null and discards their late results', async () => {
+		const pool = createWorkerPool(1)
+		const running = pool.request(config, node, edgeStitchInfo, options)
+		const queued = pool.request(config, { ...node, centerX: 96 }, edgeStitchInfo, options)
+		const [worker] = FakeWorker.instances
+
+		running.cancel()
+		queued.cancel()
+		worker.reply({ result: { positions: [] } })
+
+		expect(await running.promise).toBeNull()
+		expect(await queued.promise).toBeNull()
+
+		// The queued job never reached the worker
+		expect(worker.sent('build')).toHaveLength(1)
+		expect(pool.idleWorkers).toEqual([worker])
+	})
+
+	it('resolves with the worker result', async () => {
+		const pool = createWorkerPool(1)
+		const { promise } = pool.request(config, node, edgeStitchInfo, options)
+		const result = { positions: new Float32Array(3) }
+		FakeWorker.instances[0].reply({ result })
+
+		expect(await promise).toBe(result)
+	})
+
+	it('falls back to the main thread when a worker job fails', async () => {
+		vi.spyOn(console, 'error').mockImplementation(() => {})
+		const pool = createWorkerPool(1)
+		const { promise } = pool.request(config, node, edgeStitchInfo, options)
+		const [worker] = FakeWorker.instances
+		worker.reply({ error: 'out of memory' })
+
+		expect((await promise).positions.length).toBe((options.tileResolution + 1) ** 2 * 3)
+		expect(pool.idleWorkers).toEqual([worker])
+	})
+
+	it('falls back to the main thread when a worker errors, and idles it once', async () => {
+		vi.spyOn(console, 'error').mockImplementation(() => {})
+		const pool = createWorkerPool(1)
+		const buildSync = vi.spyOn(pool, 'buildSync')
+		const { promise } = pool.request(config, node, edgeStitchInfo, options)
+		const [worker] = FakeWorker.instances
+		worker.onerror({ message: 'script error' })
+		worker.onerror({ message: 'script error' })
+
+		expect((await promise).positions.length).toBe((options.tileResolution + 1) ** 2 * 3)
+		expect(buildSync).toHaveBeenCalledTimes(1)
+		expect(pool.idleWorkers).toEqual([worker])
+	})
+
+	it('broadcasts a changed config to every worker before the next job', () => {
+		const pool = createWorkerPool(2)
+		pool.request(config, node, edgeStitchInfo, options)
+		pool.request(config, { ...node, centerX: 96 }, edgeStitchInfo, options)
+		const [first, second] = FakeWorker.instances
+
+		expect(first.messages.map(({ type }) => type)).toEqual(['config', 'build'])
+		expect(second.messages.map(({ type }) => type)).toEqual(['config', 'build'])
+
+		first.reply({ result: {} })
+		const changed = { ...config, seed: config.seed + 1 }
+		pool.request(changed, node, edgeStitchInfo, options)
+
+		expect(first.sent('config').map((message) => message.config)).toEqual([config, changed])
+		expect(second.sent('config').map((message) => message.config)).toEqual([config, changed])
+		expect(first.messages.at(-1).type).toBe('build')
+	})
+
+	it('posts an elevation dataset to each worker only once', () => {
+		const dataset = { width: 2, height: 2, data: new Float32Array(4) }
+		const datasetConfig = { ...config, heightSource: { type: 'dataset', dataset } }
+		const pool = createWorkerPool(2)
+		pool.request(datasetConfig, node, edgeStitchInfo, options)
+		pool.request(datasetConfig, { ...node, centerX: 96 }, edgeStitchInfo, options)
+		const [first, second] = FakeWorker.instances
+		first.reply({ result: {} })
+		second.reply({ result: {} })
+		pool.request({ ...datasetConfig, seed: config.seed + 1 }, node, edgeStitchInfo, options)
+
+		for (const worker of [first, second]) {
+			expect(worker.sent('dataset').map((message) => message.dataset)).toEqual([dataset])
+			expect(worker.sent('config')).toHaveLength(2)
+			expect(worker.sent('config').every((message) => message.config.heightSource.dataset === null)).toBe(true)
+		}
+	})
+
+	it('resolves pending jobs with null and terminates its workers when disposed', async () => {
+		const pool = createWorkerPool(1)
+		const running = pool.request(config, node, edgeStitchInfo, options)
+		const queued = pool.request(config, { ...node, centerX: 96 }, edgeStitchInfo, options)
+		pool.dispose()
+
+		expect(await running.promise).toBeNull()
+		expect(await queued.promise).toBeNull()
+		expect(FakeWorker.instances[0].terminated).toBe(true)
+	})
+})
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest'
+
+import { computeViewshed } from '../utils/terrain/viewshed'
+
+// Visibility of the cell containing a world position
+const isVisible = (viewshed, x, z) => {
+	const { centerX, centerZ, radius, resolution, cellSize, data } = viewshed
+	const i = Math.floor((x - (centerX - radius)) / cellSize)
+	const j = Math.floor((z - (centerZ - radius)) / cellSize)
+	return data[j * resolution + i] === 1
+}
+
+const flat = { getHeight: () => 0 }
+
+// A 20 unit high wall across the x axis at x = 20
+const walled = { getHeight: (x) => (x >= 20 && x < 22 ? 20 : 0) }
+
+describe('computeViewshed', () => {
+	it('sees everything within the radius on flat ground', () => {
+		const viewshed = computeViewshed(flat, { x: 0, z: 0 }, 50, { resolution: 50 })
+
+		expect(viewshed).toMatchObject({ centerX: 0, centerZ: 0, radius: 50, resolution: 50, cellSize: 2 })
+		expect(isVisible(viewshed, 0, 0)).toBe(true)
+		expect(isVisible(viewshed, 45, 0)).toBe(true)
+		expect(isVisible(viewshed, -30, 30)).toBe(true)
+		// Corners lie outside the radius
+		expect(isVisible(viewshed, 49, 49)).toBe(false)
+	})
+
+	it('hides terrain behind a wall', () => {
+		const viewshed = computeViewshed(walled, { x: 0, z: 0 }, 50, { resolution: 50 })
+
+		expect(isVisible(viewshed, 10, 0)).toBe(true)
+		expect(isVisible(viewshed, 20, 0)).toBe(true) // The wall itself
+		expect(isVisible(viewshed, 35, 0)).toBe(false)
+		expect(isVisible(viewshed, 45, 5)).toBe(false)
+		expect(isVisible(viewshed, -35, 0)).toBe(true)
+	})
+
+	it('sees over the wall from high enough', () => {
+		const low = computeViewshed(walled, { x: 0, z: 0 }, 50, { resolution: 50, observerHeight: 2 })
+		const high = computeViewshed(walled, { x: 0, z: 0 }, 50, { resolution: 50, observerHeight: 100 })
+
+		expect(isVisible(low, 45, 0)).toBe(false)
+		expect(isVisible(high, 45, 0)).toBe(true)
+	})
+
+	it('sees tall targets behind the wall', () => {
+		const viewshed = computeViewshed(walled, { x: 0, z: 0 }, 50, { resolution: 50, targetHeight: 40 })
+
+		expect(isVisible(viewshed, 45, 0)).toBe(true)
+	})
+
+	it('centres the grid on the observer', () => {
+		const viewshed = computeViewshed(walled, { x: 100, z: -40 }, 50, { resolution: 50 })
+
+		expect(viewshed).toMatchObject({ centerX: 100, centerZ: -40 })
+		expect(isVisible(viewshed, 140, -40)).toBe(true)
+		expect(isVisible(viewshed, 60, -40)).toBe(true)
+	})
+})
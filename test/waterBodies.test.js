@@ -0,0 +1,89 @@
+import { describe, it, expect, afterEach, vi } from 'vitest'
+
+import { LAKE_CONFIG } from '../config/water'
+import { LOD_CONFIG } from '../config/lod'
+import mountain from '../presets/mountain'
+import { createHeightSampler } from '../utils/terrain/heightmap'
+import { createWaterBodies } from '../utils/terrain/waterBodies'
+import { createTerrainRegions } from '../utils/terrain/terrainRegions'
+
+const config = { ...mountain, ...LOD_CONFIG, riversEnabled: false, erosionEnabled: false, lakesEnabled: true, lakeMinDepth: 1 }
+const sampleHeight = createHeightSampler(config)
+const { rootSize } = config
+
+// Lakes overlapping a root tile
+const getTileLakes = (bodies, regionX, regionZ) =>
+	bodies.getWaterBodies(regionX * rootSize, regionZ * rootSize, (regionX + 1) * rootSize, (regionZ + 1) * rootSize)
+
+// Water levels on a grid over a root tile
+const sampleLevels = (bodies, regionX, regionZ) => {
+	const levels = []
+	for (let j = 0; j < 32; j++) {
+		for (let i = 0; i < 32; i++) {
+			levels.push(bodies.getWaterLevel((regionX + (i + 0.5) / 32) * rootSize, (regionZ + (j + 0.5) / 32) * rootSize))
+		}
+	}
+	return levels
+}
+
+describe('createWaterBodies', () => {
+	const { maxCachedRegions } = LAKE_CONFIG
+
+	afterEach(() => {
+		LAKE_CONFIG.maxCachedRegions = maxCachedRegions
+	})
+
+	it('fills the same lakes from the same terrain, whatever the query order', () => {
+		const first = createWaterBodies(sampleHeight, config)
+		const lakes = getTileLakes(first, -1, 0)
+		const second = createWaterBodies(sampleHeight, config)
+		getTileLakes(second, -2, -1)
+
+		expect(lakes.length).toBeGreaterThan(0)
+		expect(getTileLakes(second, -1, 0)).toEqual(lakes)
+		expect(sampleLevels(second, -1, 0)).toEqual(sampleLevels(first, -1, 0))
+	})
+
+	it('fills evicted tiles again identically', () => {
+		const reference = createWaterBodies(sampleHeight, config)
+		const lakes = getTileLakes(reference, -1, 0)
+		const levels = sampleLevels(reference, -1, 0)
+
+		LAKE_CONFIG.maxCachedRegions = 1
+		const bodies = createWaterBodies(sampleHeight, config)
+		sampleLevels(bodies, -1, 0)
+		getTileLakes(bodies, -2, -1)
+
+		expect(getTileLakes(bodies, -1, 0)).toEqual(lakes)
+		expect(sampleLevels(bodies, -1, 0)).toEqual(levels)
+		expect(levels.some((level) => level > config.waterLevel)).toBe(true)
+	})
+
+	it('holds declared bodies at their level inside their radius', () => {
+		const declared = { x: 100, z: -200, radius: 50, level: config.waterLevel + 500 }
+		const bodies = createWaterBodies(sampleHeight, { ...config, lakesEnabled: false, waterBodies: [declared] })
+
+		expect(bodies.getWaterLevel(120, -200)).toBe(declared.level)
+		expect(bodies.getWaterBody(120, -200)).toMatchObject({ level: declared.level, declared: true })
+		expect(bodies.getWaterLevel(200, -200)).toBe(config.waterLevel)
+		expect(bodies.getWaterBodies(0, 0, 10, 10)).toEqual([])
+	})
+
+	it('reports the global water level until remote regions load, then their lakes', async () => {
+		const local = createTerrainRegions()
+		const reference = createWaterBodies(sampleHeight, config, local)
+		const load = vi.fn((kind, regionX, regionZ) => ({ promise: Promise.resolve(structuredClone(local.getRegion(kind, regionX, regionZ))), cancel: vi.fn() }))
+		const remote = createTerrainRegions({ load })
+		const bodies = createWaterBodies(sampleHeight, config, remote)
+
+		const { value: levels, missing } = remote.track(() => sampleLevels(bodies, -1, 0))
+		expect(levels.every((level) => level === config.waterLevel)).toBe(true)
+		expect(missing).toHaveLength(9)
+		expect(load).toHaveBeenCalledTimes(9)
+
+		await remote.whenLoaded(missing)
+
+		expect(remote.track(() => sampleLevels(bodies, -1, 0))).toEqual({ value: sampleLevels(reference, -1, 0), missing: [] })
+		expect(getTileLakes(bodies, -1, 0)).toEqual(getTileLakes(reference, -1, 0))
+	})
+})
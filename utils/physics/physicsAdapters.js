@@ -0,0 +1,153 @@
+// Physics adapters
+// Bridge engine-independent collider descriptions (see terrainColliders.js) to a physics engine.
+// Engines are passed in rather than imported, so none of them is a dependency of this package.
+//
+// An adapter is an object with:
+// - addHeightfield(heightfield) => handle, heightfield from buildHeightfieldData
+// - addCylinder(cylinder) => handle, cylinder { x, y, z, radius, height } standing at (x, y, z)
+// - remove(handle), removes a collider previously returned by either add method
+
+/**
+ * Adapter for Rapier (@dimforge/rapier3d or rapier3d-compat).
+ * Every collider gets its own fixed rigid body.
+ *
+ * @param {Object} RAPIER - The initialised Rapier module
+ * @param {Object} world - RAPIER.World colliders are added to
+ * @returns {Object} Physics adapter
+ */
+export const createRapierAdapter = (RAPIER, world) => ({
+	addHeightfield({ centerX, centerZ, size, resolution, heights }) {
+		// Rapier expects a column-major matrix with rows along Z and columns along X
+		const samples = resolution + 1
+		const columnMajor = new Float32Array(samples * samples)
+		for (let j = 0; j < samples; j++) {
+			for (let i = 0; i < samples; i++) {
+				columnMajor[i * samples + j] = heights[j * samples + i]
+			}
+		}
+
+		const body = world.createRigidBody(RAPIER.RigidBodyDesc.fixed().setTranslation(centerX, 0, centerZ))
+		world.createCollider(RAPIER.ColliderDesc.heightfield(resolution, resolution, columnMajor, { x: size, y: 1, z: size }), body)
+		return body
+	},
+
+	addCylinder({ x, y, z, radius, height }) {
+		const body = world.createRigidBody(RAPIER.RigidBodyDesc.fixed().setTranslation(x, y + height / 2, z))
+		world.createCollider(RAPIER.ColliderDesc.cylinder(height / 2, radius), body)
+		return body
+	},
+
+	remove(body) {
+		world.removeRigidBody(body)
+	},
+})
+
+/**
+ * Adapter for cannon-es. Every collider is a static (mass 0) body.
+ *
+ * @param {Object} CANNON - The cannon-es module
+ * @param {Object} world - CANNON.World bodies are added to
+ * @returns {Object} Physics adapter
+ */
+export const createCannonAdapter = (CANNON, world) => ({
+	addHeightfield({ centerX, centerZ, size, resolution, heights }) {
+		// cannon-es heightfields lie in the local XY plane as data[x][y]; rotating the body -90° about X
+		// turns local +Y into world -Z, so columns run from the +z edge towards -z
+		const samples = resolution + 1
+		const data = []
+		for (let i = 0; i < samples; i++) {
+			const column = new Array(samples)
+			for (let k = 0; k < samples; k++) {
+				column[k] = heights[(samples - 1 - k) * samples + i]
+			}
+			data.push(column)
+		}
+
+		const body = new CANNON.Body({ mass: 0 })
+		body.addShape(new CANNON.Heightfield(data, { elementSize: size / resolution }))
+		body.position.set(centerX - size / 2, 0, centerZ + size / 2)
+		body.quaternion.setFromEuler(-Math.PI / 2, 0, 0)
+		world.addBody(body)
+		return body
+	},
+
+	addCylinder({ x, y, z, radius, height }) {
+		const body = new CANNON.Body({ mass: 0 })
+		body.addShape(new CANNON.Cylinder(radius, radius, height, 8))
+		body.position.set(x, y + height / 2, z)
+		world.addBody(body)
+		return body
+	},
+
+	remove(body) {
+		world.removeBody(body)
+	},
+})
+
+/**
+ * Headless adapter that only records colliders, for tests and server-side simulation.
+ * Exposes the live heightfields and cylinders plus simple queries against them.
+ *
+ * @returns {Object} Physics adapter with heightfields, cylinders, getHeight(x, z) and intersectsCylinder(x, z, radius)
+ */
+export const createHeadlessPhysicsAdapter = () => {
+	const heightfields = new Set()
+	const cylinders = new Set()
+
+	return {
+		heightfields,
+		cylinders,
+
+		addHeightfield(heightfield) {
+			const handle = { ...heightfield }
+			heightfields.add(handle)
+			return handle
+		},
+
+		addCylinder(cylinder) {
+			const handle = { ...cylinder }
+			cylinders.add(handle)
+			return handle
+		},
+
+		remove(handle) {
+			heightfields.delete(handle)
+			cylinders.delete(handle)
+		},
+
+		/**
+		 * Collider surface height at a point (bilinear, matching the heightfield triangles at grid points).
+		 *
+		 * @returns {number|null} Height, or null where no heightfield is loaded
+		 */
+		getHeight(x, z) {
+			for (const { centerX, centerZ, size, resolution, heights } of heightfields) {
+				const gridX = ((x - centerX) / size + 0.5) * resolution
+				const gridZ = ((z - centerZ) / size + 0.5) * resolution
+				if (gridX < 0 || gridZ < 0 || gridX > resolution || gridZ > resolution) continue
+
+				const samples = resolution + 1
+				const i = Math.min(resolution - 1, Math.floor(gridX))
+				const j = Math.min(resolution - 1, Math.floor(gridZ))
+				const tx = gridX - i
+				const tz = gridZ - j
+				const index = j * samples + i
+				return (heights[index] * (1 - tx) + heights[index + 1] * tx) * (1 - tz) + (heights[index + samples] * (1 - tx) + heights[index + samples + 1] * tx) * tz
+			}
+			return null
+		},
+
+		/**
+		 * Check whether a circle on the ground overlaps any cylinder.
+		 *
+		 * @returns {boolean} True if a cylinder is within radius of (x, z)
+		 */
+		intersectsCylinder(x, z, radius = 0) {
+			for (const cylinder of cylinders) {
+				const reach = cylinder.radius + radius
+				if ((x - cylinder.x) ** 2 + (z - cylinder.z) ** 2 < reach * reach) return true
+			}
+			return false
+		},
+	}
+}
@@ -0,0 +1,66 @@
+// Terrain collider data
+// Engine-independent collider descriptions for terrain tiles and vegetation. Physics adapters
+// turn these into engine bodies (see physicsAdapters.js).
+
+import { generateVegetationForType } from '../terrain/vegetationGeneration'
+
+/**
+ * Sample a heightfield collider for a square tile.
+ *
+ * @param {Object} node - Tile with centerX, centerZ, size
+ * @param {Object} terrain - Terrain queries with getHeight (see createTerrainQueries)
+ * @param {number} resolution - Cells per side
+ * @returns {Object} Heightfield { centerX, centerZ, size, resolution, heights, minHeight, maxHeight } where heights is a
+ *   (resolution + 1)² Float32Array, row-major from -z to +z with columns from -x to +x
+ */
+export const buildHeightfieldData = (node, terrain, resolution) => {
+	const { centerX, centerZ, size } = node
+	const { getHeight } = terrain
+	const samples = resolution + 1
+	const step = size / resolution
+	const minX = centerX - size / 2
+	const minZ = centerZ - size / 2
+
+	const heights = new Float32Array(samples * samples)
+	let minHeight = Infinity
+	let maxHeight = -Infinity
+
+	for (let j = 0; j < samples; j++) {
+		for (let i = 0; i < samples; i++) {
+			const height = getHeight(minX + i * step, minZ + j * step)
+			heights[j * samples + i] = height
+			minHeight = Math.min(minHeight, height)
+			maxHeight = Math.max(maxHeight, height)
+		}
+	}
+
+	return { centerX, centerZ, size, resolution, heights, minHeight, maxHeight }
+}
+
+/**
+ * Collect cylinder colliders for the vegetation on a tile.
+ * Placement comes from generateVegetationForType, so colliders line up with the rendered instances.
+ *
+ * @param {Object} node - Tile with centerX, centerZ, size (aligned to the minTileSize grid)
+ * @param {Object} terrain - Terrain query functions
+ * @param {Array} vegetationTypes - Vegetation type configs (indices must match the rendered types)
+ * @param {number} [minTileSize] - Vegetation cell size (defaults to LOD_CONFIG.minTileSize)
+ * @returns {Array} Cylinders { x, y, z, radius, height } standing on the terrain at (x, y, z)
+ */
+export const buildVegetationColliders = (node, terrain, vegetationTypes, minTileSize) => {
+	const cylinders = []
+
+	vegetationTypes.forEach((config, typeIndex) => {
+		const { collider } = config
+		if (collider?.type !== 'cylinder') return
+
+		const matrices = generateVegetationForType(node, terrain, 0, config, typeIndex, minTileSize)
+		for (let i = 0; i < matrices.length; i++) {
+			const e = matrices[i].elements
+			const scale = Math.hypot(e[0], e[1], e[2])
+			cylinders.push({ x: e[12], y: e[13], z: e[14], radius: (collider.width * scale) / 2, height: collider.height * scale })
+		}
+	})
+
+	return cylinders
+}
@@ -0,0 +1,148 @@
+// Terrain physics
+// Streams heightfield and vegetation colliders for the tiles around a moving player into a
+// physics engine through an adapter (see physicsAdapters.js).
+
+import { PHYSICS_CONFIG } from '../../config/physics'
+import { buildHeightfieldData, buildVegetationColliders } from './terrainColliders'
+import { trackRegions } from '../terrain/terrainRegions'
+
+/**
+ * Keeps colliders loaded for a fixed grid of tiles around the player.
+ *
+ * Collider tiles are independent of the rendered quadtree, so physics detail doesn't change
+ * with camera distance. Tiles are added and removed only when the player enters a new tile.
+ * Tiles built before their terrain regions loaded (see createTerrainRegions) are rebuilt once they arrive.
+ *
+ * Usage:
+ *   const physics = new TerrainPhysics(createRapierAdapter(RAPIER, world), terrain, { vegetation })
+ *   // each frame
+ *   physics.update(player.position)
+ */
+export class TerrainPhysics {
+	/**
+	 * @param {Object} adapter - Physics adapter (createRapierAdapter, createCannonAdapter or createHeadlessPhysicsAdapter)
+	 * @param {Object} [terrain] - Terrain queries (see createTerrainQueries); can be set later with setTerrain
+	 * @param {Object} [options] - PHYSICS_CONFIG overrides plus:
+	 * @param {Array} [options.vegetation] - Vegetation type configs whose collider entries become cylinders
+	 * @param {number} [options.minTileSize] - Vegetation cell size (defaults to LOD_CONFIG.minTileSize)
+	 */
+	constructor(adapter, terrain = null, options = {}) {
+		this.adapter = adapter
+		this.terrain = terrain
+		this.options = { ...PHYSICS_CONFIG, vegetation: null, minTileSize: undefined, ...options }
+		this.tiles = new Map() // key -> { centerX, centerZ, heightfield, cylinders }
+		this.loadedKeys = new Set() // tiles whose missing regions have loaded since they were built
+		this.lastTileX = null
+		this.lastTileZ = null
+	}
+
+	/**
+	 * Add colliders for tiles that came into range of the position and remove those that left it.
+	 *
+	 * @param {Object} position - Player position { x, z }
+	 */
+	update(position) {
+		if (!this.terrain) return
+
+		this.loadedKeys.forEach((key) => {
+			const tile = this.tiles.get(key)
+			this.removeTile(tile)
+			this.tiles.set(key, this.createTile(key, tile.centerX, tile.centerZ))
+		})
+		this.loadedKeys.clear()
+
+		const { tileSize, radius } = this.options
+		const tileX = Math.floor(position.x / tileSize)
+		const tileZ = Math.floor(position.z / tileSize)
+		if (tileX === this.lastTileX && tileZ === this.lastTileZ) return
+		this.lastTileX = tileX
+		this.lastTileZ = tileZ
+
+		// Tiles whose nearest point is within radius of the current tile's centre
+		const range = Math.ceil(radius / tileSize)
+		const activeKeys = new Set()
+
+		for (let dz = -range; dz <= range; dz++) {
+			for (let dx = -range; dx <= range; dx++) {
+				const gapX = Math.max(0, Math.abs(dx) - 0.5) * tileSize
+				const gapZ = Math.max(0, Math.abs(dz) - 0.5) * tileSize
+				if (gapX * gapX + gapZ * gapZ > radius * radius) continue
+
+				const key = `${tileX + dx},${tileZ + dz}`
+				activeKeys.add(key)
+				if (!this.tiles.has(key)) {
+					this.tiles.set(key, this.createTile(key, (tileX + dx + 0.5) * tileSize, (tileZ + dz + 0.5) * tileSize))
+				}
+			}
+		}
+
+		for (const [key, tile] of this.tiles) {
+			if (!activeKeys.has(key)) {
+				this.removeTile(tile)
+				this.tiles.delete(key)
+				this.loadedKeys.delete(key)
+			}
+		}
+	}
+
+	/**
+	 * Switch to new terrain queries or options. All colliders are rebuilt on the next update.
+	 *
+	 * @param {Object} terrain - Terrain queries
+	 * @param {Object} [options] - Options merged over the current ones
+	 */
+	setTerrain(terrain, options = {}) {
+		this.clear()
+		this.terrain = terrain
+		this.options = { ...this.options, ...options }
+	}
+
+	/**
+	 * Remove every collider from the physics engine.
+	 */
+	clear() {
+		this.tiles.forEach((tile) => this.removeTile(tile))
+		this.tiles.clear()
+		this.loadedKeys.clear()
+		this.lastTileX = null
+		this.lastTileZ = null
+	}
+
+	dispose() {
+		this.clear()
+		this.terrain = null
+	}
+
+	createTile(key, centerX, centerZ) {
+		const { tileSize, tileResolution, vegetationColliders, vegetation, minTileSize } = this.options
+		const { terrain } = this
+		const node = { centerX, centerZ, size: tileSize }
+
+		const { value: colliders, missing } = trackRegions(terrain, () => ({
+			heightfield: buildHeightfieldData(node, terrain, tileResolution),
+			cylinders: vegetationColliders && vegetation ? buildVegetationColliders(node, terrain, vegetation, minTileSize) : [],
+		}))
+		const tile = {
+			centerX,
+			centerZ,
+			heightfield: this.adapter.addHeightfield(colliders.heightfield),
+			cylinders: colliders.cylinders.map((cylinder) => this.adapter.addCylinder(cylinder)),
+		}
+
+		// Colliders without the missing regions stand in until the next update after they load
+		if (missing.length > 0) {
+			terrain.regions.whenLoaded(missing).then(() => {
+				if (this.terrain === terrain && this.tiles.get(key) === tile) {
+					this.loadedKeys.add(key)
+				}
+			})
+		}
+
+		return tile
+	}
+
+	removeTile({ heightfield, cylinders }) {
+		this.adapter.remove(heightfield)
+		cylinders.forEach((cylinder) => this.adapter.remove(cylinder))
+	}
+}
@@ -0,0 +1,210 @@
+// Cascaded shadow maps
+// Splits the view frustum into cascades, each shadowed by its own directional light and shadow map, so
+// nearby trees stay sharp while distant mountains still shadow the valleys below them.
+// Built on three's CSM addon, adding a tunable split lambda, per-cascade map sizes and materials that keep
+// their own onBeforeCompile.
+
+import { Matrix4, Box3, Vector3, MathUtils } from 'three'
+import { CSM } from 'three/examples/jsm/csm/CSM.js'
+import { CSMFrustum } from 'three/examples/jsm/csm/CSMFrustum.js'
+
+import { SHADOW_CONFIG } from '../../config/sky'
+
+// Scratch objects for update
+const _cameraToLight = new Matrix4()
+const _lightOrientation = new Matrix4()
+const _lightOrientationInverse = new Matrix4()
+const _lightSpaceFrustum = new CSMFrustum({ webGL: true })
+const _bbox = new Box3()
+const _center = new Vector3()
+const _origin = new Vector3()
+const _up = new Vector3(0, 1, 0)
+
+/**
+ * Practical split scheme: a blend of even and logarithmic splits.
+ *
+ * @param {number} lambda - 0 = even splits, 1 = logarithmic (more resolution near the camera)
+ * @returns {Function} CSM customSplitsCallback
+ */
+const practicalSplits = (lambda) => (cascades, near, far, target) => {
+	for (let i = 1; i < cascades; i++) {
+		const uniform = near + ((far - near) * i) / cascades
+		const logarithmic = near * (far / near) ** (i / cascades)
+		target.push(MathUtils.lerp(uniform, logarithmic, lambda) / far)
+	}
+	target.push(1)
+}
+
+// Materials whose shaders run three's direct lighting (and so pick a cascade per fragment)
+const isLitMaterial = (material) => material.isMeshStandardMaterial || material.isMeshLambertMaterial || material.isMeshPhongMaterial || material.isMeshToonMaterial
+
+export class CascadedShadows extends CSM {
+	/**
+	 * @param {Object} options
+	 * @param {THREE.Camera} options.camera - View camera the cascades split
+	 * @param {THREE.Object3D} options.parent - Object the cascade lights are added to (usually the scene)
+	 * @param {Object} [options.tier] - Quality tier (see SHADOW_CONFIG.tiers), defaults to the high tier
+	 */
+	constructor({ camera, parent, tier = SHADOW_CONFIG.tiers.high }) {
+		const { cascades, lambda, mapSizes, maxDistance, fade } = tier
+		super({
+			camera,
+			parent,
+			cascades,
+			maxFar: maxDistance,
+			mode: 'custom',
+			customSplitsCallback: practicalSplits(lambda),
+			shadowMapSize: mapSizes[0],
+			shadowBias: SHADOW_CONFIG.bias,
+			lightMargin: SHADOW_CONFIG.lightMargin,
+			// Deep enough for the longest cascade seen edge-on, plus the margin behind it
+			lightFar: SHADOW_CONFIG.lightMargin + maxDistance * 2,
+		})
+
+		this.lights.forEach((light, i) => {
+			const size = mapSizes[Math.min(i, mapSizes.length - 1)]
+			light.shadow.mapSize.set(size, size)
+			light.shadow.radius = SHADOW_CONFIG.radius
+		})
+
+		// Cascade blending widens the shadow cameras, so the frustums are rebuilt with it on
+		this.fade = fade
+		this.updateFrustums()
+
+		// onBeforeCompile and customProgramCacheKey of each set up material, restored on dispose
+		this.originalCompile = new Map()
+
+		// Objects whose added children are set up as they arrive (see setupScene)
+		this.watched = new Set()
+		this.onChildAdded = ({ child }) => this.setupObject(child)
+		this.onChildRemoved = ({ child }) => child.traverse((object) => this.unwatch(object))
+	}
+
+	/**
+	 * Point the cascades along a light and colour them.
+	 *
+	 * @param {number[]} direction - Direction towards the light [x, y, z]
+	 * @param {number[]} color - Light colour [r, g, b]
+	 * @param {number} intensity - Light intensity
+	 */
+	setLight(direction, color, intensity) {
+		this.lightDirection.set(-direction[0], -direction[1], -direction[2]).normalize()
+		this.lights.forEach((light) => {
+			light.color.setRGB(color[0], color[1], color[2])
+			light.intensity = intensity
+		})
+	}
+
+	/**
+	 * Fit each cascade's shadow camera around its slice of the view frustum. Call every frame before rendering.
+	 * Centres snap to whole shadow map texels of each cascade's own resolution, so shadows don't shimmer as the
+	 * camera moves.
+	 */
+	update() {
+		_lightOrientation.lookAt(_origin, this.lightDirection, _up)
+		_lightOrientationInverse.copy(_lightOrientation).invert()
+		_cameraToLight.multiplyMatrices(_lightOrientationInverse, this.camera.matrixWorld)
+
+		this.frustums.forEach((frustum, i) => {
+			const light = this.lights[i]
+			const shadowCamera = light.shadow.camera
+			const texelSize = (shadowCamera.right - shadowCamera.left) / light.shadow.mapSize.width
+
+			frustum.toSpace(_cameraToLight, _lightSpaceFrustum)
+			_bbox.makeEmpty()
+			for (let j = 0; j < 4; j++) {
+				_bbox.expandByPoint(_lightSpaceFrustum.vertices.near[j])
+				_bbox.expandByPoint(_lightSpaceFrustum.vertices.far[j])
+			}
+
+			_bbox.getCenter(_center)
+			_center.z = _bbox.max.z + this.lightMargin
+			_center.x = Math.floor(_center.x / texelSize) * texelSize
+			_center.y = Math.floor(_center.y / texelSize) * texelSize
+			_center.applyMatrix4(_lightOrientation)
+
+			light.position.copy(_center)
+			light.target.position.copy(_center).add(this.lightDirection)
+			light.target.updateMatrixWorld()
+			light.shadow.normalBias = SHADOW_CONFIG.normalBias * texelSize
+		})
+	}
+
+	/**
+	 * Let a material pick its cascade per fragment, keeping any onBeforeCompile it already has.
+	 *
+	 * @param {THREE.Material} material - Lit material that receives the cascaded shadows
+	 */
+	setupMaterial(material) {
+		const { onBeforeCompile } = material
+		const customProgramCacheKey = Object.hasOwn(material, 'customProgramCacheKey') ? material.customProgramCacheKey : undefined
+		const cacheKey = material.customProgramCacheKey()
+		this.originalCompile.set(material, { onBeforeCompile, customProgramCacheKey })
+
+		super.setupMaterial(material)
+		const cascadeCompile = material.onBeforeCompile
+		material.onBeforeCompile = (shader, renderer) => {
+			onBeforeCompile.call(material, shader, renderer)
+			cascadeCompile(shader)
+		}
+
+		// The wrapper's source is the same for every material, so keep programs apart by the original key
+		material.customProgramCacheKey = () => `${cacheKey}-csm`
+		material.needsUpdate = true
+	}
+
+	/**
+	 * Set up every lit material in a scene, and in objects added to it later as they are added, so tiles and
+	 * vegetation pick up the cascades before they are drawn (unset materials would be lit once per cascade).
+	 * The scene is only searched once; materials assigned to objects already in it need setupMaterial.
+	 *
+	 * @param {THREE.Object3D} scene - Scene to set up
+	 */
+	setupScene(scene) {
+		if (!this.watched.has(scene)) {
+			this.setupObject(scene)
+		}
+	}
+
+	// Set up the lit materials of an object and its descendants, and watch them for added children
+	setupObject(root) {
+		root.traverse((object) => {
+			if (!this.watched.has(object)) {
+				object.addEventListener('childadded', this.onChildAdded)
+				object.addEventListener('childremoved', this.onChildRemoved)
+				this.watched.add(object)
+			}
+
+			const { material } = object
+			if (Array.isArray(material)) {
+				material.forEach((m) => this.setupLitMaterial(m))
+			} else if (material) {
+				this.setupLitMaterial(material)
+			}
+		})
+	}
+
+	setupLitMaterial(material) {
+		if (isLitMaterial(material) && !this.shaders.has(material)) this.setupMaterial(material)
+	}
+
+	unwatch(object) {
+		object.removeEventListener('childadded', this.onChildAdded)
+		object.removeEventListener('childremoved', this.onChildRemoved)
+		this.watched.delete(object)
+	}
+
+	/**
+	 * Restore set up materials to their own shaders. Call remove() as well to take the lights out of the scene.
+	 */
+	dispose() {
+		super.dispose()
+		this.watched.forEach((object) => this.unwatch(object))
+		this.originalCompile.forEach(({ onBeforeCompile, customProgramCacheKey }, material) => {
+			material.onBeforeCompile = onBeforeCompile
+			if (customProgramCacheKey) material.customProgramCacheKey = customProgramCacheKey
+			else delete material.customProgramCacheKey
+		})
+		this.originalCompile.clear()
+	}
+}
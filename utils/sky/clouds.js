@@ -0,0 +1,98 @@
+// Cloud layer
+// Uniforms shared by the sky's volumetric clouds and the terrain's cloud shadows (shaders/clouds.glsl),
+// and the wind clock that drifts both.
+
+import { Vector2, Vector3, Color } from 'three'
+
+import { CLOUD_TYPES, CLOUD_CONFIG } from '../../config/sky'
+import { getKeyLight } from './timeOfDay'
+import { getSkyColors } from './physicalSky'
+
+// Shared cloud drift in world units and shape evolution time. The sky advances it once per frame and
+// terrain shadows read it, so shadows stay under the rendered clouds
+const cloudClock = { offset: new Vector2(), time: 0 }
+
+/**
+ * Advance the shared cloud clock.
+ *
+ * @param {number} delta - Elapsed seconds
+ * @param {Object} wind
+ * @param {number} wind.cloudWindDirection - Direction the clouds travel in degrees (0 = +Z, like wave directions)
+ * @param {number} wind.cloudWindSpeed - World units per second
+ */
+export const advanceClouds = (delta, { cloudWindDirection, cloudWindSpeed }) => {
+	// The noise is sampled upwind as the clouds drift downwind
+	const angle = (cloudWindDirection * Math.PI) / 180
+	cloudClock.offset.x -= Math.sin(angle) * cloudWindSpeed * delta
+	cloudClock.offset.y -= Math.cos(angle) * cloudWindSpeed * delta
+	cloudClock.time += delta * CLOUD_CONFIG.evolutionSpeed
+}
+
+/**
+ * Create the uniforms read by shaders/clouds.glsl (clouds disabled until setCloudUniforms).
+ *
+ * @returns {Object} Uniforms to merge into a shader's uniforms
+ */
+export const createCloudUniforms = () => ({
+	uCloudsEnabled: { value: 0 },
+	uCloudCoverage: { value: 0 },
+	uCloudDensity: { value: 1 },
+	uCloudAltitude: { value: 1000 },
+	uCloudThickness: { value: 1 },
+	uCloudScale: { value: 1 },
+	uCloudDetail: { value: 0 },
+	uCloudStretch: { value: 1 },
+	uCloudHeap: { value: 0 },
+	uCloudSoftness: { value: 0.1 },
+	uCloudExtinction: { value: CLOUD_CONFIG.extinction },
+	uCloudShadowStrength: { value: CLOUD_CONFIG.shadowStrength },
+	uCloudMaxDistance: { value: CLOUD_CONFIG.maxDistance },
+	uCloudOffset: { value: new Vector2() },
+	uCloudWind: { value: new Vector2(0, 1) },
+	uCloudTime: { value: 0 },
+	uCloudLightDirection: { value: new Vector3(0, 1, 0) },
+	uCloudLightColor: { value: new Color() },
+	uCloudAmbient: { value: new Color() },
+})
+
+/**
+ * Sync cloud uniforms with the cloud settings, the key light and the shared cloud clock.
+ *
+ * @param {Object} uniforms - Uniforms from createCloudUniforms
+ * @param {Object} state - Store-shaped state
+ * @param {boolean} state.cloudsEnabled - Render the cloud layer (and its shadows)
+ * @param {string} state.cloudType - Key of CLOUD_TYPES
+ * @param {number} state.cloudCoverage - Fraction of the sky covered (0-1)
+ * @param {number} state.cloudDensity - Density multiplier (opacity and shadow darkness)
+ * @param {number} state.cloudAltitude - Height of the cloud base in world units
+ * @param {number} state.cloudWindDirection - Direction the clouds travel in degrees
+ * @param {number[]} state.sunDirection - Direction towards the sun (the moon takes over when brighter, if present)
+ * @param {number[]} state.sunColor - Sun colour
+ */
+export const setCloudUniforms = (uniforms, state) => {
+	const { cloudsEnabled, cloudType, cloudCoverage, cloudDensity, cloudAltitude, cloudWindDirection, sunDirection, sunColor, moonColor } = state
+	const type = CLOUD_TYPES[cloudType] ?? CLOUD_TYPES.cumulus
+
+	uniforms.uCloudsEnabled.value = cloudsEnabled ? 1 : 0
+	uniforms.uCloudCoverage.value = cloudCoverage
+	uniforms.uCloudDensity.value = cloudDensity
+	uniforms.uCloudAltitude.value = cloudAltitude
+	uniforms.uCloudThickness.value = type.thickness
+	uniforms.uCloudScale.value = type.scale
+	uniforms.uCloudDetail.value = type.detail
+	uniforms.uCloudStretch.value = type.stretch
+	uniforms.uCloudHeap.value = type.heap
+	uniforms.uCloudSoftness.value = type.softness
+
+	const angle = (cloudWindDirection * Math.PI) / 180
+	uniforms.uCloudWind.value.set(Math.sin(angle), Math.cos(angle))
+	uniforms.uCloudOffset.value.copy(cloudClock.offset)
+	uniforms.uCloudTime.value = cloudClock.time
+
+	// Lit by the key light (moonlit at night) and the sky above
+	const { direction, color } = moonColor ? getKeyLight(state) : { direction: sunDirection, color: sunColor }
+	uniforms.uCloudLightDirection.value.set(direction[0], direction[1], direction[2]).normalize()
+	uniforms.uCloudLightColor.value.setRGB(color[0], color[1], color[2])
+	const { zenith } = getSkyColors(state)
+	uniforms.uCloudAmbient.value.setRGB(zenith[0], zenith[1], zenith[2])
+}
@@ -0,0 +1,225 @@
+// Physical sky
+// Single Rayleigh and Mie scattering of sun and moon light, marched along the view ray through a
+// spherical atmosphere (after Nishita and Preetham). Mirrors shaders/physicalSky.glsl so fog, ambient
+// light and reflection clear colours match what the sky dome renders.
+// Lengths are in kilometres; directions use the world axes (+Y up).
+
+import { PHYSICAL_SKY_CONFIG } from '../../config/sky'
+
+// Planet and atmosphere (matches the shader)
+const PLANET_RADIUS = 6360
+const ATMOSPHERE_RADIUS = 6420
+const RAYLEIGH_HEIGHT = 8 // Scale height of air
+const MIE_HEIGHT = 1.2 // Scale height of aerosols
+const RAYLEIGH_SCATTERING = [5.802e-3, 13.558e-3, 33.1e-3] // Per km at sea level
+const MIE_SCATTERING_PER_TURBIDITY = 0.04 // Per km at sea level for each unit of turbidity above 1
+const MIE_EXTINCTION_RATIO = 1.11 // Aerosols absorb a little of what they don't scatter
+const MIE_ANISOTROPY = 0.76
+const VIEW_SAMPLES = 12
+const EXPOSURE = 48 // Radiance scale before the exponential tone curve
+
+// Deep night blends to the preset (or day/night cycle) sky colours between these sun heights (direction y)
+const NIGHT_SUN_HEIGHTS = [-0.3, 0]
+
+// Scratch state for getSkyColors (recomputed only when its inputs change)
+const _skyColors = { inputs: [], zenith: [0, 0, 0], horizon: [0, 0, 0] }
+const _gradientColors = { zenith: null, horizon: null }
+const _direction = [0, 0, 0]
+const _color = [0, 0, 0]
+
+const smoothstep = (edge0, edge1, x) => {
+	const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)))
+	return t * t * (3 - 2 * t)
+}
+
+const normalize = (v) => {
+	const length = Math.hypot(v[0], v[1], v[2]) || 1
+	return [v[0] / length, v[1] / length, v[2] / length]
+}
+
+/**
+ * Optical depth (in scale heights) from a point towards a light, relative to the density at the ground.
+ * Schüler's approximation of the Chapman grazing incidence function; Infinity inside the planet's shadow.
+ */
+const getLightDepth = (radius, cosZenith, scaleHeight) => {
+	if (cosZenith < 0 && radius * Math.sqrt(1 - cosZenith * cosZenith) < PLANET_RADIUS) return Infinity
+
+	const x = PLANET_RADIUS / scaleHeight
+	const h = (radius - PLANET_RADIUS) / scaleHeight
+	const c = Math.sqrt(x + h)
+	if (cosZenith >= 0) return (c / (c * cosZenith + 1)) * Math.exp(-h)
+
+	const x0 = Math.sqrt(1 - cosZenith * cosZenith) * (x + h)
+	return 2 * Math.sqrt(x0) * Math.exp(x - x0) - (c / (1 - c * cosZenith)) * Math.exp(-h)
+}
+
+const rayleighPhase = (cosTheta) => (3 / (16 * Math.PI)) * (1 + cosTheta * cosTheta)
+
+const miePhase = (cosTheta) => {
+	const g = MIE_ANISOTROPY
+	return (1 - g * g) / (4 * Math.PI * Math.pow(1 + g * g - 2 * g * cosTheta, 1.5))
+}
+
+/**
+ * Radiance scattered towards the observer by the air and aerosols along a view ray, for two lights.
+ * Returns [sun r, g, b, moon r, g, b] (unit light radiance) and the ground-bounce term folded into the sun.
+ */
+const marchAtmosphere = (direction, sunDirection, moonDirection, turbidity, groundAlbedo) => {
+	const mieScattering = Math.max(turbidity - 1, 0) * MIE_SCATTERING_PER_TURBIDITY
+	const mieExtinction = mieScattering * MIE_EXTINCTION_RATIO
+
+	// Rays below the horizon are treated as horizontal (the ground is added by the caller)
+	const dirY = Math.max(direction[1], 0)
+	const length = -PLANET_RADIUS * dirY + Math.sqrt(PLANET_RADIUS * PLANET_RADIUS * dirY * dirY + ATMOSPHERE_RADIUS * ATMOSPHERE_RADIUS - PLANET_RADIUS * PLANET_RADIUS)
+
+	// Sunlight reaching the ground, reflected back up into the air
+	const sunGroundRadius = PLANET_RADIUS + 0.001
+	const sunGroundDepthR = getLightDepth(sunGroundRadius, sunDirection[1], RAYLEIGH_HEIGHT) * RAYLEIGH_HEIGHT
+	const sunGroundDepthM = getLightDepth(sunGroundRadius, sunDirection[1], MIE_HEIGHT) * MIE_HEIGHT
+	const ground = [0, 0, 0]
+	for (let c = 0; c < 3; c++) {
+		ground[c] = (groundAlbedo / Math.PI) * Math.max(sunDirection[1], 0) * Math.exp(-(RAYLEIGH_SCATTERING[c] * sunGroundDepthR + mieExtinction * sunGroundDepthM))
+	}
+
+	const sunR = [0, 0, 0]
+	const sunM = [0, 0, 0]
+	const moonR = [0, 0, 0]
+	const moonM = [0, 0, 0]
+	const bounce = [0, 0, 0]
+	const viewDepth = [0, 0, 0]
+
+	for (let i = 0; i < VIEW_SAMPLES; i++) {
+		// Samples bunch up near the observer, where the air (and haze) is densest
+		const t0 = length * (i / VIEW_SAMPLES) ** 2
+		const t1 = length * ((i + 1) / VIEW_SAMPLES) ** 2
+		const t = (t0 + t1) * 0.5
+		const step = t1 - t0
+
+		// Sample point relative to the planet centre
+		const px = direction[0] * t
+		const py = PLANET_RADIUS + dirY * t
+		const pz = direction[2] * t
+		const radius = Math.hypot(px, py, pz)
+		const height = radius - PLANET_RADIUS
+		const densityR = Math.exp(-height / RAYLEIGH_HEIGHT)
+		const densityM = Math.exp(-height / MIE_HEIGHT)
+
+		// Light arrives along the local zenith angle at the sample
+		const cosSun = (px * sunDirection[0] + py * sunDirection[1] + pz * sunDirection[2]) / radius
+		const cosMoon = (px * moonDirection[0] + py * moonDirection[1] + pz * moonDirection[2]) / radius
+		const sunDepthR = getLightDepth(radius, cosSun, RAYLEIGH_HEIGHT) * RAYLEIGH_HEIGHT
+		const sunDepthM = getLightDepth(radius, cosSun, MIE_HEIGHT) * MIE_HEIGHT
+		const moonDepthR = getLightDepth(radius, cosMoon, RAYLEIGH_HEIGHT) * RAYLEIGH_HEIGHT
+		const moonDepthM = getLightDepth(radius, cosMoon, MIE_HEIGHT) * MIE_HEIGHT
+
+		for (let c = 0; c < 3; c++) {
+			// Light scattered within the segment, integrated analytically against its own extinction
+			const extinction = RAYLEIGH_SCATTERING[c] * densityR + mieExtinction * densityM
+			const segment = (Math.exp(-viewDepth[c]) * (1 - Math.exp(-extinction * step))) / extinction
+			const sun = segment * Math.exp(-(RAYLEIGH_SCATTERING[c] * sunDepthR + mieExtinction * sunDepthM))
+			const moon = segment * Math.exp(-(RAYLEIGH_SCATTERING[c] * moonDepthR + mieExtinction * moonDepthM))
+			sunR[c] += densityR * sun
+			sunM[c] += densityM * sun
+			moonR[c] += densityR * moon
+			moonM[c] += densityM * moon
+
+			// Ground bounce scatters in from below (roughly half of an isotropic phase)
+			bounce[c] += (RAYLEIGH_SCATTERING[c] * densityR + mieScattering * densityM) * segment * 0.5 * ground[c]
+			viewDepth[c] += extinction * step
+		}
+	}
+
+	const cosSunView = direction[0] * sunDirection[0] + direction[1] * sunDirection[1] + direction[2] * sunDirection[2]
+	const cosMoonView = direction[0] * moonDirection[0] + direction[1] * moonDirection[1] + direction[2] * moonDirection[2]
+	const result = []
+	for (let c = 0; c < 3; c++) {
+		result[c] = RAYLEIGH_SCATTERING[c] * rayleighPhase(cosSunView) * sunR[c] + mieScattering * miePhase(cosSunView) * sunM[c] + bounce[c]
+	}
+	for (let c = 0; c < 3; c++) {
+		result[c + 3] = RAYLEIGH_SCATTERING[c] * rayleighPhase(cosMoonView) * moonR[c] + mieScattering * miePhase(cosMoonView) * moonM[c]
+	}
+
+	// Looking down, the lit ground shows through the haze
+	const below = (1 - smoothstep(-0.1, 0, direction[1])) * 0.5
+	for (let c = 0; c < 3; c++) {
+		result[c] += (ground[c] - result[c]) * below
+	}
+	return result
+}
+
+/**
+ * Get the physical sky colour in a direction.
+ *
+ * @param {number[]} direction - Unit view direction [x, y, z]
+ * @param {Object} sky - Store-shaped sky state
+ * @param {number[]} sky.sunDirection - Direction towards the sun
+ * @param {number[]} [sky.moonDirection] - Direction towards the moon
+ * @param {number[]} [sky.moonColor] - Moonlight colour, premultiplied by its intensity ([0, 0, 0] for no moon)
+ * @param {number} sky.skyTurbidity - Haze: 1 is pure air, 2-3 a clear day, 10 a hazy one
+ * @param {number} sky.skyGroundAlbedo - Ground reflectance (0-1) lighting the air from below
+ * @param {number[]} sky.skyColorZenith - Zenith colour the sky fades to in deep night
+ * @param {number[]} sky.skyColorHorizon - Horizon colour the sky fades to in deep night
+ * @param {number[]} [target] - Array to write the colour into
+ * @returns {number[]} Display colour [r, g, b] (0-1), matching the sky shader before its final colour curve
+ */
+export const getPhysicalSkyColor = (direction, sky, target = [0, 0, 0]) => {
+	const { sunDirection, moonDirection = [0, -1, 0], moonColor = [0, 0, 0], skyTurbidity, skyGroundAlbedo, skyColorZenith, skyColorHorizon } = sky
+	const sun = normalize(sunDirection)
+	const radiance = marchAtmosphere(direction, sun, normalize(moonDirection), skyTurbidity, skyGroundAlbedo)
+
+	const night = 1 - smoothstep(NIGHT_SUN_HEIGHTS[0], NIGHT_SUN_HEIGHTS[1], sun[1])
+	const gradient = Math.sqrt(Math.max(direction[1], 0))
+	for (let c = 0; c < 3; c++) {
+		const light = radiance[c] + radiance[c + 3] * moonColor[c]
+		const nightColor = skyColorHorizon[c] + (skyColorZenith[c] - skyColorHorizon[c]) * gradient
+		target[c] = 1 - Math.exp(-light * EXPOSURE) + nightColor * night
+	}
+	return target
+}
+
+/**
+ * Get the zenith and horizon colours of the current sky, for fog, ambient light and clear colours.
+ * With the gradient model these are the store's sky colours. With the physical model the horizon is
+ * averaged around the compass just above the horizon. The returned object is reused between calls.
+ *
+ * @param {Object} state - Store-shaped state (skyModel plus the fields read by getPhysicalSkyColor)
+ * @returns {Object} { zenith, horizon } as [r, g, b] arrays
+ */
+export const getSkyColors = (state) => {
+	if (state.skyModel !== 'physical') {
+		_gradientColors.zenith = state.skyColorZenith
+		_gradientColors.horizon = state.skyColorHorizon
+		return _gradientColors
+	}
+
+	const inputs = [state.sunDirection, state.moonDirection, state.moonColor, state.skyTurbidity, state.skyGroundAlbedo, state.skyColorZenith, state.skyColorHorizon]
+	if (inputs.every((input, i) => input === _skyColors.inputs[i])) return _skyColors
+	_skyColors.inputs = inputs
+
+	getPhysicalSkyColor([0, 1, 0], state, _skyColors.zenith)
+
+	const { horizonHeight, horizonSamples } = PHYSICAL_SKY_CONFIG
+	const horizontal = Math.sqrt(1 - horizonHeight * horizonHeight)
+	_skyColors.horizon.fill(0)
+	for (let i = 0; i < horizonSamples; i++) {
+		const angle = (i / horizonSamples) * Math.PI * 2
+		_direction[0] = Math.cos(angle) * horizontal
+		_direction[1] = horizonHeight
+		_direction[2] = Math.sin(angle) * horizontal
+		getPhysicalSkyColor(_direction, state, _color)
+		for (let c = 0; c < 3; c++) _skyColors.horizon[c] += _color[c] / horizonSamples
+	}
+	return _skyColors
+}
+
+/**
+ * Relative extinction of the atmosphere per colour channel (green = 1), for aerial perspective.
+ *
+ * @param {number} turbidity - Haze (see getPhysicalSkyColor)
+ * @returns {number[]} [r, g, b] extinction relative to green
+ */
+export const getAtmosphereExtinction = (turbidity) => {
+	const mie = Math.max(turbidity - 1, 0) * MIE_SCATTERING_PER_TURBIDITY * MIE_EXTINCTION_RATIO * MIE_HEIGHT
+	const green = RAYLEIGH_SCATTERING[1] * RAYLEIGH_HEIGHT + mie
+	return RAYLEIGH_SCATTERING.map((scattering) => (scattering * RAYLEIGH_HEIGHT + mie) / green)
+}
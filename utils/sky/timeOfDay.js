@@ -0,0 +1,152 @@
+// Time of day
+// Sun and moon positions from local solar time, date and latitude, and the lighting derived from them.
+// World axes: +Y is up, -Z is north and +X is east.
+
+import { DAY_NIGHT_CONFIG } from '../../config/sky'
+
+const DEG_TO_RAD = Math.PI / 180
+
+// Earth's axial tilt in degrees
+const AXIAL_TILT = 23.44
+
+// Scratch result for getKeyLight (avoids allocating every frame)
+const _keyLight = { direction: null, color: null }
+
+/**
+ * Smoothstep between two edges (edges given as [start, end])
+ */
+const smoothstep = ([edge0, edge1], x) => {
+	const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)))
+	return t * t * (3 - 2 * t)
+}
+
+const mixColors = (a, b, t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t]
+
+const scaleColor = (color, scale) => [color[0] * scale, color[1] * scale, color[2] * scale]
+
+const luminance = (color) => color[0] * 0.299 + color[1] * 0.587 + color[2] * 0.114
+
+/**
+ * Direction towards a body at a declination and hour angle, seen from a latitude.
+ */
+const getCelestialPosition = (hourAngle, declination, latitude) => {
+	const east = -Math.cos(declination) * Math.sin(hourAngle)
+	const north = Math.cos(latitude) * Math.sin(declination) - Math.sin(latitude) * Math.cos(declination) * Math.cos(hourAngle)
+	const up = Math.sin(latitude) * Math.sin(declination) + Math.cos(latitude) * Math.cos(declination) * Math.cos(hourAngle)
+
+	return {
+		direction: [east, up, -north],
+		elevation: Math.asin(Math.max(-1, Math.min(1, up))),
+		azimuth: Math.atan2(east, north),
+	}
+}
+
+/**
+ * Solar declination (radians) on a day of the year.
+ */
+const getSolarDeclination = (dayOfYear) => -AXIAL_TILT * DEG_TO_RAD * Math.cos(((2 * Math.PI) / 365) * (dayOfYear + 10))
+
+/**
+ * Get the sun's position.
+ *
+ * @param {number} timeOfDay - Local solar time in hours (12 is solar noon)
+ * @param {number} dayOfYear - Day of the year (1-365)
+ * @param {number} latitude - Latitude in degrees (negative in the southern hemisphere)
+ * @returns {Object} { direction, elevation, azimuth } with direction a unit [x, y, z] towards the sun,
+ *   elevation in radians above the horizon and azimuth in radians clockwise from north
+ */
+export const getSunPosition = (timeOfDay, dayOfYear, latitude) => {
+	const hourAngle = (timeOfDay - 12) * 15 * DEG_TO_RAD
+	return getCelestialPosition(hourAngle, getSolarDeclination(dayOfYear), latitude * DEG_TO_RAD)
+}
+
+/**
+ * Get the moon's position and phase (approximate).
+ *
+ * The moon trails the sun by its phase (a full moon rises at sunset) and its declination mirrors the
+ * sun's at full moon. Good enough for lighting; not an ephemeris.
+ *
+ * @param {number} timeOfDay - Local solar time in hours
+ * @param {number} dayOfYear - Day of the year (1-365)
+ * @param {number} latitude - Latitude in degrees
+ * @returns {Object} { direction, elevation, azimuth, phase, illumination } where phase is 0 at new moon and
+ *   0.5 at full moon, and illumination the lit fraction of the disk (0-1)
+ */
+export const getMoonPosition = (timeOfDay, dayOfYear, latitude) => {
+	const { synodicMonth, newMoonDay } = DAY_NIGHT_CONFIG
+	const age = (dayOfYear - newMoonDay + timeOfDay / 24) / synodicMonth
+	const phase = age - Math.floor(age)
+
+	const hourAngle = ((timeOfDay - 12) * 15 - phase * 360) * DEG_TO_RAD
+	const declination = getSolarDeclination(dayOfYear) * Math.cos(phase * 2 * Math.PI)
+
+	return {
+		...getCelestialPosition(hourAngle, declination, latitude * DEG_TO_RAD),
+		phase,
+		illumination: (1 - Math.cos(phase * 2 * Math.PI)) / 2,
+	}
+}
+
+/**
+ * Derive sun, moon, sky and ambient lighting for a moment.
+ *
+ * The preset's midday colours apply with the sun high. Towards the horizon the sun warms and the sky
+ * turns to twilight colours, then to night colours, while the moonlight and stars fade in.
+ *
+ * @param {Object} time
+ * @param {number} time.timeOfDay - Local solar time in hours
+ * @param {number} time.dayOfYear - Day of the year (1-365)
+ * @param {number} time.latitude - Latitude in degrees
+ * @param {Object} daylight - Midday palette { sunColor, skyColorZenith, skyColorHorizon } as [r, g, b] arrays
+ * @returns {Object} Store-shaped values { sunDirection, sunColor, moonDirection, moonColor, skyColorZenith,
+ *   skyColorHorizon, starIntensity, ambientIntensity }. Colours are premultiplied by their intensity.
+ */
+export const getDayNightLighting = ({ timeOfDay, dayOfYear, latitude }, daylight) => {
+	const config = DAY_NIGHT_CONFIG
+	const sun = getSunPosition(timeOfDay, dayOfYear, latitude)
+	const moon = getMoonPosition(timeOfDay, dayOfYear, latitude)
+	const sunElevation = sun.elevation / DEG_TO_RAD
+	const moonElevation = moon.elevation / DEG_TO_RAD
+
+	// Sun warms near the horizon and fades out below it
+	const warmth = 1 - smoothstep([0, config.warmSunElevation], sunElevation)
+	const sunColor = scaleColor(mixColors(daylight.sunColor, config.sunsetSunColor, warmth), smoothstep(config.sunFadeElevations, sunElevation))
+
+	// Night -> twilight -> day sky
+	const twilight = smoothstep(config.twilightElevations, sunElevation)
+	const day = smoothstep(config.dayElevations, sunElevation)
+	const skyColorZenith = mixColors(mixColors(config.nightSkyColorZenith, config.twilightSkyColorZenith, twilight), daylight.skyColorZenith, day)
+	const skyColorHorizon = mixColors(mixColors(config.nightSkyColorHorizon, config.twilightSkyColorHorizon, twilight), daylight.skyColorHorizon, day)
+
+	// Moonlight and stars once the sun is well down
+	const night = 1 - smoothstep(config.nightElevations, sunElevation)
+	const moonLight = night * smoothstep(config.moonRiseElevations, moonElevation) * moon.illumination * config.moonIntensity
+	const moonColor = scaleColor(config.moonColor, moonLight)
+
+	const ambient = smoothstep(config.ambientElevations, sunElevation)
+
+	return {
+		sunDirection: sun.direction,
+		sunColor,
+		moonDirection: moon.direction,
+		moonColor,
+		skyColorZenith,
+		skyColorHorizon,
+		starIntensity: night,
+		ambientIntensity: config.nightAmbient + (1 - config.nightAmbient) * ambient,
+	}
+}
+
+/**
+ * Pick the light that casts shadows and glints on water: the sun, or the moon while it is brighter.
+ * The returned object is reused between calls.
+ *
+ * @param {Object} lighting - { sunDirection, sunColor, moonDirection, moonColor } (e.g. the store state)
+ * @returns {Object} { direction, color } referencing the chosen [x, y, z] and [r, g, b] arrays
+ */
+export const getKeyLight = ({ sunDirection, sunColor, moonDirection, moonColor }) => {
+	const moonBrighter = luminance(moonColor) > luminance(sunColor)
+	_keyLight.direction = moonBrighter ? moonDirection : sunDirection
+	_keyLight.color = moonBrighter ? moonColor : sunColor
+	return _keyLight
+}
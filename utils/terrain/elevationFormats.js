@@ -0,0 +1,429 @@
+// Elevation file parsers
+// Decode real-world elevation data into a height dataset: { width, height, data, metadata }
+// where data is a Float32Array of raw elevation values in row-major order (first row = north).
+
+// PNG
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10]
+
+// SRTM voids are marked with this value
+const HGT_NO_DATA = -32768
+
+// TIFF tags used by the GeoTIFF parser
+const TIFF_TAGS = {
+	256: 'width',
+	257: 'height',
+	258: 'bitsPerSample',
+	259: 'compression',
+	273: 'stripOffsets',
+	277: 'samplesPerPixel',
+	278: 'rowsPerStrip',
+	279: 'stripByteCounts',
+	317: 'predictor',
+	322: 'tileWidth',
+	323: 'tileLength',
+	324: 'tileOffsets',
+	325: 'tileByteCounts',
+	339: 'sampleFormat',
+	33550: 'modelPixelScale',
+	33922: 'modelTiepoint',
+	42113: 'noData',
+}
+
+// TIFF field type -> [byte size, DataView reader]
+const TIFF_TYPES = {
+	1: [1, 'getUint8'],
+	2: [1, 'getUint8'], // ASCII
+	3: [2, 'getUint16'],
+	4: [4, 'getUint32'],
+	6: [1, 'getInt8'],
+	8: [2, 'getInt16'],
+	9: [4, 'getInt32'],
+	11: [4, 'getFloat32'],
+	12: [8, 'getFloat64'],
+	16: [8, 'getBigUint64'], // BigTIFF LONG8
+}
+
+const TIFF_COMPRESSION_NONE = 1
+const TIFF_COMPRESSION_LZW = 5
+const TIFF_COMPRESSION_DEFLATE = [8, 32946]
+
+/**
+ * Inflate zlib-wrapped data with the platform DecompressionStream.
+ */
+const inflate = async (bytes) => {
+	const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'))
+	return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/**
+ * Replace no-data samples with the average of their valid neighbours, growing inwards
+ * from the edges of each void. Voids that never touch valid data are set to 0.
+ */
+const fillNoData = (data, width, height, isNoData) => {
+	let remaining = []
+	for (let i = 0; i < data.length; i++) {
+		if (isNoData(data[i])) remaining.push(i)
+	}
+	if (remaining.length === 0) return
+
+	const valid = new Uint8Array(data.length).fill(1)
+	remaining.forEach((i) => (valid[i] = 0))
+
+	while (remaining.length > 0) {
+		const filled = []
+		const next = []
+		for (const i of remaining) {
+			const x = i % width
+			const y = (i - x) / width
+			let sum = 0
+			let count = 0
+			const neighbors = [x > 0 && i - 1, x < width - 1 && i + 1, y > 0 && i - width, y < height - 1 && i + width]
+			for (const neighbor of neighbors) {
+				if (neighbor !== false && valid[neighbor]) {
+					sum += data[neighbor]
+					count++
+				}
+			}
+
+			if (count > 0) {
+				data[i] = sum / count
+				filled.push(i)
+			} else {
+				next.push(i)
+			}
+		}
+
+		// Nothing valid left to grow from
+		if (filled.length === 0) {
+			next.forEach((i) => (data[i] = 0))
+			return
+		}
+		filled.forEach((i) => (valid[i] = 1))
+		remaining = next
+	}
+}
+
+/**
+ * Parse a grayscale PNG (8 or 16 bits per sample, non-interlaced).
+ *
+ * @param {ArrayBuffer} buffer - PNG file contents
+ * @returns {Promise<Object>} Height dataset with raw sample values (0-65535 for 16-bit)
+ */
+export const parsePNG16 = async (buffer) => {
+	const bytes = new Uint8Array(buffer)
+	const view = new DataView(buffer)
+	if (!PNG_SIGNATURE.every((value, i) => bytes[i] === value)) {
+		throw new Error('[parsePNG16] Not a PNG file')
+	}
+
+	let width = 0
+	let height = 0
+	let bitDepth = 0
+	const chunks = []
+
+	for (let offset = 8; offset < bytes.length; ) {
+		const length = view.getUint32(offset)
+		const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8))
+		const chunk = bytes.subarray(offset + 8, offset + 8 + length)
+
+		if (type === 'IHDR') {
+			width = view.getUint32(offset + 8)
+			height = view.getUint32(offset + 12)
+			bitDepth = chunk[8]
+			const colorType = chunk[9]
+			const interlace = chunk[12]
+			if (colorType !== 0 || (bitDepth !== 8 && bitDepth !== 16) || interlace !== 0) {
+				throw new Error('[parsePNG16] Only non-interlaced 8 or 16-bit grayscale PNGs are supported')
+			}
+		} else if (type === 'IDAT') {
+			chunks.push(chunk)
+		} else if (type === 'IEND') {
+			break
+		}
+		offset += length + 12
+	}
+
+	const pixels = await inflate(new Blob(chunks))
+
+	// Undo per-scanline filters in place
+	const bytesPerPixel = bitDepth / 8
+	const stride = width * bytesPerPixel
+	const raw = new Uint8Array(stride * height)
+	for (let y = 0; y < height; y++) {
+		const filter = pixels[y * (stride + 1)]
+		const source = y * (stride + 1) + 1
+		const row = y * stride
+		for (let x = 0; x < stride; x++) {
+			const left = x >= bytesPerPixel ? raw[row + x - bytesPerPixel] : 0
+			const up = y > 0 ? raw[row - stride + x] : 0
+			const upLeft = y > 0 && x >= bytesPerPixel ? raw[row - stride + x - bytesPerPixel] : 0
+			let predicted = 0
+			if (filter === 1) predicted = left
+			else if (filter === 2) predicted = up
+			else if (filter === 3) predicted = (left + up) >> 1
+			else if (filter === 4) {
+				const p = left + up - upLeft
+				const pa = Math.abs(p - left)
+				const pb = Math.abs(p - up)
+				const pc = Math.abs(p - upLeft)
+				predicted = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft
+			}
+			raw[row + x] = (pixels[source + x] + predicted) & 0xff
+		}
+	}
+
+	const data = new Float32Array(width * height)
+	for (let i = 0; i < data.length; i++) {
+		data[i] = bitDepth === 16 ? (raw[i * 2] << 8) | raw[i * 2 + 1] : raw[i]
+	}
+
+	return { width, height, data, metadata: { format: 'png', bitDepth } }
+}
+
+/**
+ * Parse headerless raw elevation samples.
+ *
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {Object} [options]
+ * @param {string} [options.format='float32'] - Sample type: 'float32' or 'uint16'
+ * @param {number} [options.width] - Samples per row (defaults to a square grid)
+ * @param {number} [options.height] - Number of rows (defaults to a square grid)
+ * @param {boolean} [options.littleEndian=true] - Byte order of the samples
+ * @returns {Object} Height dataset
+ */
+export const parseRAW = (buffer, { format = 'float32', width, height, littleEndian = true } = {}) => {
+	const bytesPerSample = format === 'uint16' ? 2 : 4
+	const count = buffer.byteLength / bytesPerSample
+	const gridWidth = width || Math.round(Math.sqrt(count))
+	const gridHeight = height || Math.round(count / gridWidth)
+	if (gridWidth * gridHeight > count || !Number.isInteger(count)) {
+		throw new Error(`[parseRAW] ${buffer.byteLength} bytes does not match a ${gridWidth}x${gridHeight} ${format} grid`)
+	}
+
+	const view = new DataView(buffer)
+	const data = new Float32Array(gridWidth * gridHeight)
+	for (let i = 0; i < data.length; i++) {
+		data[i] = format === 'uint16' ? view.getUint16(i * 2, littleEndian) : view.getFloat32(i * 4, littleEndian)
+	}
+	fillNoData(data, gridWidth, gridHeight, (value) => !Number.isFinite(value))
+
+	return { width: gridWidth, height: gridHeight, data, metadata: { format } }
+}
+
+/**
+ * Parse an SRTM .hgt tile (big-endian int16 meters, 1201 or 3601 samples square).
+ * Voids are filled from surrounding samples.
+ *
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Object} Height dataset in meters
+ */
+export const parseHGT = (buffer) => {
+	const size = Math.sqrt(buffer.byteLength / 2)
+	if (!Number.isInteger(size)) {
+		throw new Error(`[parseHGT] ${buffer.byteLength} bytes is not a square SRTM tile`)
+	}
+
+	const view = new DataView(buffer)
+	const data = new Float32Array(size * size)
+	for (let i = 0; i < data.length; i++) {
+		data[i] = view.getInt16(i * 2, false)
+	}
+	fillNoData(data, size, size, (value) => value === HGT_NO_DATA)
+
+	// 3 arc-second tiles are 1201 samples, 1 arc-second tiles 3601
+	return { width: size, height: size, data, metadata: { format: 'hgt', arcSeconds: size === 3601 ? 1 : 3 } }
+}
+
+/**
+ * Decode TIFF LZW (MSB-first codes, early change).
+ */
+const decodeLZW = (input, expectedLength) => {
+	const output = new Uint8Array(expectedLength)
+	let outputLength = 0
+	let table = []
+	let codeLength = 9
+	let bitPosition = 0
+	let previous = null
+
+	const resetTable = () => {
+		table = []
+		for (let i = 0; i < 256; i++) table.push([i])
+		table.push(null, null) // 256 = clear, 257 = end of information
+		codeLength = 9
+	}
+
+	const readCode = () => {
+		let code = 0
+		for (let i = 0; i < codeLength; i++) {
+			const byte = input[bitPosition >>> 3]
+			code = (code << 1) | ((byte >>> (7 - (bitPosition & 7))) & 1)
+			bitPosition++
+		}
+		return code
+	}
+
+	const write = (entry) => {
+		for (let i = 0; i < entry.length && outputLength < expectedLength; i++) {
+			output[outputLength++] = entry[i]
+		}
+	}
+
+	resetTable()
+	while (bitPosition + codeLength <= input.length * 8) {
+		const code = readCode()
+		if (code === 257) break
+		if (code === 256) {
+			resetTable()
+			previous = null
+			continue
+		}
+
+		let entry
+		if (code < table.length) {
+			entry = table[code]
+			if (previous) table.push([...previous, entry[0]])
+		} else {
+			entry = [...previous, previous[0]]
+			table.push(entry)
+		}
+		write(entry)
+		previous = entry
+
+		if (table.length + 1 >= 1 << codeLength && codeLength < 12) codeLength++
+	}
+
+	return output
+}
+
+/**
+ * Parse a single-band GeoTIFF (or plain TIFF) elevation raster.
+ * Supports strips and tiles; no, LZW and Deflate compression; horizontal differencing;
+ * 8/16/32-bit integer and 32/64-bit float samples. Only the first band of the first image is read.
+ *
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<Object>} Height dataset; metadata includes pixelScale and tiepoint when present
+ */
+export const parseGeoTIFF = async (buffer) => {
+	const view = new DataView(buffer)
+	const bytes = new Uint8Array(buffer)
+	const littleEndian = view.getUint16(0) === 0x4949
+	const magic = view.getUint16(2, littleEndian)
+	const bigTiff = magic === 43
+	if (magic !== 42 && !bigTiff) {
+		throw new Error('[parseGeoTIFF] Not a TIFF file')
+	}
+
+	const readOffset = (offset) => (bigTiff ? Number(view.getBigUint64(offset, littleEndian)) : view.getUint32(offset, littleEndian))
+
+	// Read the first image file directory
+	const ifdOffset = readOffset(bigTiff ? 8 : 4)
+	const entryCount = bigTiff ? Number(view.getBigUint64(ifdOffset, littleEndian)) : view.getUint16(ifdOffset, littleEndian)
+	const entrySize = bigTiff ? 20 : 12
+	const firstEntry = ifdOffset + (bigTiff ? 8 : 2)
+	const tags = {}
+
+	for (let i = 0; i < entryCount; i++) {
+		const entry = firstEntry + i * entrySize
+		const name = TIFF_TAGS[view.getUint16(entry, littleEndian)]
+		const fieldType = TIFF_TYPES[view.getUint16(entry + 2, littleEndian)]
+		if (!name || !fieldType) continue
+
+		const [size, reader] = fieldType
+		const count = bigTiff ? Number(view.getBigUint64(entry + 4, littleEndian)) : view.getUint32(entry + 4, littleEndian)
+		const inlineBytes = bigTiff ? 8 : 4
+		const valueOffset = size * count <= inlineBytes ? entry + (bigTiff ? 12 : 8) : readOffset(entry + (bigTiff ? 12 : 8))
+
+		const values = []
+		for (let j = 0; j < count; j++) {
+			values.push(Number(view[reader](valueOffset + j * size, littleEndian)))
+		}
+		// GDAL stores no-data as an ASCII string
+		tags[name] = name === 'noData' ? parseFloat(String.fromCharCode(...values.filter(Boolean))) : values
+	}
+
+	const width = tags.width[0]
+	const height = tags.height[0]
+	const bitsPerSample = tags.bitsPerSample?.[0] ?? 8
+	const bytesPerSample = bitsPerSample / 8
+	const samplesPerPixel = tags.samplesPerPixel?.[0] ?? 1
+	const sampleFormat = tags.sampleFormat?.[0] ?? 1 // 1 = uint, 2 = int, 3 = float
+	const compression = tags.compression?.[0] ?? TIFF_COMPRESSION_NONE
+	const predictor = tags.predictor?.[0] ?? 1
+
+	if (compression !== TIFF_COMPRESSION_NONE && compression !== TIFF_COMPRESSION_LZW && !TIFF_COMPRESSION_DEFLATE.includes(compression)) {
+		throw new Error(`[parseGeoTIFF] Unsupported compression ${compression}`)
+	}
+	if (predictor === 3) {
+		throw new Error('[parseGeoTIFF] Floating point predictor is not supported')
+	}
+
+	// Strips are tiles that span the full width
+	const tiled = !!tags.tileOffsets
+	const blockWidth = tiled ? tags.tileWidth[0] : width
+	const blockHeight = tiled ? tags.tileLength[0] : (tags.rowsPerStrip?.[0] ?? height)
+	const offsets = tiled ? tags.tileOffsets : tags.stripOffsets
+	const byteCounts = tiled ? tags.tileByteCounts : tags.stripByteCounts
+	const blocksAcross = Math.ceil(width / blockWidth)
+	const pixelBytes = bytesPerSample * samplesPerPixel
+	const blockByteLength = blockWidth * blockHeight * pixelBytes
+
+	// Sample format -> bytes per sample -> [DataView reader, typed array used to wrap differenced values]
+	const readers = {
+		1: { 1: ['getUint8', Uint8Array], 2: ['getUint16', Uint16Array], 4: ['getUint32', Uint32Array] },
+		2: { 1: ['getInt8', Int8Array], 2: ['getInt16', Int16Array], 4: ['getInt32', Int32Array] },
+		3: { 4: ['getFloat32', Float32Array], 8: ['getFloat64', Float64Array] },
+	}
+	const [reader, SampleArray] = readers[sampleFormat]?.[bytesPerSample] ?? []
+	if (!reader) {
+		throw new Error(`[parseGeoTIFF] Unsupported sample format ${sampleFormat} with ${bitsPerSample} bits`)
+	}
+
+	const data = new Float32Array(width * height)
+	const accumulator = new SampleArray(1)
+
+	for (let block = 0; block < offsets.length; block++) {
+		let blockBytes = bytes.subarray(offsets[block], offsets[block] + byteCounts[block])
+		if (compression === TIFF_COMPRESSION_LZW) {
+			blockBytes = decodeLZW(blockBytes, blockByteLength)
+		} else if (compression !== TIFF_COMPRESSION_NONE) {
+			blockBytes = await inflate(blockBytes)
+		}
+
+		const blockView = new DataView(blockBytes.buffer, blockBytes.byteOffset, blockBytes.byteLength)
+		const originX = (block % blocksAcross) * blockWidth
+		const originY = Math.floor(block / blocksAcross) * blockHeight
+		const rows = Math.min(blockHeight, height - originY, Math.floor(blockBytes.byteLength / (blockWidth * pixelBytes)))
+
+		for (let y = 0; y < rows; y++) {
+			accumulator[0] = 0
+			for (let x = 0; x < blockWidth; x++) {
+				let value = blockView[reader]((y * blockWidth + x) * pixelBytes, littleEndian)
+
+				// Horizontal differencing: each sample stores the difference to the one before it,
+				// wrapping in the sample type
+				if (predictor === 2) {
+					accumulator[0] += value
+					value = accumulator[0]
+				}
+
+				if (originX + x < width) {
+					data[(originY + y) * width + originX + x] = value
+				}
+			}
+		}
+	}
+
+	const noData = tags.noData
+	fillNoData(data, width, height, (value) => !Number.isFinite(value) || value === noData)
+
+	return {
+		width,
+		height,
+		data,
+		metadata: {
+			format: 'geotiff',
+			pixelScale: tags.modelPixelScale?.slice(0, 2) ?? null,
+			tiepoint: tags.modelTiepoint ?? null,
+		},
+	}
+}
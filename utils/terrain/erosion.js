@@ -0,0 +1,318 @@
+// Heightmap erosion
+// Hydraulic (droplet) and thermal (talus) erosion simulated per root tile region.
+// Each region is simulated on a padded grid and neighbouring regions are cross-faded
+// inside the padding, so borders stay seamless. Results are deterministic from the seed.
+
+import { EROSION_CONFIG } from '../../config/erosion'
+import { createSeededRandom, hashCoords } from '../seededRandom'
+
+// Salt for droplet seeds so erosion is independent of other seeded systems
+const EROSION_SALT = 31337
+
+// Neighbour offsets for thermal erosion (dx, dz) and their distances
+const NEIGHBOR_DX = [-1, 1, 0, 0, -1, 1, -1, 1]
+const NEIGHBOR_DZ = [0, 0, -1, 1, -1, -1, 1, 1]
+const NEIGHBOR_DISTANCE = [1, 1, 1, 1, Math.SQRT2, Math.SQRT2, Math.SQRT2, Math.SQRT2]
+
+// Region coordinates are packed into one number; regions stay far inside ±GRID_OFFSET root tiles
+const GRID_OFFSET = 1 << 20
+const GRID_SPAN = 1 << 21
+
+/**
+ * Smoothstep interpolation (cubic hermite)
+ */
+const smoothstep = (t) => {
+	const c = Math.max(0, Math.min(1, t))
+	return c * c * (3 - 2 * c)
+}
+
+// Scratch result for grid sampling (avoids allocating per droplet step)
+const _sample = { height: 0, gradX: 0, gradZ: 0 }
+
+/**
+ * Bilinearly sample height and gradient from a square grid.
+ */
+const sampleGrid = (heights, sampleCount, x, z) => {
+	const cellX = Math.floor(x)
+	const cellZ = Math.floor(z)
+	const u = x - cellX
+	const v = z - cellZ
+	const index = cellZ * sampleCount + cellX
+
+	const h00 = heights[index]
+	const h10 = heights[index + 1]
+	const h01 = heights[index + sampleCount]
+	const h11 = heights[index + sampleCount + 1]
+
+	_sample.gradX = (h10 - h00) * (1 - v) + (h11 - h01) * v
+	_sample.gradZ = (h01 - h00) * (1 - u) + (h11 - h10) * u
+	_sample.height = h00 * (1 - u) * (1 - v) + h10 * u * (1 - v) + h01 * (1 - u) * v + h11 * u * v
+	return _sample
+}
+
+/**
+ * Add (or with a negative amount, remove) material at a point, spread bilinearly over its cell corners.
+ */
+const addMaterial = (heights, sampleCount, x, z, amount) => {
+	const cellX = Math.floor(x)
+	const cellZ = Math.floor(z)
+	const u = x - cellX
+	const v = z - cellZ
+	const index = cellZ * sampleCount + cellX
+
+	heights[index] += amount * (1 - u) * (1 - v)
+	heights[index + 1] += amount * u * (1 - v)
+	heights[index + sampleCount] += amount * (1 - u) * v
+	heights[index + sampleCount + 1] += amount * u * v
+}
+
+/**
+ * Droplet-based hydraulic erosion. Each droplet flows downhill, picking up sediment
+ * on steep descents and depositing it where it slows down or climbs.
+ */
+const applyHydraulicErosion = (heights, sampleCount, random, params) => {
+	const { iterations, erosionRate, depositionRate, inertia, sedimentCapacity, minSedimentCapacity, evaporation, gravity, maxDropletLifetime } = params
+	const cells = sampleCount - 1
+
+	for (let n = 0; n < iterations; n++) {
+		let x = random() * cells
+		let z = random() * cells
+		let dirX = 0
+		let dirZ = 0
+		let speed = 1
+		let water = 1
+		let sediment = 0
+
+		for (let step = 0; step < maxDropletLifetime; step++) {
+			const { height, gradX, gradZ } = sampleGrid(heights, sampleCount, x, z)
+
+			// Blend previous direction with downhill direction
+			dirX = dirX * inertia - gradX * (1 - inertia)
+			dirZ = dirZ * inertia - gradZ * (1 - inertia)
+			const length = Math.sqrt(dirX * dirX + dirZ * dirZ)
+			if (length < 1e-6) break
+			dirX /= length
+			dirZ /= length
+
+			const newX = x + dirX
+			const newZ = z + dirZ
+			if (newX < 0 || newZ < 0 || newX >= cells || newZ >= cells) break
+
+			const deltaHeight = sampleGrid(heights, sampleCount, newX, newZ).height - height
+			const capacity = Math.max(-deltaHeight * speed * water * sedimentCapacity, minSedimentCapacity)
+
+			if (sediment > capacity || deltaHeight > 0) {
+				// Moving uphill fills the pit behind the droplet, otherwise drop the excess
+				const amount = deltaHeight > 0 ? Math.min(deltaHeight, sediment) : (sediment - capacity) * depositionRate
+				sediment -= amount
+				addMaterial(heights, sampleCount, x, z, amount)
+			} else {
+				// Never erode deeper than the descent, so droplets don't dig pits
+				const amount = Math.min((capacity - sediment) * erosionRate, -deltaHeight)
+				sediment += amount
+				addMaterial(heights, sampleCount, x, z, -amount)
+			}
+
+			speed = Math.sqrt(Math.max(0, speed * speed - deltaHeight * gravity))
+			water *= 1 - evaporation
+			x = newX
+			z = newZ
+		}
+	}
+}
+
+/**
+ * Thermal erosion. Material on slopes steeper than the talus angle slumps to the
+ * steepest lower neighbour.
+ */
+const applyThermalErosion = (heights, sampleCount, params) => {
+	const { talusAngle, thermalIterations, thermalRate } = params
+	const talus = Math.tan((talusAngle * Math.PI) / 180)
+
+	// Flattened index offsets and height thresholds per neighbour
+	const offsets = NEIGHBOR_DX.map((dx, n) => NEIGHBOR_DZ[n] * sampleCount + dx)
+	const thresholds = NEIGHBOR_DISTANCE.map((distance) => talus * distance)
+
+	for (let iteration = 0; iteration < thermalIterations; iteration++) {
+		for (let j = 1; j < sampleCount - 1; j++) {
+			for (let i = 1; i < sampleCount - 1; i++) {
+				const index = j * sampleCount + i
+				const height = heights[index]
+
+				let maxExcess = 0
+				let target = -1
+				for (let n = 0; n < 8; n++) {
+					const neighbor = index + offsets[n]
+					const excess = height - heights[neighbor] - thresholds[n]
+					if (excess > maxExcess) {
+						maxExcess = excess
+						target = neighbor
+					}
+				}
+
+				if (target !== -1) {
+					const amount = maxExcess * thermalRate * 0.5
+					heights[index] -= amount
+					heights[target] += amount
+				}
+			}
+		}
+	}
+}
+
+/**
+ * Wrap a height sampler with hydraulic and thermal erosion.
+ *
+ * Erosion is simulated once per root tile region (plus padding) at EROSION_CONFIG.gridResolution
+ * and cached. The returned sampler adds the bilinearly interpolated height change to the base height.
+ * The spawn area is left untouched.
+ *
+ * @param {Function} sampleHeight - Base height sampler: (x, z) => normalizedHeight
+ * @param {Object} config - Terrain configuration
+ * @param {number} config.seed - Random seed for droplet placement
+ * @param {number} config.rootSize - Size of a root tile (one erosion region)
+ * @param {number} config.baseHeightScale - Scale multiplier for world heights
+ * @param {number} config.spawnRadius - Radius of flat spawn area
+ * @param {number} config.spawnTransitionRadius - Outer radius of spawn transition zone
+ * @param {number} config.erosionIterations - Droplets simulated per region
+ * @param {number} config.erosionRate - Fraction of free sediment capacity a droplet erodes per step
+ * @param {number} config.depositionRate - Fraction of excess sediment a droplet deposits per step
+ * @param {number} config.talusAngle - Steepest stable slope in degrees for thermal erosion
+ * @param {Object} [regions] - Region store sharing simulated regions between threads (see createTerrainRegions);
+ *   with a remote store, regions not loaded yet sample uneroded
+ * @returns {Function} Eroded height sampler: (x, z) => normalizedHeight
+ */
+export function createErosionSampler(sampleHeight, config, regions = null) {
+	const { seed, rootSize, baseHeightScale, spawnRadius, spawnTransitionRadius, erosionIterations, erosionRate, depositionRate, talusAngle } = config
+	const { gridResolution, regionPadding, maxCachedRegions } = EROSION_CONFIG
+
+	const params = { ...EROSION_CONFIG, iterations: erosionIterations, erosionRate, depositionRate, talusAngle }
+	const padding = rootSize * regionPadding
+	const cellSize = (rootSize + padding * 2) / gridResolution
+	const sampleCount = gridResolution + 1
+
+	const spawnRadiusSq = spawnRadius * spawnRadius
+	const transitionEndSq = spawnTransitionRadius * spawnTransitionRadius
+
+	// Region key -> height change grid (normalized units), oldest evicted first
+	const regionDeltas = new Map()
+	const remote = !!regions?.remote
+
+	const toRegionKey = (regionX, regionZ) => (regionX + GRID_OFFSET) * GRID_SPAN + (regionZ + GRID_OFFSET)
+
+	const addRegionDeltas = (key, deltas) => {
+		if (regionDeltas.size >= maxCachedRegions) {
+			regionDeltas.delete(regionDeltas.keys().next().value)
+		}
+		regionDeltas.set(key, deltas)
+	}
+
+	/**
+	 * Simulate a region and return its height changes, from cache when available.
+	 * Remote samplers request regions instead and return null until they load.
+	 */
+	const getRegionDeltas = (regionX, regionZ) => {
+		const key = toRegionKey(regionX, regionZ)
+		let deltas = regionDeltas.get(key)
+		if (deltas) return deltas
+		if (remote) {
+			regions.request('erosion', regionX, regionZ)
+			return null
+		}
+
+		const originX = regionX * rootSize - padding
+		const originZ = regionZ * rootSize - padding
+
+		// Heights in cell units so slopes are rise over run regardless of scale
+		const heights = new Float32Array(sampleCount * sampleCount)
+		for (let j = 0; j < sampleCount; j++) {
+			for (let i = 0; i < sampleCount; i++) {
+				heights[j * sampleCount + i] = (sampleHeight(originX + i * cellSize, originZ + j * cellSize) * baseHeightScale) / cellSize
+			}
+		}
+		const original = heights.slice()
+
+		const random = createSeededRandom(hashCoords(regionX, regionZ, seed + EROSION_SALT))
+		applyHydraulicErosion(heights, sampleCount, random, params)
+		applyThermalErosion(heights, sampleCount, params)
+
+		deltas = heights
+		for (let i = 0; i < deltas.length; i++) {
+			deltas[i] = ((heights[i] - original[i]) * cellSize) / baseHeightScale
+		}
+
+		addRegionDeltas(key, deltas)
+		return deltas
+	}
+
+	regions?.register('erosion', {
+		getRegion: getRegionDeltas,
+		setRegion: (regionX, regionZ, deltas) => addRegionDeltas(toRegionKey(regionX, regionZ), deltas),
+	})
+
+	/**
+	 * Bilinearly interpolate a region's height change at a world position.
+	 */
+	const sampleRegionDelta = (regionX, regionZ, x, z) => {
+		const deltas = getRegionDeltas(regionX, regionZ)
+		if (!deltas) return 0
+		const gridX = Math.min(Math.max((x - regionX * rootSize + padding) / cellSize, 0), gridResolution - 1e-4)
+		const gridZ = Math.min(Math.max((z - regionZ * rootSize + padding) / cellSize, 0), gridResolution - 1e-4)
+		return sampleGrid(deltas, sampleCount, gridX, gridZ).height
+	}
+
+	/**
+	 * Sample eroded normalized height at a world position.
+	 *
+	 * @param {number} x - World X coordinate
+	 * @param {number} z - World Z coordinate
+	 * @returns {number} Normalized height value
+	 */
+	return function sampleErodedHeight(x, z) {
+		const height = sampleHeight(x, z)
+
+		const distSq = x * x + z * z
+		if (distSq < spawnRadiusSq) {
+			return height
+		}
+
+		// Own region, plus the neighbour to cross-fade with inside the padding band
+		const regionX = Math.floor(x / rootSize)
+		const regionZ = Math.floor(z / rootSize)
+		const localX = x - regionX * rootSize
+		const localZ = z - regionZ * rootSize
+
+		let otherX = regionX
+		let weightX = 1
+		if (localX < padding) {
+			otherX = regionX - 1
+			weightX = smoothstep((localX + padding) / (padding * 2))
+		} else if (localX > rootSize - padding) {
+			otherX = regionX + 1
+			weightX = smoothstep((rootSize - localX + padding) / (padding * 2))
+		}
+
+		let otherZ = regionZ
+		let weightZ = 1
+		if (localZ < padding) {
+			otherZ = regionZ - 1
+			weightZ = smoothstep((localZ + padding) / (padding * 2))
+		} else if (localZ > rootSize - padding) {
+			otherZ = regionZ + 1
+			weightZ = smoothstep((rootSize - localZ + padding) / (padding * 2))
+		}
+
+		let delta = sampleRegionDelta(regionX, regionZ, x, z) * weightX * weightZ
+		if (weightX < 1) delta += sampleRegionDelta(otherX, regionZ, x, z) * (1 - weightX) * weightZ
+		if (weightZ < 1) delta += sampleRegionDelta(regionX, otherZ, x, z) * weightX * (1 - weightZ)
+		if (weightX < 1 && weightZ < 1) delta += sampleRegionDelta(otherX, otherZ, x, z) * (1 - weightX) * (1 - weightZ)
+
+		// Fade erosion in across the spawn transition, matching the base terrain
+		if (distSq < transitionEndSq) {
+			const t = (Math.sqrt(distSq) - spawnRadius) / (spawnTransitionRadius - spawnRadius)
+			delta *= t * t * t * (t * (t * 6 - 15) + 10) // Quintic smoothstep
+		}
+
+		return height + delta
+	}
+}
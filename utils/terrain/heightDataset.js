@@ -0,0 +1,156 @@
+// Real-world height source
+// Loads elevation datasets and samples them in place of the procedural heightmap.
+
+import { createSeededNoise } from './noise'
+import { parsePNG16, parseRAW, parseGeoTIFF, parseHGT } from './elevationFormats'
+
+/**
+ * Default height source options. Any option can be overridden per source.
+ */
+export const DEFAULT_HEIGHT_SOURCE_OPTIONS = {
+	scale: 30, // World units between dataset samples (SRTM 1 arc-second is ~30 m)
+	offset: [0, 0], // World [x, z] position of the dataset centre
+	heightScale: 1, // Raw sample value -> world units
+	heightOffset: 0, // World units added after scaling (e.g. to move sea level to waterLevel)
+	exaggeration: 1, // Vertical exaggeration applied to scaled heights
+	interpolation: 'bilinear', // 'bilinear' or 'bicubic'
+	detail: 0, // Amplitude of procedural detail noise in world units (0 disables)
+	detailScale: 0.05, // Frequency of procedural detail noise
+}
+
+// File extension -> parser format
+const FORMAT_EXTENSIONS = {
+	png: 'png',
+	raw: 'raw',
+	r16: 'raw',
+	r32: 'raw',
+	bin: 'raw',
+	tif: 'geotiff',
+	tiff: 'geotiff',
+	hgt: 'hgt',
+}
+
+/**
+ * Load an elevation dataset.
+ *
+ * @param {string|ArrayBuffer} source - URL or file contents
+ * @param {Object} [options]
+ * @param {string} [options.format] - 'png', 'raw', 'geotiff' or 'hgt' (inferred from the URL extension if omitted)
+ * @param {string} [options.sampleType] - RAW only: 'float32' (default, also inferred from .r32) or 'uint16' (inferred from .r16)
+ * @param {number} [options.width] - RAW only: samples per row (defaults to a square grid)
+ * @param {number} [options.height] - RAW only: number of rows
+ * @param {boolean} [options.littleEndian] - RAW only: byte order (default true)
+ * @returns {Promise<Object>} Height dataset { width, height, data, metadata }
+ */
+export const loadHeightDataset = async (source, options = {}) => {
+	const isUrl = typeof source === 'string'
+	const extension = isUrl ? source.split('?')[0].split('.').pop().toLowerCase() : null
+	const format = options.format || FORMAT_EXTENSIONS[extension]
+	if (!format) {
+		throw new Error(`[loadHeightDataset] Unknown elevation format${extension ? ` '.${extension}'` : ''}, pass options.format`)
+	}
+
+	let buffer = source
+	if (isUrl) {
+		const response = await fetch(source)
+		if (!response.ok) {
+			throw new Error(`[loadHeightDataset] Failed to load ${source}: ${response.status}`)
+		}
+		buffer = await response.arrayBuffer()
+	}
+
+	switch (format) {
+		case 'png':
+			return parsePNG16(buffer)
+		case 'geotiff':
+			return parseGeoTIFF(buffer)
+		case 'hgt':
+			return parseHGT(buffer)
+		case 'raw': {
+			const sampleType = options.sampleType || (extension === 'r16' ? 'uint16' : 'float32')
+			return parseRAW(buffer, { format: sampleType, width: options.width, height: options.height, littleEndian: options.littleEndian })
+		}
+		default:
+			throw new Error(`[loadHeightDataset] Unsupported elevation format '${format}'`)
+	}
+}
+
+/**
+ * Catmull-Rom cubic interpolation between p1 and p2.
+ */
+const cubic = (p0, p1, p2, p3, t) => p1 + 0.5 * t * (p2 - p0 + t * (2 * p0 - 5 * p1 + 4 * p2 - p3 + t * (3 * (p1 - p2) + p3 - p0)))
+
+/**
+ * Create a height sampler from an elevation dataset.
+ *
+ * The dataset is centred on source.offset with source.scale world units between samples.
+ * Positions outside the dataset clamp to its edge.
+ *
+ * @param {Object} source - Height source: { dataset, ...options } (see DEFAULT_HEIGHT_SOURCE_OPTIONS)
+ * @param {Object} source.dataset - Height dataset from loadHeightDataset
+ * @param {Object} config - Terrain configuration
+ * @param {number} config.seed - Seed for the procedural detail noise
+ * @param {number} config.baseHeightScale - Scale multiplier for world heights
+ * @returns {Function} Height sampling function: (x, z) => normalizedHeight
+ */
+export function createDatasetHeightSampler(source, config) {
+	const { dataset, scale, offset, heightScale, heightOffset, exaggeration, interpolation, detail, detailScale } = { ...DEFAULT_HEIGHT_SOURCE_OPTIONS, ...source }
+	const { seed, baseHeightScale } = config
+	const { width, height, data } = dataset
+
+	const noise = detail > 0 ? createSeededNoise(seed) : null
+	const halfWidth = (width - 1) / 2
+	const halfHeight = (height - 1) / 2
+	const verticalScale = (heightScale * exaggeration) / baseHeightScale
+	const normalizedOffset = heightOffset / baseHeightScale
+
+	// Raw sample with edge clamping
+	const sample = (i, j) => {
+		const ci = i < 0 ? 0 : i >= width ? width - 1 : i
+		const cj = j < 0 ? 0 : j >= height ? height - 1 : j
+		return data[cj * width + ci]
+	}
+
+	const sampleBilinear = (gx, gz) => {
+		const i = Math.floor(gx)
+		const j = Math.floor(gz)
+		const tx = gx - i
+		const tz = gz - j
+		const top = sample(i, j) * (1 - tx) + sample(i + 1, j) * tx
+		const bottom = sample(i, j + 1) * (1 - tx) + sample(i + 1, j + 1) * tx
+		return top * (1 - tz) + bottom * tz
+	}
+
+	const sampleBicubic = (gx, gz) => {
+		const i = Math.floor(gx)
+		const j = Math.floor(gz)
+		const tx = gx - i
+		const tz = gz - j
+		const row = (dj) => cubic(sample(i - 1, j + dj), sample(i, j + dj), sample(i + 1, j + dj), sample(i + 2, j + dj), tx)
+		return cubic(row(-1), row(0), row(1), row(2), tz)
+	}
+
+	const sampleDataset = interpolation === 'bicubic' ? sampleBicubic : sampleBilinear
+
+	/**
+	 * Sample normalized height at a world position.
+	 *
+	 * @param {number} x - World X coordinate
+	 * @param {number} z - World Z coordinate
+	 * @returns {number} Normalized height value
+	 */
+	return function sampleHeight(x, z) {
+		// Dataset rows run north to south, which is +z in world space
+		const gx = (x - offset[0]) / scale + halfWidth
+		const gz = (z - offset[1]) / scale + halfHeight
+		let elevation = sampleDataset(gx, gz) * verticalScale + normalizedOffset
+
+		// Procedural detail below the dataset resolution, most visible on close-up LODs
+		if (noise) {
+			const n = noise.perlin2(x * detailScale, z * detailScale) * 0.7 + noise.perlin2(x * detailScale * 2.3, z * detailScale * 2.3) * 0.3
+			elevation += (n * detail) / baseHeightScale
+		}
+
+		return Number.isFinite(elevation) ? elevation : 0
+	}
+}
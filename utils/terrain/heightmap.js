@@ -2,6 +2,9 @@
 // Creates a height sampling function from terrain configuration
 
 import { createSeededNoise } from './noise'
+import { createErosionSampler } from './erosion'
+import { createRiverSampler } from './rivers'
+import { createDatasetHeightSampler } from './heightDataset'
 
 /**
  * Smoothstep interpolation (cubic hermite)
@@ -29,9 +32,13 @@ const smoothstep = (t) => {
  * @param {number} config.spawnTransitionRadius - Outer radius of spawn transition zone
  * @param {number} config.waterLevel - Water surface level in world units
  * @param {number} config.waterMaxDepth - Maximum water depth in world units
+ * @param {Object} [config.heightSource] - Real-world elevation source used instead of noise (see createDatasetHeightSampler)
+ * @param {boolean} [config.erosionEnabled] - Apply hydraulic and thermal erosion (see createErosionSampler)
+ * @param {boolean} [config.riversEnabled] - Carve river channels (see createRiverSampler)
+ * @param {Object} [regions] - Region store for erosion and river regions (see createTerrainRegions)
  * @returns {Function} Height sampling function: (x, z) => normalizedHeight
  */
-export function createHeightSampler(config) {
+export function createHeightSampler(config, regions = null) {
 	const { seed, baseHeightScale, continentScale, noiseScale, mountainScale, maxMountainHeight, spawnRadius, spawnTransitionRadius, waterLevel, waterMaxDepth } = config
 
 	const noise = createSeededNoise(seed)
@@ -46,7 +53,7 @@ export function createHeightSampler(config) {
 	 * @param {number} z - World Z coordinate
 	 * @returns {number} Normalized height value (roughly -1 to +1, can exceed for mountains)
 	 */
-	return function sampleHeight(x, z) {
+	function sampleHeight(x, z) {
 		const distSq = x * x + z * z
 
 		// === SPAWN AREA: Flat spawn zone (check first for early return) ===
@@ -146,4 +153,11 @@ export function createHeightSampler(config) {
 
 		return height
 	}
+
+	// Real-world elevation replaces the procedural base; erosion and rivers still apply on top
+	const baseHeight = config.heightSource ? createDatasetHeightSampler(config.heightSource, config) : sampleHeight
+	const erodedHeight = config.erosionEnabled ? createErosionSampler(baseHeight, config, regions) : baseHeight
+
+	// Rivers are traced on the eroded terrain, then carved into it
+	return config.riversEnabled ? createRiverSampler(erodedHeight, config, regions) : erodedHeight
 }
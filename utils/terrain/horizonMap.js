@@ -0,0 +1,85 @@
+// Terrain horizon maps
+// For each tile vertex, the elevation angle of the terrain horizon looking towards the key light's azimuth.
+// The terrain shader compares it with the light's elevation, so distant ridgelines darken whole valleys at
+// low sun angles, far beyond the reach of the shadow maps. Only needs getHeight, so it runs in tile workers.
+
+import { BufferAttribute } from 'three'
+
+import { HORIZON_CONFIG } from '../../config/sky'
+
+/**
+ * Light azimuth quantised to HORIZON_CONFIG.azimuthStep, so horizon maps are only recomputed once the light
+ * has moved far enough.
+ *
+ * @param {number[]} direction - Direction towards the light [x, y, z]
+ * @returns {number} Azimuth in degrees (0 = +Z, like wave and wind directions)
+ */
+export const getHorizonAzimuth = (direction) => {
+	const { azimuthStep } = HORIZON_CONFIG
+	const azimuth = (Math.atan2(direction[0], direction[2]) * 180) / Math.PI
+	return (((Math.round(azimuth / azimuthStep) * azimuthStep) % 360) + 360) % 360
+}
+
+/**
+ * Compute the horizon elevation at every vertex of a tile, looking along an azimuth.
+ * Samples spread out geometrically from HORIZON_CONFIG.minDistance to maxDistance, independent of the tile
+ * size, so neighbouring tiles agree along their shared edges.
+ *
+ * @param {Object} terrain - Terrain queries with getHeight (see createTerrainQueries)
+ * @param {Object} node - Quadtree node with size, centerX, centerZ
+ * @param {Object} options
+ * @param {number} options.tileResolution - Segments per tile side (matches the tile geometry)
+ * @param {number} azimuth - Direction towards the light in degrees (see getHorizonAzimuth)
+ * @returns {Float32Array} Horizon elevation in radians per vertex, in tile vertex order
+ */
+export const computeHorizonMap = (terrain, node, { tileResolution }, azimuth) => {
+	const { getHeight } = terrain
+	const { size, centerX, centerZ } = node
+	const { minDistance, maxDistance, stepGrowth } = HORIZON_CONFIG
+	const sampleCount = tileResolution + 1
+	const step = size / tileResolution
+	const originX = centerX - size / 2
+	const originZ = centerZ - size / 2
+	const angle = (azimuth * Math.PI) / 180
+	const dirX = Math.sin(angle)
+	const dirZ = Math.cos(angle)
+
+	const horizons = new Float32Array(sampleCount * sampleCount)
+	for (let j = 0; j < sampleCount; j++) {
+		const z = originZ + j * step
+		for (let i = 0; i < sampleCount; i++) {
+			const x = originX + i * step
+			const height = getHeight(x, z)
+
+			// Steepest rise towards the light
+			let maxSlope = -Infinity
+			for (let distance = minDistance; distance <= maxDistance; distance *= stepGrowth) {
+				maxSlope = Math.max(maxSlope, (getHeight(x + dirX * distance, z + dirZ * distance) - height) / distance)
+			}
+			horizons[j * sampleCount + i] = Math.atan(maxSlope)
+		}
+	}
+	return horizons
+}
+
+/**
+ * Attach a horizon map to tile geometry as its 'horizon' attribute (read by the terrain material).
+ * Ignored if the map was computed for a different resolution (e.g. a placeholder tile).
+ *
+ * @param {THREE.BufferGeometry} geometry - Terrain tile geometry
+ * @param {Float32Array} horizons - Horizon map from computeHorizonMap
+ * @returns {boolean} True if the attribute was set
+ */
+export const setHorizonMap = (geometry, horizons) => {
+	if (geometry.getAttribute('position').count !== horizons.length) return false
+
+	// Update in place once set, so the GPU buffer is reused as the light moves
+	const attribute = geometry.getAttribute('horizon')
+	if (attribute) {
+		attribute.array.set(horizons)
+		attribute.needsUpdate = true
+	} else {
+		geometry.setAttribute('horizon', new BufferAttribute(horizons, 1))
+	}
+	return true
+}
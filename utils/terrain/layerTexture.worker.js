@@ -0,0 +1,27 @@
+// Layer texture worker
+// Resamples layer images (ImageBitmaps) to the layer texture array resolution, flipped bottom row first,
+// and reads their RGBA pixels back through an OffscreenCanvas, off the main thread. Pixels are returned transferred.
+
+let context = null
+
+const resample = async ({ bitmap, size }) => {
+	const resized = await createImageBitmap(bitmap, { resizeWidth: size, resizeHeight: size, resizeQuality: 'high', imageOrientation: 'flipY' })
+	bitmap.close()
+
+	if (!context || context.canvas.width !== size) {
+		context = new OffscreenCanvas(size, size).getContext('2d', { willReadFrequently: true })
+	}
+	context.clearRect(0, 0, size, size)
+	context.drawImage(resized, 0, 0)
+	resized.close()
+	return context.getImageData(0, 0, size, size).data
+}
+
+self.onmessage = async ({ data }) => {
+	try {
+		const pixels = await resample(data)
+		self.postMessage({ id: data.id, pixels }, [pixels.buffer])
+	} catch (error) {
+		self.postMessage({ id: data.id, error: error.message })
+	}
+}
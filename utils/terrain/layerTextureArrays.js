@@ -0,0 +1,202 @@
+// Layer texture arrays
+// Packs every terrain layer's textures into three DataArrayTextures (albedo, normal, and a data array holding
+// height, AO and roughness), so the terrain shader binds the same samplers however many layers a preset has.
+// Source images of any size are resampled to one resolution in a worker (createImageBitmap and an OffscreenCanvas),
+// or through a 2D canvas on the main thread where workers can't do it.
+
+import { DataArrayTexture, RGBAFormat, UnsignedByteType, LinearFilter, LinearMipmapLinearFilter, RepeatWrapping } from 'three'
+
+import { LAYER_TEXTURE_CONFIG } from '../../config/terrain'
+
+// Greyscale maps packed into the data array by channel, with the byte a layer without the map gets
+const DATA_CHANNELS = [
+	{ slot: 'height', fallback: 128 }, // r
+	{ slot: 'ao', fallback: 255 }, // g
+	{ slot: 'roughness', fallback: 255 }, // b
+]
+
+// Fills for a layer whose albedo or normal map failed to load: mid grey, and a flat tangent-space normal
+const NEUTRAL_ALBEDO = [128, 128, 128]
+const NEUTRAL_NORMAL = [128, 128, 255]
+
+// Readback worker, created on first use (null where workers, OffscreenCanvas or createImageBitmap are unavailable)
+let worker
+let nextJobId = 0
+const pendingJobs = new Map() // job id -> { resolve, reject }
+
+const getWorker = () => {
+	if (worker !== undefined) return worker
+	worker = null
+	if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap === 'undefined') return worker
+
+	worker = new Worker(new URL('./layerTexture.worker.js', import.meta.url), { type: 'module' })
+	worker.onmessage = ({ data }) => {
+		const job = pendingJobs.get(data.id)
+		pendingJobs.delete(data.id)
+		if (data.error) job.reject(new Error(data.error))
+		else job.resolve(data.pixels)
+	}
+	// A worker that fails to load is dropped; its jobs and later ones resample on the main thread
+	worker.onerror = (event) => {
+		console.error('[loadLayerTextureArrays] Worker error:', event.message)
+		worker.terminate()
+		worker = null
+		pendingJobs.forEach(({ reject }) => reject(new Error(event.message)))
+		pendingJobs.clear()
+	}
+	return worker
+}
+
+const createCanvasContext = (size) => {
+	const canvas = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(size, size) : Object.assign(document.createElement('canvas'), { width: size, height: size })
+	return canvas.getContext('2d', { willReadFrequently: true })
+}
+
+// Resample an image to size x size RGBA pixels, bottom row first: the flip regular textures get on upload
+const readPixels = (context, image, size) => {
+	context.save()
+	context.clearRect(0, 0, size, size)
+	context.translate(0, size)
+	context.scale(1, -1)
+	context.drawImage(image, 0, 0, size, size)
+	context.restore()
+	return context.getImageData(0, 0, size, size).data
+}
+
+// Resample an image in the worker, falling back to the main thread
+const resampleImage = async (image, size, getContext) => {
+	const target = getWorker()
+	if (target) {
+		try {
+			const bitmap = await createImageBitmap(image, { premultiplyAlpha: 'none', colorSpaceConversion: 'none' })
+			return await new Promise((resolve, reject) => {
+				const id = nextJobId++
+				pendingJobs.set(id, { resolve, reject })
+				target.postMessage({ id, bitmap, size }, [bitmap])
+			})
+		} catch {
+			// Resampled below
+		}
+	}
+	return readPixels(getContext(), image, size)
+}
+
+const fillLayer = (array, offset, texels, rgb) => {
+	for (let i = 0; i < texels; i++) {
+		const o = offset + i * 4
+		array[o] = rgb[0]
+		array[o + 1] = rgb[1]
+		array[o + 2] = rgb[2]
+		array[o + 3] = 255
+	}
+}
+
+const createArrayTexture = (data, size, depth) => {
+	const texture = new DataArrayTexture(data, size, size, depth)
+	texture.format = RGBAFormat
+	texture.type = UnsignedByteType
+	texture.wrapS = texture.wrapT = RepeatWrapping
+	texture.magFilter = LinearFilter
+	texture.minFilter = LinearMipmapLinearFilter
+	texture.generateMipmaps = true
+	texture.needsUpdate = true
+	return texture
+}
+
+// Source images of a layer's array layers: albedo and normal, and the data maps by channel (null when missing)
+const getLayerImages = (layer, textures = {}) => ({
+	albedo: textures.albedo?.image ?? null,
+	normal: textures.normal?.image ?? null,
+	data: DATA_CHANNELS.map(({ slot }) => (layer.textures[slot] && textures[slot]?.image) || null),
+})
+
+// Pack layers into texture arrays, with read(image) returning an image's resampled pixels
+const packLayerTextureArrays = (layers, layerTextures, size, read) => {
+	const texels = size * size
+	const depth = Math.max(layers.length, 1)
+	const hasData = (layer) => DATA_CHANNELS.some(({ slot }) => layer.textures[slot])
+
+	let dataCount = 0
+	const dataLayers = layers.map((layer) => (hasData(layer) ? dataCount++ : -1))
+
+	const albedo = new Uint8Array(texels * 4 * depth)
+	const normal = new Uint8Array(texels * 4 * depth)
+	// A single unused layer when no terrain layer has data maps, so the sampler is still bound to an array
+	const data = new Uint8Array(texels * 4 * Math.max(dataCount, 1))
+
+	const copyImage = (target, offset, image, fallback) => {
+		if (image) target.set(read(image), offset)
+		else fillLayer(target, offset, texels, fallback)
+	}
+
+	layers.forEach((layer, index) => {
+		const images = getLayerImages(layer, layerTextures?.[layer.name])
+		copyImage(albedo, index * texels * 4, images.albedo, NEUTRAL_ALBEDO)
+		copyImage(normal, index * texels * 4, images.normal, NEUTRAL_NORMAL)
+
+		if (dataLayers[index] < 0) return
+		const offset = dataLayers[index] * texels * 4
+		fillLayer(data, offset, texels, DATA_CHANNELS.map(({ fallback }) => fallback))
+		images.data.forEach((image, channel) => {
+			if (!image) return
+			// Greyscale maps: the red channel carries the value
+			const pixels = read(image)
+			for (let i = 0; i < texels; i++) {
+				data[offset + i * 4 + channel] = pixels[i * 4]
+			}
+		})
+	})
+
+	return {
+		albedo: createArrayTexture(albedo, size, depth),
+		normal: createArrayTexture(normal, size, depth),
+		data: createArrayTexture(data, size, Math.max(dataCount, 1)),
+		dataLayers,
+	}
+}
+
+/**
+ * Pack layer textures into texture arrays, resampling them in a worker.
+ *
+ * Array layer i of the albedo and normal arrays holds terrain layer i. Only terrain layers with a height, ao or
+ * roughness map get a layer of the data array (r = height, g = ao, b = roughness, missing maps filled with
+ * their neutral value); dataLayers maps each terrain layer to it, or -1.
+ *
+ * The source textures are only read, and must stay loaded until the promise settles; their owner disposes them.
+ *
+ * @param {Array} layers - Terrain layer configs
+ * @param {Object} layerTextures - Map of layer name -> { albedo, normal, height?, ao?, roughness? } (see mapLayerTextures)
+ * @param {number} [size] - Resolution every texture is resampled to
+ * @returns {Promise<{ albedo: THREE.DataArrayTexture, normal: THREE.DataArrayTexture, data: THREE.DataArrayTexture, dataLayers: number[] }>}
+ */
+export const loadLayerTextureArrays = async (layers, layerTextures, size = LAYER_TEXTURE_CONFIG.size) => {
+	// Main thread fallback canvas, created on first use
+	let context = null
+	const getContext = () => (context ??= createCanvasContext(size))
+
+	const images = new Set()
+	layers.forEach((layer) => {
+		const { albedo, normal, data } = getLayerImages(layer, layerTextures?.[layer.name])
+		for (const image of [albedo, normal, ...data]) {
+			if (image) images.add(image)
+		}
+	})
+	const pixels = new Map(await Promise.all([...images].map(async (image) => [image, await resampleImage(image, size, getContext)])))
+
+	return packLayerTextureArrays(layers, layerTextures, size, (image) => pixels.get(image))
+}
+
+/**
+ * Pack layer textures into texture arrays, resampling them on the main thread (see loadLayerTextureArrays).
+ *
+ * @deprecated Blocks the main thread while resampling; use loadLayerTextureArrays
+ * @param {Array} layers - Terrain layer configs
+ * @param {Object} layerTextures - Map of layer name -> { albedo, normal, height?, ao?, roughness? } (see mapLayerTextures)
+ * @param {number} [size] - Resolution every texture is resampled to
+ * @returns {{ albedo: THREE.DataArrayTexture, normal: THREE.DataArrayTexture, data: THREE.DataArrayTexture, dataLayers: number[] }}
+ */
+export const createLayerTextureArrays = (layers, layerTextures, size = LAYER_TEXTURE_CONFIG.size) => {
+	// Created on first use: nothing to resample when every map is missing
+	let context = null
+	return packLayerTextureArrays(layers, layerTextures, size, (image) => readPixels((context ??= createCanvasContext(size)), image, size))
+}
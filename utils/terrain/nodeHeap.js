@@ -0,0 +1,53 @@
+// Node heap
+// Binary min-heap of numeric keys ordered by score, shared by the grid searches (pathfinding, lake filling)
+
+/**
+ * Minimal binary min-heap of node keys ordered by score.
+ * Keys may be pushed again with a better score; stale entries are skipped by the caller.
+ */
+export class NodeHeap {
+	constructor() {
+		this.keys = []
+		this.scores = []
+	}
+
+	get size() {
+		return this.keys.length
+	}
+
+	push(key, score) {
+		const { keys, scores } = this
+		let index = keys.length
+		while (index > 0) {
+			const parent = (index - 1) >> 1
+			if (scores[parent] <= score) break
+			keys[index] = keys[parent]
+			scores[index] = scores[parent]
+			index = parent
+		}
+		keys[index] = key
+		scores[index] = score
+	}
+
+	pop() {
+		const { keys, scores } = this
+		const top = keys[0]
+		const lastKey = keys.pop()
+		const lastScore = scores.pop()
+		if (keys.length === 0) return top
+
+		let index = 0
+		for (;;) {
+			let child = index * 2 + 1
+			if (child >= keys.length) break
+			if (child + 1 < keys.length && scores[child + 1] < scores[child]) child++
+			if (scores[child] >= lastScore) break
+			keys[index] = keys[child]
+			scores[index] = scores[child]
+			index = child
+		}
+		keys[index] = lastKey
+		scores[index] = lastScore
+		return top
+	}
+}
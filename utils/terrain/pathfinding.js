@@ -0,0 +1,241 @@
+// Terrain pathfinding
+// A* over a grid that is sampled lazily from the terrain queries, so routes can be found anywhere on the
+// infinite world without baking navigation data. Obstacles come from vegetation colliders and slopes are
+// measured the same way vegetation placement measures them (1 - normal.y).
+
+import { Vector3 } from 'three'
+
+import { getCellVegetationColliders } from './vegetationGeneration'
+import { NodeHeap } from './nodeHeap'
+import { LOD_CONFIG } from '../../config/lod'
+
+/**
+ * Default pathfinding options. Any option can be overridden per call.
+ */
+export const DEFAULT_PATHFINDING_OPTIONS = {
+	maxSlope: 0.25, // Steepest walkable slope as 1 - normal.y (same measure as the vegetation slope limits)
+	avoidWater: true, // Treat water and river channels as impassable (otherwise they cost waterCost)
+	cellSize: 2, // Grid spacing in world units
+	slopeCost: 4, // Extra cost per unit of slope, so routes prefer flatter ground
+	waterCost: 4, // Cost multiplier for wading when avoidWater is false
+	agentRadius: 0.5, // Clearance kept around vegetation colliders
+	maxIterations: 50000, // Grid nodes expanded before giving up
+	vegetation: null, // Vegetation type configs whose collider entries block the path
+	minTileSize: LOD_CONFIG.minTileSize, // Vegetation cell size (must match the rendered vegetation)
+}
+
+// Grid coordinates are packed into one number; searches stay far inside ±GRID_OFFSET cells
+const GRID_OFFSET = 1 << 20
+const GRID_SPAN = 1 << 21
+
+// 8-connected neighbourhood: [di, dj]
+const NEIGHBOURS = [
+	[1, 0],
+	[-1, 0],
+	[0, 1],
+	[0, -1],
+	[1, 1],
+	[1, -1],
+	[-1, 1],
+	[-1, -1],
+]
+
+/**
+ * Find a walkable route across the terrain.
+ *
+ * Runs A* on an 8-connected grid anchored at the start, sampling slope, water and vegetation
+ * obstacles only where the search goes. The grid route is then shortened by skipping waypoints
+ * that are in direct walkable reach of each other and draped onto the surface with getHeight.
+ *
+ * @param {Object} terrain - Terrain queries with getHeight, getNormal, isWater and isRiver (see createTerrainQueries)
+ * @param {Object} start - Start position { x, z }
+ * @param {Object} goal - Goal position { x, z }
+ * @param {Object} [options] - See DEFAULT_PATHFINDING_OPTIONS
+ * @returns {Vector3[]|null} Polyline from start to goal with points at most cellSize apart,
+ *   or null if the goal is blocked or cannot be reached within maxIterations
+ */
+export const findPath = (terrain, start, goal, options = {}) => {
+	const { maxSlope, avoidWater, cellSize, slopeCost, waterCost, agentRadius, maxIterations, vegetation, minTileSize } = {
+		...DEFAULT_PATHFINDING_OPTIONS,
+		...options,
+	}
+	const { getHeight, getNormal, isWater, isRiver } = terrain
+	const normal = new Vector3()
+
+	// Vegetation colliders, generated per vegetation cell on demand
+	const hasColliders = !!vegetation?.some((type) => type.collider)
+	const vegetationCellSize = hasColliders ? minTileSize : 0
+	const colliderCells = new Map()
+	const getColliders = (cellX, cellZ) => {
+		const key = `${cellX},${cellZ}`
+		let colliders = colliderCells.get(key)
+		if (!colliders) {
+			colliders = getCellVegetationColliders(cellX, cellZ, terrain, vegetation, vegetationCellSize)
+			colliderCells.set(key, colliders)
+		}
+		return colliders
+	}
+
+	const isBlockedByVegetation = (x, z) => {
+		const gridX = Math.floor(x / vegetationCellSize)
+		const gridZ = Math.floor(z / vegetationCellSize)
+
+		// Colliders near a cell border can overlap the neighbouring cell
+		for (let cz = gridZ - 1; cz <= gridZ + 1; cz++) {
+			for (let cx = gridX - 1; cx <= gridX + 1; cx++) {
+				const colliders = getColliders((cx + 0.5) * vegetationCellSize, (cz + 0.5) * vegetationCellSize)
+				for (let i = 0; i < colliders.length; i++) {
+					const { x: colliderX, z: colliderZ, radius } = colliders[i]
+					const reach = radius + agentRadius
+					if ((x - colliderX) ** 2 + (z - colliderZ) ** 2 < reach * reach) return true
+				}
+			}
+		}
+		return false
+	}
+
+	/**
+	 * Cost multiplier for walking at a point, or Infinity when it is not walkable.
+	 */
+	const getTraversalCost = (x, z) => {
+		const slope = 1 - getNormal(x, z, normal).y
+		if (slope > maxSlope) return Infinity
+
+		let cost = 1 + slope * slopeCost
+		if (isWater(x, z) || isRiver(x, z)) {
+			if (avoidWater) return Infinity
+			cost *= waterCost
+		}
+		if (vegetationCellSize > 0 && isBlockedByVegetation(x, z)) return Infinity
+		return cost
+	}
+
+	// Grid anchored at the start position
+	const toKey = (i, j) => (i + GRID_OFFSET) * GRID_SPAN + (j + GRID_OFFSET)
+	const keyI = (key) => Math.floor(key / GRID_SPAN) - GRID_OFFSET
+	const keyJ = (key) => (key % GRID_SPAN) - GRID_OFFSET
+	const cellX = (i) => start.x + i * cellSize
+	const cellZ = (j) => start.z + j * cellSize
+
+	const heights = new Map()
+	const getCellHeight = (i, j) => {
+		const key = toKey(i, j)
+		let height = heights.get(key)
+		if (height === undefined) {
+			height = getHeight(cellX(i), cellZ(j))
+			heights.set(key, height)
+		}
+		return height
+	}
+
+	const costs = new Map()
+	const getCellCost = (key) => {
+		let cost = costs.get(key)
+		if (cost === undefined) {
+			cost = getTraversalCost(cellX(keyI(key)), cellZ(keyJ(key)))
+			costs.set(key, cost)
+		}
+		return cost
+	}
+
+	const goalI = Math.round((goal.x - start.x) / cellSize)
+	const goalJ = Math.round((goal.z - start.z) / cellSize)
+	const startKey = toKey(0, 0)
+	const goalKey = toKey(goalI, goalJ)
+
+	if (getCellCost(goalKey) === Infinity) return null
+
+	// Horizontal distance never overestimates since every cost multiplier is at least 1
+	const heuristic = (i, j) => Math.hypot(goalI - i, goalJ - j) * cellSize
+
+	const gScores = new Map([[startKey, 0]])
+	const cameFrom = new Map()
+	const closed = new Set()
+	const open = new NodeHeap()
+	open.push(startKey, heuristic(0, 0))
+
+	let iterations = 0
+	let reached = false
+
+	while (open.size > 0 && iterations < maxIterations) {
+		const key = open.pop()
+		if (closed.has(key)) continue
+		if (key === goalKey) {
+			reached = true
+			break
+		}
+		closed.add(key)
+		iterations++
+
+		const i = keyI(key)
+		const j = keyJ(key)
+		const height = getCellHeight(i, j)
+
+		for (const [di, dj] of NEIGHBOURS) {
+			const neighbourKey = toKey(i + di, j + dj)
+			if (closed.has(neighbourKey)) continue
+
+			const cost = getCellCost(neighbourKey)
+			if (cost === Infinity) continue
+
+			// Don't cut corners past blocked cells
+			if (di !== 0 && dj !== 0 && (getCellCost(toKey(i + di, j)) === Infinity || getCellCost(toKey(i, j + dj)) === Infinity)) continue
+
+			const rise = getCellHeight(i + di, j + dj) - height
+			const gScore = gScores.get(key) + Math.sqrt((di * di + dj * dj) * cellSize * cellSize + rise * rise) * cost
+
+			if (gScore < (gScores.get(neighbourKey) ?? Infinity)) {
+				cameFrom.set(neighbourKey, key)
+				gScores.set(neighbourKey, gScore)
+				open.push(neighbourKey, gScore + heuristic(i + di, j + dj))
+			}
+		}
+	}
+
+	if (!reached) return null
+
+	// Grid route back from the goal; the end cells are replaced by the exact start and goal
+	const route = []
+	for (let key = cameFrom.get(goalKey); key !== undefined && key !== startKey; key = cameFrom.get(key)) {
+		route.push({ x: cellX(keyI(key)), z: cellZ(keyJ(key)) })
+	}
+	route.reverse()
+	route.unshift({ x: start.x, z: start.z })
+	route.push({ x: goal.x, z: goal.z })
+
+	// A straight segment is walkable when every sample along it is
+	const isSegmentWalkable = (a, b) => {
+		const length = Math.hypot(b.x - a.x, b.z - a.z)
+		const samples = Math.ceil(length / (cellSize * 0.5))
+		for (let s = 1; s < samples; s++) {
+			const t = s / samples
+			if (getTraversalCost(a.x + (b.x - a.x) * t, a.z + (b.z - a.z) * t) === Infinity) return false
+		}
+		return true
+	}
+
+	// Skip waypoints the previous kept point can reach directly
+	const smoothed = [route[0]]
+	let anchor = 0
+	while (anchor < route.length - 1) {
+		let next = route.length - 1
+		while (next > anchor + 1 && !isSegmentWalkable(route[anchor], route[next])) next--
+		smoothed.push(route[next])
+		anchor = next
+	}
+
+	// Drape onto the surface
+	const path = [new Vector3(start.x, getHeight(start.x, start.z), start.z)]
+	for (let k = 1; k < smoothed.length; k++) {
+		const a = smoothed[k - 1]
+		const b = smoothed[k]
+		const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.z - a.z) / cellSize))
+		for (let s = 1; s <= steps; s++) {
+			const x = a.x + ((b.x - a.x) * s) / steps
+			const z = a.z + ((b.z - a.z) * s) / steps
+			path.push(new Vector3(x, getHeight(x, z), z))
+		}
+	}
+
+	return path
+}
@@ -2,7 +2,19 @@
 // Quadtree data structure for terrain level-of-detail management.
 // Handles spatial subdivision, view-dependent refinement, and neighbor queries.
 
-import useTerrainStore from '../../store/terrainStore'
+import { Box3, Frustum, Matrix4 } from 'three'
+
+import { LOD_CONFIG } from '../../config/lod'
+
+// Samples per side when measuring a node's height range and geometric error
+const BOUNDS_SAMPLES = 8
+
+// World units added above and below sampled height ranges, covering detail the samples miss
+const BOUNDS_PADDING = 16
+
+// Scratch objects for frustum tests
+const _box = new Box3()
+const _projScreenMatrix = new Matrix4()
 
 /**
  * Represents a node in the terrain quadtree.
@@ -23,6 +35,7 @@ export class QuadtreeNode {
 		this.size = size
 		this.lod = lod
 		this.children = null // null = leaf node, array = subdivided
+		this.bounds = null // Height range and geometric error, sampled on demand in screenSpace mode
 
 		// Unique key for React reconciliation
 		this.key = `qt_${lod}_${Math.floor(centerX)}_${Math.floor(centerZ)}`
@@ -31,23 +44,25 @@ export class QuadtreeNode {
 	/**
 	 * Calculate squared distance from viewer to this node's center.
 	 * Uses squared distance for performance (avoids sqrt).
+	 *
+	 * The vertical part is the viewer's height above the terrain beneath it (see getLodViewerHeight),
+	 * the same distance the terrain material morphs by. Without viewerHeight, viewerPos.y is used.
 	 */
-	getDistanceSq(viewerPos) {
+	getDistanceSq(viewerPos, viewerHeight = viewerPos.y) {
 		const dx = viewerPos.x - this.centerX
-		const dy = viewerPos.y // Height above terrain
 		const dz = viewerPos.z - this.centerZ
-		return dx * dx + dy * dy + dz * dz
+		return dx * dx + viewerHeight * viewerHeight + dz * dz
 	}
 
 	/**
 	 * Check if this node should subdivide based on distance to viewer.
 	 * Uses squared distance for performance.
 	 */
-	shouldSubdivide(viewerPos, splitFactor, minSize) {
+	shouldSubdivide(viewerPos, splitFactor, minSize, viewerHeight) {
 		// Don't subdivide if we're at minimum size
 		if (this.size <= minSize) return false
 
-		const distSq = this.getDistanceSq(viewerPos)
+		const distSq = this.getDistanceSq(viewerPos, viewerHeight)
 
 		// Split threshold based on node size
 		const splitDist = this.size * splitFactor
@@ -60,8 +75,8 @@ export class QuadtreeNode {
 	 * Check if this node should merge (stop subdividing).
 	 * Uses hysteresis to prevent popping at boundaries.
 	 */
-	shouldMerge(viewerPos, splitFactor, hysteresis) {
-		const distSq = this.getDistanceSq(viewerPos)
+	shouldMerge(viewerPos, splitFactor, hysteresis, viewerHeight) {
+		const distSq = this.getDistanceSq(viewerPos, viewerHeight)
 
 		// Merge threshold is further than split threshold
 		const mergeDist = this.size * splitFactor * hysteresis
@@ -70,6 +85,96 @@ export class QuadtreeNode {
 		return distSq > mergeDistSq
 	}
 
+	/**
+	 * Sample this node's height range and geometric error.
+	 * Cached until the view's height sampler changes.
+	 *
+	 * The geometric error is the largest deviation of the terrain from a mesh at half the sample
+	 * spacing, scaled to the tile resolution (an estimate of how far the tile mesh strays from the terrain).
+	 */
+	getBounds(view, tileResolution) {
+		if (this.bounds && this.bounds.getHeight === view.getHeight) return this.bounds
+
+		const { getHeight } = view
+		const count = BOUNDS_SAMPLES + 1
+		const step = this.size / BOUNDS_SAMPLES
+		const originX = this.centerX - this.size / 2
+		const originZ = this.centerZ - this.size / 2
+
+		const heights = new Float32Array(count * count)
+		let minY = Infinity
+		let maxY = -Infinity
+		for (let j = 0; j < count; j++) {
+			for (let i = 0; i < count; i++) {
+				const height = getHeight(originX + i * step, originZ + j * step)
+				heights[j * count + i] = height
+				if (height < minY) minY = height
+				if (height > maxY) maxY = height
+			}
+		}
+
+		// Compare odd samples with the interpolation of their even neighbours
+		let deviation = 0
+		for (let j = 0; j < count; j++) {
+			for (let i = 0; i < count; i++) {
+				const oddX = i % 2 === 1
+				const oddZ = j % 2 === 1
+				if (!oddX && !oddZ) continue
+
+				const index = j * count + i
+				let interpolated
+				if (oddX && oddZ) {
+					interpolated = (heights[index - count - 1] + heights[index - count + 1] + heights[index + count - 1] + heights[index + count + 1]) / 4
+				} else if (oddX) {
+					interpolated = (heights[index - 1] + heights[index + 1]) / 2
+				} else {
+					interpolated = (heights[index - count] + heights[index + count]) / 2
+				}
+				deviation = Math.max(deviation, Math.abs(heights[index] - interpolated))
+			}
+		}
+
+		this.bounds = {
+			getHeight,
+			minY: minY - BOUNDS_PADDING,
+			maxY: maxY + BOUNDS_PADDING,
+			error: (deviation * BOUNDS_SAMPLES) / 2 / tileResolution,
+		}
+		return this.bounds
+	}
+
+	/**
+	 * Check if this node's bounding box intersects the view frustum.
+	 */
+	isVisible(view, tileResolution) {
+		const { minY, maxY } = this.getBounds(view, tileResolution)
+		const halfSize = this.size / 2
+		_box.min.set(this.centerX - halfSize, minY, this.centerZ - halfSize)
+		_box.max.set(this.centerX + halfSize, maxY, this.centerZ + halfSize)
+		return view.frustum.intersectsBox(_box)
+	}
+
+	/**
+	 * Project this node's geometric error to pixels.
+	 * Distance is measured to the closest point of the node's bounding box, so it accounts
+	 * for the viewer's height above the terrain rather than above the origin.
+	 */
+	getScreenSpaceError(view, tileResolution) {
+		const { minY, maxY, error } = this.getBounds(view, tileResolution)
+		const { position } = view
+		const halfSize = this.size / 2
+
+		const dx = Math.max(this.centerX - halfSize - position.x, 0, position.x - this.centerX - halfSize)
+		const dy = Math.max(minY - position.y, 0, position.y - maxY)
+		const dz = Math.max(this.centerZ - halfSize - position.z, 0, position.z - this.centerZ - halfSize)
+		const distance = Math.sqrt(dx * dx + dy * dy + dz * dz)
+
+		// Viewer inside the bounding box
+		if (distance < 1e-6) return Infinity
+
+		return (error * view.projectionFactor) / distance
+	}
+
 	/**
 	 * Subdivide this node into 4 children.
 	 */
@@ -101,29 +206,53 @@ export class QuadtreeNode {
 	 * Update the quadtree based on viewer position.
 	 * Recursively subdivides or merges nodes as needed.
 	 */
-	update(viewerPos, splitFactor, hysteresis, minSize) {
+	update(viewerPos, splitFactor, hysteresis, minSize, viewerHeight) {
 		if (this.children) {
 			// Already subdivided - check if we should merge
-			if (this.shouldMerge(viewerPos, splitFactor, hysteresis)) {
+			if (this.shouldMerge(viewerPos, splitFactor, hysteresis, viewerHeight)) {
 				this.merge()
 			} else {
 				// Update children recursively
 				for (const child of this.children) {
-					child.update(viewerPos, splitFactor, hysteresis, minSize)
+					child.update(viewerPos, splitFactor, hysteresis, minSize, viewerHeight)
 				}
 			}
 		} else {
 			// Leaf node - check if we should subdivide
-			if (this.shouldSubdivide(viewerPos, splitFactor, minSize)) {
+			if (this.shouldSubdivide(viewerPos, splitFactor, minSize, viewerHeight)) {
 				this.subdivide()
 				// Immediately update new children
 				for (const child of this.children) {
-					child.update(viewerPos, splitFactor, hysteresis, minSize)
+					child.update(viewerPos, splitFactor, hysteresis, minSize, viewerHeight)
 				}
 			}
 		}
 	}
 
+	/**
+	 * Update the quadtree from projected geometric error.
+	 * Nodes outside the view frustum are not refined; hysteresis lowers the merge threshold.
+	 * Nodes that leave the frustum keep their level until their error drops below that threshold,
+	 * so turning the camera doesn't merge everything behind it only to split it again on turning back.
+	 */
+	updateScreenSpace(view, pixelError, hysteresis, minSize, tileResolution) {
+		if (this.children) {
+			// Already subdivided - merge when the error is small enough
+			if (this.getScreenSpaceError(view, tileResolution) < pixelError / hysteresis) {
+				this.merge()
+			} else {
+				for (const child of this.children) {
+					child.updateScreenSpace(view, pixelError, hysteresis, minSize, tileResolution)
+				}
+			}
+		} else if (this.size > minSize && this.isVisible(view, tileResolution) && this.getScreenSpaceError(view, tileResolution) > pixelError) {
+			this.subdivide()
+			for (const child of this.children) {
+				child.updateScreenSpace(view, pixelError, hysteresis, minSize, tileResolution)
+			}
+		}
+	}
+
 	/**
 	 * Collect all leaf nodes (nodes that should render).
 	 * Also registers all nodes in a spatial map for neighbor lookup.
@@ -157,9 +286,10 @@ export class QuadtreeNode {
  * @param {Map} allNodes - Map of all nodes by key
  * @param {number} minSize - Minimum tile size
  * @param {number} tileResolution - Resolution of each tile
+ * @param {number} [rootSize] - Size of root nodes (defaults to LOD_CONFIG.rootSize; pass the value the roots were built with)
  * @returns {Object} Edge stitching info for each direction
  */
-export const getEdgeStitchInfo = (node, allNodes, minSize, tileResolution) => {
+export const getEdgeStitchInfo = (node, allNodes, minSize, tileResolution, rootSize = LOD_CONFIG.rootSize) => {
 	const edges = {
 		north: { needsStitch: false, neighborStep: node.size / tileResolution },
 		south: { needsStitch: false, neighborStep: node.size / tileResolution },
@@ -182,13 +312,12 @@ export const getEdgeStitchInfo = (node, allNodes, minSize, tileResolution) => {
 	for (const { edge, x, z } of probes) {
 		// Look for nodes at coarser levels (larger sizes) that contain this point
 		let checkSize = node.size * 2
-		const { rootSize, minTileSize } = useTerrainStore.getState()
 
 		while (checkSize <= rootSize) {
 			// Calculate which node at this size would contain the probe point
 			const nodeX = Math.floor(x / checkSize) * checkSize + checkSize / 2
 			const nodeZ = Math.floor(z / checkSize) * checkSize + checkSize / 2
-			const lod = Math.log2(checkSize / minTileSize) // LOD based on tile size
+			const lod = Math.log2(checkSize / minSize) // LOD based on tile size
 			const neighborKey = `qt_${lod}_${Math.floor(nodeX)}_${Math.floor(nodeZ)}`
 
 			// Check if this coarser node exists and is a leaf
@@ -206,3 +335,144 @@ export const getEdgeStitchInfo = (node, allNodes, minSize, tileResolution) => {
 
 	return edges
 }
+
+/**
+ * Check whether two edge stitch infos describe the same stitching.
+ *
+ * @param {Object} a - Edge stitch info
+ * @param {Object} b - Edge stitch info
+ * @returns {boolean} True if all edges match
+ */
+export const edgeStitchInfoEqual = (a, b) => {
+	if (a === b) return true
+	if (!a || !b) return false
+	return (
+		a.north.needsStitch === b.north.needsStitch &&
+		a.south.needsStitch === b.south.needsStitch &&
+		a.east.needsStitch === b.east.needsStitch &&
+		a.west.needsStitch === b.west.needsStitch &&
+		a.north.neighborStep === b.north.neighborStep &&
+		a.south.neighborStep === b.south.neighborStep &&
+		a.east.neighborStep === b.east.neighborStep &&
+		a.west.neighborStep === b.west.neighborStep
+	)
+}
+
+/**
+ * Create the view used by screenSpace LOD refinement.
+ *
+ * @param {THREE.PerspectiveCamera} camera - Camera that drives LOD selection
+ * @param {number} viewportHeight - Viewport height in pixels
+ * @param {Function} getHeight - Height sampler in world units: (x, z) => height. Node bounds are
+ *   cached per sampler, so pass the same function until the terrain changes.
+ * @returns {Object} View { position, frustum, projectionFactor, getHeight }
+ */
+export const createLodView = (camera, viewportHeight, getHeight) => {
+	camera.updateMatrixWorld()
+	_projScreenMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+
+	return {
+		position: camera.position.clone(),
+		frustum: new Frustum().setFromProjectionMatrix(_projScreenMatrix),
+		// Pixels per world unit of error at unit distance
+		projectionFactor: viewportHeight / (2 * Math.tan((camera.fov * Math.PI) / 360)),
+		getHeight,
+	}
+}
+
+/**
+ * Height of a viewer above the terrain beneath it: the vertical part of the distance LOD metric.
+ * QuadtreeNode.getDistanceSq and the terrain material's geomorphing (see setTerrainMorphViewer) both use it.
+ *
+ * @param {Object} viewerPos - Viewer position with x, y, z
+ * @param {Function} getHeight - Height sampler in world units: (x, z) => height
+ * @returns {number} Distance from the viewer down (or up) to the terrain
+ */
+export const getLodViewerHeight = (viewerPos, getHeight) => Math.abs(viewerPos.y - getHeight(viewerPos.x, viewerPos.z))
+
+/**
+ * Update the grid of quadtree roots around a viewer and collect the leaf tiles to render.
+ *
+ * Roots are created in a (2 * viewRange + 1)² grid around the root tile containing the viewer,
+ * roots outside that grid are dropped, and every remaining root is refined for the viewer position.
+ * In 'screenSpace' mode nodes split when their projected geometric error exceeds lodPixelError
+ * and nodes outside the view frustum are not refined (but keep their level until their error is small enough to merge).
+ *
+ * @param {Map} roots - Map of root key -> QuadtreeNode (updated in place)
+ * @param {Object} viewerPos - Viewer position with x, y, z
+ * @param {Object} settings - LOD settings
+ * @param {number} settings.rootSize - Size of each root node
+ * @param {number} settings.minTileSize - Smallest leaf size
+ * @param {number} settings.lodSplitFactor - Split distance as a multiple of node size
+ * @param {number} settings.lodHysteresis - Merge distance multiplier
+ * @param {number} settings.tileResolution - Segments per tile side
+ * @param {number} settings.viewRange - Root tiles to keep in each direction
+ * @param {string} [settings.lodMode] - 'distance' (default) or 'screenSpace'
+ * @param {number} [settings.lodPixelError] - screenSpace: maximum projected error in pixels
+ * @param {Object} [view] - View from createLodView (required in screenSpace mode)
+ * @param {number} [viewerHeight] - Distance mode: viewer height above the terrain (see getLodViewerHeight, defaults to viewerPos.y)
+ * @returns {Array} Array of leaf tiles { node, edgeStitchInfo }
+ */
+export const updateQuadtreeRoots = (roots, viewerPos, settings, view, viewerHeight) => {
+	const { rootSize, minTileSize, lodSplitFactor, lodHysteresis, tileResolution, viewRange, lodMode, lodPixelError } = settings
+	const maxQuadtreeDepth = Math.log2(rootSize / minTileSize)
+	const screenSpace = lodMode === 'screenSpace'
+	if (screenSpace && !view) {
+		throw new Error('[updateQuadtreeRoots] screenSpace LOD mode requires a view from createLodView')
+	}
+
+	// Determine which quadtree roots we need based on viewer position
+	const rootsNeeded = new Set()
+
+	// Calculate the root tile the viewer is currently in
+	const centerRootX = Math.floor(viewerPos.x / rootSize)
+	const centerRootZ = Math.floor(viewerPos.z / rootSize)
+
+	// Generate roots in a grid around the viewer's current root
+	// viewRange determines how many root tiles to load in each direction
+	for (let rx = -viewRange; rx <= viewRange; rx++) {
+		for (let rz = -viewRange; rz <= viewRange; rz++) {
+			// Convert tile coordinates to world center position
+			const rootX = (centerRootX + rx) * rootSize + rootSize / 2
+			const rootZ = (centerRootZ + rz) * rootSize + rootSize / 2
+
+			const rootKey = `${rootX},${rootZ}`
+			rootsNeeded.add(rootKey)
+
+			// Create root if it doesn't exist
+			if (!roots.has(rootKey)) {
+				roots.set(rootKey, new QuadtreeNode(rootX, rootZ, rootSize, maxQuadtreeDepth))
+			}
+		}
+	}
+
+	// Remove roots that are too far away
+	for (const [key] of roots) {
+		if (!rootsNeeded.has(key)) {
+			roots.delete(key)
+		}
+	}
+
+	// Update all active quadtrees
+	for (const [, root] of roots) {
+		if (screenSpace) {
+			root.updateScreenSpace(view, lodPixelError, lodHysteresis, minTileSize, tileResolution)
+		} else {
+			root.update(viewerPos, lodSplitFactor, lodHysteresis, minTileSize, viewerHeight)
+		}
+	}
+
+	// Collect all leaf nodes from all roots
+	const allLeaves = []
+	const allNodes = new Map()
+
+	for (const [, root] of roots) {
+		root.collectLeaves(allLeaves, allNodes)
+	}
+
+	// Calculate edge stitching info for each leaf
+	return allLeaves.map((node) => ({
+		node,
+		edgeStitchInfo: getEdgeStitchInfo(node, allNodes, minTileSize, tileResolution, rootSize),
+	}))
+}
@@ -0,0 +1,417 @@
+// River network
+// Traces rivers from the highlands down to the continental lows (below water level),
+// carves their channels into the height sampler and answers river queries.
+// Rivers are sourced per root tile and deterministic from the seed.
+
+import { RIVER_CONFIG } from '../../config/water'
+import { createSeededRandom, hashCoords } from '../seededRandom'
+
+// Salt for river seeds so rivers are independent of other seeded systems
+const RIVER_SALT = 74413
+
+// Carved samplers -> their river network (see getRiverNetwork)
+const riverNetworks = new WeakMap()
+
+// Region coordinates are packed into one number; regions stay far inside ±GRID_OFFSET root tiles
+const GRID_OFFSET = 1 << 20
+const GRID_SPAN = 1 << 21
+const toRegionKey = (regionX, regionZ) => (regionX + GRID_OFFSET) * GRID_SPAN + (regionZ + GRID_OFFSET)
+
+/**
+ * Smoothstep interpolation (cubic hermite)
+ */
+const smoothstep = (t) => {
+	const c = Math.max(0, Math.min(1, t))
+	return c * c * (3 - 2 * c)
+}
+
+/**
+ * Create a river network over a height sampler.
+ *
+ * Each root tile tries RIVER_CONFIG.sourceAttempts random highland sources and keeps up to
+ * config.riverCount rivers that reach water. Rivers follow the terrain downhill with some inertia
+ * and may cut through small rises. The water surface never rises along a river.
+ *
+ * @param {Function} sampleHeight - Height sampler the rivers are traced on: (x, z) => normalizedHeight
+ * @param {Object} config - Terrain configuration
+ * @param {number} config.seed - Random seed for source placement
+ * @param {number} config.rootSize - Size of a root tile (rivers are sourced per root tile)
+ * @param {number} config.baseHeightScale - Scale multiplier for world heights
+ * @param {number} config.spawnRadius - Rivers never enter the spawn area
+ * @param {number} config.waterLevel - Rivers end where the terrain drops below this level
+ * @param {number} config.riverCount - Maximum rivers sourced per root tile
+ * @param {number} config.riverWidth - Channel width at the mouth in world units
+ * @param {number} config.riverDepth - Channel depth at the mouth in world units
+ * @param {Object} [regions] - Region store sharing traced sources between threads (see createTerrainRegions);
+ *   with a remote store, rivers from sources not loaded yet are left out until they load
+ * @returns {Object} { carve, getRiverInfo, getRivers }
+ */
+export function createRiverNetwork(sampleHeight, config, regions = null) {
+	const { seed, rootSize, baseHeightScale, spawnRadius, waterLevel, riverCount, riverWidth, riverDepth } = config
+	const { sourceAttempts, minSourceHeight, stepLength, maxLength, inertia, maxClimb, sourceWidthFactor, bankWidth, surfaceOffset, cellSize, maxCachedRegions } =
+		RIVER_CONFIG
+
+	const maxSteps = Math.floor(maxLength / stepLength)
+	const spawnRadiusSq = spawnRadius * spawnRadius
+
+	// Rivers can reach this many root tiles away from their source
+	const regionRange = Math.ceil(maxLength / rootSize)
+
+	// Furthest a channel and its banks reach from the river's path
+	const maxReach = riverWidth / 2 + bankWidth
+	const cellsPerSide = Math.ceil(rootSize / cellSize)
+
+	// Both caches are bounded so travelling across the infinite terrain doesn't grow memory; evicted
+	// regions are deterministic and simply traced or indexed again if revisited. Oldest evicted first.
+	// Indexing one tile reads the sources of every tile within regionRange, so the source cache holds
+	// at least those of a 2x2 block of tiles, or lookups near tile corners would retrace what they just traced.
+	const maxSourceRegions = Math.max(maxCachedRegions, (2 * regionRange + 2) ** 2)
+	const sourceRegions = new Map() // source region key -> rivers sourced in it
+	const cellRegions = new Map() // region key -> segments within reach of each cell of the region (sparse array)
+	const remote = !!regions?.remote
+
+	const getWorldHeight = (x, z) => sampleHeight(x, z) * baseHeightScale
+
+	/**
+	 * Follow the terrain downhill from a source. Returns path points, or null if the river
+	 * doesn't reach water.
+	 */
+	const traceRiver = (startX, startZ) => {
+		const points = []
+		const epsilon = stepLength / 2
+		let x = startX
+		let z = startZ
+		let dirX = 0
+		let dirZ = 0
+		let surface = Infinity
+		let climbed = 0
+		let distance = 0
+
+		for (let step = 0; step < maxSteps; step++) {
+			if (x * x + z * z < spawnRadiusSq) return null
+
+			const height = getWorldHeight(x, z)
+			surface = Math.min(surface, height - surfaceOffset)
+			points.push({ x, z, surface, distance })
+
+			// Reached the continental lows
+			if (height < waterLevel) {
+				return points.length > 2 ? points : null
+			}
+
+			// Blend previous direction with downhill direction
+			const gradX = getWorldHeight(x + epsilon, z) - getWorldHeight(x - epsilon, z)
+			const gradZ = getWorldHeight(x, z + epsilon) - getWorldHeight(x, z - epsilon)
+			const gradLength = Math.sqrt(gradX * gradX + gradZ * gradZ) || 1
+			dirX = dirX * inertia - (gradX / gradLength) * (1 - inertia)
+			dirZ = dirZ * inertia - (gradZ / gradLength) * (1 - inertia)
+			const length = Math.sqrt(dirX * dirX + dirZ * dirZ)
+			if (length < 1e-6) return null
+			dirX /= length
+			dirZ /= length
+
+			x += dirX * stepLength
+			z += dirZ * stepLength
+			distance += stepLength
+
+			// Rivers may cut through small rises, but not climb out of basins
+			const rise = getWorldHeight(x, z) - height
+			if (rise > 0) {
+				climbed += rise
+				if (climbed > maxClimb) return null
+			}
+		}
+
+		return null
+	}
+
+	/**
+	 * Turn a traced path into a river with segments and bounds.
+	 */
+	const createRiver = (points) => {
+		const last = points.length - 1
+		const segments = []
+		let minX = Infinity
+		let minZ = Infinity
+		let maxX = -Infinity
+		let maxZ = -Infinity
+
+		points.forEach((point, i) => {
+			// Rivers widen and deepen downstream
+			const t = i / last
+			point.halfWidth = (riverWidth / 2) * (sourceWidthFactor + (1 - sourceWidthFactor) * t)
+			point.depth = riverDepth * (sourceWidthFactor + (1 - sourceWidthFactor) * t)
+
+			minX = Math.min(minX, point.x)
+			minZ = Math.min(minZ, point.z)
+			maxX = Math.max(maxX, point.x)
+			maxZ = Math.max(maxZ, point.z)
+		})
+
+		for (let i = 0; i < last; i++) {
+			const a = points[i]
+			const b = points[i + 1]
+			const dx = b.x - a.x
+			const dz = b.z - a.z
+			const length = Math.sqrt(dx * dx + dz * dz)
+			segments.push({ a, b, dirX: dx / length, dirZ: dz / length, length })
+		}
+
+		return { points, segments, minX, minZ, maxX, maxZ }
+	}
+
+	const addToCache = (cache, key, value, maxSize) => {
+		if (cache.size >= maxSize) {
+			cache.delete(cache.keys().next().value)
+		}
+		cache.set(key, value)
+	}
+
+	/**
+	 * Get the rivers sourced in a root tile, tracing them if they aren't cached.
+	 * Remote networks request sources instead and return null until they load.
+	 */
+	const getSourceRivers = (regionX, regionZ) => {
+		const key = toRegionKey(regionX, regionZ)
+		let rivers = sourceRegions.get(key)
+		if (rivers) return rivers
+		if (remote) {
+			regions.request('rivers', regionX, regionZ)
+			return null
+		}
+
+		rivers = []
+		const random = createSeededRandom(hashCoords(regionX, regionZ, seed + RIVER_SALT))
+
+		for (let attempt = 0; attempt < sourceAttempts && rivers.length < riverCount; attempt++) {
+			// Always draw both coordinates so later attempts don't depend on earlier outcomes
+			const x = (regionX + random()) * rootSize
+			const z = (regionZ + random()) * rootSize
+			if (getWorldHeight(x, z) < minSourceHeight) continue
+
+			const points = traceRiver(x, z)
+			if (points) {
+				rivers.push(createRiver(points))
+			}
+		}
+
+		addToCache(sourceRegions, key, rivers, maxSourceRegions)
+		return rivers
+	}
+
+	// Sources cross threads as their traced paths
+	regions?.register('rivers', {
+		getRegion: (regionX, regionZ) => getSourceRivers(regionX, regionZ).map(({ points }) => points),
+		setRegion: (regionX, regionZ, paths) => addToCache(sourceRegions, toRegionKey(regionX, regionZ), paths.map(createRiver), maxSourceRegions),
+	})
+
+	/**
+	 * Index the segments of every river that can reach a root tile by the tile's cells.
+	 * Returns null while a remote network is still loading any of the sources.
+	 */
+	const getRegionCells = (regionX, regionZ) => {
+		const key = toRegionKey(regionX, regionZ)
+		let cells = cellRegions.get(key)
+		if (cells) return cells
+
+		// Request every missing source at once rather than indexing a partial network
+		const sources = []
+		for (let dz = -regionRange; dz <= regionRange; dz++) {
+			for (let dx = -regionRange; dx <= regionRange; dx++) {
+				sources.push(getSourceRivers(regionX + dx, regionZ + dz))
+			}
+		}
+		if (sources.includes(null)) return null
+
+		cells = new Array(cellsPerSide * cellsPerSide)
+		const originX = regionX * rootSize
+		const originZ = regionZ * rootSize
+
+		for (const rivers of sources) {
+			for (const river of rivers) {
+				if (river.maxX + maxReach < originX || river.minX - maxReach > originX + rootSize) continue
+				if (river.maxZ + maxReach < originZ || river.minZ - maxReach > originZ + rootSize) continue
+
+				// Register each segment with every cell of this tile within reach of the channel and its banks
+				for (const segment of river.segments) {
+					const { a, b } = segment
+					const reach = Math.max(a.halfWidth, b.halfWidth) + bankWidth
+					const cellMinX = Math.max(0, Math.floor((Math.min(a.x, b.x) - reach - originX) / cellSize))
+					const cellMaxX = Math.min(cellsPerSide - 1, Math.floor((Math.max(a.x, b.x) + reach - originX) / cellSize))
+					const cellMinZ = Math.max(0, Math.floor((Math.min(a.z, b.z) - reach - originZ) / cellSize))
+					const cellMaxZ = Math.min(cellsPerSide - 1, Math.floor((Math.max(a.z, b.z) + reach - originZ) / cellSize))
+					for (let cz = cellMinZ; cz <= cellMaxZ; cz++) {
+						for (let cx = cellMinX; cx <= cellMaxX; cx++) {
+							const index = cz * cellsPerSide + cx
+							if (cells[index]) {
+								cells[index].push(segment)
+							} else {
+								cells[index] = [segment]
+							}
+						}
+					}
+				}
+			}
+		}
+
+		addToCache(cellRegions, key, cells, maxCachedRegions)
+		return cells
+	}
+
+	/**
+	 * Segments that may affect a world position.
+	 */
+	const getCellSegments = (x, z) => {
+		const regionX = Math.floor(x / rootSize)
+		const regionZ = Math.floor(z / rootSize)
+		const cells = getRegionCells(regionX, regionZ)
+		if (!cells) return undefined
+		const cellX = Math.min(cellsPerSide - 1, Math.floor((x - regionX * rootSize) / cellSize))
+		const cellZ = Math.min(cellsPerSide - 1, Math.floor((z - regionZ * rootSize) / cellSize))
+		return cells[cellZ * cellsPerSide + cellX]
+	}
+
+	// Scratch result for segment projection (avoids allocating per sample)
+	const _projection = { distance: 0, t: 0 }
+
+	const projectOntoSegment = (segment, x, z) => {
+		const { a, dirX, dirZ, length } = segment
+		const along = Math.max(0, Math.min(length, (x - a.x) * dirX + (z - a.z) * dirZ))
+		const px = a.x + dirX * along - x
+		const pz = a.z + dirZ * along - z
+		_projection.distance = Math.sqrt(px * px + pz * pz)
+		_projection.t = along / length
+		return _projection
+	}
+
+	/**
+	 * Lower a world height to the river channel and banks at a position.
+	 *
+	 * @param {number} x - World X coordinate
+	 * @param {number} z - World Z coordinate
+	 * @param {number} height - Uncarved height in world units
+	 * @returns {number} Carved height in world units
+	 */
+	function carve(x, z, height) {
+		const segments = getCellSegments(x, z)
+		if (!segments) return height
+
+		let carved = height
+		for (let i = 0; i < segments.length; i++) {
+			const { a, b } = segments[i]
+			const { distance, t } = projectOntoSegment(segments[i], x, z)
+			const halfWidth = a.halfWidth + (b.halfWidth - a.halfWidth) * t
+			if (distance >= halfWidth + bankWidth) continue
+
+			const surface = a.surface + (b.surface - a.surface) * t
+			if (distance < halfWidth) {
+				// Rounded channel bed
+				const depth = a.depth + (b.depth - a.depth) * t
+				const profile = distance / halfWidth
+				carved = Math.min(carved, surface - depth * (1 - profile * profile))
+			} else {
+				// Bank rises from the water surface back to the terrain
+				carved = Math.min(carved, surface + (height - surface) * smoothstep((distance - halfWidth) / bankWidth))
+			}
+		}
+		return carved
+	}
+
+	/**
+	 * Get the river at a position, if any.
+	 *
+	 * @param {number} x - World X coordinate
+	 * @param {number} z - World Z coordinate
+	 * @returns {Object|null} { surface, depth, halfWidth, dirX, dirZ, distance } or null outside river channels
+	 */
+	function getRiverInfo(x, z) {
+		const segments = getCellSegments(x, z)
+		if (!segments) return null
+
+		// Closest channel relative to its width wins where rivers meet
+		let best = null
+		let bestRatio = 1
+		for (let i = 0; i < segments.length; i++) {
+			const segment = segments[i]
+			const { a, b } = segment
+			const { distance, t } = projectOntoSegment(segment, x, z)
+			const halfWidth = a.halfWidth + (b.halfWidth - a.halfWidth) * t
+			const ratio = distance / halfWidth
+			if (ratio < bestRatio) {
+				bestRatio = ratio
+				best = {
+					surface: a.surface + (b.surface - a.surface) * t,
+					depth: a.depth + (b.depth - a.depth) * t,
+					halfWidth,
+					dirX: segment.dirX,
+					dirZ: segment.dirZ,
+					distance: a.distance + segment.length * t,
+				}
+			}
+		}
+		return best
+	}
+
+	/**
+	 * Get rivers whose path passes through a rectangle.
+	 *
+	 * @param {number} minX - Rectangle min X
+	 * @param {number} minZ - Rectangle min Z
+	 * @param {number} maxX - Rectangle max X
+	 * @param {number} maxZ - Rectangle max Z
+	 * @returns {Array} Rivers as { points } where each point has x, z, surface, depth, halfWidth, distance
+	 */
+	function getRivers(minX, minZ, maxX, maxZ) {
+		const rivers = []
+		const regionMinX = Math.floor(minX / rootSize) - regionRange
+		const regionMaxX = Math.floor(maxX / rootSize) + regionRange
+		const regionMinZ = Math.floor(minZ / rootSize) - regionRange
+		const regionMaxZ = Math.floor(maxZ / rootSize) + regionRange
+
+		for (let regionZ = regionMinZ; regionZ <= regionMaxZ; regionZ++) {
+			for (let regionX = regionMinX; regionX <= regionMaxX; regionX++) {
+				for (const river of getSourceRivers(regionX, regionZ) || []) {
+					if (river.maxX >= minX && river.minX <= maxX && river.maxZ >= minZ && river.minZ <= maxZ) {
+						rivers.push(river)
+					}
+				}
+			}
+		}
+		return rivers
+	}
+
+	return { carve, getRiverInfo, getRivers }
+}
+
+/**
+ * Wrap a height sampler with carved river channels.
+ *
+ * @param {Function} sampleHeight - Height sampler to trace and carve: (x, z) => normalizedHeight
+ * @param {Object} config - Terrain configuration (see createRiverNetwork)
+ * @param {Object} [regions] - Region store (see createRiverNetwork)
+ * @returns {Function} Carved height sampler: (x, z) => normalizedHeight
+ */
+export function createRiverSampler(sampleHeight, config, regions = null) {
+	const { baseHeightScale } = config
+	const network = createRiverNetwork(sampleHeight, config, regions)
+
+	/**
+	 * Sample carved normalized height at a world position.
+	 *
+	 * @param {number} x - World X coordinate
+	 * @param {number} z - World Z coordinate
+	 * @returns {number} Normalized height value
+	 */
+	const sampleCarvedHeight = (x, z) => network.carve(x, z, sampleHeight(x, z) * baseHeightScale) / baseHeightScale
+
+	riverNetworks.set(sampleCarvedHeight, network)
+	return sampleCarvedHeight
+}
+
+/**
+ * Get the river network behind a height sampler from createHeightSampler.
+ *
+ * @param {Function} sampleHeight - Height sampler
+ * @returns {Object|null} River network { carve, getRiverInfo, getRivers }, or null if rivers are disabled
+ */
+export const getRiverNetwork = (sampleHeight) => riverNetworks.get(sampleHeight) || null
@@ -0,0 +1,87 @@
+// Terrain generation config
+// The subset of settings the height sampler is built from
+
+/**
+ * Select only the store (or preset) values that affect terrain generation.
+ * When any of these change, the heightmap needs to be recreated.
+ * The result is plain serialisable data, so workers can rebuild the same sampler from it.
+ * heightSource is only set when a real-world elevation dataset is in use.
+ */
+export const selectTerrainConfig = (state) => ({
+	seed: state.seed,
+	baseHeightScale: state.baseHeightScale,
+	continentScale: state.continentScale,
+	noiseScale: state.noiseScale,
+	mountainScale: state.mountainScale,
+	maxMountainHeight: state.maxMountainHeight,
+	spawnRadius: state.spawnRadius,
+	spawnTransitionRadius: state.spawnTransitionRadius,
+	waterLevel: state.waterLevel,
+	waterMaxDepth: state.waterMaxDepth,
+	rootSize: state.rootSize,
+	erosionEnabled: state.erosionEnabled,
+	erosionIterations: state.erosionIterations,
+	erosionRate: state.erosionRate,
+	depositionRate: state.depositionRate,
+	talusAngle: state.talusAngle,
+	riversEnabled: state.riversEnabled,
+	riverCount: state.riverCount,
+	riverWidth: state.riverWidth,
+	riverDepth: state.riverDepth,
+	lakesEnabled: state.lakesEnabled,
+	lakeMinDepth: state.lakeMinDepth,
+	waterBodies: state.waterBodies,
+	heightSource: state.heightSource,
+})
+
+/**
+ * Config for coarse sampling on the main thread (tile placeholders, screenSpace LOD bounds).
+ * Erosion, river tracing and lake filling simulate whole regions the first time one is touched,
+ * which would stall a frame; the worker-built tiles add their detail shortly after.
+ *
+ * @param {Object} config - Terrain config (see selectTerrainConfig)
+ * @returns {Object} The same config without erosion, rivers and lakes
+ */
+export const getPreviewTerrainConfig = (config) => ({ ...config, erosionEnabled: false, riversEnabled: false, lakesEnabled: false })
+
+// Config object -> hash, so each config is only serialised once
+const configHashes = new WeakMap()
+
+// Dataset -> id; datasets are identified by identity rather than hashing their samples
+const datasetIds = new WeakMap()
+let nextDatasetId = 0
+
+/**
+ * Hash a terrain config (from selectTerrainConfig) for use in cache keys.
+ * Configs with equal values hash equally; elevation datasets compare by identity.
+ *
+ * @param {Object} config - Terrain config
+ * @returns {string} Hash string
+ */
+export const getTerrainConfigHash = (config) => {
+	let hash = configHashes.get(config)
+	if (hash !== undefined) return hash
+
+	const json = JSON.stringify(config, (key, value) => {
+		if (key === 'dataset' && value) {
+			if (!datasetIds.has(value)) datasetIds.set(value, nextDatasetId++)
+			return `dataset#${datasetIds.get(value)}`
+		}
+		return value
+	})
+
+	// cyrb53 - two interleaved 32-bit hashes, combined into 53 bits
+	let h1 = 0xdeadbeef
+	let h2 = 0x41c6ce57
+	for (let i = 0; i < json.length; i++) {
+		const ch = json.charCodeAt(i)
+		h1 = Math.imul(h1 ^ ch, 2654435761)
+		h2 = Math.imul(h2 ^ ch, 1597334677)
+	}
+	h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+	h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+
+	hash = (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36)
+	configHashes.set(config, hash)
+	return hash
+}
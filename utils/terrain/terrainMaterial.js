@@ -0,0 +1,799 @@
+// Terrain material generator
+// Builds a MeshStandardMaterial whose shader blends an arbitrary number of texture layers
+// by height and slope. Layer textures are packed into texture arrays and layer settings into a
+// parameter texture, so one shader serves every layer config.
+
+import { RepeatWrapping, MeshStandardMaterial, MeshDepthMaterial, MeshDistanceMaterial, RGBADepthPacking, DataTexture, RedFormat, RGBAFormat, FloatType, LinearFilter, Vector2, Vector3, Color } from 'three'
+
+import { LOD_CONFIG } from '../../config/lod'
+import { UNDERWATER_CONFIG } from '../../config/water'
+import { PHYSICAL_SKY_CONFIG, HORIZON_CONFIG } from '../../config/sky'
+import { getAtmosphereExtinction } from '../sky/physicalSky'
+import { createCloudUniforms, setCloudUniforms } from '../sky/clouds'
+import { createLayerTextureArrays, loadLayerTextureArrays } from './layerTextureArrays'
+import physicalSkyGlsl from '../../shaders/physicalSky.glsl?raw'
+import noiseGlsl from '../../shaders/noise.glsl?raw'
+import cloudsGlsl from '../../shaders/clouds.glsl?raw'
+
+// Texture slots in load order (see getLayerTexturePaths); height, ao and roughness are optional greyscale maps
+const TEXTURE_SLOTS = ['albedo', 'normal', 'height', 'ao', 'roughness']
+
+// Layer parameters live in a float texture, one row per layer, so every layer config runs the same shader.
+// Texels per row (read by getTerrainLayerBlend and sampleTerrainLayer in the fragment shader):
+//   0: textureScale, normalScale, LOD distance, LOD levels
+//   1: LOD scale factor, data array layer (-1 = none), heightBlend depth (0 = linear cross-fade), triplanar sharpness
+//   2: height blend edges - fades in from x to y, out from z to w
+//   3: slope blend edges - same layout
+//   4: height influence, slope influence, slope range turning the projection triplanar (z to w)
+const LAYER_PARAM_TEXELS = 5
+
+// smoothstep edges no height or slope reaches, for a range without that bound
+const OPEN_BELOW = [-2e9, -1e9]
+const OPEN_ABOVE = [1e9, 2e9]
+
+// Fade edges for a height or slope range: a min and max pair fades in below min and out above max, while a
+// lone bound fades across itself
+const getBlendEdges = (range, transitionMin, transitionMax) => {
+	const { min, max } = range ?? {}
+	if (min !== undefined && max !== undefined) return [min - transitionMin, min, max, max + transitionMax]
+	if (min !== undefined) return [min - transitionMin, min + transitionMin, ...OPEN_ABOVE]
+	if (max !== undefined) return [...OPEN_BELOW, max - transitionMax, max + transitionMax]
+	return [...OPEN_BELOW, ...OPEN_ABOVE]
+}
+
+// Slope range over which the projection turns triplanar: never for 'planar', always for 'triplanar'
+const getTriplanarSlopes = (layer) => {
+	if (layer.projection === 'triplanar') return [-2, -1]
+	if (layer.projection === 'auto') return [layer.triplanar?.slopeMin ?? 0.2, layer.triplanar?.slopeMax ?? 0.4]
+	return [2, 3]
+}
+
+// Geomorphing declarations and vertex code, shared by the terrain material and its shadow materials.
+// The morph distance is the one QuadtreeNode.getDistanceSq measures: horizontal offset from the LOD viewer
+// combined with the viewer's height above the terrain (uMorphViewer.y, see setTerrainMorphViewer).
+const MORPH_VERTEX_PARS = `
+			// Geomorphing: x = parent LOD height, y = LOD level size, zw = local position driving the blend
+			attribute vec4 morph;
+			uniform float uMorphSplitFactor;
+			uniform float uMorphRange;
+			uniform vec3 uMorphViewer;`
+
+// Blend towards the parent LOD height as the vertex approaches the distance where its tile merges
+const MORPH_VERTEX = `
+			if (morph.y > 0.0 && uMorphRange > 0.0) {
+				vec4 morphAnchor = modelMatrix * vec4(morph.z, 0.0, morph.w, 1.0);
+				vec3 morphDelta = vec3(morphAnchor.x - uMorphViewer.x, uMorphViewer.y, morphAnchor.z - uMorphViewer.z);
+				// Fully morphed wherever the parent could still be unsplit: its split distance less its half diagonal
+				float morphEnd = morph.y * (2.0 * uMorphSplitFactor - 1.41421356);
+				float morphStart = morphEnd * (1.0 - uMorphRange);
+				float morphFactor = clamp((length(morphDelta) - morphStart) / (morphEnd - morphStart), 0.0, 1.0);
+				transformed.y = mix(transformed.y, morph.x, morphFactor);
+			}`
+
+// Shadow depth (or point light distance) material that morphs like the terrain material, so shadows match the surface
+const createMorphShadowMaterial = (ShadowMaterial, parameters, morphUniforms) => {
+	const material = new ShadowMaterial(parameters)
+	material.onBeforeCompile = (shader) => {
+		Object.assign(shader.uniforms, morphUniforms)
+		shader.vertexShader = shader.vertexShader
+			.replace('#include <common>', `#include <common>${MORPH_VERTEX_PARS}`)
+			.replace('#include <begin_vertex>', `#include <begin_vertex>${MORPH_VERTEX}`)
+	}
+	return material
+}
+
+// Pack layer configs into LAYER_PARAM_TEXELS RGBA texels each. Without lod, one level samples the texture once.
+const packLayerParams = (layers, dataLayers) => {
+	const params = new Float32Array(Math.max(layers.length, 1) * LAYER_PARAM_TEXELS * 4)
+	layers.forEach((layer, index) => {
+		const { height, slope, lod, heightBlend, triplanar } = layer
+		params.set(
+			[
+				layer.textureScale,
+				layer.normalScale ?? 1.0,
+				lod?.distance ?? 1.0,
+				lod?.levels ?? 1.0,
+				lod?.scaleFactor ?? 2.0,
+				dataLayers[index],
+				heightBlend ? (heightBlend.depth ?? 0.2) : 0.0,
+				triplanar?.sharpness ?? 4.0,
+				...getBlendEdges(height, height?.transitionMin ?? 20.0, height?.transitionMax ?? 20.0),
+				...getBlendEdges(slope, slope?.transition ?? 0.1, slope?.transition ?? 0.1),
+				height ? (height.influence ?? 1.0) : 0.0,
+				slope ? (slope.influence ?? 1.0) : 0.0,
+				...getTriplanarSlopes(layer),
+			],
+			index * LAYER_PARAM_TEXELS * 4
+		)
+	})
+	return params
+}
+
+/**
+ * Get the texture paths to load for a layer config, in layer order. Each layer contributes its albedo and
+ * normal paths, then whichever of its height, ao and roughness maps it declares.
+ *
+ * @param {Array} layers - Terrain layer configs
+ * @returns {string[]} Texture paths
+ */
+export const getLayerTexturePaths = (layers) => layers.flatMap((layer) => TEXTURE_SLOTS.filter((slot) => layer.textures[slot]).map((slot) => layer.textures[slot]))
+
+/**
+ * Map loaded textures (in getLayerTexturePaths order) to layer names, with wrapping configured.
+ *
+ * @param {Array} layers - Terrain layer configs
+ * @param {THREE.Texture[]} loadedTextures - Textures in getLayerTexturePaths order
+ * @returns {Object} Map of layer name -> { albedo, normal, height?, ao?, roughness? }
+ */
+export const mapLayerTextures = (layers, loadedTextures) => {
+	const result = {}
+	let next = 0
+	layers.forEach((layer) => {
+		const textures = {}
+		TEXTURE_SLOTS.forEach((slot) => {
+			if (!layer.textures[slot]) return
+			const texture = loadedTextures[next++]
+			// Configure wrapping
+			if (texture) texture.wrapS = texture.wrapT = RepeatWrapping
+			textures[slot] = texture
+		})
+		result[layer.name] = textures
+	})
+	return result
+}
+
+/**
+ * Create the terrain material, optionally with its first layer config packed on the main thread (see setTerrainLayers;
+ * loadTerrainLayers packs without blocking).
+ *
+ * Features:
+ * - Preserves standard PBR lighting (identical to meshStandardMaterial)
+ * - Config-driven layer system with arbitrary texture layers, swappable without recompiling the shader
+ * - Height-based, slope-based, and curvature-based blending
+ * - World-space UV mapping, or triplanar projection per layer for cliffs (projection: 'triplanar' | 'auto')
+ * - Optional per-layer height, AO and roughness maps; height maps drive height-aware transitions (heightBlend)
+ * - Geomorphing between LOD levels from the tile geometry's morph attribute (see setTerrainMorph and
+ *   setTerrainMorphViewer), also applied by userData.depthMaterial and userData.distanceMaterial, which tile
+ *   meshes use as their customDepthMaterial and customDistanceMaterial so shadows morph too
+ * - Optional viewshed debug overlay (see setTerrainViewshed)
+ * - Aerial perspective towards the physical sky's colours (see setTerrainAtmosphere)
+ *
+ * @param {Array} [layers] - Terrain layer configs
+ * @param {Object} [layerTextures] - Map of layer name -> { albedo, normal, height?, ao?, roughness? } (see mapLayerTextures)
+ * @returns {THREE.MeshStandardMaterial} Terrain material
+ */
+export const createTerrainMaterial = (layers, layerTextures) => {
+	// No map or normalMap: every layer is sampled from the layer texture arrays in custom shader code
+	const material = new MeshStandardMaterial()
+
+	// Layer texture arrays and parameters, empty (zero layers) until loadTerrainLayers or setTerrainLayers
+	const layerUniforms = {
+		uLayerAlbedo: { value: null },
+		uLayerNormal: { value: null },
+		uLayerData: { value: null },
+		uLayerParams: { value: null },
+		uLayerCount: { value: 0 },
+	}
+	material.userData.layerUniforms = layerUniforms
+	material.addEventListener('dispose', () => {
+		// Layers still being packed are dropped
+		material.userData.layerRequest = null
+		disposeLayerUniforms(layerUniforms)
+	})
+
+	// Geomorphing uniforms live outside the shader so they can be set before it compiles
+	const morphUniforms = {
+		uMorphSplitFactor: { value: LOD_CONFIG.lodSplitFactor },
+		uMorphRange: { value: LOD_CONFIG.lodMorphRange },
+		uMorphViewer: { value: new Vector3() },
+	}
+	material.userData.morphUniforms = morphUniforms
+
+	// Shadow passes render the same morphed surface
+	const depthMaterial = createMorphShadowMaterial(MeshDepthMaterial, { depthPacking: RGBADepthPacking }, morphUniforms)
+	const distanceMaterial = createMorphShadowMaterial(MeshDistanceMaterial, {}, morphUniforms)
+	material.userData.depthMaterial = depthMaterial
+	material.userData.distanceMaterial = distanceMaterial
+	material.addEventListener('dispose', () => {
+		depthMaterial.dispose()
+		distanceMaterial.dispose()
+	})
+
+	// Viewshed overlay uniforms, with an empty map until a viewshed is set
+	const viewshedUniforms = {
+		uViewshedEnabled: { value: 0 },
+		uViewshedMap: { value: createViewshedTexture(new Uint8Array(1), 1) },
+		uViewshedCenter: { value: new Vector2() },
+		uViewshedRadius: { value: 1 },
+	}
+	material.userData.viewshedUniforms = viewshedUniforms
+	material.addEventListener('dispose', () => viewshedUniforms.uViewshedMap.value.dispose())
+
+	// Caustics on submerged terrain, animated by setTerrainCaustics
+	const causticsUniforms = {
+		uCausticsIntensity: { value: UNDERWATER_CONFIG.causticsIntensity },
+		uCausticsScale: { value: UNDERWATER_CONFIG.causticsScale },
+		uCausticsMaxDepth: { value: UNDERWATER_CONFIG.causticsMaxDepth },
+		uCausticsWaterLevel: { value: -1e9 }, // Below any terrain until set
+		uCausticsTime: { value: 0 },
+		uCausticsSunDirection: { value: new Vector3(0, 1, 0) },
+		uCausticsSunColor: { value: new Color(1, 1, 1) },
+	}
+	material.userData.causticsUniforms = causticsUniforms
+
+	// Aerial perspective, off (plain scene fog) until setTerrainAtmosphere enables it
+	const atmosphereUniforms = {
+		uAtmosphereEnabled: { value: 0 },
+		uAtmosphereExtinction: { value: new Vector3(1, 1, 1) },
+		uAtmosphereSunDirection: { value: new Vector3(0, 1, 0) },
+		uAtmosphereMoonDirection: { value: new Vector3(0, -1, 0) },
+		uAtmosphereMoonColor: { value: new Color(0, 0, 0) },
+		uAtmosphereTurbidity: { value: 2 },
+		uAtmosphereGroundAlbedo: { value: 0.3 },
+		uAtmosphereSkyColor: { value: new Color() },
+		uAtmosphereSkyHorizonColor: { value: new Color() },
+	}
+	material.userData.atmosphereUniforms = atmosphereUniforms
+
+	// Cloud shadows, off until setTerrainClouds enables them
+	const cloudUniforms = createCloudUniforms()
+	material.userData.cloudUniforms = cloudUniforms
+
+	// Horizon shadows from distant ridgelines (tile geometry carries the horizon per vertex, see setHorizonMap)
+	const horizonUniforms = {
+		uHorizonLightElevation: { value: Math.PI / 2 },
+		uHorizonSoftness: { value: HORIZON_CONFIG.softness },
+	}
+	material.userData.horizonUniforms = horizonUniforms
+
+	// Shader customization callback
+	material.onBeforeCompile = (shader) => {
+		Object.assign(shader.uniforms, layerUniforms, morphUniforms, viewshedUniforms, causticsUniforms, atmosphereUniforms, cloudUniforms, horizonUniforms)
+
+		// Vertex shader - pass world position
+		shader.vertexShader = shader.vertexShader.replace(
+			'#include <common>',
+			`#include <common>
+			varying vec3 vWorldPos;
+			varying vec3 vWorldNormal;
+			${MORPH_VERTEX_PARS}
+
+			// Horizon elevation towards the key light
+			attribute float horizon;
+			varying float vHorizon;
+
+			// Aerial perspective
+			varying vec3 vAerialInscatter;
+			uniform float uAtmosphereEnabled;
+			uniform vec3 uAtmosphereSunDirection;
+			uniform vec3 uAtmosphereMoonDirection;
+			uniform vec3 uAtmosphereMoonColor;
+			uniform float uAtmosphereTurbidity;
+			uniform float uAtmosphereGroundAlbedo;
+			uniform vec3 uAtmosphereSkyColor;
+			uniform vec3 uAtmosphereSkyHorizonColor;
+			${physicalSkyGlsl}`
+		)
+
+		// Geomorph towards the parent LOD height
+		shader.vertexShader = shader.vertexShader.replace('#include <begin_vertex>', `#include <begin_vertex>${MORPH_VERTEX}`)
+
+		shader.vertexShader = shader.vertexShader.replace(
+			'#include <worldpos_vertex>',
+			`#include <worldpos_vertex>
+			vWorldPos = (modelMatrix * vec4(transformed, 1.0)).xyz;
+			vWorldNormal = normalize((modelMatrix * vec4(normal, 0.0)).xyz);
+			vHorizon = horizon;
+
+			// Sky colour along the view ray (held level when looking down), which distant terrain fades into.
+			// Evaluated per vertex since it varies slowly across the screen.
+			vAerialInscatter = vec3(0.0);
+			if (uAtmosphereEnabled > 0.5) {
+				vec3 aerialDir = vWorldPos - cameraPosition;
+				aerialDir.y = max(aerialDir.y, 0.0);
+				vAerialInscatter = GetPhysicalSkyColour(normalize(aerialDir + vec3(0.0, 1e-4, 0.0)), uAtmosphereSunDirection, uAtmosphereMoonDirection, uAtmosphereMoonColor,
+					uAtmosphereTurbidity, uAtmosphereGroundAlbedo, uAtmosphereSkyColor, uAtmosphereSkyHorizonColor);
+			}`
+		)
+
+		// Fragment shader - add terrain blending
+		shader.fragmentShader = shader.fragmentShader.replace(
+			'#include <common>',
+			`#include <common>
+			// Layer texture arrays (r = height, g = ao, b = roughness in the data array) and parameters
+			uniform sampler2DArray uLayerAlbedo;
+			uniform sampler2DArray uLayerNormal;
+			uniform sampler2DArray uLayerData;
+			uniform sampler2D uLayerParams;
+			uniform int uLayerCount;
+			// Varyings
+			varying vec3 vWorldPos;
+			varying vec3 vWorldNormal;
+
+			// Viewshed overlay
+			uniform float uViewshedEnabled;
+			uniform sampler2D uViewshedMap;
+			uniform vec2 uViewshedCenter;
+			uniform float uViewshedRadius;
+
+			// Caustics
+			uniform float uCausticsIntensity;
+			uniform float uCausticsScale;
+			uniform float uCausticsMaxDepth;
+			uniform float uCausticsWaterLevel;
+			uniform float uCausticsTime;
+			uniform vec3 uCausticsSunDirection;
+			uniform vec3 uCausticsSunColor;
+
+			// Aerial perspective
+			varying vec3 vAerialInscatter;
+			uniform float uAtmosphereEnabled;
+			uniform vec3 uAtmosphereExtinction;
+
+			// Horizon shadows
+			varying float vHorizon;
+			uniform float uHorizonLightElevation;
+			uniform float uHorizonSoftness;
+
+			// Cloud shadows
+			${noiseGlsl}
+			${cloudsGlsl}
+
+			// One layer of caustic lines: bright where a warped wave sum crosses zero
+			float causticsLayer(vec2 p, float t) {
+				vec2 q = p + vec2(sin(p.y * 1.7 + t), cos(p.x * 1.3 - t * 0.8)) * 0.6;
+				float v = sin(q.x * 2.1 + t) + sin(q.y * 2.3 - t * 1.1) + sin((q.x + q.y) * 1.6 + t * 0.7);
+				return pow(1.0 - min(abs(v) / 3.0, 1.0), 8.0);
+			}
+
+			// Two offset layers moving against each other form the focused light network
+			float getCaustics(vec2 p, float t) {
+				return causticsLayer(p, t) + causticsLayer(p * 1.37 + vec2(3.1, 1.7), -t * 0.9);
+			}
+
+			// sRGB to linear color space conversion
+			vec3 sRGBToLinear(vec3 srgb) {
+				return pow(srgb, vec3(2.2));
+			}
+
+		vec4 sRGBToLinear(vec4 srgb) {
+			return vec4(pow(srgb.rgb, vec3(2.2)), srgb.a);
+		}
+
+		// Calculate LOD blend info - returns vec3(lowerScale, upperScale, blendFactor)
+			vec3 getDistanceLODBlend(vec3 worldPos, float distanceFactor, float lodLevels, float scaleFactor) {
+				float dist = length(worldPos - cameraPosition);
+				// Calculate continuous LOD level
+				float lodContinuous = dist / distanceFactor;
+				lodContinuous = clamp(lodContinuous, 0.0, lodLevels - 1.0);
+
+				// Get lower and upper LOD levels
+				float lodLower = floor(lodContinuous);
+				float lodUpper = min(lodLower + 1.0, lodLevels - 1.0);
+
+				// Blend factor between levels (0 = fully lower, 1 = fully upper)
+				float blend = fract(lodContinuous);
+				// Apply smoothstep for smoother transition
+				blend = smoothstep(0.0, 1.0, blend);
+
+				// Return scales for both LODs and blend factor
+				return vec3(pow(scaleFactor, lodLower), pow(scaleFactor, lodUpper), blend);
+			}
+
+			// Triplanar weights for the x, y and z projections: how squarely the surface faces each axis,
+			// sharpened so one axis dominates away from edges. Weights under a small cut-off are dropped (and
+			// their samples skipped), so flat ground and sheer walls read one projection instead of three.
+			vec3 getTriplanarWeights(vec3 normal, float sharpness) {
+				vec3 weights = pow(abs(normal), vec3(sharpness));
+				weights = max(weights / (weights.x + weights.y + weights.z) - 0.05, 0.0);
+				return weights / (weights.x + weights.y + weights.z);
+			}
+
+			// Side projections flip their u axis with the facing, so textures read the same way round
+			// (not mirrored) on both sides of a ridge. The top projection keeps the planar xz UVs.
+			vec2 getTriplanarFlip(vec3 normal) {
+				return vec2(normal.x < 0.0 ? 1.0 : -1.0, normal.z < 0.0 ? -1.0 : 1.0);
+			}
+
+			// One texel of a layer's parameters (see LAYER_PARAM_TEXELS for the layout)
+			vec4 getTerrainLayerParam(int layer, int texel) {
+				return texelFetch(uLayerParams, ivec2(texel, layer), 0);
+			}
+
+			// Height and slope blend factor of a layer (slope: 0 = flat, 1 = vertical)
+			float getTerrainLayerBlend(int layer) {
+				vec4 heightEdges = getTerrainLayerParam(layer, 2);
+				vec4 slopeEdges = getTerrainLayerParam(layer, 3);
+				vec2 influence = getTerrainLayerParam(layer, 4).xy;
+				float slope = 1.0 - abs(vWorldNormal.y);
+				float heightFactor = smoothstep(heightEdges.x, heightEdges.y, vWorldPos.y) * (1.0 - smoothstep(heightEdges.z, heightEdges.w, vWorldPos.y));
+				float slopeFactor = smoothstep(slopeEdges.x, slopeEdges.y, slope) * (1.0 - smoothstep(slopeEdges.z, slopeEdges.w, slope));
+				return clamp(mix(1.0, heightFactor, influence.x) * mix(1.0, slopeFactor, influence.y), 0.0, 1.0);
+			}
+
+			struct TerrainLayerSample {
+				vec4 color;
+				vec3 normal; // World space
+				vec3 data; // Height, AO, roughness
+			};
+
+			// Add one projection of a layer: world axes u and v span the texture and w faces out of it.
+			// Gradients come from the caller, as samples are skipped per pixel. The tangent-space normal is
+			// whiteout-blended with the surface normal in the projection's frame, then taken back to world space;
+			// the top-down projection (u = x, v = z) is the planar mapping.
+			void addTerrainProjection(inout TerrainLayerSample layerSample, vec3 u, vec3 v, vec3 w, float weight, float layer, float dataLayer, float scale, float normalScale, vec3 dpdx, vec3 dpdy) {
+				vec2 uv = vec2(dot(vWorldPos, u), dot(vWorldPos, v)) * scale;
+				vec2 gradX = vec2(dot(dpdx, u), dot(dpdx, v)) * scale;
+				vec2 gradY = vec2(dot(dpdy, u), dot(dpdy, v)) * scale;
+
+				layerSample.color += sRGBToLinear(textureGrad(uLayerAlbedo, vec3(uv, layer), gradX, gradY)) * weight;
+
+				vec3 t = textureGrad(uLayerNormal, vec3(uv, layer), gradX, gradY).xyz * 2.0 - 1.0;
+				t.xy *= normalScale;
+				vec3 n = vWorldNormal;
+				layerSample.normal += (u * (t.x + dot(n, u)) + v * (t.y + dot(n, v)) + w * (abs(t.z) * dot(n, w))) * weight;
+
+				if (dataLayer >= 0.0) layerSample.data += textureGrad(uLayerData, vec3(uv, dataLayer), gradX, gradY).rgb * weight;
+			}
+
+			// Sample a layer at one texture scale, projected along the axes by weights ((0, 1, 0) = top-down only)
+			TerrainLayerSample sampleTerrainLayerAt(int layer, float dataLayer, float scale, float normalScale, vec3 weights, vec3 dpdx, vec3 dpdy) {
+				TerrainLayerSample layerSample = TerrainLayerSample(vec4(0.0), vec3(0.0), dataLayer >= 0.0 ? vec3(0.0) : vec3(0.5, 1.0, 1.0));
+				vec2 flip = getTriplanarFlip(vWorldNormal);
+				float arrayLayer = float(layer);
+				if (weights.x > 0.0) addTerrainProjection(layerSample, vec3(0.0, 0.0, flip.x), vec3(0.0, 1.0, 0.0), vec3(1.0, 0.0, 0.0), weights.x, arrayLayer, dataLayer, scale, normalScale, dpdx, dpdy);
+				if (weights.y > 0.0) addTerrainProjection(layerSample, vec3(1.0, 0.0, 0.0), vec3(0.0, 0.0, 1.0), vec3(0.0, 1.0, 0.0), weights.y, arrayLayer, dataLayer, scale, normalScale, dpdx, dpdy);
+				if (weights.z > 0.0) addTerrainProjection(layerSample, vec3(flip.y, 0.0, 0.0), vec3(0.0, 1.0, 0.0), vec3(0.0, 0.0, 1.0), weights.z, arrayLayer, dataLayer, scale, normalScale, dpdx, dpdy);
+				layerSample.normal = normalize(layerSample.normal);
+				return layerSample;
+			}
+
+			// Sample a layer with its projection and distance LOD. The coarser LOD level is only fetched while
+			// blending towards it.
+			TerrainLayerSample sampleTerrainLayer(int layer, vec3 dpdx, vec3 dpdy) {
+				vec4 scaleAndLod = getTerrainLayerParam(layer, 0); // Texture and normal scale, LOD distance and levels
+				vec4 layerOptions = getTerrainLayerParam(layer, 1); // LOD scale factor, data layer, height blend depth, triplanar sharpness
+				vec2 triplanarSlopes = getTerrainLayerParam(layer, 4).zw;
+
+				float triplanarBlend = smoothstep(triplanarSlopes.x, triplanarSlopes.y, 1.0 - abs(vWorldNormal.y));
+				vec3 weights = vec3(0.0, 1.0, 0.0);
+				if (triplanarBlend > 0.0) weights = mix(weights, getTriplanarWeights(vWorldNormal, layerOptions.w), triplanarBlend);
+
+				vec3 lodInfo = getDistanceLODBlend(vWorldPos, scaleAndLod.z, scaleAndLod.w, layerOptions.x);
+				TerrainLayerSample layerSample = sampleTerrainLayerAt(layer, layerOptions.y, scaleAndLod.x / lodInfo.x, scaleAndLod.y, weights, dpdx, dpdy);
+				if (lodInfo.z > 0.0) {
+					TerrainLayerSample upper = sampleTerrainLayerAt(layer, layerOptions.y, scaleAndLod.x / lodInfo.y, scaleAndLod.y, weights, dpdx, dpdy);
+					layerSample.color = mix(layerSample.color, upper.color, lodInfo.z);
+					layerSample.normal = normalize(mix(layerSample.normal, upper.normal, lodInfo.z));
+					layerSample.data = mix(layerSample.data, upper.data, lodInfo.z);
+				}
+				return layerSample;
+			}
+
+			// Height-aware blend factor for a layer over the layers beneath it. Both heights are raised by their
+			// side of the linear blend and only the top depth of the pair shows, so mid-transition the higher
+			// surface wins: rock tops stay bare while grass fills the cracks between them. The raise spans a
+			// little more than the full height range, so neither side leaks through at a blend of 0 or 1.
+			float getHeightBlend(float blend, float baseHeight, float layerHeight, float depth) {
+				depth = max(depth, 0.05);
+				float range = 1.0 + 2.0 * depth;
+				float base = baseHeight + (1.0 - blend) * range;
+				float layer = layerHeight + blend * range;
+				float cutoff = max(base, layer) - depth;
+				float baseWeight = max(base - cutoff, 0.0);
+				float layerWeight = max(layer - cutoff, 0.0);
+				return layerWeight / (baseWeight + layerWeight);
+			}
+
+`
+		)
+
+		// Modify diffuse color after it's set
+		shader.fragmentShader = shader.fragmentShader.replace(
+			'#include <map_fragment>',
+			`#include <map_fragment>
+
+			// Blend the layers in order over the base layer (layer 0), skipping the sampling of layers blended out
+			vec3 finalColor = vec3(0.0);
+			vec3 finalNormal = vWorldNormal;
+			vec3 finalData = vec3(0.5, 1.0, 1.0); // Height, AO, roughness
+			vec3 terrainDpdx = dFdx(vWorldPos);
+			vec3 terrainDpdy = dFdy(vWorldPos);
+			for (int i = 0; i < uLayerCount; i++) {
+				float blend = i == 0 ? 1.0 : getTerrainLayerBlend(i);
+				if (blend <= 0.01) continue;
+
+				TerrainLayerSample layerSample = sampleTerrainLayer(i, terrainDpdx, terrainDpdy);
+				if (i == 0) {
+					finalColor = layerSample.color.rgb;
+					finalNormal = layerSample.normal;
+					finalData = layerSample.data;
+					continue;
+				}
+
+				// Height-blended layers follow the height maps through their transition
+				float heightBlendDepth = getTerrainLayerParam(i, 1).z;
+				if (heightBlendDepth > 0.0) blend = getHeightBlend(blend, finalData.x, layerSample.data.x, heightBlendDepth);
+
+				finalColor = mix(finalColor, layerSample.color.rgb, blend);
+				finalNormal = normalize(mix(finalNormal, layerSample.normal, blend));
+				finalData = mix(finalData, layerSample.data, blend);
+			}
+			diffuseColor.rgb = finalColor;
+
+			// Viewshed overlay - visible cells tinted green, hidden cells red
+			if (uViewshedEnabled > 0.5) {
+				vec2 viewshedOffset = vWorldPos.xz - uViewshedCenter;
+				if (length(viewshedOffset) < uViewshedRadius) {
+					float visible = clamp(texture(uViewshedMap, viewshedOffset / (2.0 * uViewshedRadius) + 0.5).r * 255.0, 0.0, 1.0);
+					diffuseColor.rgb = mix(diffuseColor.rgb, mix(vec3(0.9, 0.15, 0.1), vec3(0.1, 0.85, 0.2), visible), 0.45);
+				}
+			}`
+		)
+
+		// The key light is blocked by ridgelines on the horizon (once it sinks below them) and dimmed where it
+		// passes through the cloud layer above, then caustics: sunlight focused by the waves onto terrain below
+		// the water level
+		shader.fragmentShader = shader.fragmentShader.replace(
+			'#include <lights_fragment_end>',
+			`#include <lights_fragment_end>
+			float horizonShadowFactor = smoothstep(-uHorizonSoftness, uHorizonSoftness, uHorizonLightElevation - vHorizon);
+			float keyLightFactor = horizonShadowFactor * cloudShadow(vWorldPos, uCloudLightDirection);
+			reflectedLight.directDiffuse *= keyLightFactor;
+			reflectedLight.directSpecular *= keyLightFactor;
+
+			float causticsDepth = uCausticsWaterLevel - vWorldPos.y;
+			if (uCausticsIntensity > 0.0 && causticsDepth > 0.0 && causticsDepth < uCausticsMaxDepth) {
+				// Deeper points see the pattern shifted along the refracted sun direction
+				vec3 causticsSun = normalize(uCausticsSunDirection);
+				vec2 causticsUV = (vWorldPos.xz + causticsSun.xz / max(causticsSun.y, 0.2) * causticsDepth) * uCausticsScale;
+				float causticsFade = smoothstep(0.0, 0.5, causticsDepth) * (1.0 - smoothstep(0.0, uCausticsMaxDepth, causticsDepth));
+				float causticsLight = getCaustics(causticsUV, uCausticsTime) * uCausticsIntensity * causticsFade * max(causticsSun.y, 0.0);
+				reflectedLight.directDiffuse += diffuseColor.rgb * uCausticsSunColor * causticsLight * keyLightFactor;
+			}`
+		)
+
+		// Aerial perspective: with the physical sky, distant terrain fades into the sky along the view ray,
+		// blue first, and is fully sky-coloured by the fog far distance. Otherwise the scene fog applies.
+		shader.fragmentShader = shader.fragmentShader.replace(
+			'#include <fog_fragment>',
+			`#if defined( USE_FOG ) && !defined( FOG_EXP2 )
+				if (uAtmosphereEnabled > 0.5) {
+					vec3 aerialFactor = 1.0 - exp(-uAtmosphereExtinction * vFogDepth / fogFar);
+					aerialFactor = max(aerialFactor, vec3(smoothstep(fogNear, fogFar, vFogDepth)));
+					gl_FragColor.rgb = mix(gl_FragColor.rgb, vAerialInscatter, aerialFactor);
+				} else {
+					#include <fog_fragment>
+				}
+			#else
+				#include <fog_fragment>
+			#endif`
+		)
+
+		// Layer roughness and ambient occlusion maps feed the standard PBR inputs
+		shader.fragmentShader = shader.fragmentShader.replace(
+			'#include <roughnessmap_fragment>',
+			`#include <roughnessmap_fragment>
+			roughnessFactor *= finalData.b;`
+		)
+		shader.fragmentShader = shader.fragmentShader.replace(
+			'#include <aomap_fragment>',
+			`#include <aomap_fragment>
+			reflectedLight.indirectDiffuse *= finalData.g;
+			reflectedLight.indirectSpecular *= finalData.g;`
+		)
+
+		// The blended layer normals stand in for the normal map (world space to view space for lighting)
+		shader.fragmentShader = shader.fragmentShader.replace(
+			'#include <normal_fragment_maps>',
+			`normal = normalize((viewMatrix * vec4(finalNormal, 0.0)).xyz);`
+		)
+	}
+
+	if (layers) setTerrainLayers(material, layers, layerTextures)
+
+	material.needsUpdate = true
+	return material
+}
+
+// Dispose and unset the layer texture arrays and parameter texture
+const disposeLayerUniforms = (layerUniforms) => {
+	for (const name of ['uLayerAlbedo', 'uLayerNormal', 'uLayerData', 'uLayerParams']) {
+		layerUniforms[name].value?.dispose()
+		layerUniforms[name].value = null
+	}
+}
+
+// Swap packed layer texture arrays and the layers' parameters into a terrain material
+const applyLayerTextureArrays = (material, layers, { albedo, normal, data, dataLayers }) => {
+	const uniforms = material.userData.layerUniforms
+	const params = new DataTexture(packLayerParams(layers, dataLayers), LAYER_PARAM_TEXELS, Math.max(layers.length, 1), RGBAFormat, FloatType)
+	params.needsUpdate = true
+
+	disposeLayerUniforms(uniforms)
+	uniforms.uLayerAlbedo.value = albedo
+	uniforms.uLayerNormal.value = normal
+	uniforms.uLayerData.value = data
+	uniforms.uLayerParams.value = params
+	uniforms.uLayerCount.value = layers.length
+}
+
+/**
+ * Swap the terrain material's layers: their textures are packed into the material's texture arrays (resampled in
+ * a worker, see loadLayerTextureArrays) and their settings into its parameter texture. Uniforms change but the
+ * shader doesn't, so switching presets needs no recompile. The material keeps its current layers until packing
+ * finishes, and a later call (or disposing the material) supersedes a pending one.
+ *
+ * The source textures are only read, and must stay loaded until the promise settles; their owner disposes them.
+ *
+ * @param {THREE.MeshStandardMaterial} material - Material from createTerrainMaterial
+ * @param {Array} layers - Terrain layer configs
+ * @param {Object} layerTextures - Map of layer name -> { albedo, normal, height?, ao?, roughness? } (see mapLayerTextures)
+ * @returns {Promise<boolean>} Resolves true once the layers are applied, or false if they were superseded
+ */
+export const loadTerrainLayers = async (material, layers, layerTextures) => {
+	const request = {}
+	material.userData.layerRequest = request
+
+	const arrays = await loadLayerTextureArrays(layers, layerTextures)
+	if (material.userData.layerRequest !== request) {
+		arrays.albedo.dispose()
+		arrays.normal.dispose()
+		arrays.data.dispose()
+		return false
+	}
+
+	material.userData.layerRequest = null
+	applyLayerTextureArrays(material, layers, arrays)
+	return true
+}
+
+/**
+ * Swap the terrain material's layers at once, resampling their textures on the main thread (see loadTerrainLayers).
+ * The source textures aren't referenced afterwards.
+ *
+ * @deprecated Blocks the main thread while resampling; use loadTerrainLayers
+ * @param {THREE.MeshStandardMaterial} material - Material from createTerrainMaterial
+ * @param {Array} layers - Terrain layer configs
+ * @param {Object} layerTextures - Map of layer name -> { albedo, normal, height?, ao?, roughness? } (see mapLayerTextures)
+ */
+export const setTerrainLayers = (material, layers, layerTextures) => {
+	// Supersedes any layers still being packed
+	material.userData.layerRequest = null
+	applyLayerTextureArrays(material, layers, createLayerTextureArrays(layers, layerTextures))
+}
+
+/**
+ * Wrap a visibility grid in a single-channel texture (values 0 or 1, so sample and scale by 255).
+ */
+const createViewshedTexture = (data, resolution) => {
+	const texture = new DataTexture(data, resolution, resolution, RedFormat)
+	texture.magFilter = LinearFilter
+	texture.minFilter = LinearFilter
+	texture.unpackAlignment = 1
+	texture.needsUpdate = true
+	return texture
+}
+
+/**
+ * Show a viewshed as a debug overlay on a terrain material, or hide it.
+ *
+ * @param {THREE.MeshStandardMaterial} material - Material from createTerrainMaterial
+ * @param {Object|null} viewshed - Viewshed from computeViewshed, or null to hide the overlay
+ */
+export const setTerrainViewshed = (material, viewshed) => {
+	const uniforms = material.userData.viewshedUniforms
+	uniforms.uViewshedEnabled.value = viewshed ? 1 : 0
+	if (!viewshed) return
+
+	uniforms.uViewshedMap.value.dispose()
+	uniforms.uViewshedMap.value = createViewshedTexture(viewshed.data, viewshed.resolution)
+	uniforms.uViewshedCenter.value.set(viewshed.centerX, viewshed.centerZ)
+	uniforms.uViewshedRadius.value = viewshed.radius
+}
+
+/**
+ * Sync a terrain material's geomorphing with the LOD settings.
+ * Morph distances follow the distance LOD metric, so morphing is off in screenSpace mode.
+ *
+ * @param {THREE.MeshStandardMaterial} material - Material from createTerrainMaterial
+ * @param {Object} settings - LOD settings
+ * @param {string} settings.lodMode - 'distance' or 'screenSpace'
+ * @param {number} settings.lodSplitFactor - Split distance as a multiple of node size
+ * @param {number} settings.lodMorphRange - Fraction of the morph end distance over which vertices blend (0 disables)
+ */
+export const setTerrainMorph = (material, { lodMode, lodSplitFactor, lodMorphRange }) => {
+	const { morphUniforms } = material.userData
+	morphUniforms.uMorphSplitFactor.value = lodSplitFactor
+	morphUniforms.uMorphRange.value = lodMode === 'screenSpace' ? 0 : lodMorphRange
+}
+
+/**
+ * Move a terrain material's geomorphing viewer. Call every frame with the camera that drives LOD selection.
+ * The material and its shadow materials morph by the distance QuadtreeNode.getDistanceSq measures, so the
+ * LOD viewer is used in shadow passes too (there cameraPosition is the light's).
+ *
+ * @param {THREE.MeshStandardMaterial} material - Material from createTerrainMaterial
+ * @param {THREE.Vector3} position - Viewer position
+ * @param {number} viewerHeight - Viewer height above the terrain beneath it (see getLodViewerHeight)
+ */
+export const setTerrainMorphViewer = (material, position, viewerHeight) => {
+	material.userData.morphUniforms.uMorphViewer.value.set(position.x, viewerHeight, position.z)
+}
+
+/**
+ * Animate caustics on a terrain material. Call every frame with the shared wave time.
+ *
+ * @param {THREE.MeshStandardMaterial} material - Material from createTerrainMaterial
+ * @param {Object} settings
+ * @param {number} settings.waterLevel - Still water height; terrain below it receives caustics
+ * @param {number} settings.time - Wave time (see getWaveTime)
+ * @param {number[]} settings.sunDirection - Direction towards the sun [x, y, z]
+ * @param {number[]} settings.sunColor - Sun colour [r, g, b]
+ */
+export const setTerrainCaustics = (material, { waterLevel, time, sunDirection, sunColor }) => {
+	const { causticsUniforms } = material.userData
+	causticsUniforms.uCausticsWaterLevel.value = waterLevel
+	causticsUniforms.uCausticsTime.value = time
+	causticsUniforms.uCausticsSunDirection.value.set(sunDirection[0], sunDirection[1], sunDirection[2])
+	causticsUniforms.uCausticsSunColor.value.setRGB(sunColor[0], sunColor[1], sunColor[2])
+}
+
+/**
+ * Sync a terrain material's aerial perspective with the sky. Call every frame (the sun and moon move).
+ * Needs linear scene fog, whose far distance sets how quickly the terrain fades into the sky.
+ *
+ * @param {THREE.MeshStandardMaterial} material - Material from createTerrainMaterial
+ * @param {Object} sky - Store-shaped sky state
+ * @param {boolean} sky.enabled - Fade into the physical sky (false uses the plain scene fog, e.g. for the gradient sky or underwater)
+ * @param {number[]} sky.sunDirection - Direction towards the sun [x, y, z]
+ * @param {number[]} [sky.moonDirection] - Direction towards the moon [x, y, z]
+ * @param {number[]} [sky.moonColor] - Moonlight colour premultiplied by its intensity [r, g, b]
+ * @param {number} sky.skyTurbidity - Haze (see getPhysicalSkyColor)
+ * @param {number} sky.skyGroundAlbedo - Ground reflectance (0-1)
+ * @param {number[]} sky.skyColorZenith - Night zenith colour [r, g, b]
+ * @param {number[]} sky.skyColorHorizon - Night horizon colour [r, g, b]
+ */
+export const setTerrainAtmosphere = (material, { enabled, sunDirection, moonDirection = [0, -1, 0], moonColor = [0, 0, 0], skyTurbidity, skyGroundAlbedo, skyColorZenith, skyColorHorizon }) => {
+	const { atmosphereUniforms } = material.userData
+	atmosphereUniforms.uAtmosphereEnabled.value = enabled ? 1 : 0
+	if (!enabled) return
+
+	// Extinction only depends on the turbidity
+	if (material.userData.atmosphereTurbidity !== skyTurbidity) {
+		material.userData.atmosphereTurbidity = skyTurbidity
+		const [r, g, b] = getAtmosphereExtinction(skyTurbidity)
+		atmosphereUniforms.uAtmosphereExtinction.value.set(r, g, b).multiplyScalar(PHYSICAL_SKY_CONFIG.aerialDensity)
+	}
+
+	atmosphereUniforms.uAtmosphereSunDirection.value.set(sunDirection[0], sunDirection[1], sunDirection[2])
+	atmosphereUniforms.uAtmosphereMoonDirection.value.set(moonDirection[0], moonDirection[1], moonDirection[2])
+	atmosphereUniforms.uAtmosphereMoonColor.value.setRGB(moonColor[0], moonColor[1], moonColor[2])
+	atmosphereUniforms.uAtmosphereTurbidity.value = skyTurbidity
+	atmosphereUniforms.uAtmosphereGroundAlbedo.value = skyGroundAlbedo
+	atmosphereUniforms.uAtmosphereSkyColor.value.setRGB(skyColorZenith[0], skyColorZenith[1], skyColorZenith[2])
+	atmosphereUniforms.uAtmosphereSkyHorizonColor.value.setRGB(skyColorHorizon[0], skyColorHorizon[1], skyColorHorizon[2])
+}
+
+/**
+ * Sync a terrain material's cloud shadows with the cloud layer. Call every frame (the clouds drift).
+ * The drift comes from the shared cloud clock, which <Sky /> advances; without it call advanceClouds once per frame.
+ *
+ * @param {THREE.MeshStandardMaterial} material - Material from createTerrainMaterial
+ * @param {Object} clouds - Store-shaped cloud and light state (see setCloudUniforms)
+ */
+export const setTerrainClouds = (material, clouds) => {
+	setCloudUniforms(material.userData.cloudUniforms, clouds)
+}
+
+/**
+ * Sync a terrain material's horizon shadows with the key light. Call every frame (the light moves); tiles
+ * need horizon maps for the light's azimuth (see computeHorizonMap and setHorizonMap).
+ *
+ * @param {THREE.MeshStandardMaterial} material - Material from createTerrainMaterial
+ * @param {number[]} lightDirection - Direction towards the key light [x, y, z]
+ */
+export const setTerrainHorizon = (material, lightDirection) => {
+	const [x, y, z] = lightDirection
+	material.userData.horizonUniforms.uHorizonLightElevation.value = Math.atan2(y, Math.sqrt(x * x + z * z))
+}
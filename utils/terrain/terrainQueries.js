@@ -3,25 +3,55 @@
 
 import { Vector3 } from 'three'
 
+import { RIVER_CONFIG } from '../../config/water'
+import { getRiverNetwork } from './rivers'
+import { createWaterBodies } from './waterBodies'
+
 // Epsilon for numerical gradient approximation
 const GRADIENT_EPSILON = 0.01
 
+// Raycast marching: a step never exceeds the distance the ray could travel before meeting terrain
+// no steeper than the slope bound, so ridges can't be stepped over
+const RAYCAST_MAX_DISTANCE = 10000 // Default ray length in world units
+const RAYCAST_MIN_STEP = 0.5 // Smallest march step in world units
+const RAYCAST_MAX_STEP = 64 // Largest march step in world units
+const RAYCAST_MAX_SLOPE = 3 // Initial terrain slope bound (rise over run), raised to the steepest slope seen while marching
+const RAYCAST_REFINE_ITERATIONS = 20 // Binary search iterations once the ray crosses the surface
+
+// Line of sight sampling
+const LINE_OF_SIGHT_STEP = 2 // Sample spacing in world units
+const LINE_OF_SIGHT_MAX_SAMPLES = 2048 // Spacing grows beyond this many samples
+
 /**
  * Create terrain query functions from a height sampler.
  *
  * These are convenience functions that derive information from the base height sampler:
  * - getHeight: world-space height
  * - getNormal: surface normal via finite differences
- * - isWater: whether a point is below water level
+ * - isWater: whether a point is below the water surface (the global level or a lake above it)
+ * - getWaterLevel / getWaterBody / getWaterBodies: lakes and reservoirs (see createWaterBodies)
+ * - isRiver / getFlow: river channel membership and surface flow (when rivers are enabled)
+ * - raycast: ray intersection with the analytic height field and the water surface
+ * - hasLineOfSight: whether the terrain blocks the segment between two points
+ *
+ * With a remote region store, queries over regions not loaded yet answer without the features those regions
+ * hold (see createTerrainRegions); use trackRegions to find out whether a result is final.
  *
  * @param {Function} sampleHeight - Height sampling function: (x, z) => normalizedHeight
- * @param {Object} config - Configuration with baseHeightScale and waterLevel
+ * @param {Object} config - Configuration with baseHeightScale and waterLevel, plus the water body settings
  * @param {number} config.baseHeightScale - Scale multiplier for world heights
- * @param {number} config.waterLevel - Water surface level in world units
- * @returns {Object} Query functions { sampleHeight, getHeight, getNormal, isWater, baseHeightScale }
+ * @param {number} config.waterLevel - Global water surface level in world units
+ * @param {boolean} [config.lakesEnabled] - Fill depressions above the water level with lakes
+ * @param {number} [config.lakeMinDepth] - Shallowest depression that holds a lake
+ * @param {Array} [config.waterBodies] - Declared bodies as { x, z, radius, level }
+ * @param {Object} [regions] - Region store the height sampler was created with (see createHeightSampler), also used for lakes
+ * @returns {Object} Query functions { sampleHeight, getHeight, getNormal, isWater, getWaterLevel, getWaterBody, getWaterBodies,
+ *   isRiver, getFlow, getRivers, raycast, hasLineOfSight, baseHeightScale, regions }
  */
-export function createTerrainQueries(sampleHeight, config) {
+export function createTerrainQueries(sampleHeight, config, regions = null) {
 	const { baseHeightScale, waterLevel } = config
+	const rivers = getRiverNetwork(sampleHeight)
+	const { getWaterLevel, getWaterBody, getWaterBodies } = createWaterBodies(sampleHeight, config, regions)
 
 	/**
 	 * Get terrain height in world units.
@@ -58,14 +88,198 @@ export function createTerrainQueries(sampleHeight, config) {
 	}
 
 	/**
-	 * Check if a position is in water (terrain below water level).
+	 * Check if a position is in water (terrain below the water surface there).
 	 *
 	 * @param {number} x - World X coordinate
 	 * @param {number} z - World Z coordinate
 	 * @returns {boolean} True if position is underwater
 	 */
 	function isWater(x, z) {
-		return getHeight(x, z) < waterLevel
+		return getHeight(x, z) < getWaterLevel(x, z)
+	}
+
+	/**
+	 * Check if a position is inside a river channel.
+	 *
+	 * @param {number} x - World X coordinate
+	 * @param {number} z - World Z coordinate
+	 * @returns {boolean} True if position is in a river
+	 */
+	function isRiver(x, z) {
+		return !!rivers?.getRiverInfo(x, z)
+	}
+
+	/**
+	 * Get river surface flow velocity (downstream direction scaled by flow speed).
+	 *
+	 * @param {number} x - World X coordinate
+	 * @param {number} z - World Z coordinate
+	 * @param {Vector3} [target] - Optional target vector to store result
+	 * @returns {Vector3} Flow velocity in world units per second (zero outside rivers)
+	 */
+	function getFlow(x, z, target = new Vector3()) {
+		const river = rivers?.getRiverInfo(x, z)
+		if (!river) return target.set(0, 0, 0)
+		return target.set(river.dirX, 0, river.dirZ).multiplyScalar(RIVER_CONFIG.flowSpeed)
+	}
+
+	/**
+	 * Get rivers whose path passes through a rectangle (used to build river meshes).
+	 *
+	 * @param {number} minX - Rectangle min X
+	 * @param {number} minZ - Rectangle min Z
+	 * @param {number} maxX - Rectangle max X
+	 * @param {number} maxZ - Rectangle max Z
+	 * @returns {Array} Rivers as { points } (empty when rivers are disabled)
+	 */
+	function getRivers(minX, minZ, maxX, maxZ) {
+		return rivers ? rivers.getRivers(minX, minZ, maxX, maxZ) : []
+	}
+
+	/**
+	 * Intersect a ray with the terrain and the water surface.
+	 *
+	 * Marches the analytic height field (not the rendered LOD meshes), then binary-searches the crossing.
+	 * Each step is the ray's clearance divided by how fast it can close on terrain no steeper than the
+	 * slope bound (the steepest slope seen so far, at least 3:1), so shallow rays can't skip ridges.
+	 * The water plane at waterLevel and the surfaces of water bodies are hit when the ray reaches them
+	 * first from above.
+	 *
+	 * @param {Vector3} origin - Ray origin in world space
+	 * @param {Vector3} direction - Ray direction (need not be normalized)
+	 * @param {number} [maxDistance] - Maximum ray length in world units (default 10000)
+	 * @param {Object} [options]
+	 * @param {boolean} [options.ignoreWater] - Pass through the water surface
+	 * @returns {Object|null} Hit { point, normal, distance, water } or null if nothing is hit within maxDistance
+	 */
+	function raycast(origin, direction, maxDistance = RAYCAST_MAX_DISTANCE, { ignoreWater = false } = {}) {
+		const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z)
+		if (length === 0) return null
+		const dirX = direction.x / length
+		const dirY = direction.y / length
+		const dirZ = direction.z / length
+
+		// Height of the ray above the terrain at a distance along it
+		const clearanceAt = (t) => origin.y + dirY * t - getHeight(origin.x + dirX * t, origin.z + dirZ * t)
+
+		const horizontal = Math.sqrt(dirX * dirX + dirZ * dirZ)
+
+		let hitDistance = null
+		let t0 = 0
+		let clearance = clearanceAt(0)
+		let maxSlope = RAYCAST_MAX_SLOPE
+		if (clearance <= 0) {
+			// Origin is below the surface
+			hitDistance = 0
+		}
+
+		while (hitDistance === null && t0 < maxDistance) {
+			// Fastest rate the clearance can shrink per unit along the ray
+			const closingRate = maxSlope * horizontal - dirY
+			const step = closingRate > 0 ? Math.min(Math.max(clearance / closingRate, RAYCAST_MIN_STEP), RAYCAST_MAX_STEP) : RAYCAST_MAX_STEP
+			const t1 = Math.min(t0 + step, maxDistance)
+			const nextClearance = clearanceAt(t1)
+
+			// Terrain steeper than the bound tightens the following steps
+			if (horizontal > 0) {
+				const rise = clearance - nextClearance + dirY * (t1 - t0)
+				maxSlope = Math.max(maxSlope, Math.abs(rise) / (horizontal * (t1 - t0)))
+			}
+
+			if (nextClearance <= 0) {
+				// Crossed the surface between t0 and t1 - narrow it down
+				let low = t0
+				let high = t1
+				for (let i = 0; i < RAYCAST_REFINE_ITERATIONS; i++) {
+					const mid = (low + high) / 2
+					if (clearanceAt(mid) > 0) {
+						low = mid
+					} else {
+						high = mid
+					}
+				}
+				hitDistance = high
+			}
+
+			t0 = t1
+			clearance = nextClearance
+		}
+
+		// Water surfaces, when the ray reaches one from above before the terrain
+		if (!ignoreWater && dirY < 0) {
+			const reach = hitDistance ?? maxDistance
+			const endX = origin.x + dirX * reach
+			const endZ = origin.z + dirZ * reach
+			let waterDistance = Infinity
+			let waterHeight = 0
+
+			// The global plane only counts outside water bodies, whose surface replaces it
+			if (origin.y > waterLevel) {
+				const distance = (waterLevel - origin.y) / dirY
+				const x = origin.x + dirX * distance
+				const z = origin.z + dirZ * distance
+				if (distance <= reach && getWaterLevel(x, z) === waterLevel) {
+					waterDistance = distance
+					waterHeight = waterLevel
+				}
+			}
+
+			const bodies = getWaterBodies(Math.min(origin.x, endX), Math.min(origin.z, endZ), Math.max(origin.x, endX), Math.max(origin.z, endZ))
+			for (const body of bodies) {
+				if (origin.y <= body.level) continue
+				const distance = (body.level - origin.y) / dirY
+				if (distance > reach || distance >= waterDistance) continue
+
+				if (getWaterBody(origin.x + dirX * distance, origin.z + dirZ * distance) === body) {
+					waterDistance = distance
+					waterHeight = body.level
+				}
+			}
+
+			if (waterDistance !== Infinity) {
+				return {
+					point: new Vector3(origin.x + dirX * waterDistance, waterHeight, origin.z + dirZ * waterDistance),
+					normal: new Vector3(0, 1, 0),
+					distance: waterDistance,
+					water: true,
+				}
+			}
+		}
+
+		if (hitDistance === null) return null
+
+		const x = origin.x + dirX * hitDistance
+		const z = origin.z + dirZ * hitDistance
+		return {
+			point: new Vector3(x, getHeight(x, z), z),
+			normal: getNormal(x, z),
+			distance: hitDistance,
+			water: false,
+		}
+	}
+
+	/**
+	 * Check whether the terrain blocks the straight line between two points.
+	 * Endpoints may sit on the ground; only the terrain strictly between them is tested.
+	 *
+	 * @param {Vector3} a - First point in world space
+	 * @param {Vector3} b - Second point in world space
+	 * @returns {boolean} True if no terrain lies between a and b
+	 */
+	function hasLineOfSight(a, b) {
+		const dx = b.x - a.x
+		const dy = b.y - a.y
+		const dz = b.z - a.z
+		const distance = Math.sqrt(dx * dx + dz * dz)
+		const samples = Math.min(Math.ceil(distance / LINE_OF_SIGHT_STEP), LINE_OF_SIGHT_MAX_SAMPLES)
+
+		for (let i = 1; i < samples; i++) {
+			const t = i / samples
+			if (getHeight(a.x + dx * t, a.z + dz * t) > a.y + dy * t) {
+				return false
+			}
+		}
+		return true
 	}
 
 	return {
@@ -73,6 +287,15 @@ export function createTerrainQueries(sampleHeight, config) {
 		getHeight,
 		getNormal,
 		isWater,
+		getWaterLevel,
+		getWaterBody,
+		getWaterBodies,
+		isRiver,
+		getFlow,
+		getRivers,
+		raycast,
+		hasLineOfSight,
 		baseHeightScale,
+		regions,
 	}
 }
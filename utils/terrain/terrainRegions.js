@@ -0,0 +1,120 @@
+// Terrain regions
+// Erosion, rivers and lakes are simulated per root tile region, the first time a region is read.
+// A region store lets the samplers of one thread hand those results to the samplers of another,
+// so the main thread reads regions simulated by the tile workers instead of stalling a frame on them.
+
+/**
+ * Create a region store for the samplers of one terrain config.
+ *
+ * Samplers register how to export and import each kind of region they simulate ('erosion', 'rivers', 'lakes').
+ * Without a loader the store is local: samplers simulate the regions they read, and getRegion exports
+ * them (tile workers, tests). With a loader the store is remote: samplers never simulate, a region read
+ * before it is loaded is requested from the loader and the read falls back to the terrain without that
+ * feature (no erosion, no river channel, the global water level) until it arrives. Regions that fail
+ * to load keep the fallback.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.load] - (kind, regionX, regionZ) => { promise, cancel }, resolving with the region data (or null)
+ * @returns {Object} { remote, register, request, getRegion, track, whenLoaded, dispose }
+ */
+export function createTerrainRegions({ load = null } = {}) {
+	const samplers = {} // kind -> { getRegion, setRegion }
+	const pending = new Map() // region id -> { promise, cancel }
+	const failed = new Set() // region ids whose load failed
+	let missing = null // region ids read before they were loaded, while tracking
+
+	const getRegionId = (kind, regionX, regionZ) => `${kind}:${regionX},${regionZ}`
+
+	return {
+		remote: !!load,
+
+		/**
+		 * Register a sampler's regions.
+		 *
+		 * @param {string} kind - Region kind
+		 * @param {Object} sampler - { getRegion(regionX, regionZ), setRegion(regionX, regionZ, data) }; region data must be serialisable
+		 */
+		register(kind, sampler) {
+			samplers[kind] = sampler
+		},
+
+		/**
+		 * Load a region a remote sampler read before it was loaded. Safe to call on every read.
+		 */
+		request(kind, regionX, regionZ) {
+			const id = getRegionId(kind, regionX, regionZ)
+			if (failed.has(id)) return
+			missing?.add(id)
+			if (pending.has(id)) return
+
+			const job = load(kind, regionX, regionZ)
+			const entry = { cancel: job.cancel }
+			entry.promise = job.promise.then((data) => {
+				// Dropped by dispose
+				if (pending.get(id) !== entry) return
+				pending.delete(id)
+				if (data) {
+					samplers[kind].setRegion(regionX, regionZ, data)
+				} else {
+					failed.add(id)
+				}
+			})
+			pending.set(id, entry)
+		},
+
+		/**
+		 * Export a region, simulating it if needed (local stores).
+		 *
+		 * @returns {*} Region data, or null if no sampler simulates this kind
+		 */
+		getRegion(kind, regionX, regionZ) {
+			return samplers[kind]?.getRegion(regionX, regionZ) ?? null
+		},
+
+		/**
+		 * Run a computation over the samplers and list the regions it read before they were loaded.
+		 * The result only reflects the full terrain when none are missing.
+		 *
+		 * @param {Function} compute - () => value
+		 * @returns {{ value: *, missing: string[] }}
+		 */
+		track(compute) {
+			const outer = missing
+			missing = new Set()
+			try {
+				const value = compute()
+				return { value, missing: [...missing] }
+			} finally {
+				missing = outer
+			}
+		},
+
+		/**
+		 * Wait for missing regions (from track) to load or fail.
+		 *
+		 * @param {string[]} ids - Region ids
+		 * @returns {Promise}
+		 */
+		whenLoaded(ids) {
+			return Promise.all(ids.map((id) => pending.get(id)?.promise))
+		},
+
+		/**
+		 * Cancel pending loads. The store stays usable; regions read later are requested again.
+		 */
+		dispose() {
+			pending.forEach(({ cancel }) => cancel())
+			pending.clear()
+		},
+	}
+}
+
+/**
+ * Run a computation over terrain queries (see createTerrainQueries) and list the regions it read
+ * before they were loaded. Retry once terrain.regions.whenLoaded(missing) resolves.
+ *
+ * @param {Object} terrain - Terrain queries
+ * @param {Function} compute - () => value
+ * @returns {{ value: *, missing: string[] }}
+ */
+export const trackRegions = (terrain, compute) => (terrain.regions ? terrain.regions.track(compute) : { value: compute(), missing: [] })
@@ -0,0 +1,569 @@
+// Framework-agnostic terrain system
+// Imperative counterpart of <Terrain /> for plain Three.js apps. Owns the quadtree roots and
+// builds stitched tile geometry, the layered terrain material and vegetation instances using
+// the same modules as the React Three Fiber components.
+
+import { Group, Mesh, Quaternion, TextureLoader } from 'three'
+import { GLTFLoader, DRACOLoader } from 'three-stdlib'
+
+import desertPreset from '../../presets/desert'
+import { LOD_CONFIG } from '../../config/lod'
+import { createHeightSampler } from './heightmap'
+import { createTerrainQueries } from './terrainQueries'
+import { selectTerrainConfig, getPreviewTerrainConfig } from './terrainConfig'
+import { updateQuadtreeRoots, edgeStitchInfoEqual, createLodView, getLodViewerHeight } from './quadtree'
+import { buildTileGeometryData, createTileGeometries, PLACEHOLDER_TILE_RESOLUTION } from './tileGeometry'
+import { getTileWorkerPool } from './tileWorkerPool'
+import { getTileGeometryCache, getTileCacheKey } from './tileGeometryCache'
+import { findPath } from './pathfinding'
+import { createTerrainRegions, trackRegions } from './terrainRegions'
+import { TerrainPhysics } from '../physics/terrainPhysics'
+import { getLayerTexturePaths, mapLayerTextures, createTerrainMaterial, loadTerrainLayers, setTerrainMorph, setTerrainMorphViewer, setTerrainViewshed, setTerrainCaustics, setTerrainAtmosphere, setTerrainClouds, setTerrainHorizon } from './terrainMaterial'
+import { getHorizonAzimuth, setHorizonMap } from './horizonMap'
+import { getWaveTime, setActiveWaterSurface } from '../water/wavePhysics'
+import { getVegetationModelPaths, buildVegetationModels } from '../vegetation/vegetationModels'
+import { createVegetationInstances } from '../vegetation/vegetationInstances'
+
+// Same decoder location drei's useGLTF uses, so bundled models load identically
+const DRACO_DECODER_PATH = 'https://www.gstatic.com/draco/versioned/decoders/1.5.5/'
+
+/**
+ * Default TerrainSystem config: the desert preset plus default LOD settings.
+ */
+export const DEFAULT_TERRAIN_SYSTEM_CONFIG = {
+	...desertPreset,
+	...LOD_CONFIG,
+	updateInterval: 0.1, // Minimum seconds between quadtree updates
+}
+
+/**
+ * TerrainSystem - quadtree LOD terrain for non-React Three.js scenes.
+ *
+ * Usage:
+ *   const terrain = new TerrainSystem(scene, { ...mountainPreset, waterMaterial })
+ *   // in the render loop
+ *   terrain.update(camera)
+ *   // on teardown
+ *   terrain.dispose()
+ */
+export class TerrainSystem {
+	/**
+	 * @param {THREE.Object3D} scene - Parent object the terrain group is added to
+	 * @param {Object} [config] - Preset-shaped config (terrain, layers, vegetation, water) plus LOD settings
+	 * @param {THREE.Material} [config.waterMaterial] - Material for water tiles (water is not rendered if omitted)
+	 * @param {THREE.Material} [config.riverMaterial] - Material for river ribbons, e.g. from createRiverMaterial (rivers are not rendered if omitted)
+	 * @param {Object} [config.heightSource] - Real-world elevation { dataset, ...options } used instead of noise (see loadHeightDataset)
+	 * @param {Object} [config.physicsAdapter] - Physics adapter that receives terrain and vegetation colliders (see updatePhysics)
+	 * @param {Object} [config.physics] - PHYSICS_CONFIG overrides for the collider tiles
+	 * @param {GLTFLoader} [config.gltfLoader] - Loader for vegetation models (defaults to a Draco-enabled GLTFLoader)
+	 */
+	constructor(scene, config = {}) {
+		this.scene = scene
+		this.config = { ...DEFAULT_TERRAIN_SYSTEM_CONFIG, ...config }
+
+		this.group = new Group()
+		this.group.name = 'Terrain'
+		scene.add(this.group)
+
+		this.roots = new Map()
+		this.tiles = new Map()
+		this.material = null
+		this.viewshed = null
+		this.vegetationModels = null
+		this.horizonAzimuth = getHorizonAzimuth(this.config.sunDirection)
+
+		this.lastUpdatePosition = null
+		this.lastUpdateQuaternion = new Quaternion()
+		this.lastUpdateTime = -Infinity
+		this.disposed = false
+
+		this.physics = this.config.physicsAdapter ? new TerrainPhysics(this.config.physicsAdapter) : null
+
+		this.createTerrain()
+
+		// Resolves once the terrain material and vegetation models have loaded
+		this.ready = Promise.all([this.loadMaterial(), this.loadVegetation()])
+	}
+
+	/**
+	 * Refine the quadtree for the camera and add, rebuild or remove tiles as needed.
+	 * Call once per frame; updates are throttled by time and camera movement.
+	 *
+	 * @param {THREE.Camera} camera - Camera that drives LOD selection
+	 * @param {number} [viewportHeight] - Viewport height in pixels (screenSpace LOD mode only, defaults to the window height)
+	 */
+	update(camera, viewportHeight = globalThis.innerHeight) {
+		if (this.disposed) return
+
+		const { minTileSize, updateInterval, lodMode, lodUpdateAngle, waterLevel, sunDirection, sunColor } = this.config
+		const { skyModel, moonDirection, moonColor, skyTurbidity, skyGroundAlbedo, skyColorZenith, skyColorHorizon } = this.config
+		const position = camera.position
+
+		// Geomorphing follows the camera, and caustics, aerial perspective, cloud and horizon shadows follow the sun
+		// every frame, independent of the quadtree throttle
+		const viewerHeight = getLodViewerHeight(position, this.boundsHeight)
+		if (this.material) {
+			setTerrainMorphViewer(this.material, position, viewerHeight)
+			setTerrainCaustics(this.material, { waterLevel, time: getWaveTime(), sunDirection, sunColor })
+			const enabled = skyModel === 'physical'
+			setTerrainAtmosphere(this.material, { enabled, sunDirection, moonDirection, moonColor, skyTurbidity, skyGroundAlbedo, skyColorZenith, skyColorHorizon })
+			setTerrainClouds(this.material, this.config)
+			setTerrainHorizon(this.material, sunDirection)
+		}
+
+		// Horizon maps follow the sun once it has moved round far enough
+		const horizonAzimuth = getHorizonAzimuth(sunDirection)
+		if (horizonAzimuth !== this.horizonAzimuth) {
+			this.horizonAzimuth = horizonAzimuth
+			for (const [, tile] of this.tiles) {
+				this.buildTileHorizon(tile)
+			}
+		}
+		const now = performance.now() / 1000
+		const screenSpace = lodMode === 'screenSpace'
+
+		// Throttle updates - at most every updateInterval seconds
+		if (now - this.lastUpdateTime < updateInterval) return
+
+		// Only update if camera moved more than one minimum tile (or, in screenSpace mode, turned) since last update.
+		// Climbing or descending counts as movement, since both LOD metrics depend on altitude
+		if (this.lastUpdatePosition) {
+			const dx = position.x - this.lastUpdatePosition.x
+			const dy = position.y - this.lastUpdatePosition.y
+			const dz = position.z - this.lastUpdatePosition.z
+			const rotated = screenSpace && camera.quaternion.angleTo(this.lastUpdateQuaternion) > lodUpdateAngle
+			if (Math.sqrt(dx * dx + dy * dy + dz * dz) < minTileSize && !rotated) return
+		}
+		this.lastUpdatePosition = { x: position.x, y: position.y, z: position.z }
+		this.lastUpdateQuaternion.copy(camera.quaternion)
+		this.lastUpdateTime = now
+
+		const view = screenSpace ? createLodView(camera, viewportHeight, this.boundsHeight) : undefined
+		this.syncTiles(updateQuadtreeRoots(this.roots, position, this.config, view, viewerHeight))
+	}
+
+	/**
+	 * Merge new config values and rebuild whatever they affect.
+	 * Terrain tiles are always regenerated; material and vegetation reload only when their config changed.
+	 *
+	 * @param {Object} config - Partial config (e.g. a biome preset)
+	 * @returns {Promise} Resolves once reloaded assets are ready
+	 */
+	setConfig(config) {
+		const previous = this.config
+		this.config = { ...previous, ...config }
+
+		this.clearTiles()
+		this.roots.clear()
+		this.lastUpdatePosition = null
+		this.lastUpdateTime = -Infinity
+		this.createTerrain()
+
+		const loads = []
+		if (this.material) {
+			setTerrainMorph(this.material, this.config)
+		}
+		if (JSON.stringify(previous.layers) !== JSON.stringify(this.config.layers)) {
+			loads.push(this.loadMaterial())
+		}
+		if (previous.vegetation !== this.config.vegetation) {
+			loads.push(this.loadVegetation())
+		}
+		this.ready = Promise.all(loads)
+		return this.ready
+	}
+
+	/**
+	 * Compute a viewshed for an observer off the main thread (see computeViewshed).
+	 *
+	 * @param {Object} observer - Observer position { x, z }
+	 * @param {number} radius - Radius around the observer in world units
+	 * @param {Object} [options] - See DEFAULT_VIEWSHED_OPTIONS
+	 * @returns {Promise<Object|null>} Resolves with the viewshed
+	 */
+	computeViewshed(observer, radius, options) {
+		return getTileWorkerPool().requestViewshed(this.terrainConfig, observer, radius, options).promise
+	}
+
+	/**
+	 * Load colliders around the player and drop those out of range (requires config.physicsAdapter).
+	 * Call once per frame with the position physics should follow, which need not be the camera.
+	 *
+	 * @param {Object} position - Player position { x, z }
+	 */
+	updatePhysics(position) {
+		if (this.disposed) return
+		this.physics?.update(position)
+	}
+
+	/**
+	 * Find a walkable route across the terrain (see findPath).
+	 * Vegetation colliders are obstacles while vegetation is enabled. Regions that haven't loaded yet
+	 * are crossed without their erosion and rivers (see createTerrainRegions).
+	 *
+	 * @param {Object} start - Start position { x, z }
+	 * @param {Object} goal - Goal position { x, z }
+	 * @param {Object} [options] - See DEFAULT_PATHFINDING_OPTIONS
+	 * @returns {THREE.Vector3[]|null} Path draped on the surface, or null if unreachable
+	 */
+	findPath(start, goal, options) {
+		const { vegetation, vegetationEnabled, minTileSize } = this.config
+		return findPath(this.terrain, start, goal, { vegetation: vegetationEnabled ? vegetation : null, minTileSize, ...options })
+	}
+
+	/**
+	 * Show a viewshed as a debug overlay on the terrain, or hide it with null.
+	 *
+	 * @param {Object|null} viewshed - Viewshed from computeViewshed
+	 */
+	setViewshed(viewshed) {
+		this.viewshed = viewshed
+		if (this.material) {
+			setTerrainViewshed(this.material, viewshed)
+		}
+	}
+
+	/**
+	 * Remove the terrain from the scene and release all GPU resources it owns.
+	 * The water and river materials passed in config are owned by the caller and are not disposed.
+	 */
+	dispose() {
+		this.disposed = true
+		this.clearTiles()
+		this.roots.clear()
+		this.scene.remove(this.group)
+		this.disposeMaterial()
+		this.disposeVegetationModels()
+		this.physics?.dispose()
+		this.regions.dispose()
+	}
+
+	createTerrain() {
+		// Serialisable subset sent to tile workers - the full config may hold materials and loaders
+		const terrainConfig = selectTerrainConfig(this.config)
+		this.terrainConfig = terrainConfig
+
+		// Main-thread queries (vegetation, physics, findPath) load regions the tile workers simulated
+		this.regions?.dispose()
+		this.regions = createTerrainRegions({ load: (kind, regionX, regionZ) => getTileWorkerPool().requestRegion(terrainConfig, kind, regionX, regionZ) })
+		this.terrain = createTerrainQueries(createHeightSampler(terrainConfig, this.regions), this.config, this.regions)
+
+		// Base heightmap for placeholders and screenSpace LOD node bounds, without main-thread erosion, rivers and lakes
+		const previewConfig = getPreviewTerrainConfig(this.terrainConfig)
+		const previewSampler = createHeightSampler(previewConfig)
+		this.previewTerrain = createTerrainQueries(previewSampler, previewConfig)
+		this.boundsHeight = (x, z) => previewSampler(x, z) * this.terrainConfig.baseHeightScale
+
+		// Colliders are rebuilt against the new terrain on the next updatePhysics
+		const { physics, vegetation, vegetationEnabled, minTileSize } = this.config
+		this.physics?.setTerrain(this.terrain, { ...physics, vegetation: vegetationEnabled ? vegetation : null, minTileSize })
+
+		// The shared tile cache follows this system's budget
+		getTileGeometryCache().setMaxSize(this.config.tileCacheSize)
+
+		// Wave and buoyancy queries default to this preset's water
+		const { waterWaves, waterLevel, waterShorelineDepthThreshold, waterShallowDepthThreshold } = this.config
+		setActiveWaterSurface({ waves: waterWaves, waterLevel, shorelineDepthThreshold: waterShorelineDepthThreshold, shallowDepthThreshold: waterShallowDepthThreshold })
+	}
+
+	// ========================================
+	// TILES
+	// ========================================
+
+	/**
+	 * Reconcile rendered tiles with the latest quadtree leaves.
+	 */
+	syncTiles(leafTiles) {
+		const activeKeys = new Set()
+
+		for (const { node, edgeStitchInfo } of leafTiles) {
+			activeKeys.add(node.key)
+			const tile = this.tiles.get(node.key)
+
+			if (!tile) {
+				this.tiles.set(node.key, this.createTile(node, edgeStitchInfo))
+			} else if (!edgeStitchInfoEqual(tile.edgeStitchInfo, edgeStitchInfo)) {
+				// Neighbor LOD changed - rebuild geometry, vegetation is unaffected
+				// The current geometry stays visible until the rebuild arrives
+				this.buildTileGeometry(tile, node, edgeStitchInfo)
+			}
+		}
+
+		for (const [key, tile] of this.tiles) {
+			if (!activeKeys.has(key)) {
+				this.disposeTile(tile)
+				this.tiles.delete(key)
+			}
+		}
+	}
+
+	createTile(node, edgeStitchInfo) {
+		const group = new Group()
+		group.position.set(node.centerX, 0, node.centerZ)
+		this.group.add(group)
+
+		const tile = { node, group, edgeStitchInfo: null, terrainMesh: null, waterMesh: null, riverMesh: null, vegetation: null, vegetationWait: null, job: null, horizonJob: null }
+
+		// Coarse placeholder until the worker delivers the full-resolution tile (unless it is cached)
+		if (!this.buildTileGeometry(tile, node, edgeStitchInfo)) {
+			const { tileResolution } = this.config
+			const resolution = Math.min(PLACEHOLDER_TILE_RESOLUTION, tileResolution)
+			this.setTileGeometry(tile, buildTileGeometryData(node, edgeStitchInfo, this.previewTerrain, { tileResolution: resolution }))
+		}
+		this.buildTileVegetation(tile)
+		return tile
+	}
+
+	/**
+	 * Set full-resolution geometry on a tile, from the geometry cache or the worker pool.
+	 *
+	 * @returns {boolean} True if the geometry came from the cache and is already set
+	 */
+	buildTileGeometry(tile, node, edgeStitchInfo) {
+		const { tileResolution } = this.config
+		const cache = getTileGeometryCache()
+		const cacheKey = getTileCacheKey(this.terrainConfig, node, edgeStitchInfo, { tileResolution })
+
+		// Supersede any build still pending for this tile
+		tile.job?.cancel()
+		tile.job = null
+		tile.edgeStitchInfo = edgeStitchInfo
+
+		const cached = cache.get(cacheKey)
+		if (cached) {
+			this.setTileGeometry(tile, cached)
+			return true
+		}
+
+		const job = getTileWorkerPool().request(this.terrainConfig, node, edgeStitchInfo, { tileResolution })
+		tile.job = job
+		job.promise.then((data) => {
+			if (!data) return
+			cache.set(cacheKey, data)
+			if (tile.job !== job) return
+			tile.job = null
+			this.setTileGeometry(tile, data)
+		})
+		return false
+	}
+
+	setTileGeometry(tile, data) {
+		const { waterMaterial, riverMaterial } = this.config
+		const { terrainGeometry, waterGeometry, riverGeometry } = createTileGeometries(data)
+
+		this.disposeTileGeometry(tile)
+
+		// Terrain mesh joins the tile once the layered material has loaded
+		tile.terrainMesh = new Mesh(terrainGeometry)
+		tile.terrainMesh.castShadow = true
+		tile.terrainMesh.receiveShadow = true
+		if (this.material) this.applyTerrainMaterial(tile)
+		this.buildTileHorizon(tile)
+
+		if (waterGeometry) {
+			if (waterMaterial) {
+				tile.waterMesh = new Mesh(waterGeometry, waterMaterial)
+				tile.group.add(tile.waterMesh)
+			} else {
+				waterGeometry.dispose()
+			}
+		}
+
+		if (riverGeometry) {
+			if (riverMaterial) {
+				tile.riverMesh = new Mesh(riverGeometry, riverMaterial)
+				tile.group.add(tile.riverMesh)
+			} else {
+				riverGeometry.dispose()
+			}
+		}
+	}
+
+	/**
+	 * Show a tile's terrain mesh with the terrain material, and its morphing depth materials for shadow passes.
+	 * The mesh is only added once it has the material, so watchers of added objects see the material
+	 * (CascadedShadows.setupScene).
+	 */
+	applyTerrainMaterial(tile) {
+		const mesh = tile.terrainMesh
+		mesh.material = this.material
+		mesh.customDepthMaterial = this.material.userData.depthMaterial
+		mesh.customDistanceMaterial = this.material.userData.distanceMaterial
+		tile.group.add(mesh)
+	}
+
+	/**
+	 * Request the tile's horizon map for the current sun azimuth (full-resolution geometry only; placeholders stay unshadowed).
+	 */
+	buildTileHorizon(tile) {
+		tile.horizonJob?.cancel()
+		tile.horizonJob = null
+
+		const { tileResolution } = this.config
+		const geometry = tile.terrainMesh?.geometry
+		if (!geometry || geometry.getAttribute('position').count !== (tileResolution + 1) ** 2) return
+
+		const job = getTileWorkerPool().requestHorizonMap(this.terrainConfig, tile.node, { tileResolution }, this.horizonAzimuth)
+		tile.horizonJob = job
+		job.promise.then((horizons) => {
+			if (!horizons || tile.horizonJob !== job) return
+			tile.horizonJob = null
+			setHorizonMap(geometry, horizons)
+		})
+	}
+
+	buildTileVegetation(tile) {
+		if (!this.vegetationModels || !this.config.vegetationEnabled) return
+
+		const { terrain, vegetationModels } = this
+		const { value: vegetation, missing } = trackRegions(terrain, () => createVegetationInstances(tile.node, terrain, vegetationModels, this.config.minTileSize))
+
+		// Placed before the tile's regions loaded - place again once they arrive
+		if (missing.length > 0) {
+			vegetation?.forEach(({ mesh }) => mesh.dispose())
+			const wait = terrain.regions.whenLoaded(missing).then(() => {
+				if (tile.vegetationWait !== wait) return
+				tile.vegetationWait = null
+				this.buildTileVegetation(tile)
+			})
+			tile.vegetationWait = wait
+			return
+		}
+		tile.vegetation = vegetation
+
+		// Vegetation is positioned in world space, not relative to tile
+		tile.vegetation?.forEach(({ mesh }) => this.group.add(mesh))
+	}
+
+	disposeTileGeometry(tile) {
+		if (tile.terrainMesh) {
+			tile.group.remove(tile.terrainMesh)
+			tile.terrainMesh.geometry.dispose()
+			tile.terrainMesh = null
+		}
+		if (tile.waterMesh) {
+			tile.group.remove(tile.waterMesh)
+			tile.waterMesh.geometry.dispose()
+			tile.waterMesh = null
+		}
+		if (tile.riverMesh) {
+			tile.group.remove(tile.riverMesh)
+			tile.riverMesh.geometry.dispose()
+			tile.riverMesh = null
+		}
+	}
+
+	disposeTileVegetation(tile) {
+		tile.vegetation?.forEach(({ mesh }) => {
+			this.group.remove(mesh)
+			mesh.dispose()
+		})
+		tile.vegetation = null
+		tile.vegetationWait = null
+	}
+
+	disposeTile(tile) {
+		tile.job?.cancel()
+		tile.job = null
+		tile.horizonJob?.cancel()
+		tile.horizonJob = null
+		this.disposeTileGeometry(tile)
+		this.disposeTileVegetation(tile)
+		this.group.remove(tile.group)
+	}
+
+	clearTiles() {
+		for (const [, tile] of this.tiles) {
+			this.disposeTile(tile)
+		}
+		this.tiles.clear()
+	}
+
+	// ========================================
+	// ASSETS
+	// ========================================
+
+	async loadMaterial() {
+		const { layers } = this.config
+		const loader = new TextureLoader()
+		const textures = await Promise.all(getLayerTexturePaths(layers).map((path) => loader.loadAsync(path)))
+
+		// Config may have changed or the system been disposed while loading
+		if (this.disposed || layers !== this.config.layers) {
+			textures.forEach((texture) => texture.dispose())
+			return
+		}
+
+		// Same shader for every layer config: only the first load creates the material
+		const material = this.material ?? createTerrainMaterial()
+		const applied = await loadTerrainLayers(material, layers, mapLayerTextures(layers, textures))
+
+		// The loaded textures are owned here and only needed until they are packed into the material's texture arrays
+		textures.forEach((texture) => texture.dispose())
+
+		if (!applied || material === this.material) return
+		// Disposed, or a newer layer config took over while packing
+		if (this.disposed || layers !== this.config.layers) {
+			material.dispose()
+			return
+		}
+
+		this.material = material
+		setTerrainMorph(this.material, this.config)
+		setTerrainViewshed(this.material, this.viewshed)
+
+		for (const [, tile] of this.tiles) {
+			if (tile.terrainMesh) {
+				this.applyTerrainMaterial(tile)
+			}
+		}
+	}
+
+	async loadVegetation() {
+		const { vegetation } = this.config
+		const modelPaths = getVegetationModelPaths(vegetation)
+
+		let loader = this.config.gltfLoader
+		if (!loader && modelPaths.length > 0) {
+			loader = new GLTFLoader()
+			const dracoLoader = new DRACOLoader()
+			dracoLoader.setDecoderPath(DRACO_DECODER_PATH)
+			loader.setDRACOLoader(dracoLoader)
+		}
+
+		const gltfs = await Promise.all(modelPaths.map((path) => loader.loadAsync(path)))
+		if (this.disposed || vegetation !== this.config.vegetation) return
+
+		const modelMap = new Map()
+		modelPaths.forEach((path, index) => modelMap.set(path, gltfs[index]))
+
+		for (const [, tile] of this.tiles) {
+			this.disposeTileVegetation(tile)
+		}
+		this.disposeVegetationModels()
+		this.vegetationModels = buildVegetationModels(vegetation, modelMap)
+
+		for (const [, tile] of this.tiles) {
+			this.buildTileVegetation(tile)
+		}
+	}
+
+	disposeMaterial() {
+		if (this.material) {
+			this.material.dispose()
+			this.material = null
+		}
+	}
+
+	disposeVegetationModels() {
+		if (!this.vegetationModels) return
+
+		// Geometries are cloned per vegetation type, so they are owned here
+		const geometries = new Set()
+		this.vegetationModels.forEach(({ lods }) => {
+			Object.values(lods).forEach((meshes) => meshes.forEach(({ geometry }) => geometries.add(geometry)))
+		})
+		geometries.forEach((geometry) => geometry.dispose())
+		this.vegetationModels = null
+	}
+}
@@ -0,0 +1,545 @@
+// Terrain tile geometry builder
+// Samples the height field for a quadtree tile and produces raw vertex buffers.
+// Kept free of React so it can be shared by hooks, TerrainSystem and workers.
+
+import { BufferGeometry, BufferAttribute } from 'three'
+
+import { RIVER_CONFIG } from '../../config/water'
+
+// Segments per side of the coarse geometry shown while a full tile builds in a worker
+export const PLACEHOLDER_TILE_RESOLUTION = 4
+
+/**
+ * Build ribbon buffers for the river segments that start inside a tile.
+ * Segments are assigned to the tile containing their first point, so neighbouring tiles
+ * never overlap. Ribbon widths and joins come from the shared river path, so they line up
+ * across tile borders. UV.x runs across the river, UV.y is distance downstream.
+ */
+const buildRiverData = (terrain, node) => {
+	const { size, centerX, centerZ } = node
+	const halfSize = size / 2
+	const minX = centerX - halfSize
+	const minZ = centerZ - halfSize
+	const maxX = centerX + halfSize
+	const maxZ = centerZ + halfSize
+
+	// Tuck ribbon edges into the banks so they don't z-fight with the terrain
+	const edgeOverlap = RIVER_CONFIG.bankWidth * 0.5
+
+	const positions = []
+	const uvs = []
+	const indices = []
+
+	const isInside = (point) => point.x >= minX && point.x < maxX && point.z >= minZ && point.z < maxZ
+
+	const pushPoint = (points, i) => {
+		const point = points[i]
+		const prev = points[Math.max(0, i - 1)]
+		const next = points[Math.min(points.length - 1, i + 1)]
+
+		// Perpendicular of the averaged direction, so joins are mitered
+		const dx = next.x - prev.x
+		const dz = next.z - prev.z
+		const length = Math.sqrt(dx * dx + dz * dz) || 1
+		const halfWidth = point.halfWidth + edgeOverlap
+		const px = (-dz / length) * halfWidth
+		const pz = (dx / length) * halfWidth
+
+		positions.push(point.x + px - centerX, point.surface, point.z + pz - centerZ)
+		positions.push(point.x - px - centerX, point.surface, point.z - pz - centerZ)
+		uvs.push(0, point.distance, 1, point.distance)
+	}
+
+	for (const { points } of terrain.getRivers(minX, minZ, maxX, maxZ)) {
+		let inRun = false
+		for (let i = 0; i < points.length - 1; i++) {
+			if (!isInside(points[i])) {
+				inRun = false
+				continue
+			}
+
+			if (!inRun) {
+				pushPoint(points, i)
+				inRun = true
+			}
+			pushPoint(points, i + 1)
+
+			// Quad between the last two vertex pairs
+			const a = positions.length / 3 - 4
+			indices.push(a, a + 2, a + 1, a + 1, a + 2, a + 3)
+		}
+	}
+
+	if (indices.length === 0) return null
+
+	const vertexCount = positions.length / 3
+	const normals = new Float32Array(vertexCount * 3)
+	for (let i = 0; i < vertexCount; i++) {
+		normals[i * 3 + 1] = 1
+	}
+
+	return {
+		positions: new Float32Array(positions),
+		normals,
+		uvs: new Float32Array(uvs),
+		indices: new Uint32Array(indices),
+	}
+}
+
+/**
+ * Build vertex buffers for a quadtree terrain tile.
+ * Handles edge stitching to prevent cracks between LOD levels.
+ * Also generates water buffers if terrain is below water level, and river ribbons
+ * for rivers flowing through near tiles.
+ *
+ * Each vertex also stores geomorphing data [parentHeight, levelSize, anchorX, anchorZ]: the height
+ * the parent LOD renders at its position, and the level and local position whose camera distance
+ * drives the blend. Stitched edge vertices take these from the coarser neighbour, so edges stay
+ * crack-free while both sides morph. Requires an even tile resolution.
+ *
+ * @param {Object} node - Quadtree node with size, centerX, centerZ
+ * @param {Object} edgeStitchInfo - Edge stitching configuration per direction
+ * @param {Object} terrain - Terrain queries with sampleHeight, getWaterLevel, getRivers and baseHeightScale
+ * @param {Object} options
+ * @param {number} options.tileResolution - Number of segments per tile side
+ * @returns {Object} { positions, normals, uvs, morphs, indices, water, river } where water is { positions, normals, depths, indices } or null
+ *   and river is { positions, normals, uvs, indices } or null
+ */
+export const buildTileGeometryData = (node, edgeStitchInfo, terrain, { tileResolution }) => {
+	const { sampleHeight, getWaterLevel, baseHeightScale } = terrain
+	const { size, centerX, centerZ } = node
+	const resolution = tileResolution
+	const segments = resolution
+	const sampleCount = segments + 1
+	const totalSamples = sampleCount * sampleCount
+	const step = size / segments
+	const halfSize = size / 2
+	const originX = centerX - halfSize
+	const originZ = centerZ - halfSize
+
+	const positions = new Float32Array(totalSamples * 3)
+	const normals = new Float32Array(totalSamples * 3)
+	const uvs = new Float32Array(totalSamples * 2)
+
+	// Track water surface height (global level or a lake) and depth for each vertex
+	const waterLevels = new Float32Array(totalSamples)
+	const depths = new Float32Array(totalSamples)
+	let hasWater = false
+
+	// Cache for height samples - avoids recomputing for normal calculation
+	// Layout: heightCache[j * sampleCount + i] = normalized height at grid position (i, j)
+	const heightCache = new Float32Array(totalSamples)
+
+	// Track interpolated world coordinates for UVs
+	// At LOD boundaries, these are snapped to match coarse neighbor
+	const worldXForUV = new Float32Array(totalSamples)
+	const worldZForUV = new Float32Array(totalSamples)
+
+	// Pre-check edge stitch conditions to avoid repeated property access
+	const westNeedsStitch = edgeStitchInfo.west.needsStitch
+	const eastNeedsStitch = edgeStitchInfo.east.needsStitch
+	const southNeedsStitch = edgeStitchInfo.south.needsStitch
+	const northNeedsStitch = edgeStitchInfo.north.needsStitch
+	const westStep = edgeStitchInfo.west.neighborStep
+	const eastStep = edgeStitchInfo.east.neighborStep
+	const southStep = edgeStitchInfo.south.neighborStep
+	const northStep = edgeStitchInfo.north.neighborStep
+
+	/**
+	 * Get interpolated height for stitched edges.
+	 * Snaps height samples to the coarser neighbor's grid.
+	 */
+	const getStitchedHeight = (worldX, worldZ, neighborStep, axis) => {
+		if (axis === 'x') {
+			const gridX = worldX / neighborStep
+			const x0 = Math.floor(gridX) * neighborStep
+			const x1 = x0 + neighborStep
+			const t = (worldX - x0) / neighborStep
+
+			const h0 = sampleHeight(x0, worldZ)
+			const h1 = sampleHeight(x1, worldZ)
+			return (h0 * (1 - t) + h1 * t) * baseHeightScale
+		} else {
+			const gridZ = worldZ / neighborStep
+			const z0 = Math.floor(gridZ) * neighborStep
+			const z1 = z0 + neighborStep
+			const t = (worldZ - z0) / neighborStep
+
+			const h0 = sampleHeight(worldX, z0)
+			const h1 = sampleHeight(worldX, z1)
+			return (h0 * (1 - t) + h1 * t) * baseHeightScale
+		}
+	}
+
+	// Pre-compute stitch decisions for all edge vertices to avoid redundant checks
+	// This caches which vertices need stitching and what parameters to use
+	const stitchCache = new Map()
+	for (let j = 0; j < sampleCount; j++) {
+		const onSouthEdge = j === 0
+		const onNorthEdge = j === segments
+		for (let i = 0; i < sampleCount; i++) {
+			const onWestEdge = i === 0
+			const onEastEdge = i === segments
+
+			// Only cache edge vertices that need stitching
+			if (onWestEdge && westNeedsStitch) {
+				stitchCache.set(j * sampleCount + i, { step: westStep, axis: 'z' })
+			} else if (onEastEdge && eastNeedsStitch) {
+				stitchCache.set(j * sampleCount + i, { step: eastStep, axis: 'z' })
+			} else if (onSouthEdge && southNeedsStitch) {
+				stitchCache.set(j * sampleCount + i, { step: southStep, axis: 'x' })
+			} else if (onNorthEdge && northNeedsStitch) {
+				stitchCache.set(j * sampleCount + i, { step: northStep, axis: 'x' })
+			}
+		}
+	}
+
+	// First pass: sample heights and cache them
+	let vertIndex = 0
+	for (let j = 0; j < sampleCount; j++) {
+		const localZ = j * step
+		const worldZ = originZ + localZ
+
+		for (let i = 0; i < sampleCount; i++) {
+			const localX = i * step
+			const worldX = originX + localX
+
+			let height
+			let uvWorldX = worldX
+			let uvWorldZ = worldZ
+
+			// Check stitch cache for this vertex
+			const stitchInfo = stitchCache.get(vertIndex)
+			if (stitchInfo) {
+				// Apply cached stitch parameters
+				height = getStitchedHeight(worldX, worldZ, stitchInfo.step, stitchInfo.axis)
+				heightCache[vertIndex] = height / baseHeightScale
+
+				// Snap UVs to coarse neighbor's grid points
+				// Water shader uses UVs for wave calculations
+				if (stitchInfo.axis === 'z') {
+					uvWorldZ = Math.round(worldZ / stitchInfo.step) * stitchInfo.step
+				} else {
+					uvWorldX = Math.round(worldX / stitchInfo.step) * stitchInfo.step
+				}
+			} else {
+				// No stitching needed - sample directly
+				const normalizedHeight = sampleHeight(worldX, worldZ)
+				heightCache[vertIndex] = normalizedHeight
+				height = normalizedHeight * baseHeightScale
+			}
+			const posIndex = vertIndex * 3
+			const uvIndex = vertIndex * 2
+
+			// Position - use original local coordinates
+			// Height interpolation at LOD boundaries handles seamless stitching
+			positions[posIndex] = localX - halfSize
+			positions[posIndex + 1] = height
+			positions[posIndex + 2] = localZ - halfSize
+
+			// UVs - use snapped world coordinates at LOD boundaries
+			// Terrain shader uses vWorldPos.xz (not UVs) for texturing
+			// Water shader uses UVs for wave calculations - snapping ensures seamless waves
+			uvs[uvIndex] = uvWorldX
+			uvs[uvIndex + 1] = uvWorldZ
+
+			// Store for water geometry construction
+			worldXForUV[vertIndex] = uvWorldX
+			worldZForUV[vertIndex] = uvWorldZ
+
+			// Calculate water depth (surface sampled at the snapped position, so it matches the coarse neighbor)
+			const waterLevel = getWaterLevel(uvWorldX, uvWorldZ)
+			waterLevels[vertIndex] = waterLevel
+			if (height < waterLevel) {
+				depths[vertIndex] = waterLevel - height
+				hasWater = true
+			} else {
+				depths[vertIndex] = 0
+			}
+			vertIndex++
+		}
+	}
+
+	// Morph pass: heights of the parent LOD, whose vertices are the even grid points
+	const morphs = new Float32Array(totalSamples * 4)
+	const sampleWorldHeight = (x, z) => sampleHeight(x, z) * baseHeightScale
+
+	// Unstitched height at a grid position (stitched vertices are re-sampled)
+	const getGridHeight = (i, j) => {
+		const index = j * sampleCount + i
+		return stitchCache.has(index) ? sampleWorldHeight(originX + i * step, originZ + j * step) : heightCache[index] * baseHeightScale
+	}
+
+	vertIndex = 0
+	for (let j = 0; j < sampleCount; j++) {
+		const worldZ = originZ + j * step
+		const oddZ = j % 2 === 1
+
+		for (let i = 0; i < sampleCount; i++) {
+			const worldX = originX + i * step
+			const oddX = i % 2 === 1
+			const morphIndex = vertIndex * 4
+			const stitchInfo = stitchCache.get(vertIndex)
+
+			if (stitchInfo) {
+				// Follow the coarse neighbour's edge: of its two vertices around this one,
+				// the odd one morphs to the average of its own neighbours
+				const { step: neighborStep, axis } = stitchInfo
+				const along = axis === 'x' ? worldX : worldZ
+				const k0 = Math.floor(along / neighborStep)
+				const t = along / neighborStep - k0
+				const oddK = Math.abs(k0 % 2) === 1 ? k0 : k0 + 1
+				const sampleAlong = (k) => (axis === 'x' ? sampleWorldHeight(k * neighborStep, worldZ) : sampleWorldHeight(worldX, k * neighborStep))
+
+				const oddMorph = (sampleAlong(oddK - 1) + sampleAlong(oddK + 1)) / 2
+				const m0 = oddK === k0 ? oddMorph : sampleAlong(k0)
+				const m1 = oddK === k0 ? sampleAlong(k0 + 1) : oddMorph
+
+				morphs[morphIndex] = m0 * (1 - t) + m1 * t
+				morphs[morphIndex + 1] = neighborStep * resolution
+				morphs[morphIndex + 2] = axis === 'x' ? oddK * neighborStep - centerX : worldX - centerX
+				morphs[morphIndex + 3] = axis === 'x' ? worldZ - centerZ : oddK * neighborStep - centerZ
+			} else {
+				let parentHeight = positions[vertIndex * 3 + 1]
+				if (oddX && oddZ) {
+					// Centre of a parent quad - lies on the diagonal shared by its two triangles
+					parentHeight = (getGridHeight(i + 1, j - 1) + getGridHeight(i - 1, j + 1)) / 2
+				} else if (oddX) {
+					parentHeight = (getGridHeight(i - 1, j) + getGridHeight(i + 1, j)) / 2
+				} else if (oddZ) {
+					parentHeight = (getGridHeight(i, j - 1) + getGridHeight(i, j + 1)) / 2
+				}
+
+				morphs[morphIndex] = parentHeight
+				morphs[morphIndex + 1] = size
+				morphs[morphIndex + 2] = positions[vertIndex * 3]
+				morphs[morphIndex + 3] = positions[vertIndex * 3 + 2]
+			}
+			vertIndex++
+		}
+	}
+
+	// Second pass: compute normals using cached heights (finite differences)
+	// For interior vertices, use cached heights. For edge vertices, sample across
+	// tile boundaries to ensure consistent normals between adjacent tiles.
+	vertIndex = 0
+	for (let j = 0; j < sampleCount; j++) {
+		const localZ = j * step
+		const worldZ = originZ + localZ
+		const onSouthEdge = j === 0
+		const onNorthEdge = j === segments
+		const rowOffset = j * sampleCount
+
+		for (let i = 0; i < sampleCount; i++) {
+			const localX = i * step
+			const worldX = originX + localX
+			const onWestEdge = i === 0
+			const onEastEdge = i === segments
+			const posIndex = vertIndex * 3
+
+			let hL, hR, hD, hU
+			let dx, dz
+
+			// For edge vertices, sample heights across tile boundaries to ensure
+			// normals match between adjacent tiles. Interior uses cached heights.
+			if (onWestEdge) {
+				// Sample one step outside tile boundary to the west
+				hL = sampleHeight(worldX - step, worldZ) * baseHeightScale
+				hR = heightCache[rowOffset + 1] * baseHeightScale
+				dx = 2 * step
+			} else if (onEastEdge) {
+				// Sample one step outside tile boundary to the east
+				hL = heightCache[rowOffset + segments - 1] * baseHeightScale
+				hR = sampleHeight(worldX + step, worldZ) * baseHeightScale
+				dx = 2 * step
+			} else {
+				// Interior vertex - use cached heights
+				hL = heightCache[rowOffset + i - 1] * baseHeightScale
+				hR = heightCache[rowOffset + i + 1] * baseHeightScale
+				dx = 2 * step
+			}
+
+			if (onSouthEdge) {
+				// Sample one step outside tile boundary to the south
+				hD = sampleHeight(worldX, worldZ - step) * baseHeightScale
+				hU = heightCache[sampleCount + i] * baseHeightScale
+				dz = 2 * step
+			} else if (onNorthEdge) {
+				// Sample one step outside tile boundary to the north
+				hD = heightCache[(segments - 1) * sampleCount + i] * baseHeightScale
+				hU = sampleHeight(worldX, worldZ + step) * baseHeightScale
+				dz = 2 * step
+			} else {
+				// Interior vertex - use cached heights
+				hD = heightCache[(j - 1) * sampleCount + i] * baseHeightScale
+				hU = heightCache[(j + 1) * sampleCount + i] * baseHeightScale
+				dz = 2 * step
+			}
+
+			// Calculate partial derivatives
+			const dhdx = (hR - hL) / dx
+			const dhdz = (hU - hD) / dz
+
+			// Normal is perpendicular to the tangent plane: (-dhdx, 1, -dhdz) normalized
+			const nx = -dhdx
+			const ny = 1
+			const nz = -dhdz
+			const invLen = 1 / Math.sqrt(nx * nx + ny * ny + nz * nz)
+
+			normals[posIndex] = nx * invLen
+			normals[posIndex + 1] = ny * invLen
+			normals[posIndex + 2] = nz * invLen
+
+			vertIndex++
+		}
+	}
+
+	// Build indices for the grid - pre-allocate for performance
+	const numTriangles = segments * segments * 2
+	const indices = new Uint32Array(numTriangles * 3)
+	let idx = 0
+
+	for (let j = 0; j < segments; j++) {
+		const rowOffset = sampleCount * j
+		for (let i = 0; i < segments; i++) {
+			const a = i + rowOffset
+			const b = a + 1
+			const c = a + sampleCount
+			const d = c + 1
+
+			// Two triangles per quad
+			indices[idx++] = a
+			indices[idx++] = c
+			indices[idx++] = b
+			indices[idx++] = b
+			indices[idx++] = c
+			indices[idx++] = d
+		}
+	}
+
+	// Build water buffers if there's water in this tile
+	let water = null
+	if (hasWater) {
+		// Create water positions and normals (reuse terrain UVs)
+		const waterPositions = new Float32Array(totalSamples * 3)
+		const waterNormals = new Float32Array(totalSamples * 3)
+
+		// Build water geometry with snapped positions at LOD boundaries
+		// Both positions AND UVs need to match for seamless rendering
+		for (let i = 0; i < totalSamples; i++) {
+			const posIndex = i * 3
+
+			// Water position - use snapped UV coords (world space) converted to local
+			// This ensures edge vertices have identical positions as coarse neighbor
+			const localX = worldXForUV[i] - originX - halfSize
+			const localZ = worldZForUV[i] - originZ - halfSize
+
+			waterPositions[posIndex] = localX
+			waterPositions[posIndex + 1] = waterLevels[i]
+			waterPositions[posIndex + 2] = localZ
+
+			// Normal pointing up (waves added in shader)
+			waterNormals[posIndex] = 0
+			waterNormals[posIndex + 1] = 1
+			waterNormals[posIndex + 2] = 0
+		}
+
+		// Build water indices - only create triangles where at least one vertex is underwater
+		// Pre-allocate maximum possible size (all quads underwater)
+		const maxWaterIndices = numTriangles * 3
+		const waterIndicesArray = new Uint32Array(maxWaterIndices)
+		let waterIdx = 0
+
+		for (let j = 0; j < segments; j++) {
+			const rowOffset = sampleCount * j
+			for (let i = 0; i < segments; i++) {
+				const a = i + rowOffset
+				const b = a + 1
+				const c = a + sampleCount
+				const d = c + 1
+
+				// Check if any vertex in this quad is underwater
+				if (depths[a] > 0 || depths[b] > 0 || depths[c] > 0 || depths[d] > 0) {
+					// Two triangles per quad
+					waterIndicesArray[waterIdx++] = a
+					waterIndicesArray[waterIdx++] = c
+					waterIndicesArray[waterIdx++] = b
+					waterIndicesArray[waterIdx++] = b
+					waterIndicesArray[waterIdx++] = c
+					waterIndicesArray[waterIdx++] = d
+				}
+			}
+		}
+
+		// Only emit water buffers if we have triangles
+		if (waterIdx > 0) {
+			water = {
+				positions: waterPositions,
+				normals: waterNormals,
+				depths,
+				// Use slice to trim to actual size used
+				indices: waterIndicesArray.slice(0, waterIdx),
+			}
+		}
+	}
+
+	// River ribbons are too narrow to matter on distant tiles
+	const river = size <= RIVER_CONFIG.maxMeshTileSize ? buildRiverData(terrain, node) : null
+
+	return { positions, normals, uvs, morphs, indices, water, river }
+}
+
+/**
+ * List the underlying ArrayBuffers of tile buffers, for zero-copy postMessage transfer.
+ *
+ * @param {Object} data - Tile buffers from buildTileGeometryData
+ * @returns {ArrayBuffer[]} Buffers to transfer
+ */
+export const getTileTransferables = (data) => {
+	const buffers = [data.positions.buffer, data.normals.buffer, data.uvs.buffer, data.morphs.buffer, data.indices.buffer]
+	if (data.water) {
+		buffers.push(data.water.positions.buffer, data.water.normals.buffer, data.water.depths.buffer, data.water.indices.buffer)
+	}
+	if (data.river) {
+		buffers.push(data.river.positions.buffer, data.river.normals.buffer, data.river.uvs.buffer, data.river.indices.buffer)
+	}
+	return buffers
+}
+
+/**
+ * Create BufferGeometries from buffers produced by buildTileGeometryData.
+ *
+ * @param {Object} data - Tile buffers
+ * @returns {Object} Object containing { terrainGeometry, waterGeometry, riverGeometry } (water and river geometry may be null)
+ */
+export const createTileGeometries = (data) => {
+	const terrainGeometry = new BufferGeometry()
+	terrainGeometry.setAttribute('position', new BufferAttribute(data.positions, 3))
+	terrainGeometry.setAttribute('normal', new BufferAttribute(data.normals, 3))
+	terrainGeometry.setAttribute('uv', new BufferAttribute(data.uvs, 2))
+	terrainGeometry.setAttribute('morph', new BufferAttribute(data.morphs, 4))
+	// Horizon elevation per vertex, unshadowed until a horizon map arrives (see setHorizonMap)
+	terrainGeometry.setAttribute('horizon', new BufferAttribute(new Float32Array(data.positions.length / 3).fill(-Math.PI / 2), 1))
+	terrainGeometry.setIndex(new BufferAttribute(data.indices, 1))
+
+	let waterGeometry = null
+	if (data.water) {
+		waterGeometry = new BufferGeometry()
+		waterGeometry.setAttribute('position', new BufferAttribute(data.water.positions, 3))
+		waterGeometry.setAttribute('normal', new BufferAttribute(data.water.normals, 3))
+		waterGeometry.setAttribute('uv', new BufferAttribute(data.uvs, 2)) // Reuse terrain UVs
+		waterGeometry.setAttribute('depth', new BufferAttribute(data.water.depths, 1))
+		waterGeometry.setIndex(new BufferAttribute(data.water.indices, 1))
+	}
+
+	let riverGeometry = null
+	if (data.river) {
+		riverGeometry = new BufferGeometry()
+		riverGeometry.setAttribute('position', new BufferAttribute(data.river.positions, 3))
+		riverGeometry.setAttribute('normal', new BufferAttribute(data.river.normals, 3))
+		riverGeometry.setAttribute('uv', new BufferAttribute(data.river.uvs, 2))
+		riverGeometry.setIndex(new BufferAttribute(data.river.indices, 1))
+	}
+
+	return { terrainGeometry, waterGeometry, riverGeometry }
+}
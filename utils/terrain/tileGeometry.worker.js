@@ -0,0 +1,78 @@
+// Tile geometry worker
+// Rebuilds the height sampler from the serialisable terrain config and builds tile
+// buffers (and viewsheds, horizon maps and simulated regions) off the main thread. Results are returned as transferable typed arrays.
+
+import { createHeightSampler } from './heightmap'
+import { createTerrainQueries } from './terrainQueries'
+import { buildTileGeometryData, getTileTransferables } from './tileGeometry'
+import { computeViewshed } from './viewshed'
+import { computeHorizonMap } from './horizonMap'
+import { createTerrainRegions } from './terrainRegions'
+
+let terrain = null
+let configError = null
+
+// Elevation dataset of the current height source, sent once rather than with every config
+let dataset = null
+
+const runJob = (data) => {
+	if (data.type === 'build') {
+		const { node, edgeStitchInfo, options } = data
+		const result = buildTileGeometryData(node, edgeStitchInfo, terrain, options)
+		return [result, getTileTransferables(result)]
+	}
+
+	if (data.type === 'viewshed') {
+		const { observer, radius, options } = data
+		const result = computeViewshed(terrain, observer, radius, options)
+		return [result, [result.data.buffer]]
+	}
+
+	if (data.type === 'horizon') {
+		const { node, options, azimuth } = data
+		const result = computeHorizonMap(terrain, node, options, azimuth)
+		return [result, [result.buffer]]
+	}
+
+	// Copied rather than transferred: the worker keeps the region cached for its own builds
+	if (data.type === 'region') {
+		const { kind, regionX, regionZ } = data
+		return [terrain.regions.getRegion(kind, regionX, regionZ), []]
+	}
+
+	throw new Error(`Unknown job type '${data.type}'`)
+}
+
+self.onmessage = ({ data }) => {
+	if (data.type === 'dataset') {
+		dataset = data.dataset
+		return
+	}
+
+	if (data.type === 'config') {
+		const config = data.config.heightSource ? { ...data.config, heightSource: { ...data.config.heightSource, dataset } } : data.config
+		try {
+			const regions = createTerrainRegions()
+			terrain = createTerrainQueries(createHeightSampler(config, regions), config, regions)
+			configError = null
+		} catch (error) {
+			terrain = null
+			configError = error.message
+			self.postMessage({ type: 'configError', error: configError })
+		}
+		return
+	}
+
+	// Every job gets a reply, so the pool always gets its worker back
+	const { id } = data
+	if (!terrain) {
+		self.postMessage({ id, error: `Invalid terrain config: ${configError}` })
+		return
+	}
+	try {
+		const [result, transferables] = runJob(data)
+		self.postMessage({ id, result }, transferables)
+	} catch (error) {
+		self.postMessage({ id, error: error.message })
+	}
+}
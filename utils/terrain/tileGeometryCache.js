@@ -0,0 +1,203 @@
+// Tile geometry cache
+// Keeps recently built tile buffers so a tile that reappears (e.g. when the camera backs up and the
+// LOD hysteresis band flips) is rebuilt without sampling the height field. Buffers are cached rather
+// than BufferGeometry objects, so each tile keeps owning and disposing its own geometry.
+
+import { getTerrainConfigHash } from './terrainConfig'
+import { LOD_CONFIG } from '../../config/lod'
+
+const BYTES_PER_MB = 1024 * 1024
+
+// Default memory budget for cached buffers
+const DEFAULT_MAX_BYTES = LOD_CONFIG.tileCacheSize * BYTES_PER_MB
+
+/**
+ * Stitch signature for a cache key: the neighbour step of each stitched edge, 0 otherwise.
+ */
+const getStitchSignature = (edgeStitchInfo) =>
+	['north', 'south', 'east', 'west'].map((edge) => (edgeStitchInfo[edge].needsStitch ? edgeStitchInfo[edge].neighborStep : 0)).join(',')
+
+/**
+ * Total size of a tile's buffers in bytes.
+ */
+const getTileDataBytes = (data) => {
+	let bytes = data.positions.byteLength + data.normals.byteLength + data.uvs.byteLength + data.morphs.byteLength + data.indices.byteLength
+	if (data.water) {
+		bytes += data.water.positions.byteLength + data.water.normals.byteLength + data.water.depths.byteLength + data.water.indices.byteLength
+	}
+	if (data.river) {
+		bytes += data.river.positions.byteLength + data.river.normals.byteLength + data.river.uvs.byteLength + data.river.indices.byteLength
+	}
+	return bytes
+}
+
+/**
+ * Build the cache key for a tile.
+ *
+ * @param {Object} config - Serialisable terrain config (see selectTerrainConfig)
+ * @param {Object} node - Quadtree node with key
+ * @param {Object} edgeStitchInfo - Edge stitching configuration per direction
+ * @param {Object} options - { tileResolution } (water levels and bodies are part of the config)
+ * @returns {string} Cache key
+ */
+export const getTileCacheKey = (config, node, edgeStitchInfo, { tileResolution }) =>
+	`${getTerrainConfigHash(config)}|${node.key}|${getStitchSignature(edgeStitchInfo)}|${tileResolution}`
+
+/**
+ * LRU cache of tile geometry buffers (as produced by buildTileGeometryData) with a memory budget.
+ * The least recently used entries are evicted once the cached buffers exceed maxBytes.
+ */
+export class TileGeometryCache {
+	/**
+	 * @param {number} [maxBytes] - Memory budget for cached buffers (defaults to LOD_CONFIG.tileCacheSize)
+	 */
+	constructor(maxBytes = DEFAULT_MAX_BYTES) {
+		this.maxBytes = maxBytes
+		this.entries = new Map() // key -> { data, bytes }, least recently used first
+		this.bytes = 0
+		this.hits = 0
+		this.misses = 0
+		this.evictions = 0
+	}
+
+	/**
+	 * Look up tile buffers, marking them as most recently used.
+	 *
+	 * @param {string} key - Key from getTileCacheKey
+	 * @returns {Object|null} Tile buffers, or null on a miss
+	 */
+	get(key) {
+		const entry = this.entries.get(key)
+		if (!entry) {
+			this.misses++
+			return null
+		}
+
+		this.hits++
+		this.entries.delete(key)
+		this.entries.set(key, entry)
+		return entry.data
+	}
+
+	/**
+	 * Look up tile buffers without counting the lookup or changing their recency, e.g. while rendering
+	 * a tile that may not commit. Count committed lookups with get.
+	 *
+	 * @param {string} key - Key from getTileCacheKey
+	 * @returns {Object|null} Tile buffers, or null if not cached
+	 */
+	peek(key) {
+		return this.entries.get(key)?.data ?? null
+	}
+
+	/**
+	 * Store tile buffers, evicting least recently used entries to stay within budget.
+	 * Buffers are shared with whoever built them, so they must not be modified afterwards.
+	 *
+	 * @param {string} key - Key from getTileCacheKey
+	 * @param {Object} data - Tile buffers from buildTileGeometryData
+	 */
+	set(key, data) {
+		this.delete(key)
+
+		const bytes = getTileDataBytes(data)
+		if (bytes > this.maxBytes) return
+
+		this.entries.set(key, { data, bytes })
+		this.bytes += bytes
+		this.evict()
+	}
+
+	/**
+	 * Remove an entry.
+	 *
+	 * @param {string} key - Key from getTileCacheKey
+	 */
+	delete(key) {
+		const entry = this.entries.get(key)
+		if (entry) {
+			this.entries.delete(key)
+			this.bytes -= entry.bytes
+		}
+	}
+
+	/**
+	 * Change the memory budget, evicting entries if it shrank.
+	 *
+	 * @param {number} maxBytes - Memory budget in bytes
+	 */
+	setMaxBytes(maxBytes) {
+		this.maxBytes = maxBytes
+		this.evict()
+	}
+
+	/**
+	 * Change the memory budget in megabytes (the unit of the tileCacheSize setting).
+	 *
+	 * @param {number} size - Memory budget in MB
+	 */
+	setMaxSize(size) {
+		this.setMaxBytes(size * BYTES_PER_MB)
+	}
+
+	/**
+	 * Evict least recently used entries until within budget.
+	 */
+	evict() {
+		for (const [key, entry] of this.entries) {
+			if (this.bytes <= this.maxBytes) break
+			this.entries.delete(key)
+			this.bytes -= entry.bytes
+			this.evictions++
+		}
+	}
+
+	/**
+	 * Cache statistics for performance monitoring.
+	 *
+	 * @returns {Object} { hits, misses, hitRate, evictions, entries, bytes, maxBytes }
+	 */
+	getStats() {
+		const lookups = this.hits + this.misses
+		return {
+			hits: this.hits,
+			misses: this.misses,
+			hitRate: lookups > 0 ? this.hits / lookups : 0,
+			evictions: this.evictions,
+			entries: this.entries.size,
+			bytes: this.bytes,
+			maxBytes: this.maxBytes,
+		}
+	}
+
+	/**
+	 * Reset hit, miss and eviction counters.
+	 */
+	resetStats() {
+		this.hits = 0
+		this.misses = 0
+		this.evictions = 0
+	}
+
+	/**
+	 * Remove all entries.
+	 */
+	clear() {
+		this.entries.clear()
+		this.bytes = 0
+	}
+}
+
+let sharedCache = null
+
+/**
+ * Get the shared tile geometry cache used by <Terrain /> and TerrainSystem.
+ *
+ * @returns {TileGeometryCache} Shared cache
+ */
+export const getTileGeometryCache = () => {
+	if (!sharedCache) {
+		sharedCache = new TileGeometryCache()
+	}
+	return sharedCache
+}
@@ -0,0 +1,326 @@
+// Tile geometry worker pool
+// Distributes tile geometry builds and region simulations across a small pool of Web Workers so height sampling
+// never blocks the render loop. Falls back to building synchronously where workers are unavailable.
+
+import { createHeightSampler } from './heightmap'
+import { createTerrainQueries } from './terrainQueries'
+import { buildTileGeometryData } from './tileGeometry'
+import { computeViewshed } from './viewshed'
+import { computeHorizonMap } from './horizonMap'
+import { createTerrainRegions } from './terrainRegions'
+
+// Run a job message against a terrain API (main thread fallback; the worker has its own copy)
+const runJob = (terrain, message) => {
+	if (message.type === 'viewshed') {
+		const { observer, radius, options } = message
+		return computeViewshed(terrain, observer, radius, options)
+	}
+	if (message.type === 'horizon') {
+		const { node, options, azimuth } = message
+		return computeHorizonMap(terrain, node, options, azimuth)
+	}
+	if (message.type === 'region') {
+		const { kind, regionX, regionZ } = message
+		return terrain.regions.getRegion(kind, regionX, regionZ)
+	}
+	const { node, edgeStitchInfo, options } = message
+	return buildTileGeometryData(node, edgeStitchInfo, terrain, options)
+}
+
+// Samples of a dataset copied into shared memory, so every worker reads the same copy
+const sharedDatasets = new WeakMap()
+
+/**
+ * Prepare an elevation dataset for posting to a worker. Where the page is cross-origin isolated its samples
+ * move into a SharedArrayBuffer (once per dataset); elsewhere each worker receives its own copy, once.
+ */
+const getPostableDataset = (dataset) => {
+	if (typeof SharedArrayBuffer === 'undefined' || !globalThis.crossOriginIsolated) return dataset
+	let shared = sharedDatasets.get(dataset)
+	if (!shared) {
+		const { data } = dataset
+		const samples = new data.constructor(new SharedArrayBuffer(data.byteLength))
+		samples.set(data)
+		shared = { ...dataset, data: samples }
+		sharedDatasets.set(dataset, shared)
+	}
+	return shared
+}
+
+// The config as broadcast to workers: the dataset is sent separately (see sendConfig)
+const getWorkerConfig = (config) => {
+	const { heightSource } = config
+	return heightSource?.dataset ? { ...config, heightSource: { ...heightSource, dataset: null } } : config
+}
+
+// Leave one core for the main thread, cap to avoid oversubscribing
+const getDefaultPoolSize = () => {
+	const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency || 4 : 4
+	return Math.max(1, Math.min(4, cores - 1))
+}
+
+/**
+ * Pool of tile geometry workers. Viewsheds, horizon maps and simulated regions are computed by the
+ * same workers, since they need the same height sampler.
+ *
+ * Every request carries the terrain config it was built for. When the config changes
+ * (by identity) it is broadcast to all workers before any further builds, so results
+ * always match the config of the request that produced them. An elevation dataset in the
+ * config is only posted to a worker when it differs from the one the worker already holds.
+ */
+export class TileWorkerPool {
+	/**
+	 * @param {number} [size] - Number of workers (defaults to hardwareConcurrency - 1, max 4)
+	 */
+	constructor(size = getDefaultPoolSize()) {
+		this.size = size
+		this.workers = []
+		this.idleWorkers = []
+		this.queue = []
+		this.inFlight = new Map() // job id -> job
+		this.nextId = 0
+		this.config = null
+
+		// Synchronous fallback (SSR, tests, very old browsers)
+		this.syncConfig = null
+		this.syncTerrain = null
+		this.supported = typeof Worker !== 'undefined'
+	}
+
+	/**
+	 * Request geometry buffers for a tile.
+	 *
+	 * @param {Object} config - Serialisable terrain config (see selectTerrainConfig)
+	 * @param {Object} node - Quadtree node with size, centerX, centerZ
+	 * @param {Object} edgeStitchInfo - Edge stitching configuration per direction
+	 * @param {Object} options - { tileResolution }
+	 * @returns {{ promise: Promise<Object|null>, cancel: Function }} Resolves with tile buffers, or null if cancelled
+	 */
+	request(config, node, edgeStitchInfo, options) {
+		const { size, centerX, centerZ } = node
+		return this.enqueue(config, { type: 'build', node: { size, centerX, centerZ }, edgeStitchInfo, options })
+	}
+
+	/**
+	 * Request a viewshed (see computeViewshed) computed off the main thread.
+	 *
+	 * @param {Object} config - Serialisable terrain config (see selectTerrainConfig)
+	 * @param {Object} observer - Observer position { x, z }
+	 * @param {number} radius - Radius around the observer in world units
+	 * @param {Object} [options] - See DEFAULT_VIEWSHED_OPTIONS
+	 * @returns {{ promise: Promise<Object|null>, cancel: Function }} Resolves with the viewshed, or null if cancelled
+	 */
+	requestViewshed(config, observer, radius, options = {}) {
+		return this.enqueue(config, { type: 'viewshed', observer: { x: observer.x, z: observer.z }, radius, options })
+	}
+
+	/**
+	 * Request a tile's horizon map (see computeHorizonMap) computed off the main thread.
+	 *
+	 * @param {Object} config - Serialisable terrain config (see selectTerrainConfig)
+	 * @param {Object} node - Quadtree node with size, centerX, centerZ
+	 * @param {Object} options - { tileResolution }
+	 * @param {number} azimuth - Direction towards the light in degrees
+	 * @returns {{ promise: Promise<Float32Array|null>, cancel: Function }} Resolves with the horizon map, or null if cancelled
+	 */
+	requestHorizonMap(config, node, options, azimuth) {
+		const { size, centerX, centerZ } = node
+		return this.enqueue(config, { type: 'horizon', node: { size, centerX, centerZ }, options, azimuth })
+	}
+
+	/**
+	 * Request a simulated region (see createTerrainRegions) computed off the main thread.
+	 *
+	 * @param {Object} config - Serialisable terrain config (see selectTerrainConfig)
+	 * @param {string} kind - Region kind ('erosion', 'rivers', 'lakes')
+	 * @param {number} regionX - Root tile X index
+	 * @param {number} regionZ - Root tile Z index
+	 * @returns {{ promise: Promise<*>, cancel: Function }} Resolves with the region data, or null if cancelled or failed
+	 */
+	requestRegion(config, kind, regionX, regionZ) {
+		return this.enqueue(config, { type: 'region', kind, regionX, regionZ })
+	}
+
+	/**
+	 * Queue a job message for the workers.
+	 */
+	enqueue(config, message) {
+		const job = {
+			id: this.nextId++,
+			message,
+			config,
+			cancelled: false,
+			resolve: null,
+		}
+		job.promise = new Promise((resolve) => {
+			job.resolve = resolve
+		})
+
+		if (!this.supported) {
+			this.buildSync(job)
+		} else {
+			this.queue.push(job)
+			this.dispatch()
+		}
+
+		return { promise: job.promise, cancel: () => this.cancel(job) }
+	}
+
+	/**
+	 * Cancel a job. Queued jobs are dropped before reaching a worker;
+	 * in-flight results are discarded when they arrive.
+	 */
+	cancel(job) {
+		if (job.cancelled) return
+		job.cancelled = true
+		job.resolve(null)
+
+		const queueIndex = this.queue.indexOf(job)
+		if (queueIndex !== -1) {
+			this.queue.splice(queueIndex, 1)
+		}
+	}
+
+	/**
+	 * Build a job on the main thread (no worker support, or the worker failed).
+	 * Resolves with null if the config or the build throws, so the job always settles.
+	 */
+	buildSync(job) {
+		if (job.cancelled) return
+		try {
+			if (this.syncConfig !== job.config) {
+				// A config that fails to build is remembered too, so later jobs don't retry it
+				this.syncConfig = job.config
+				this.syncTerrain = null
+				const regions = createTerrainRegions()
+				this.syncTerrain = createTerrainQueries(createHeightSampler(job.config, regions), job.config, regions)
+			}
+			job.resolve(this.syncTerrain ? runJob(this.syncTerrain, job.message) : null)
+		} catch (error) {
+			console.error('[TileWorkerPool] Build failed:', error.message)
+			job.resolve(null)
+		}
+	}
+
+	/**
+	 * Terminate all workers and drop pending jobs.
+	 */
+	dispose() {
+		this.queue.forEach((job) => job.resolve(null))
+		this.queue = []
+		this.inFlight.forEach((job) => job.resolve(null))
+		this.inFlight.clear()
+		this.workers.forEach((worker) => worker.terminate())
+		this.workers = []
+		this.idleWorkers = []
+		this.config = null
+	}
+
+	dispatch() {
+		// Lazily spawn workers up to the pool size
+		while (this.queue.length > this.idleWorkers.length && this.workers.length < this.size) {
+			this.spawnWorker()
+		}
+
+		while (this.queue.length > 0 && this.idleWorkers.length > 0) {
+			const job = this.queue.shift()
+
+			// Broadcast config changes before the first job that needs them
+			if (job.config !== this.config) {
+				this.config = job.config
+				this.workers.forEach((worker) => this.sendConfig(worker))
+			}
+
+			const worker = this.idleWorkers.pop()
+			worker.jobId = job.id
+			this.inFlight.set(job.id, job)
+			worker.postMessage({ ...job.message, id: job.id })
+		}
+	}
+
+	/**
+	 * Post the current config to a worker, preceded by its elevation dataset if the worker doesn't have it yet
+	 * (or null, releasing the worker's copy, once no dataset is in use).
+	 */
+	sendConfig(worker) {
+		const dataset = this.config.heightSource?.dataset ?? null
+		if (worker.dataset !== dataset) {
+			worker.postMessage({ type: 'dataset', dataset: dataset && getPostableDataset(dataset) })
+			worker.dataset = dataset
+		}
+		worker.postMessage({ type: 'config', config: getWorkerConfig(this.config) })
+	}
+
+	/**
+	 * Return a worker to the idle list once its job is settled. Workers without a job are left alone,
+	 * so an error that fires twice can't idle the same worker twice.
+	 *
+	 * @returns {Object|undefined} The job the worker was running
+	 */
+	releaseWorker(worker) {
+		if (worker.jobId === null) return undefined
+		const job = this.inFlight.get(worker.jobId)
+		this.inFlight.delete(worker.jobId)
+		worker.jobId = null
+		this.idleWorkers.push(worker)
+		return job
+	}
+
+	spawnWorker() {
+		const worker = new Worker(new URL('./tileGeometry.worker.js', import.meta.url), { type: 'module' })
+		worker.jobId = null
+		worker.dataset = null
+
+		worker.onmessage = ({ data }) => {
+			// Reported once per bad config; the jobs built with it reply with errors of their own
+			if (data.type === 'configError') {
+				console.error('[TileWorkerPool] Invalid terrain config:', data.error)
+				return
+			}
+
+			const job = this.releaseWorker(worker)
+			if (job && !job.cancelled) {
+				if (data.error) {
+					console.error('[TileWorkerPool] Worker job failed:', data.error)
+					this.buildSync(job)
+				} else {
+					job.resolve(data.result)
+				}
+			}
+			this.dispatch()
+		}
+
+		// A failed build falls back to the main thread so the tile still appears
+		worker.onerror = (event) => {
+			console.error('[TileWorkerPool] Worker error:', event.message)
+			const job = this.releaseWorker(worker)
+			if (job) {
+				this.buildSync(job)
+			}
+			this.dispatch()
+		}
+
+		this.workers.push(worker)
+		this.idleWorkers.push(worker)
+
+		// New workers need the current config before their first build
+		if (this.config) {
+			this.sendConfig(worker)
+		}
+	}
+}
+
+// Shared pool used by all terrain tiles
+let sharedPool = null
+
+/**
+ * Get the shared tile worker pool, creating it on first use.
+ *
+ * @returns {TileWorkerPool}
+ */
+export const getTileWorkerPool = () => {
+	if (!sharedPool) {
+		sharedPool = new TileWorkerPool()
+	}
+	return sharedPool
+}
@@ -1,6 +1,6 @@
 import { Vector3, Object3D } from 'three'
 import { createSeededRandom, hashCoords } from '../seededRandom'
-import useTerrainStore from '../../store/terrainStore'
+import { LOD_CONFIG } from '../../config/lod'
 
 /**
  * Vegetation Generation Utilities
@@ -28,7 +28,7 @@ const _normalScratch = new Vector3()
  * @returns {Array} Array of matrices for this cell
  */
 const generateCellVegetation = (cellX, cellZ, terrain, config, typeIndex, minTileSize) => {
-	const { getHeight, getNormal } = terrain
+	const { getHeight, getNormal, isRiver } = terrain
 	const { scale, slope, height, density } = config
 
 	const dummy = _scratchDummy
@@ -84,6 +84,9 @@ const generateCellVegetation = (cellX, cellZ, terrain, config, typeIndex, minTil
 		const vegY = getHeight(vegX, vegZ)
 		if (vegY < height.min || vegY > height.max) continue
 
+		// Keep river channels clear
+		if (isRiver(vegX, vegZ)) continue
+
 		// Slope check
 		const normal = getNormal(vegX, vegZ, _normalScratch)
 		if (normal.y < slopeMinNormalY || normal.y > slopeMaxNormalY) continue
@@ -120,15 +123,13 @@ const generateCellVegetation = (cellX, cellZ, terrain, config, typeIndex, minTil
  * @param {number} lodLevel - LOD level (unused, kept for API compatibility)
  * @param {Object} vegetationTypeConfig - Configuration for this vegetation type
  * @param {number} typeIndex - Index of this vegetation type (used for seeding)
+ * @param {number} [minTileSize] - Vegetation cell size (defaults to LOD_CONFIG.minTileSize; must match the rendered vegetation)
  * @returns {Array} Array of vegetation matrices
  */
-export const generateVegetationForType = (node, terrain, lodLevel, vegetationTypeConfig, typeIndex) => {
+export const generateVegetationForType = (node, terrain, lodLevel, vegetationTypeConfig, typeIndex, minTileSize = LOD_CONFIG.minTileSize) => {
 	const { centerX, centerZ, size } = node
 	const matrices = []
 
-	// Get minTileSize from store
-	const { minTileSize } = useTerrainStore.getState()
-
 	// Calculate tile bounds
 	const halfSize = size / 2
 	const minX = centerX - halfSize
@@ -156,3 +157,34 @@ export const generateVegetationForType = (node, terrain, lodLevel, vegetationTyp
 
 	return matrices
 }
+
+/**
+ * Collect vegetation colliders for a single minimum-size cell.
+ *
+ * Uses the same deterministic placement as the rendered vegetation, so obstacles
+ * line up with the instances on screen. Types without a collider are skipped.
+ *
+ * @param {number} cellX - Cell center X (world coordinates)
+ * @param {number} cellZ - Cell center Z (world coordinates)
+ * @param {Object} terrain - Terrain query functions from context
+ * @param {Array} vegetationTypes - Vegetation type configs (indices must match the rendered types)
+ * @param {number} [minTileSize] - Vegetation cell size (defaults to LOD_CONFIG.minTileSize; must match the rendered vegetation)
+ * @returns {Array} Array of { x, y, z, radius, height } cylinders in world space
+ */
+export const getCellVegetationColliders = (cellX, cellZ, terrain, vegetationTypes, minTileSize = LOD_CONFIG.minTileSize) => {
+	const colliders = []
+
+	vegetationTypes.forEach((config, typeIndex) => {
+		const { collider } = config
+		if (!collider) return
+
+		const matrices = generateCellVegetation(cellX, cellZ, terrain, config, typeIndex, minTileSize)
+		for (let i = 0; i < matrices.length; i++) {
+			const e = matrices[i].elements
+			const scale = Math.hypot(e[0], e[1], e[2])
+			colliders.push({ x: e[12], y: e[13], z: e[14], radius: (collider.width * scale) / 2, height: collider.height * scale })
+		}
+	})
+
+	return colliders
+}
@@ -0,0 +1,91 @@
+// Viewshed analysis
+// Computes which parts of the terrain an observer can see within a radius.
+// Only needs terrain queries (getHeight), so it runs equally on the main thread and in tile workers.
+
+/**
+ * Default viewshed options. Any option can be overridden per call.
+ */
+export const DEFAULT_VIEWSHED_OPTIONS = {
+	resolution: 128, // Grid cells per side
+	observerHeight: 2, // Eye height above the terrain in world units
+	targetHeight: 0, // Height above the terrain a point must be seen at (e.g. 1.8 for a standing player)
+}
+
+/**
+ * Compute a visibility grid around an observer.
+ *
+ * Casts a ray from the observer to every cell on the grid border, tracking the steepest horizon
+ * so far along each ray; a cell is visible when it rises above that horizon.
+ *
+ * @param {Object} terrain - Terrain queries with getHeight (see createTerrainQueries)
+ * @param {Object} observer - Observer position { x, z }; the eye is options.observerHeight above the terrain
+ * @param {number} radius - Radius around the observer in world units
+ * @param {Object} [options] - See DEFAULT_VIEWSHED_OPTIONS
+ * @returns {Object} Viewshed { centerX, centerZ, radius, resolution, cellSize, data } where data is a
+ *   resolution² Uint8Array (row-major from -z to +z) holding 1 for visible cells and 0 for hidden or out of range
+ */
+export const computeViewshed = (terrain, observer, radius, options = {}) => {
+	const { resolution, observerHeight, targetHeight } = { ...DEFAULT_VIEWSHED_OPTIONS, ...options }
+	const { getHeight } = terrain
+	const centerX = observer.x
+	const centerZ = observer.z
+	const cellSize = (radius * 2) / resolution
+	const minX = centerX - radius
+	const minZ = centerZ - radius
+
+	// Terrain heights at cell centres
+	const heights = new Float32Array(resolution * resolution)
+	for (let j = 0; j < resolution; j++) {
+		for (let i = 0; i < resolution; i++) {
+			heights[j * resolution + i] = getHeight(minX + (i + 0.5) * cellSize, minZ + (j + 0.5) * cellSize)
+		}
+	}
+
+	const data = new Uint8Array(resolution * resolution)
+	const eyeY = getHeight(centerX, centerZ) + observerHeight
+
+	// Observer position in grid units (cell centres at integer + 0.5)
+	const originI = radius / cellSize - 0.5
+	const originJ = radius / cellSize - 0.5
+	const observerCell = Math.min(resolution - 1, Math.floor(originJ + 0.5)) * resolution + Math.min(resolution - 1, Math.floor(originI + 0.5))
+	data[observerCell] = 1
+
+	const castRay = (targetI, targetJ) => {
+		const deltaI = targetI - originI
+		const deltaJ = targetJ - originJ
+		const steps = Math.ceil(Math.max(Math.abs(deltaI), Math.abs(deltaJ)))
+		let horizon = -Infinity
+
+		for (let s = 1; s <= steps; s++) {
+			const t = s / steps
+			const gridI = originI + deltaI * t
+			const gridJ = originJ + deltaJ * t
+			const distance = Math.sqrt(deltaI * deltaI + deltaJ * deltaJ) * t * cellSize
+			if (distance > radius) break
+
+			// Bilinear height between cell centres
+			const i0 = Math.max(0, Math.min(resolution - 2, Math.floor(gridI)))
+			const j0 = Math.max(0, Math.min(resolution - 2, Math.floor(gridJ)))
+			const tx = Math.max(0, Math.min(1, gridI - i0))
+			const tz = Math.max(0, Math.min(1, gridJ - j0))
+			const index = j0 * resolution + i0
+			const height =
+				(heights[index] * (1 - tx) + heights[index + 1] * tx) * (1 - tz) + (heights[index + resolution] * (1 - tx) + heights[index + resolution + 1] * tx) * tz
+
+			if ((height + targetHeight - eyeY) / distance >= horizon) {
+				data[Math.round(gridJ) * resolution + Math.round(gridI)] = 1
+			}
+			horizon = Math.max(horizon, (height - eyeY) / distance)
+		}
+	}
+
+	// Rays to every border cell cover every cell in the grid
+	for (let k = 0; k < resolution; k++) {
+		castRay(k, 0)
+		castRay(k, resolution - 1)
+		castRay(0, k)
+		castRay(resolution - 1, k)
+	}
+
+	return { centerX, centerZ, radius, resolution, cellSize, data }
+}
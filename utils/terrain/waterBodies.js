@@ -0,0 +1,362 @@
+// Water bodies
+// Lakes and reservoirs whose surface sits above the global water level. Bodies are either declared
+// (circles of water, e.g. reservoirs placed by a preset) or found by filling the depressions of the
+// height field on a coarse grid, per root tile and deterministic from the terrain.
+
+import { LAKE_CONFIG } from '../../config/water'
+import { getRiverNetwork } from './rivers'
+import { NodeHeap } from './nodeHeap'
+
+// Filled grid points deeper than this belong to a depression
+const FLOOD_EPSILON = 0.01
+
+// Region coordinates are packed into one number; regions stay far inside ±GRID_OFFSET root tiles
+const GRID_OFFSET = 1 << 20
+const GRID_SPAN = 1 << 21
+const toRegionKey = (regionX, regionZ) => (regionX + GRID_OFFSET) * GRID_SPAN + (regionZ + GRID_OFFSET)
+
+/**
+ * Create the water bodies over a height sampler.
+ *
+ * Automatic lakes come from a priority flood of each root tile's grid (plus LAKE_CONFIG.regionMargin),
+ * drained at the grid edge and wherever the terrain is below the global water level. Every flooded
+ * depression deeper than lakeMinDepth becomes a lake at its spill height. Basins crossed by a river are
+ * left dry, since the river channel (too narrow for the grid) drains them.
+ *
+ * @param {Function} sampleHeight - Height sampler: (x, z) => normalizedHeight
+ * @param {Object} config - Terrain configuration
+ * @param {number} config.rootSize - Size of a root tile (lakes are detected per root tile)
+ * @param {number} config.baseHeightScale - Scale multiplier for world heights
+ * @param {number} config.waterLevel - Global water level; lakes sit above it
+ * @param {boolean} [config.lakesEnabled] - Fill depressions of the height field with lakes
+ * @param {number} [config.lakeMinDepth] - Shallowest depression that holds a lake, in world units
+ * @param {Array} [config.waterBodies] - Declared bodies as { x, z, radius, level } in world units
+ * @param {Object} [regions] - Region store sharing filled regions between threads (see createTerrainRegions);
+ *   with a remote store, lakes are left out until every region that can reach a position has loaded
+ * @returns {Object} { getWaterBody, getWaterLevel, getWaterBodies }
+ */
+export function createWaterBodies(sampleHeight, config, regions = null) {
+	const { rootSize, baseHeightScale, waterLevel, lakesEnabled = false, lakeMinDepth = 0, waterBodies = [] } = config
+	const { cellSize, regionMargin, minCells, minElevation, maxCachedRegions } = LAKE_CONFIG
+
+	const rivers = getRiverNetwork(sampleHeight)
+	const marginCells = Math.ceil(regionMargin / cellSize)
+
+	// Lakes can reach this many root tiles away from the tile that owns them
+	const regionRange = Math.ceil(regionMargin / rootSize)
+
+	// Declared bodies hold water wherever the terrain inside their circle is below their level
+	const declared = waterBodies.map(({ x, z, radius, level }) => ({
+		level,
+		x,
+		z,
+		radius,
+		minX: x - radius,
+		minZ: z - radius,
+		maxX: x + radius,
+		maxZ: z + radius,
+		declared: true,
+	}))
+
+	// Grid cells per side of a root tile's lookup (one extra where tiles don't align with cells)
+	const cellsPerSide = Math.ceil(rootSize / cellSize) + 1
+
+	// Bounded like the erosion cache, so exploring doesn't grow memory; evicted regions are filled
+	// again (deterministically) when revisited. Oldest evicted first.
+	const lakeRegions = new Map() // region key -> { lakes owned by the region, coverage: [{ lake, cells }] }
+	const cellRegions = new Map() // region key -> lake covering each grid cell of the region (sparse array)
+	const remote = !!regions?.remote
+
+	const addToCache = (cache, key, value) => {
+		if (cache.size >= maxCachedRegions) {
+			cache.delete(cache.keys().next().value)
+		}
+		cache.set(key, value)
+	}
+
+	const getWorldHeight = (x, z) => sampleHeight(x, z) * baseHeightScale
+
+	/**
+	 * Find the lakes whose lowest point lies in a root tile, and the grid cells each covers.
+	 * Remote water bodies request regions instead and return null until they load.
+	 */
+	const fillRegion = (regionX, regionZ) => {
+		const key = toRegionKey(regionX, regionZ)
+		const cached = lakeRegions.get(key)
+		if (cached) return cached
+		if (remote) {
+			regions.request('lakes', regionX, regionZ)
+			return null
+		}
+
+		// Grid points sit on global multiples of cellSize, so neighbouring regions sample the same heights
+		const originI = Math.floor((regionX * rootSize) / cellSize) - marginCells
+		const originJ = Math.floor((regionZ * rootSize) / cellSize) - marginCells
+		const size = Math.ceil(rootSize / cellSize) + marginCells * 2 + 1
+		const count = size * size
+
+		const heights = new Float32Array(count)
+		const filled = new Float32Array(count).fill(Infinity)
+		const open = new NodeHeap()
+
+		for (let j = 0; j < size; j++) {
+			for (let i = 0; i < size; i++) {
+				const index = j * size + i
+				const height = getWorldHeight((originI + i) * cellSize, (originJ + j) * cellSize)
+				heights[index] = height
+
+				// The grid edge and the sea drain the grid
+				if (i === 0 || j === 0 || i === size - 1 || j === size - 1 || height < waterLevel) {
+					filled[index] = height
+					open.push(index, height)
+				}
+			}
+		}
+
+		// Priority flood: water rises from the lowest drain inwards, filling depressions to their spill height
+		while (open.size > 0) {
+			const index = open.pop()
+			const i = index % size
+			const j = (index - i) / size
+			const level = filled[index]
+
+			if (i > 0) floodPoint(index - 1, level)
+			if (i < size - 1) floodPoint(index + 1, level)
+			if (j > 0) floodPoint(index - size, level)
+			if (j < size - 1) floodPoint(index + size, level)
+		}
+
+		function floodPoint(index, level) {
+			if (filled[index] !== Infinity) return
+			filled[index] = Math.max(heights[index], level)
+			open.push(index, filled[index])
+		}
+
+		// Connected flooded points form a lake
+		const lakes = []
+		const coverage = []
+		const visited = new Uint8Array(count)
+		const regionMinX = regionX * rootSize
+		const regionMinZ = regionZ * rootSize
+
+		for (let start = 0; start < count; start++) {
+			if (visited[start] || filled[start] - heights[start] <= FLOOD_EPSILON) continue
+
+			const members = []
+			const stack = [start]
+			visited[start] = 1
+			let level = -Infinity
+			let lowest = start
+
+			while (stack.length > 0) {
+				const index = stack.pop()
+				members.push(index)
+				level = Math.max(level, filled[index])
+				if (heights[index] < heights[lowest]) lowest = index
+
+				const i = index % size
+				const j = (index - i) / size
+				const neighbours = [i > 0 && index - 1, i < size - 1 && index + 1, j > 0 && index - size, j < size - 1 && index + size]
+				for (const neighbour of neighbours) {
+					if (neighbour === false || visited[neighbour] || filled[neighbour] - heights[neighbour] <= FLOOD_EPSILON) continue
+					visited[neighbour] = 1
+					stack.push(neighbour)
+				}
+			}
+
+			// Each lake belongs to the root tile holding its lowest point, so it is only kept once
+			const lowestX = (originI + (lowest % size)) * cellSize
+			const lowestZ = (originJ + Math.floor(lowest / size)) * cellSize
+			if (lowestX < regionMinX || lowestX >= regionMinX + rootSize || lowestZ < regionMinZ || lowestZ >= regionMinZ + rootSize) continue
+
+			const depth = level - heights[lowest]
+			if (members.length < minCells || depth < lakeMinDepth || level < waterLevel + minElevation) continue
+
+			let minI = Infinity
+			let minJ = Infinity
+			let maxI = -Infinity
+			let maxJ = -Infinity
+			for (const index of members) {
+				const i = index % size
+				const j = (index - i) / size
+				minI = Math.min(minI, i)
+				minJ = Math.min(minJ, j)
+				maxI = Math.max(maxI, i)
+				maxJ = Math.max(maxJ, j)
+			}
+
+			const lake = {
+				level,
+				depth,
+				x: lowestX,
+				z: lowestZ,
+				area: members.length * cellSize * cellSize,
+				minX: (originI + minI - 1) * cellSize,
+				minZ: (originJ + minJ - 1) * cellSize,
+				maxX: (originI + maxI + 1) * cellSize,
+				maxZ: (originJ + maxJ + 1) * cellSize,
+				declared: false,
+			}
+
+			// Rivers drain the basins they run through
+			if (rivers && isDrainedByRiver(lake, members, originI, originJ, size)) continue
+
+			// Cover every grid cell touching a flooded point, so the shoreline between points is included.
+			// Cells are global (cx, cz) pairs; neighbouring points share cells, so duplicates are harmless
+			const cells = new Int32Array(members.length * 8)
+			let offset = 0
+			for (const index of members) {
+				const i = index % size
+				const j = (index - i) / size
+				for (let cz = originJ + j - 1; cz <= originJ + j; cz++) {
+					for (let cx = originI + i - 1; cx <= originI + i; cx++) {
+						cells[offset++] = cx
+						cells[offset++] = cz
+					}
+				}
+			}
+
+			lakes.push(lake)
+			coverage.push({ lake, cells })
+		}
+
+		const region = { lakes, coverage }
+		addToCache(lakeRegions, key, region)
+		return region
+	}
+
+	// Regions cross threads whole; lakes keep their identity between lakes and coverage when copied
+	regions?.register('lakes', {
+		getRegion: fillRegion,
+		setRegion: (regionX, regionZ, region) => addToCache(lakeRegions, toRegionKey(regionX, regionZ), region),
+	})
+
+	/**
+	 * Whether a river passes through a lake's flooded grid points.
+	 */
+	const isDrainedByRiver = (lake, members, originI, originJ, size) => {
+		const flooded = new Set(members)
+		for (const river of rivers.getRivers(lake.minX, lake.minZ, lake.maxX, lake.maxZ)) {
+			for (const point of river.points) {
+				const i = Math.round(point.x / cellSize) - originI
+				const j = Math.round(point.z / cellSize) - originJ
+				if (i >= 0 && j >= 0 && i < size && j < size && flooded.has(j * size + i)) return true
+			}
+		}
+		return false
+	}
+
+	/**
+	 * Look up the lake covering each grid cell of a root tile, from every lake that can reach it.
+	 * Returns null while remote water bodies are still loading any of the regions.
+	 */
+	const getRegionCells = (regionX, regionZ) => {
+		const key = toRegionKey(regionX, regionZ)
+		let lookup = cellRegions.get(key)
+		if (lookup) return lookup
+
+		// Request every missing region at once rather than looking up a partial set of lakes
+		const filled = []
+		for (let dz = -regionRange; dz <= regionRange; dz++) {
+			for (let dx = -regionRange; dx <= regionRange; dx++) {
+				filled.push(fillRegion(regionX + dx, regionZ + dz))
+			}
+		}
+		if (filled.includes(null)) return null
+
+		lookup = new Array(cellsPerSide * cellsPerSide)
+		const baseX = Math.floor((regionX * rootSize) / cellSize)
+		const baseZ = Math.floor((regionZ * rootSize) / cellSize)
+
+		for (const { coverage } of filled) {
+			for (const { lake, cells } of coverage) {
+				for (let k = 0; k < cells.length; k += 2) {
+					const i = cells[k] - baseX
+					const j = cells[k + 1] - baseZ
+					if (i < 0 || j < 0 || i >= cellsPerSide || j >= cellsPerSide) continue
+					const index = j * cellsPerSide + i
+					if (!lookup[index] || lookup[index].level < lake.level) {
+						lookup[index] = lake
+					}
+				}
+			}
+		}
+
+		addToCache(cellRegions, key, lookup)
+		return lookup
+	}
+
+	/**
+	 * Get the water body covering a position, if any. Where bodies overlap the highest surface wins.
+	 * A position may be covered while the terrain there is above the surface (the shore).
+	 *
+	 * @param {number} x - World X coordinate
+	 * @param {number} z - World Z coordinate
+	 * @returns {Object|null} { level, x, z, minX, minZ, maxX, maxZ, declared } plus radius for declared bodies
+	 *   and depth and area for lakes, or null outside every body
+	 */
+	function getWaterBody(x, z) {
+		let body = null
+		if (lakesEnabled) {
+			const regionX = Math.floor(x / rootSize)
+			const regionZ = Math.floor(z / rootSize)
+			const i = Math.floor(x / cellSize) - Math.floor((regionX * rootSize) / cellSize)
+			const j = Math.floor(z / cellSize) - Math.floor((regionZ * rootSize) / cellSize)
+			body = getRegionCells(regionX, regionZ)?.[j * cellsPerSide + i] || null
+		}
+
+		for (let i = 0; i < declared.length; i++) {
+			const candidate = declared[i]
+			const dx = x - candidate.x
+			const dz = z - candidate.z
+			if (dx * dx + dz * dz < candidate.radius * candidate.radius && (!body || candidate.level > body.level)) {
+				body = candidate
+			}
+		}
+		return body
+	}
+
+	/**
+	 * Get the still water surface height at a position: the covering body's level, or the
+	 * global water level outside every body.
+	 *
+	 * @param {number} x - World X coordinate
+	 * @param {number} z - World Z coordinate
+	 * @returns {number} Water surface height in world units
+	 */
+	function getWaterLevel(x, z) {
+		const body = getWaterBody(x, z)
+		return body ? Math.max(body.level, waterLevel) : waterLevel
+	}
+
+	/**
+	 * Get water bodies whose extent overlaps a rectangle.
+	 *
+	 * @param {number} minX - Rectangle min X
+	 * @param {number} minZ - Rectangle min Z
+	 * @param {number} maxX - Rectangle max X
+	 * @param {number} maxZ - Rectangle max Z
+	 * @returns {Array} Bodies as returned by getWaterBody
+	 */
+	function getWaterBodies(minX, minZ, maxX, maxZ) {
+		const overlaps = (body) => body.maxX >= minX && body.minX <= maxX && body.maxZ >= minZ && body.minZ <= maxZ
+		const bodies = declared.filter(overlaps)
+		if (!lakesEnabled) return bodies
+
+		const regionMinX = Math.floor(minX / rootSize) - regionRange
+		const regionMaxX = Math.floor(maxX / rootSize) + regionRange
+		const regionMinZ = Math.floor(minZ / rootSize) - regionRange
+		const regionMaxZ = Math.floor(maxZ / rootSize) + regionRange
+
+		for (let regionZ = regionMinZ; regionZ <= regionMaxZ; regionZ++) {
+			for (let regionX = regionMinX; regionX <= regionMaxX; regionX++) {
+				for (const lake of fillRegion(regionX, regionZ)?.lakes || []) {
+					if (overlaps(lake)) bodies.push(lake)
+				}
+			}
+		}
+		return bodies
+	}
+
+	return { getWaterBody, getWaterLevel, getWaterBodies }
+}
@@ -0,0 +1,82 @@
+// Vegetation instancing
+// Creates instanced meshes for the vegetation that belongs to a terrain tile.
+
+import { InstancedMesh, Matrix4 } from 'three'
+
+import { generateVegetationForType } from '../terrain/vegetationGeneration'
+
+/**
+ * Create instanced vegetation meshes for a terrain tile.
+ * Picks the best available LOD per vegetation type and composes each instance
+ * with the mesh's baked transform. Meshes are positioned in world space.
+ *
+ * @param {Object} node - Quadtree node with centerX, centerZ, size, lod
+ * @param {Object} terrain - Terrain query functions
+ * @param {Array} vegetationModels - Vegetation models from buildVegetationModels
+ * @param {number} [minTileSize] - Vegetation cell size (defaults to LOD_CONFIG.minTileSize)
+ * @returns {Array|null} Array of { mesh, key } or null if the tile has no vegetation
+ */
+export const createVegetationInstances = (node, terrain, vegetationModels, minTileSize) => {
+	const allInstances = []
+
+	// Reusable scratch object for transform composition
+	const composedMatrix = new Matrix4()
+
+	// Generate instances for each vegetation type
+	vegetationModels.forEach((vegetationType, typeIndex) => {
+		// Get available LOD levels for this vegetation type (sorted ascending)
+		const availableLods = Object.keys(vegetationType.lods)
+			.map(Number)
+			.sort((a, b) => a - b)
+
+		// Determine which LOD to use
+		let actualLod = node.lod
+
+		if (!vegetationType.lods[actualLod]) {
+			const maxAvailableLod = availableLods[availableLods.length - 1]
+
+			if (node.lod > maxAvailableLod) {
+				actualLod = maxAvailableLod
+			} else {
+				return
+			}
+		}
+
+		const lodMeshes = vegetationType.lods[actualLod]
+		if (!lodMeshes?.length) return
+
+		// Check if this vegetation type should render at this LOD level
+		if (vegetationType.config.maxLod !== undefined && actualLod > vegetationType.config.maxLod) {
+			return
+		}
+
+		// Generate vegetation matrices for this type
+		const vegetationMatrices = generateVegetationForType(node, terrain, actualLod, vegetationType.config, typeIndex, minTileSize)
+
+		if (vegetationMatrices.length === 0) {
+			return
+		}
+
+		// Create instanced meshes for each part of this vegetation type
+		lodMeshes.forEach((meshData, meshIndex) => {
+			const instancedMesh = new InstancedMesh(meshData.geometry, meshData.material, vegetationMatrices.length)
+			instancedMesh.castShadow = true
+			instancedMesh.receiveShadow = true
+			instancedMesh.frustumCulled = true
+
+			// Set all matrices, composing with the mesh's baked transform
+			vegetationMatrices.forEach((matrix, i) => {
+				composedMatrix.multiplyMatrices(matrix, meshData.transform)
+				instancedMesh.setMatrixAt(i, composedMatrix)
+			})
+			instancedMesh.instanceMatrix.needsUpdate = true
+
+			allInstances.push({
+				mesh: instancedMesh,
+				key: `${vegetationType.name}-${meshIndex}`,
+			})
+		})
+	})
+
+	return allInstances.length > 0 ? allInstances : null
+}
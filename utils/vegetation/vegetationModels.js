@@ -0,0 +1,178 @@
+// Vegetation model preparation
+// Turns vegetation type configs plus loaded GLTF scenes into per-LOD mesh data for instancing.
+
+import { Matrix4 } from 'three'
+
+/**
+ * Get the unique GLTF model paths referenced by a list of vegetation types
+ * (meshFactory-based vegetation is skipped).
+ *
+ * @param {Array} vegetationTypes - Vegetation type configs
+ * @returns {string[]} Unique model paths
+ */
+export const getVegetationModelPaths = (vegetationTypes) => {
+	const models = new Set()
+	vegetationTypes.forEach((type) => {
+		if (type.model && typeof type.model === 'string') {
+			models.add(type.model)
+		}
+	})
+	return Array.from(models)
+}
+
+/**
+ * Build vegetation models at different LOD levels from vegetation configs.
+ *
+ * Can accept both GLTF model paths and mesh factory functions (for procedural vegetation).
+ * Returns an array of vegetation type objects, each containing:
+ * - name: The vegetation type name
+ * - config: The original vegetation config
+ * - lods: Object with LOD levels 0-3, each containing an array of mesh data
+ *   (geometry and material pairs) that can be used for instanced rendering.
+ *
+ * @param {Array} vegetationTypes - Vegetation type configs
+ * @param {Map} modelMap - Map of model path -> loaded GLTF
+ * @returns {Array} Array of vegetation type models
+ */
+export const buildVegetationModels = (vegetationTypes, modelMap) => {
+	// Process each vegetation type
+	const vegetationModels = vegetationTypes.map((type) => {
+		const lods = {}
+
+		// Handle meshFactory-based vegetation (e.g., procedural grass)
+		if (type.meshFactory) {
+			// Call the factory function to get geometry and material
+			const { geometry, material } = type.meshFactory()
+
+			if (!geometry || !material) {
+				console.warn(`[buildVegetationModels] meshFactory for ${type.name} did not return geometry/material`)
+				return null
+			}
+
+			// Use the same mesh for all LOD levels (can be optimized later)
+			const meshData = [
+				{
+					geometry,
+					material,
+					transform: new Matrix4(), // Identity matrix
+				},
+			]
+
+			// Populate all LOD levels with the same mesh
+			for (let i = 0; i <= 3; i++) {
+				lods[i] = meshData
+			}
+
+			return {
+				name: type.name,
+				config: type,
+				lods,
+			}
+		}
+
+		// Handle GLTF model-based vegetation
+		const gltf = modelMap.get(type.model)
+		if (!gltf) {
+			console.warn(`[buildVegetationModels] Could not load model for ${type.name}`)
+			return null
+		}
+
+		const lodLevels = ['lod0', 'lod1', 'lod2', 'lod3']
+
+		// Track the last valid LOD for fallback
+		let lastValidMeshName = null
+
+		// Load each LOD level
+		lodLevels.forEach((lodKey, lodIndex) => {
+			const meshName = type.meshes?.[lodKey]
+
+			// Use provided mesh name or fall back to last valid LOD
+			const actualMeshName = meshName || lastValidMeshName
+
+			if (!actualMeshName) {
+				return // No valid mesh for this LOD
+			}
+
+			const vegetation = gltf.scene.getObjectByName(actualMeshName)
+
+			if (!vegetation) {
+				console.warn(`[buildVegetationModels] Could not find ${actualMeshName} in model for ${type.name}`)
+				return
+			}
+
+			// Collect all meshes from this LOD
+			const meshes = []
+			vegetation.traverse((child) => {
+				if (child.isMesh) {
+					// If a specific mesh name is configured, filter by it
+					if (type.mesh && child.name !== type.mesh) {
+						return
+					}
+
+					// Clone geometry to avoid modifying the original
+					const geometry = child.geometry.clone()
+
+					// Check if spherical normals are enabled for this LOD
+					const useSphericalNormals = type.sphericalNormals?.[lodKey]
+
+					if (useSphericalNormals) {
+						// Compute spherical-ish normals from billboard UV
+						const uvs = geometry.attributes.uv
+						const normals = geometry.attributes.normal
+
+						if (normals && uvs) {
+							for (let i = 0; i < normals.count; i++) {
+								// Get UV coordinates (0-1 range)
+								const u = uvs.getX(i)
+								const v = uvs.getY(i)
+
+								// Map UV to spherical coordinates
+								// Center UVs around 0 and scale to create sphere-like curvature
+								const centerU = (u - 0.5) * 2 // -1 to 1
+								const centerV = (v - 0.5) * 2 // -1 to 1
+
+								// Create spherical normal
+								// X and Z are based on horizontal position, Y points upward
+								const nx = centerU * 0.5 // Subtle horizontal curvature
+								const ny = 0.8 + centerV * 0.2 // Mostly upward with slight vertical variation
+								const nz = 0.1 // Slight forward bias
+
+								// Normalize the vector
+								const length = Math.sqrt(nx * nx + ny * ny + nz * nz)
+								normals.setXYZ(i, nx / length, ny / length, nz / length)
+							}
+							normals.needsUpdate = true
+						}
+					}
+
+					// Bake the mesh's local transform into a matrix
+					// This captures the mesh's position, rotation, and scale relative to its parent
+					const meshTransform = new Matrix4()
+					meshTransform.compose(child.position, child.quaternion, child.scale)
+
+					meshes.push({
+						geometry: geometry,
+						material: child.material,
+						transform: meshTransform,
+					})
+				}
+			})
+
+			if (meshes.length > 0) {
+				lods[lodIndex] = meshes
+				// Update last valid mesh for fallback
+				if (meshName) {
+					lastValidMeshName = meshName
+				}
+			}
+		})
+
+		return {
+			name: type.name,
+			config: type,
+			lods,
+		}
+	}).filter(Boolean)
+
+	return vegetationModels
+}
@@ -0,0 +1,128 @@
+// Buoyancy
+// Engine-independent floating forces against the Gerstner water surface. Returns forces and
+// torques for the caller to apply, so it works with any physics engine.
+
+import { Vector3, Quaternion } from 'three'
+
+import { BUOYANCY_CONFIG } from '../../config/water'
+import { getWaveTime, getWaterHeight, getActiveWaterSurface } from './wavePhysics'
+
+// Per-body sinking state (how full of water the body is and when it was last updated)
+const sinkingStates = new WeakMap()
+
+// Pre-allocated scratch objects
+const _position = new Vector3()
+const _quaternion = new Quaternion()
+const _velocity = new Vector3()
+const _angularVelocity = new Vector3()
+const _point = new Vector3()
+const _arm = new Vector3()
+const _pointForce = new Vector3()
+const _flow = new Vector3()
+
+/**
+ * Compute buoyancy, drag and river flow forces for a floating body.
+ *
+ * Each sample point is tested against the wave surface; a point's submersion ramps from 0 at the
+ * surface to 1 at maxDepth below it. Buoyancy at full submersion of every point lifts floatFactor
+ * times the body's weight, reduced towards minBuoyancy as the body fills with water at sinkingRate
+ * per second. Water drains at the same rate once the body is clear of the surface.
+ *
+ * @param {Object} body - Body state with position, quaternion, velocity, angularVelocity (x/y/z(/w) objects) and mass.
+ *   A cannon-es body can be passed directly; the object's identity keys the sinking state
+ * @param {Array} samplePoints - Hull points in body space ({ x, y, z }), e.g. the corners of the hull bottom
+ * @param {number} [time] - Wave time (defaults to the shared wave clock that drives the water shader)
+ * @param {Object} [options] - BUOYANCY_CONFIG overrides plus:
+ * @param {number} [options.waterLevel] - Still water height (defaults to the terrain's water surface at each point, e.g. a lake,
+ *   or the active water level without terrain)
+ * @param {Object} [options.terrain] - Terrain queries; enables shoreline wave attenuation and river flow
+ * @param {number} [options.shorelineDepthThreshold] - Depth where waves start (defaults to the active water surface's)
+ * @param {number} [options.shallowDepthThreshold] - Depth where waves reach full height (defaults to the active water surface's)
+ * @param {Array} [options.waves] - Wave set (defaults to the active wave set, which the water material renders)
+ * @param {number} [options.gravity] - Gravitational acceleration
+ * @returns {Object} { force, torque, submersion, sinking } in world space. Torque is about the body position;
+ *   submersion is the mean over sample points and sinking the fill level, both 0..1
+ */
+export const applyBuoyancy = (body, samplePoints, time = getWaveTime(), options = {}) => {
+	const surface = getActiveWaterSurface()
+	const {
+		floatFactor,
+		drag,
+		angularDrag,
+		maxDepth,
+		buoyancyOffset,
+		sinkingRate,
+		minBuoyancy,
+		flowForce,
+		waterLevel,
+		terrain,
+		shorelineDepthThreshold = surface.shorelineDepthThreshold,
+		shallowDepthThreshold = surface.shallowDepthThreshold,
+		waves = surface.waves,
+		gravity = 9.81,
+	} = { ...BUOYANCY_CONFIG, ...options }
+
+	const position = _position.set(body.position.x, body.position.y, body.position.z)
+	const quaternion = _quaternion.set(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w)
+	const { mass } = body
+
+	// Sinking state advances with wave time, so no separate delta is needed
+	let state = sinkingStates.get(body)
+	if (!state) {
+		state = { fill: 0, time }
+		sinkingStates.set(body, state)
+	}
+	const delta = Math.max(0, time - state.time)
+	state.time = time
+
+	const buoyancyFactor = 1 - state.fill * (1 - minBuoyancy)
+	const pointBuoyancy = (mass * gravity * floatFactor * buoyancyFactor) / samplePoints.length
+
+	const force = new Vector3()
+	const torque = new Vector3()
+	let submersion = 0
+
+	for (let i = 0; i < samplePoints.length; i++) {
+		const sample = samplePoints[i]
+
+		// Shift the buoyancy point along body Z (negative is behind the centre, so the nose dips)
+		const point = _point.set(sample.x, sample.y, sample.z + buoyancyOffset).applyQuaternion(quaternion).add(position)
+		const level = waterLevel ?? (terrain ? terrain.getWaterLevel(point.x, point.z) : surface.waterLevel)
+		const depth = terrain ? level - terrain.getHeight(point.x, point.z) : Infinity
+		const surface = getWaterHeight(point.x, point.z, time, level, depth, shorelineDepthThreshold, shallowDepthThreshold, waves)
+		const pointSubmersion = Math.max(0, Math.min(1, (surface - point.y) / maxDepth))
+		if (pointSubmersion === 0) continue
+
+		submersion += pointSubmersion / samplePoints.length
+
+		// Upward buoyancy plus river flow at the point
+		_pointForce.set(0, pointBuoyancy * pointSubmersion, 0)
+		if (terrain?.getFlow) {
+			terrain.getFlow(point.x, point.z, _flow)
+			_pointForce.addScaledVector(_flow, (flowForce * mass * pointSubmersion) / samplePoints.length)
+		}
+
+		force.add(_pointForce)
+		torque.add(_arm.subVectors(point, position).cross(_pointForce))
+	}
+
+	// Water resistance scales with how much of the body is submerged
+	if (submersion > 0) {
+		force.addScaledVector(_velocity.set(body.velocity.x, body.velocity.y, body.velocity.z), -drag * mass * submersion)
+		torque.addScaledVector(_angularVelocity.set(body.angularVelocity.x, body.angularVelocity.y, body.angularVelocity.z), -angularDrag * mass * submersion)
+	}
+
+	// Fill with water while submerged, drain once clear
+	state.fill = Math.max(0, Math.min(1, state.fill + (submersion > 0 ? sinkingRate : -sinkingRate) * delta))
+
+	return { force, torque, submersion, sinking: state.fill }
+}
+
+/**
+ * Forget a body's sinking state, e.g. after respawning it.
+ *
+ * @param {Object} body - Body passed to applyBuoyancy
+ */
+export const resetBuoyancy = (body) => {
+	sinkingStates.delete(body)
+}
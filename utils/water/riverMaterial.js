@@ -0,0 +1,51 @@
+import { MeshStandardMaterial, Color, RepeatWrapping } from 'three'
+
+import { RIVER_CONFIG } from '../../config/water'
+
+/**
+ * Create the material for river ribbons.
+ * The normal map scrolls along UV.y (distance downstream), so ripples follow the flow.
+ * Call advanceRiverMaterial every frame to animate it.
+ *
+ * @param {THREE.Texture} normalMap - Water normal texture (cloned, so the original is left untouched)
+ * @param {number[]} waterColor - [r, g, b] water colour (0-1)
+ * @returns {MeshStandardMaterial} River material
+ */
+export const createRiverMaterial = (normalMap, waterColor) => {
+	const flowNormalMap = normalMap.clone()
+	flowNormalMap.wrapS = flowNormalMap.wrapT = RepeatWrapping
+	flowNormalMap.repeat.set(1, RIVER_CONFIG.textureScale)
+
+	return new MeshStandardMaterial({
+		color: new Color(waterColor[0], waterColor[1], waterColor[2]).multiplyScalar(2.5),
+		normalMap: flowNormalMap,
+		roughness: 0.1,
+		metalness: 0.05,
+		transparent: true,
+		opacity: 0.85,
+		depthWrite: false,
+		polygonOffset: true,
+		polygonOffsetFactor: -1,
+	})
+}
+
+/**
+ * Scroll a river material's normal map downstream.
+ *
+ * @param {MeshStandardMaterial} material - Material from createRiverMaterial
+ * @param {number} delta - Seconds since last frame
+ */
+export const advanceRiverMaterial = (material, delta) => {
+	const { normalMap } = material
+	normalMap.offset.y = (normalMap.offset.y - delta * RIVER_CONFIG.flowSpeed * RIVER_CONFIG.textureScale) % 1
+}
+
+/**
+ * Dispose a river material and the normal map it owns.
+ *
+ * @param {MeshStandardMaterial} material - Material from createRiverMaterial
+ */
+export const disposeRiverMaterial = (material) => {
+	material.normalMap.dispose()
+	material.dispose()
+}
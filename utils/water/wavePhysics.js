@@ -1,50 +1,186 @@
-import { Vector3, Vector2 } from 'three'
+import { Vector3, Vector2, Vector4 } from 'three'
 
-// Gerstner wave configuration
-export const WAVES = [
+import { createSeededRandom } from '../seededRandom'
+
+// Default Gerstner wave set, used until a preset provides waterWaves
+// Each wave: direction in degrees, steepness (0..1, summed steepness should stay below 1),
+// wavelength in world units and an optional phase speed (defaults to deep-water dispersion)
+const DEFAULT_WAVES = [
 	{ direction: 0, steepness: 0.15, wavelength: 100 },
 	{ direction: 30, steepness: 0.15, wavelength: 50 },
 	{ direction: 60, steepness: 0.15, wavelength: 25 },
 ]
 
-// Pre-calculated wave parameters for shader uniforms
-export const getWaveUniforms = () => {
-	return {
-		waveA: [Math.sin((WAVES[0].direction * Math.PI) / 180), Math.cos((WAVES[0].direction * Math.PI) / 180), WAVES[0].steepness, WAVES[0].wavelength],
-		waveB: [Math.sin((WAVES[1].direction * Math.PI) / 180), Math.cos((WAVES[1].direction * Math.PI) / 180), WAVES[1].steepness, WAVES[1].wavelength],
-		waveC: [Math.sin((WAVES[2].direction * Math.PI) / 180), Math.cos((WAVES[2].direction * Math.PI) / 180), WAVES[2].steepness, WAVES[2].wavelength],
+/**
+ * @deprecated Wave sets are per preset (waterWaves), so this is only the fallback set and rarely what is
+ * rendered. Use getActiveWaves() for the waves on screen.
+ */
+export const WAVES = DEFAULT_WAVES
+
+// Upper bound on waves per set; the water shader loops over a fixed-size uniform array
+export const MAX_WAVES = 8
+
+// Gravity used for deep-water wave speed (matches the shader)
+const WAVE_GRAVITY = 9.8
+
+// Shared wave clock in seconds. The water material advances it and copies it to its time uniform,
+// and wave queries default to it, so physics samples the same surface that is rendered
+let waveTime = 0
+
+/**
+ * Advance the shared wave clock.
+ *
+ * @param {number} delta - Elapsed seconds
+ * @returns {number} New wave time
+ */
+export const advanceWaveTime = (delta) => {
+	waveTime += delta
+	return waveTime
+}
+
+/**
+ * @returns {number} Current wave time in seconds (the water shader's time uniform)
+ */
+export const getWaveTime = () => waveTime
+
+// Water surface the water material renders. It publishes its settings here, and wave queries
+// default to them, so physics needs no access to the store that configured the material
+const activeSurface = {
+	waves: DEFAULT_WAVES,
+	waterLevel: 0,
+	shorelineDepthThreshold: 0.5,
+	shallowDepthThreshold: 3.0,
+}
+
+/**
+ * Publish the settings of the rendered water surface. Called by the water material when its preset values
+ * change (and by TerrainSystem); undefined values keep their current setting.
+ *
+ * @param {Object} surface
+ * @param {Array} [surface.waves] - Wave set (the preset's waterWaves)
+ * @param {number} [surface.waterLevel] - Global water level
+ * @param {number} [surface.shorelineDepthThreshold] - Depth where waves start
+ * @param {number} [surface.shallowDepthThreshold] - Depth where waves reach full height
+ */
+export const setActiveWaterSurface = (surface) => {
+	for (const key of Object.keys(activeSurface)) {
+		if (surface[key] !== undefined) activeSurface[key] = surface[key]
+	}
+}
+
+/**
+ * @returns {Object} Settings of the rendered water surface { waves, waterLevel, shorelineDepthThreshold, shallowDepthThreshold }
+ */
+export const getActiveWaterSurface = () => activeSurface
+
+/**
+ * @returns {Array} Wave set the water material renders
+ */
+export const getActiveWaves = () => activeSurface.waves
+
+/**
+ * Phase speed of a wave: its speed override, or deep-water dispersion sqrt(g / k).
+ *
+ * @param {Object} wave - Wave with wavelength and optional speed
+ * @returns {number} Speed in world units per second
+ */
+export const getWaveSpeed = (wave) => wave.speed ?? Math.sqrt((WAVE_GRAVITY * wave.wavelength) / (Math.PI * 2))
+
+/**
+ * Pack a wave set into water shader uniform values.
+ * Waves beyond MAX_WAVES are ignored here and by getWaveInfo alike.
+ *
+ * @param {Array} [waves] - Wave set (defaults to the active wave set)
+ * @returns {Object} { waves, waveSpeeds, waveCount } where waves holds MAX_WAVES Vector4 (dirX, dirZ, steepness, wavelength)
+ *   and waveSpeeds the matching phase speeds; unused slots are flat
+ */
+export const getWaveUniforms = (waves = getActiveWaves()) => {
+	const count = Math.min(waves.length, MAX_WAVES)
+	const packed = []
+	const speeds = []
+
+	for (let i = 0; i < MAX_WAVES; i++) {
+		const wave = waves[i]
+		if (i < count) {
+			const angle = (wave.direction * Math.PI) / 180
+			packed.push(new Vector4(Math.sin(angle), Math.cos(angle), wave.steepness, wave.wavelength))
+			speeds.push(getWaveSpeed(wave))
+		} else {
+			packed.push(new Vector4(1, 0, 0, 1))
+			speeds.push(0)
+		}
+	}
+
+	return { waves: packed, waveSpeeds: speeds, waveCount: count }
+}
+
+/**
+ * Generate a wind-driven wave set.
+ *
+ * The longest wave follows the fully developed sea peak (Pierson-Moskowitz) for the wind speed, shorter
+ * waves step down to an eighth of it and their directions scatter within spread of the wind.
+ * Steepness is split across the waves so the surface never folds over. See WAVE_CONDITIONS for presets.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.windSpeed] - Wind speed in m/s
+ * @param {number} [options.windDirection] - Direction the waves travel in degrees
+ * @param {number} [options.count] - Number of waves (max MAX_WAVES)
+ * @param {number} [options.steepness] - Total steepness shared by all waves (0..1, higher is choppier)
+ * @param {number} [options.spread] - Maximum angle in degrees between a wave and the wind
+ * @param {number} [options.seed] - Seed for the direction and wavelength jitter
+ * @returns {Array} Wave set for waterWaves
+ */
+export const createWindWaves = ({ windSpeed = 7, windDirection = 0, count = 4, steepness = 0.45, spread = 45, seed = 1 } = {}) => {
+	const random = createSeededRandom(seed)
+	const waveCount = Math.max(1, Math.min(MAX_WAVES, Math.round(count)))
+	const peakWavelength = (Math.PI * 2 * windSpeed * windSpeed) / (0.877 * 0.877 * WAVE_GRAVITY)
+	const totalSteepness = Math.min(steepness, 0.95)
+	const waves = []
+
+	for (let i = 0; i < waveCount; i++) {
+		const t = waveCount > 1 ? i / (waveCount - 1) : 0
+		const jitter = i === 0 ? 1 : 0.9 + random() * 0.2
+		waves.push({
+			direction: windDirection + (i === 0 ? 0 : (random() * 2 - 1) * spread),
+			steepness: totalSteepness / waveCount,
+			wavelength: peakWavelength * Math.pow(1 / 8, t) * jitter,
+		})
 	}
+
+	return waves
 }
 
 /**
  * Calculate Gerstner wave displacement and normal at a given position.
- * Used for buoyancy physics to make vehicles float on waves.
+ * Used for buoyancy physics to make vehicles float on waves. Matches the water vertex shader,
+ * including the shoreline attenuation, when given the same depth thresholds.
  *
  * @param {number} x - World X coordinate
  * @param {number} z - World Z coordinate
- * @param {number} time - Current animation time
- * @param {number} depth - Optional water depth for wave attenuation near shores
+ * @param {number} [time] - Wave time (defaults to the shared wave clock)
+ * @param {number} [depth] - Optional water depth for wave attenuation near shores
+ * @param {number} [shorelineThreshold] - Depth where waves start (the water material's shorelineDepthThreshold)
+ * @param {number} [shallowThreshold] - Depth where waves reach full height (the water material's shallowDepthThreshold)
+ * @param {Array} [waves] - Wave set (defaults to the active wave set, which the water material renders)
  * @returns {{ position: Vector3, normal: Vector3 }}
  */
-export const getWaveInfo = (x, z, time, depth = Infinity) => {
+export const getWaveInfo = (x, z, time = waveTime, depth = Infinity, shorelineThreshold = 0.5, shallowThreshold = 3.0, waves = getActiveWaves()) => {
 	const pos = new Vector3()
 	const tangent = new Vector3(1, 0, 0)
 	const binormal = new Vector3(0, 0, 1)
 
-	// Calculate wave scale based on depth (matches shader logic)
+	// Calculate wave scale based on depth (matches shader logic: smoothstep, then a second cubic smoothstep)
 	let waveScale = 1.0
-	if (depth < 3.0) {
-		const shorelineThreshold = 0.5
-		const shallowThreshold = 3.0
+	if (depth < shallowThreshold) {
 		waveScale = Math.max(0, Math.min(1, (depth - shorelineThreshold) / (shallowThreshold - shorelineThreshold)))
-		// Apply cubic smoothstep for smoother transition
+		waveScale = waveScale * waveScale * (3.0 - 2.0 * waveScale)
 		waveScale = waveScale * waveScale * (3.0 - 2.0 * waveScale)
 	}
 
-	WAVES.forEach((w) => {
+	waves.slice(0, MAX_WAVES).forEach((w) => {
 		const k = (Math.PI * 2.0) / w.wavelength
-		const c = Math.sqrt(9.8 / k)
-		const d = new Vector2(Math.sin((w.direction * Math.PI) / 180), -Math.cos((w.direction * Math.PI) / 180))
+		const c = getWaveSpeed(w)
+		const d = new Vector2(Math.sin((w.direction * Math.PI) / 180), Math.cos((w.direction * Math.PI) / 180))
 		const f = k * (d.dot(new Vector2(x, z)) - c * time)
 		const steepness = w.steepness * waveScale
 		const a = steepness / k
@@ -71,12 +207,15 @@ export const getWaveInfo = (x, z, time, depth = Infinity) => {
  *
  * @param {number} x - World X coordinate
  * @param {number} z - World Z coordinate
- * @param {number} time - Current animation time
+ * @param {number} time - Wave time (see getWaveTime)
  * @param {number} waterLevel - The water level Y coordinate
  * @param {number} depth - Optional water depth for wave attenuation
+ * @param {number} [shorelineThreshold] - Depth where waves start
+ * @param {number} [shallowThreshold] - Depth where waves reach full height
+ * @param {Array} [waves] - Wave set (defaults to the active wave set)
  * @returns {number} Water surface Y coordinate
  */
-export const getWaterHeight = (x, z, time, waterLevel, depth = Infinity) => {
-	const waveInfo = getWaveInfo(x, z, time, depth)
+export const getWaterHeight = (x, z, time, waterLevel, depth = Infinity, shorelineThreshold, shallowThreshold, waves) => {
+	const waveInfo = getWaveInfo(x, z, time, depth, shorelineThreshold, shallowThreshold, waves)
 	return waterLevel + waveInfo.position.y
 }